@@ -1,1296 +1,299 @@
 // Global state and utilities for the showtime builder application.
 // This script is included on every page. It exposes a ShowtimeState
-// object on the window with current state and helper methods. State is
-// persisted to localStorage under a single key. Pages should call
+// object on the window with current state and helper methods. The
+// scheduling rules themselves live in engine.js (which must be loaded
+// first); this file binds one engine instance to browser storage
+// (IndexedDB via storage-idb.js, else localStorage), to other open tabs
+// (sync.js) and to window events, and adds the shared browser UI helpers
+// (film highlight, copy and history panels, nav styles). Pages should call
 // ShowtimeState.load() on load and then use ShowtimeState.state to
 // read the current values. Mutating functions automatically save and
 // optionally trigger callbacks.
 
 (function(){
-  const LOCAL_KEY = "showtime:persist";
+  const Engine = window.ShowtimeEngine;
+  const LOCAL_KEY = Engine.LOCAL_KEY;
+  const { hmFromDate, to12, turnaroundMinutes, fmtDur, fmtHM, isoToMMDD, mmddToIso } = Engine;
 
-  // Default seeds for auditoriums, films and bookings. These mirror
-  // the original React seeds but can be extended by the user.
-  const defaultState = {
-    auds: [
-      {id: 1, name: "Aud 1", format: "Standard", seats: 200},
-      {id: 2, name: "Aud 2", format: "Standard", seats: 190},
-      {id: 3, name: "Aud 3", format: "3D", seats: 150},
-      {id: 4, name: "Aud 4", format: "Laser", seats: 210},
-      {id: 5, name: "Aud 5", format: "Standard", seats: 140},
-      {id: 6, name: "Aud 6", format: "Standard", seats: 140},
-    ],
-    films: [
-      {id: "F1", title: "Thunder Road", rating: "PG-13", runtime: 124, trailer: 18, clean: 20, priority: 1},
-      {id: "F2", title: "Moon Harbor", rating: "R", runtime: 108, trailer: 16, clean: 20, priority: 2},
-      {id: "F3", title: "Galaxy Kids 3D", rating: "PG", runtime: 97, trailer: 15, clean: 15, priority: 3},
-    ],
-    // Bookings tie films to slots and weeks. Week values are numeric and may
-    // be ignored by this app; they are placeholders for extension. A slot
-    // simply labels a booking and is shown on the prime page.
-    bookings: [
-      {id: "B1", week: 34, slot: "1", filmId: "F1", notes: "", weeksOut: 1},
-      {id: "B2", week: 34, slot: "2", filmId: "F2", notes: "", weeksOut: 1},
-      {id: "B3", week: 34, slot: "3", filmId: "F3", notes: "", weeksOut: 1},
-    ],
-    // Prime rows mirror bookings with selected prime times. Each entry
-    // references a booking by id and stores an auditorium assignment and
-    // prime time. The prime time is stored as an HM string (HH:MM). New
-    // bookings without a prime time remain blank until selected on the
-    // prime page or schedule grid.
-    primeRows: [],
-    // Extra rows are user‑added rows that behave like prime rows but are
-    // not backed by a booking. They have a unique rowId beginning with
-    // "EX-", a slot (string) and references to filmId, audId and
-    // primeHM. They allow building custom cycles beyond the bookings.
-    extraRows: [],
-    // Manual shows are single show instances created directly on the
-    // schedule grid. They do not participate in cycling like prime rows and
-    // persist independently. Each has its own id, rowId, audId, audName,
-    // filmId, filmTitle, start (Date), end (Date), runtime, trailer,
-    // clean and cycle. They can be deleted by hiding the show (selecting
-    // blank in the dropdown).
-    manualShows: [],
-    // Overrides allow editing individual show start times or auditorium
-    // assignments without altering the base schedule. The key is the show
-    // id (rowId:offset) and the value is an object with optional
-    // start (Date), audId (number) and filmId (string). An override
-    // leaves all other fields of the base show untouched.
-    overrides: {},
-    // Hidden shows are shows removed from the schedule grid. They remain
-    // in state for undo but are filtered out of the showtime list. Keys
-    // are show ids and values are true.
-    hiddenShows: {},
-    // When multi-date support is enabled, schedule data for each date is stored
-    // under scheduleByDate. Each entry keyed by a date string (YYYY-MM-DD)
-    // contains the arrays of primeRows, extraRows, manualShows, overrides,
-    // hiddenShows and undoStack for that specific date. This allows
-    // switching between schedules without losing data. If undefined, the
-    // app operates in single-date mode using top-level fields. See
-    // initDateSupport() and setDate() for details.
-    scheduleByDate: {},
-    // The currently selected date for the schedule. When null, the app
-    // will default to today's date on first initialisation. The date
-    // string must be in ISO format (YYYY-MM-DD) so that lexical sorting
-    // matches chronological order.
-    currentDate: null,
-    // The currently configured first and last show times. These are HM
-    // strings. The lastShowHM may represent a time after midnight (e.g.
-    // "02:00"). In such cases, code that compares dates must treat the
-    // last show as belonging to the next day. See dtFromHM below.
-    firstShowHM: "07:00", // 7:00a
-    lastShowHM: "23:00",  // 11:00p
-    // Whether to display end times beneath start times on the schedule
-    // grid. Toggled via Hide End Times button.
-    showEndTimes: true,
-    // Stack of undo operations. Each entry has a type and data needed to
-    // revert. For now, only edits to show start times and manual show
-    // additions are recorded.
-    undoStack: [],
-    // Controls whether the Start‑time Order panel is open. When true,
-    // order-panel.js will show the side panel by default and leave the
-    // main content shifted left. Persisting this flag allows the panel
-    // to remain open across tab navigations.
-    showOrderPanel: true,
-  };
-
-  // Local copy of state. Loaded on first access. All modifications should
-  // go through setState or dedicated mutators to ensure persistence.
-  let state = null;
-
-  // Helper: pad single digit to two digits.
-  function pad(n) { return n.toString().padStart(2, "0"); }
-
-  // Convert HH:MM string to a Date representing today at that time. If the
-  // time is between 0:00 and 4:59, treat it as belonging to the next day
-  // only for end-of-day comparisons. Consumers must handle this where
-  // relevant. This function never rolls over the date by itself; it
-  // always returns today at the given time.
-  function dtFromHM(hm) {
-    if (typeof hm !== 'string') hm = '0:00';
-    const m = hm.match(/^(\d{1,2}):(\d{1,2})$/);
-    let H = 0, M = 0;
-    if (m) {
-      H = Math.min(23, Math.max(0, parseInt(m[1], 10) || 0));
-      M = Math.min(59, Math.max(0, parseInt(m[2], 10) || 0));
-    }
-    const d = new Date();
-    d.setHours(H, M, 0, 0);
-    return d;
-  }
-
-  // Convert a Date to HH:MM string in 24‑hour format.
-  function hmFromDate(d) { return pad(d.getHours()) + ":" + pad(d.getMinutes()); }
-
-  // Add minutes to a date, returning a new Date.
-  function addMins(d, mins) { const nd = new Date(d.getTime()); nd.setMinutes(nd.getMinutes() + mins); return nd; }
-
-  // Difference in minutes between two dates (a - b).
-  function diffMins(a, b) { return Math.round((a.getTime() - b.getTime()) / 60000); }
-
-  // Round a number up to the nearest multiple of five.
-  function roundUp5(x) { return Math.ceil(x / 5) * 5; }
-
-  // Convert a date to a 12‑hour time with am/pm suffix (e.g. "10:30p").
-  function to12(d) {
-    // Format a Date to 12‑hour time with am/pm suffix.
-    // Hours 0‑11 are AM and 12‑23 are PM. Midnight should be 12:MMam and noon 12:MMpm.
-    let h = d.getHours();
-    const m = pad(d.getMinutes());
-    const isPm = h >= 12;
-    // Convert to 12‑hour format (0 becomes 12, 13 becomes 1).
-    h = h % 12 || 12;
-    // Use explicit am/pm suffix rather than a single letter. This improves readability
-    // for time pickers and selectors.
-    const suffix = isPm ? 'pm' : 'am';
-    return `${h}:${m}${suffix}`;
-  }
-
-  // Given a film object, compute the total minutes of a show cycle (runtime + trailer + clean),
-  // rounded up to the nearest 5 minutes.
-  function cycleMinutes(film) {
-    if (!film) return 0;
-    const total = (film.runtime || 0) + (film.trailer || 0) + (film.clean || 0);
-    return roundUp5(total);
-  }
-
-  // Compute the end time of a show given a start and film definition.
-  function endOfMovie(start, film) {
-    return addMins(start, (film.runtime || 0) + (film.trailer || 0));
-  }
-
-  // Format duration (minutes) to H:MM (e.g. 2:10).
-  function fmtDur(mins) {
-    return `${Math.floor(mins / 60)}:${pad(mins % 60)}`;
-  }
-
-  // Convert an ISO date string (YYYY-MM-DD) to MM/DD/YYYY format. If the
-  // input is invalid, return the original string. Note that this
-  // utility does not change the underlying date object; it merely
-  // reformats the string for display. This is useful for rendering
-  // dates in the US style (e.g. 2025-08-19 -> 08/19/2025).
-  function isoToMMDD(dateStr) {
-    if (!dateStr || typeof dateStr !== 'string') return dateStr;
-    const parts = dateStr.split('-');
-    if (parts.length !== 3) return dateStr;
-    const [y, m, d] = parts;
-    return `${m}/${d}/${y}`;
-  }
-
-  // Convert a MM/DD/YYYY string to ISO format (YYYY-MM-DD). If the
-  // input is invalid or cannot be parsed, returns null. This helper
-  // splits on either '/' or '-' for robustness. Leading zeros are
-  // added to the month and day parts. The year must be four digits.
-  function mmddToIso(mmdd) {
-    if (!mmdd || typeof mmdd !== 'string') return null;
-    // Split on common separators
-    const parts = mmdd.trim().split(/[\/-]/);
-    if (parts.length !== 3) return null;
-    let [m, d, y] = parts;
-    // Ensure year has four digits
-    if (y.length !== 4) return null;
-    // Pad month and day to two digits
-    m = m.padStart(2, '0');
-    d = d.padStart(2, '0');
-    // Basic validation
-    const mm = parseInt(m, 10);
-    const dd = parseInt(d, 10);
-    const yyyy = parseInt(y, 10);
-    if (
-      isNaN(mm) || isNaN(dd) || isNaN(yyyy) ||
-      mm < 1 || mm > 12 ||
-      dd < 1 || dd > 31 ||
-      yyyy < 1000 || yyyy > 9999
-    ) {
-      return null;
-    }
-    return `${y}-${m}-${d}`;
-  }
-
-  // Convert HM string to 12‑hour display format (e.g. "14:00" -> "2:00p").
-  function fmtHM(hm) {
-    return to12(dtFromHM(hm));
-  }
-
-  // Load persisted state from localStorage. Merge with defaults to fill in
-  // any missing keys. Called automatically on first access.
-  function load() {
-    if (state) return state;
-    let loaded = {};
-    try {
-      const raw = localStorage.getItem(LOCAL_KEY);
-      if (raw) loaded = JSON.parse(raw);
-    } catch (e) {
-      console.error('Failed to parse saved state', e);
-    }
-    state = { ...defaultState, ...loaded };
-    // When rehydrating from localStorage, convert any serialized Dates back
-    // into Date objects. Otherwise fields like manualShows.start/end or
-    // overrides.start will remain strings and later property accesses
-    // (e.g. getTime()) will throw. Iterate through collections and
-    // hydrate strings into Date instances. This only runs once during
-    // initial load.
-    // Convert manual show start/end strings to Dates
-    if (state.manualShows && Array.isArray(state.manualShows)) {
-      state.manualShows.forEach(ms => {
-        if (ms && typeof ms.start === 'string') {
-          const d = new Date(ms.start);
-          if (!isNaN(d)) ms.start = d;
-        }
-        if (ms && typeof ms.end === 'string') {
-          const d2 = new Date(ms.end);
-          if (!isNaN(d2)) ms.end = d2;
-        }
-      });
-    }
-    // Convert override start strings to Dates
-    if (state.overrides && typeof state.overrides === 'object') {
-      Object.values(state.overrides).forEach(ov => {
-        if (ov && typeof ov.start === 'string') {
-          const d = new Date(ov.start);
-          if (!isNaN(d)) ov.start = d;
-        }
-      });
-    }
-    // Ensure primeRows and extraRows are arrays
-    if (!Array.isArray(state.primeRows)) state.primeRows = [];
-    if (!Array.isArray(state.extraRows)) state.extraRows = [];
-    if (!Array.isArray(state.manualShows)) state.manualShows = [];
-    if (!state.overrides || typeof state.overrides !== 'object') state.overrides = {};
-    if (!state.hiddenShows || typeof state.hiddenShows !== 'object') state.hiddenShows = {};
-    if (!Array.isArray(state.undoStack)) state.undoStack = [];
-
-    // Ensure siteName and siteNumber fields exist. These identify the theatre
-    // or site and are included in exported JSON. When not provided, default
-    // to empty strings so that input fields bind to valid values.
-    if (state.siteName === undefined || state.siteName === null) state.siteName = '';
-    if (state.siteNumber === undefined || state.siteNumber === null) state.siteNumber = '';
-    return state;
-  }
-
-  // Persist current state to localStorage. Certain transient keys may be
-  // excluded here if needed (e.g. undoStack), but currently everything is
-  // persisted.
-  function save() {
-    // When multi‑date support is enabled and a current date is set,
-    // update the scheduleByDate entry for the current date before
-    // persisting. This ensures that changes to primeRows, extraRows,
-    // manualShows, overrides, hiddenShows and undoStack are captured
-    // under the currentDate key. This is safe because JSON.stringify
-    // will serialise Date objects to ISO strings. If scheduleByDate
-    // doesn't exist, create it.
-    if (state && state.currentDate) {
-      if (!state.scheduleByDate || typeof state.scheduleByDate !== 'object') {
-        state.scheduleByDate = {};
-      }
-      state.scheduleByDate[state.currentDate] = {
-        primeRows: Array.isArray(state.primeRows) ? state.primeRows : [],
-        extraRows: Array.isArray(state.extraRows) ? state.extraRows : [],
-        manualShows: Array.isArray(state.manualShows) ? state.manualShows : [],
-        overrides: state.overrides || {},
-        hiddenShows: state.hiddenShows || {},
-        undoStack: Array.isArray(state.undoStack) ? state.undoStack : [],
-      };
-      // Keep only the most recent 7 dates to avoid unbounded growth
-      pruneOldSchedules();
-    }
-    try {
-      localStorage.setItem(LOCAL_KEY, JSON.stringify(state));
-    } catch (e) {
-      console.error('Failed to save state', e);
-    }
-    // Notify listeners within the same tab that the state has changed. The
-    // native 'storage' event only fires on other tabs; dispatching a
-    // custom event allows components like the start‑time order panel to
-    // react immediately without polling or page navigation. The event name
-    // is namespaced to avoid collisions.
-    try {
-      const evt = new Event('showtimeStateUpdated');
-      window.dispatchEvent(evt);
-    } catch (err) {
-      // Older browsers may not support Event constructor; ignore.
-    }
-  }
-
-  // Helper to clone an object (shallow) using JSON. Only used for
-  // simple clones of state prior to modification when pushing to undo.
-  function clone(obj) {
-    return JSON.parse(JSON.stringify(obj));
-  }
-
-  // Retrieve film by id.
-  function filmById(id) {
-    return state.films.find(f => f.id === id) || null;
-  }
-
-  // Retrieve auditorium by id.
-  function audById(id) {
-    return state.auds.find(a => a.id === id) || null;
-  }
-
-  // Compute all showtime records for a single row based on its primeHM,
-  // filmId and audId. A record contains id, rowId, offset, film info and
-  // computed start/end times. Only shows within the first/last show
-  // window are included.
-  function buildRowShowtimes(row) {
-    const film = filmById(row.filmId);
-    const aud = audById(row.audId);
-    if (!film || !aud || !row.primeHM) return [];
-    const first = dtFromHM(state.firstShowHM);
-    const last = dtFromHM(state.lastShowHM);
-    // If last show is between midnight and 4:59, treat as next day
-    if (last.getHours() < 5) last.setDate(last.getDate() + 1);
-    const prime = dtFromHM(row.primeHM);
-    // Determine cycle length
-    const cycle = cycleMinutes(film);
-    // Guard against zero or negative cycles (e.g., films with 0 runtime/trailer/clean).
-    // A zero cycle would cause divide‑by‑zero in preCount/postCount calculations and hang the grid.
-    if (!cycle || cycle <= 0) {
-      return [];
-    }
-    const out = [];
-    // Determine how many pre and post shows fit in the window
-    const preCount = Math.floor(diffMins(prime, first) / cycle);
-    const postCount = Math.floor(diffMins(last, prime) / cycle);
-    for (let i = preCount; i >= 1; i--) {
-      const st = addMins(prime, -i * cycle);
-      if (st < first) continue;
-      out.push(makeRec(row, -i, st, film, aud));
-    }
-    // Always include the prime show itself regardless of the first/last
-    // window. Without this, rows whose primeHM falls outside the
-    // configured start/end window disappear from the schedule grid.  We
-    // still filter pre/post shows relative to the window below.
-    out.push(makeRec(row, 0, prime, film, aud));
-    for (let i = 1; i <= postCount; i++) {
-      const st = addMins(prime, i * cycle);
-      if (st > last) continue;
-      out.push(makeRec(row, i, st, film, aud));
-    }
-    return out;
-  }
-
-  // Helper to build a single show record from row and offset.
-  function makeRec(row, off, start, film, aud) {
-    return {
-      id: `${row.rowId}:${off}`,
-      rowId: row.rowId,
-      offset: off,
-      audId: aud.id,
-      audName: aud.name,
-      filmId: film.id,
-      // Include film format in the display title if present.  If a film has a
-      // non‑empty format (e.g. "3D"), append it to the film title.  This
-      // ensures that downstream consumers like the schedule and Gantt pages
-      // display the parent film name together with its format.
-      filmTitle: film.title + (film.format ? ' ' + film.format : ''),
-      start: start,
-      end: endOfMovie(start, film),
-      runtime: film.runtime,
-      trailer: film.trailer,
-      clean: film.clean,
-      cycle: cycleMinutes(film),
-      source: 'Prime',
-    };
-  }
-
-  // Compute a flattened array of all shows, applying overrides and
-  // excluding hidden shows. Includes manual shows at their specified
-  // times. If an override exists for a show id, its start or
-  // auditorium assignment is updated accordingly. Overrides on filmId
-  // are also applied.
-  function getAllShows() {
-    const shows = [];
-    // Build from prime and extra rows
-    const rows = (state.primeRows || []).concat(state.extraRows || []);
-    rows.forEach(row => {
-      buildRowShowtimes(row).forEach(rec => {
-        shows.push(rec);
-      });
+  // Storage backend. IndexedDB (storage-idb.js) is preferred because it
+  // writes per-record and is not limited to the ~5MB localStorage quota;
+  // localStorage remains the fallback when IndexedDB is unavailable or
+  // fails to open (e.g. some private browsing modes). The engine talks to
+  // this small switch so the backend can change after the engine exists.
+  const legacyStorage = Engine.webStorage(window.localStorage, LOCAL_KEY);
+  let backend = legacyStorage;
+  let idb = null;
+  if (window.indexedDB && typeof Engine.indexedDbStorage === 'function') {
+    idb = Engine.indexedDbStorage({
+      legacyStore: window.localStorage,
+      legacyKey: LOCAL_KEY,
+      onError: err => reportStorageError(err),
     });
-    // Include manual shows
-    (state.manualShows || []).forEach(ms => {
-      shows.push({ ...ms, source: 'Manual' });
-    });
-    // Apply overrides and filter hidden shows
-    const mapped = shows
-      .filter(r => !state.hiddenShows[r.id])
-      .map(r => {
-        const ov = state.overrides[r.id];
-        if (!ov) return r;
-        const updated = { ...r };
-        // Apply start override
-        if (ov.start) {
-          updated.start = new Date(ov.start);
-          const film = filmById(ov.filmId || r.filmId);
-          updated.end = endOfMovie(updated.start, film);
-        }
-        // Apply auditorium override
-        if (ov.audId) {
-          updated.audId = ov.audId;
-          const a = audById(ov.audId);
-          updated.audName = a ? a.name : updated.audName;
-        }
-        // Apply film override
-        if (ov.filmId && ov.filmId !== r.filmId) {
-          const film = filmById(ov.filmId);
-          if (film) {
-            updated.filmId = film.id;
-            // Append the film format to the display title when applying a
-            // film override.  This mirrors makeRec() so that the film title
-            // consistently includes its format across all contexts.
-            updated.filmTitle = film.title + (film.format ? ' ' + film.format : '');
-            updated.runtime = film.runtime;
-            updated.trailer = film.trailer;
-            updated.clean = film.clean;
-            updated.cycle = cycleMinutes(film);
-            updated.end = endOfMovie(updated.start, film);
-          }
-        }
-        // Determine dynamic row grouping: if the override changed auditorium or film relative to base, group by dest auditorium and film
-        if ((ov.audId && ov.audId !== r.audId) || (ov.filmId && ov.filmId !== r.filmId)) {
-          // Use updated audId and filmId values after applying overrides to build the group id
-          const destAud = updated.audId || r.audId;
-          const destFilm = updated.filmId || r.filmId;
-          updated.rowId = `OV-${destAud}-${destFilm}`;
-          updated.source = 'Override';
-        }
-        return updated;
-      });
-    // Deduplicate shows by start time, auditorium and film.  In some
-    // scenarios (e.g. entering times outside the first/last window or
-    // overriding a show to the same time as another show) multiple
-    // records can exist with identical start, auditorium and film.  To
-    // prevent duplicate entries from appearing in the Gantt or Start‑Time
-    // Order views, remove duplicates while preserving the first occurrence.
-    mapped.sort((a, b) => a.start - b.start);
-    const unique = [];
-    const seen = new Set();
-    mapped.forEach(rec => {
-      // Use milliseconds for start time; fall back to number if not a Date
-      const startTime = rec.start instanceof Date ? rec.start.getTime() : new Date(rec.start).getTime();
-      const key = `${startTime}_${rec.audId}_${rec.filmId}`;
-      if (!seen.has(key)) {
-        seen.add(key);
-        unique.push(rec);
-      }
-    });
-    return unique;
-  }
-
-  // Generate options (HM strings) around a given show start time. Options
-  // are 5‑minute increments within ±90 minutes of the start. Times
-  // outside of the first/last show window are excluded.
-  function optionsAround(start) {
-    const opts = [];
-    const first = dtFromHM(state.firstShowHM);
-    const last = dtFromHM(state.lastShowHM);
-    if (last.getHours() < 5) last.setDate(last.getDate() + 1);
-    const base = new Date(start);
-    for (let m = -90; m <= 90; m += 5) {
-      const t = addMins(base, m);
-      if (t < first || t > last) continue;
-      opts.push(hmFromDate(t));
-    }
-    // Remove duplicates and sort ascending
-    return [...new Set(opts)].sort();
-  }
-
-  // Update the start time of a specific show via override. This affects
-  // only the given show id and does not alter other shows in the same
-  // row. The previous override or base start time is pushed onto
-  // undoStack so the change can be reverted. Passing an empty string
-  // hides the show instead of changing its start.
-  function updateShowStart(showId, hm) {
-    load();
-    const shows = getAllShows();
-    const rec = shows.find(r => r.id === showId);
-    if (!rec) return;
-    // If hm is empty string, hide the show
-    if (hm === '') {
-      // Save previous hidden status for undo
-      state.undoStack.push({ type: 'hide', showId: showId, prevHidden: !!state.hiddenShows[showId] });
-      state.hiddenShows[showId] = true;
-      save();
-      return;
-    }
-    // Determine previous start override or base start
-    const prevStart = state.overrides[showId]?.start || rec.start;
-    state.undoStack.push({ type: 'edit', showId: showId, prevStart: prevStart });
-    // Set new override start
-    const newStart = dtFromHM(hm);
-    if (state.overrides[showId]) {
-      state.overrides[showId].start = newStart;
-    } else {
-      state.overrides[showId] = { start: newStart };
-    }
-    save();
-  }
-
-  // Update the auditorium assignment of a specific show via override.  This
-  // function mirrors updateShowStart but for the auditorium (audId). It
-  // records the previous auditorium on the undo stack so the change can
-  // be reverted. Passing a null or empty value resets the override to
-  // the base auditorium. Moving shows between auditoriums is needed for
-  // the Gantt view to support vertical drag operations.
-  function updateShowAud(showId, audId) {
-    load();
-    const shows = getAllShows();
-    const rec = shows.find(r => r.id === showId);
-    if (!rec) return;
-    const newAud = (audId !== undefined && audId !== null && audId !== '') ? parseInt(audId, 10) : null;
-    // Determine previous override or base auditorium
-    const prevAud = state.overrides[showId]?.audId || rec.audId;
-    // Special handling for manual shows: update the manual show record
-    // directly instead of using overrides. Manual shows have a source
-    // property set to 'Manual'. This ensures moving a manual show
-    // between auditoriums updates its own audId/audName fields and
-    // supports undo. Overrides are better suited for shows derived
-    // from prime/extra rows.
-    if (rec.source === 'Manual') {
-      const msIdx = state.manualShows.findIndex(x => x.id === showId);
-      if (msIdx !== -1) {
-        // If clearing, revert to previous auditorium
-        const targetAud = newAud === null ? prevAud : newAud;
-        // If no change, do nothing
-        if (targetAud === prevAud) return;
-        // Push undo entry
-        state.undoStack.push({ type: 'moveAud', showId: showId, prevAudId: prevAud });
-        state.manualShows[msIdx].audId = targetAud;
-        const audObj = audById(targetAud);
-        state.manualShows[msIdx].audName = audObj ? audObj.name : '';
-        save();
-        return;
-      }
-    }
-    // For non‑manual shows, use overrides
-    if (newAud === null) {
-      // Only act if an override currently exists for this show
-      if (state.overrides[showId] && Object.prototype.hasOwnProperty.call(state.overrides[showId], 'audId')) {
-        // Push undo entry
-        state.undoStack.push({ type: 'moveAud', showId: showId, prevAudId: prevAud });
-        delete state.overrides[showId].audId;
-        if (Object.keys(state.overrides[showId]).length === 0) {
-          delete state.overrides[showId];
-        }
-        save();
-      }
-      return;
-    }
-    // If the new auditorium matches the current assignment, do nothing
-    if (newAud === prevAud) return;
-    // Push undo entry
-    state.undoStack.push({ type: 'moveAud', showId: showId, prevAudId: prevAud });
-    if (!state.overrides[showId]) {
-      state.overrides[showId] = { audId: newAud };
-    } else {
-      state.overrides[showId].audId = newAud;
-    }
-    save();
+    backend = idb;
   }
+  const storage = {
+    read: () => backend.read(),
+    write: st => backend.write(st),
+  };
 
-  /**
-   * Update the film assignment of a specific show via override. This mirrors
-   * updateShowAud but for the film. If a manual show is edited, the
-   * manual show record is updated directly (filmId, filmTitle, runtime,
-   * trailer, clean, cycle, end). For non‑manual shows, a filmId
-   * override is written to state.overrides. Passing a null or empty
-   * value clears the override and reverts to the base film. Undo
-   * operations are recorded so edits can be reverted.
-   * @param {string} showId
-   * @param {string|null} filmId
-   */
-  function updateShowFilm(showId, filmId) {
-    load();
-    const shows = getAllShows();
-    const rec = shows.find(r => r.id === showId);
-    if (!rec) return;
-    const newFilmId = filmId === '' || filmId === null || filmId === undefined ? null : filmId;
-    // Determine previous film assignment (override or base)
-    const prevFilmId = state.overrides[showId]?.filmId || rec.filmId;
-    // If nothing changes, do nothing
-    if (newFilmId === prevFilmId) return;
-    // Manual shows: update record directly
-    if (rec.source === 'Manual') {
-      const msIdx = state.manualShows.findIndex(x => x.id === showId);
-      if (msIdx !== -1) {
-        // Push undo entry
-        state.undoStack.push({ type: 'editFilm', showId: showId, prevFilmId: prevFilmId });
-        if (newFilmId === null) {
-          // Clearing override for manual shows reverts to previous film; nothing to do
-          save();
-          return;
-        }
-        // Lookup film and update manual show fields
-        const filmObj = filmById(newFilmId);
-        if (!filmObj) return;
-        const ms = state.manualShows[msIdx];
-        ms.filmId = filmObj.id;
-        // Include format when updating the film title for a manual show
-        ms.filmTitle = filmObj.title + (filmObj.format ? ' ' + filmObj.format : '');
-        ms.runtime = filmObj.runtime;
-        ms.trailer = filmObj.trailer;
-        ms.clean = filmObj.clean;
-        ms.cycle = cycleMinutes(filmObj);
-        // Recompute end based on existing start and new film runtime/trailer
-        ms.end = endOfMovie(ms.start, filmObj);
-        save();
-        return;
-      }
-    }
-    // Non‑manual shows: write override or clear override
-    if (newFilmId === null) {
-      // Remove film override if it exists
-      if (state.overrides[showId] && Object.prototype.hasOwnProperty.call(state.overrides[showId], 'filmId')) {
-        // Record undo
-        state.undoStack.push({ type: 'editFilm', showId: showId, prevFilmId: prevFilmId });
-        delete state.overrides[showId].filmId;
-        if (Object.keys(state.overrides[showId]).length === 0) {
-          delete state.overrides[showId];
-        }
-        save();
-      }
+  // Show storage problems to the user. Write failures repeat on every
+  // keystroke, so only the first one per page load raises an alert.
+  let quotaWarned = false;
+  function reportStorageError(err) {
+    console.error('Storage error', err);
+    const quota = err && (err.code === 'QUOTA_EXCEEDED' || err.name === 'QuotaExceededError' || err.code === 22);
+    if (quota) {
+      if (quotaWarned) return;
+      quotaWarned = true;
+      try {
+        alert(err.code === 'QUOTA_EXCEEDED' ? err.message : 'Storage is full: the latest changes could not be saved. Export your data from the Data page and clear old schedules to free space.');
+      } catch (_) {}
       return;
     }
-    // Otherwise set override
-    // Record undo entry
-    state.undoStack.push({ type: 'editFilm', showId: showId, prevFilmId: prevFilmId });
-    if (!state.overrides[showId]) {
-      state.overrides[showId] = { filmId: newFilmId };
-    } else {
-      state.overrides[showId].filmId = newFilmId;
-    }
-    save();
-  }
-
-  // Remove (unhide) a show by id. Used when undoing a hide operation.
-  function unhideShow(showId, prevHidden) {
-    if (!prevHidden) {
-      // Remove the hidden flag
-      delete state.hiddenShows[showId];
-    } else {
-      // Restore previous hidden state
-      state.hiddenShows[showId] = true;
-    }
-  }
-
-  // Remove or revert override for a show. Used when undoing an edit.
-  function revertOverride(showId, prevStart) {
-    if (!state.overrides[showId]) {
-      state.overrides[showId] = { start: prevStart };
-    } else {
-      state.overrides[showId].start = prevStart;
-    }
-  }
-
-  // Undo the most recent edit or manual show creation. Pops from
-  // undoStack and applies the inverse operation.
-  function undo() {
-    load();
-    const entry = state.undoStack.pop();
-    if (!entry) return;
-    if (entry.type === 'edit') {
-      revertOverride(entry.showId, entry.prevStart);
-    } else if (entry.type === 'hide') {
-      unhideShow(entry.showId, entry.prevHidden);
-    } else if (entry.type === 'manual') {
-      // Remove a manual show entirely
-      const idx = state.manualShows.findIndex(x => x.id === entry.show.id);
-      if (idx !== -1) state.manualShows.splice(idx, 1);
-    } else if (entry.type === 'moveAud') {
-      // Revert an auditorium move.  If the previous auditorium matches the
-      // base row assignment (i.e. no override was originally set), then
-      // remove the override; otherwise restore the previous override value.
-      const sid = entry.showId;
-      const prev = entry.prevAudId;
-      const currentBase = getAllShows().find(r => r.id === sid)?.audId;
-      if (prev === currentBase) {
-        // Remove audId override entirely
-        if (state.overrides[sid]) {
-          delete state.overrides[sid].audId;
-          // If override becomes empty object, remove it
-          if (Object.keys(state.overrides[sid]).length === 0) {
-            delete state.overrides[sid];
-          }
-        }
-      } else {
-        if (!state.overrides[sid]) {
-          state.overrides[sid] = { audId: prev };
-        } else {
-          state.overrides[sid].audId = prev;
-        }
-      }
-    }
-
-    // Revert film edit
-    else if (entry.type === 'editFilm') {
-      const sid = entry.showId;
-      const prevFilm = entry.prevFilmId;
-      // If rec is a manual show, revert manual show directly
-      const msIdx = state.manualShows.findIndex(x => x.id === sid);
-      if (msIdx !== -1) {
-        const ms = state.manualShows[msIdx];
-        const filmObj = filmById(prevFilm);
-        if (filmObj) {
-          ms.filmId = filmObj.id;
-          // When reverting a film edit, restore the film title with its format if present
-          ms.filmTitle = filmObj.title + (filmObj.format ? ' ' + filmObj.format : '');
-          ms.runtime = filmObj.runtime;
-          ms.trailer = filmObj.trailer;
-          ms.clean = filmObj.clean;
-          ms.cycle = cycleMinutes(filmObj);
-          ms.end = endOfMovie(ms.start, filmObj);
-        }
-      } else {
-        // For overrides, restore previous filmId or remove override
-        if (!prevFilm || prevFilm === (getAllShows().find(r => r.id === sid)?.filmId)) {
-          // Remove film override
-          if (state.overrides[sid] && state.overrides[sid].filmId) {
-            delete state.overrides[sid].filmId;
-            if (Object.keys(state.overrides[sid]).length === 0) {
-              delete state.overrides[sid];
-            }
-          }
-        } else {
-          if (!state.overrides[sid]) {
-            state.overrides[sid] = { filmId: prevFilm };
-          } else {
-            state.overrides[sid].filmId = prevFilm;
-          }
-        }
-      }
-    }
-    save();
-  }
-
-  // Create a new manual show at the selected time in the specified row.
-  // The filmId and audId are taken from the row. Records an undo entry.
-  function addManualShow(rowId, hm) {
-    load();
-    const row = state.primeRows.concat(state.extraRows).find(r => r.rowId === rowId);
-    if (!row) return;
-    const film = filmById(row.filmId);
-    const aud = audById(row.audId);
-    if (!film || !aud) return;
-    const start = dtFromHM(hm);
-    const end = endOfMovie(start, film);
-    const id = `M-${Date.now()}-${Math.floor(Math.random()*1000)}`;
-    const rec = {
-      id: id,
-      rowId: rowId,
-      audId: aud.id,
-      audName: aud.name,
-      filmId: film.id,
-      // Include the film format in the title for manual shows
-      filmTitle: film.title + (film.format ? ' ' + film.format : ''),
-      start: start,
-      end: end,
-      runtime: film.runtime,
-      trailer: film.trailer,
-      clean: film.clean,
-      cycle: cycleMinutes(film),
-      source: 'Manual'
-    };
-    state.manualShows.push(rec);
-    state.undoStack.push({ type: 'manual', show: rec });
-    save();
-  }
-
-  // Add a new extra row (manual row). Returns the new row object. Row ids
-  // are unique strings starting with "EX-" followed by timestamp.
-  function addExtraRow() {
-    load();
-    const id = `EX-${Date.now()}-${Math.floor(Math.random()*1000)}`;
-    const slot = String((state.primeRows.length + state.extraRows.length) + 1);
-    const row = { rowId: id, bookingId: null, slot: slot, audId: null, filmId: null, primeHM: '' };
-    state.extraRows.push(row);
-    save();
-    return row;
-  }
-
-  // Set a field on a row (prime or extra). field is 'audId', 'filmId' or
-  // 'primeHM'. For primeHM this does not cascade to show overrides; it
-  // simply updates the cycle start time for that row.
-  function setRowField(rowId, field, value) {
-    load();
-    let row = state.primeRows.find(r => r.rowId === rowId);
-    if (!row) row = state.extraRows.find(r => r.rowId === rowId);
-    if (!row) return;
-    row[field] = value;
-    // When editing row-level auditorium or film, propagate changes to manual
-    // shows associated with this row. Manual shows are single show
-    // instances created directly on the schedule grid. They copy the
-    // row's auditorium and film at creation time, so they can fall out of
-    // sync when the row is later edited. To mirror the behaviour of the
-    // original React app, update manual show records when the row's
-    // auditorium or film changes. This keeps the Start‑time Order panel
-    // consistent with the schedule grid.
-    if (field === 'audId') {
-      const newAudId = value ? parseInt(value, 10) : null;
-      (state.manualShows || []).forEach(ms => {
-        if (ms.rowId === rowId) {
-          ms.audId = newAudId;
-          const aud = audById(newAudId);
-          ms.audName = aud ? aud.name : '';
-        }
-      });
-    } else if (field === 'filmId') {
-      const newFilmId = value || null;
-      (state.manualShows || []).forEach(ms => {
-        if (ms.rowId === rowId) {
-          const film = filmById(newFilmId);
-          if (film) {
-            ms.filmId = film.id;
-            // When updating the film of a manual show, update the title to include the
-            // format so that it appears consistently across the UI
-            ms.filmTitle = film.title + (film.format ? ' ' + film.format : '');
-            ms.runtime = film.runtime;
-            ms.trailer = film.trailer;
-            ms.clean = film.clean;
-            ms.cycle = cycleMinutes(film);
-            // update end time based on new film runtime and trailer; clean
-            const totalMins = (film.runtime || 0) + (film.trailer || 0);
-            ms.end = addMins(ms.start, totalMins);
-          } else {
-            // if no film, clear film-related fields
-            ms.filmId = null;
-            ms.filmTitle = '';
-            ms.runtime = 0;
-            ms.trailer = 0;
-            ms.clean = 0;
-            ms.cycle = 0;
-            ms.end = ms.start;
-          }
-        }
-      });
-    }
-    save();
-  }
-
-  // Hide or reveal end times on the grid
-  function toggleEndTimes() {
-    load();
-    state.showEndTimes = !state.showEndTimes;
-    save();
-  }
-
-  // Clear all showtimes across the application. This resets prime times,
-  // removes all overrides and manual shows, and clears hidden shows. It
-  // preserves the structure of primeRows and extraRows so that users can
-  // assign new times from scratch. This is useful for starting over.
-  function clearAllTimes() {
-    load();
-    // Reset prime times on prime and extra rows
-    if (Array.isArray(state.primeRows)) {
-      state.primeRows.forEach(r => { r.primeHM = ''; });
-    }
-    if (Array.isArray(state.extraRows)) {
-      state.extraRows.forEach(r => { r.primeHM = ''; });
-    }
-    // Remove all overrides and manual shows and hidden shows
-    state.overrides = {};
-    state.manualShows = [];
-    state.hiddenShows = {};
-    // Also reset undo stack
-    state.undoStack = [];
-    save();
+    try { alert(err.message || String(err)); } catch (_) {}
   }
 
-  /**
-   * Ensure that multi‑date support is initialised. When called, this will
-   * initialise the scheduleByDate and currentDate fields on the state if
-   * they are missing. It will also migrate any existing top‑level
-   * schedule fields (primeRows, extraRows, manualShows, overrides,
-   * hiddenShows and undoStack) into the schedule entry for the current
-   * date. Once initialised, it loads the schedule for the current date
-   * into the top‑level fields so that the rest of the app continues
-   * operating as before. If no currentDate is present, today's date
-   * (local time) is used. Finally it persists the changes to storage.
-   */
-  function initDateSupport() {
-    load();
-    // Create the scheduleByDate container if missing
-    if (!state.scheduleByDate || typeof state.scheduleByDate !== 'object') {
-      state.scheduleByDate = {};
-    }
-    // Determine the current date; if not set, default to today's date
-    if (!state.currentDate) {
-      const today = new Date();
-      const dateStr = today.toISOString().split('T')[0];
-      state.currentDate = dateStr;
-    }
-    // If there is no schedule stored for the current date, migrate the
-    // existing top‑level schedule fields into a new entry. This ensures
-    // users upgrading from a single‑date state keep their existing
-    // schedule as the schedule for the current date.
-    if (!state.scheduleByDate[state.currentDate]) {
-      state.scheduleByDate[state.currentDate] = {
-        primeRows: Array.isArray(state.primeRows) ? state.primeRows : [],
-        extraRows: Array.isArray(state.extraRows) ? state.extraRows : [],
-        manualShows: Array.isArray(state.manualShows) ? state.manualShows : [],
-        overrides: state.overrides || {},
-        hiddenShows: state.hiddenShows || {},
-        undoStack: Array.isArray(state.undoStack) ? state.undoStack : [],
-      };
-    }
-    // Load the schedule for the current date into top‑level fields
-    loadSchedule(state.currentDate);
-    // Persist the state so that currentDate and scheduleByDate are saved
-    save();
-  }
+  // Live sync with other open tabs (sync.js). Created below once the
+  // engine exists; every save is offered to it for broadcasting.
+  let sync = null;
 
-  /**
-   * Persist the current schedule into the scheduleByDate map. The schedule
-   * fields (primeRows, extraRows, manualShows, overrides, hiddenShows,
-   * undoStack) are saved under the key of state.currentDate. Manual
-   * shows are stored with their start/end fields preserved as Date
-   * objects; these will be serialised to ISO strings when persisted via
-   * save(). A retention policy keeps only the most recent 7 dates to
-   * avoid unbounded growth.
-   */
-  function saveCurrentSchedule() {
-    load();
-    if (!state.currentDate) return;
-    if (!state.scheduleByDate || typeof state.scheduleByDate !== 'object') {
-      state.scheduleByDate = {};
-    }
-    state.scheduleByDate[state.currentDate] = {
-      primeRows: Array.isArray(state.primeRows) ? state.primeRows : [],
-      extraRows: Array.isArray(state.extraRows) ? state.extraRows : [],
-      manualShows: Array.isArray(state.manualShows) ? state.manualShows : [],
-      overrides: state.overrides || {},
-      hiddenShows: state.hiddenShows || {},
-      undoStack: Array.isArray(state.undoStack) ? state.undoStack : [],
-    };
-    pruneOldSchedules();
-  }
-
-  /**
-   * Load the schedule for a given date into the top‑level schedule fields.
-   * If the specified date does not yet have a schedule entry, a new
-   * blank schedule is created. This function does not persist the
-   * change; callers should invoke save() after calling loadSchedule() if
-   * they want the change to be stored. Dates must be provided as
-   * strings in ISO format (YYYY-MM-DD).
-   * @param {string} date 
-   */
-  function loadSchedule(date) {
-    load();
-    if (!state.scheduleByDate || typeof state.scheduleByDate !== 'object') {
-      state.scheduleByDate = {};
-    }
-    if (!date) {
-      // If no date provided, fall back to currentDate or today's date
-      if (!state.currentDate) {
-        const today = new Date();
-        date = today.toISOString().split('T')[0];
-      } else {
-        date = state.currentDate;
-      }
-    }
-    // Ensure there is a schedule entry for this date
-    if (!state.scheduleByDate[date]) {
-      state.scheduleByDate[date] = {
-        primeRows: [],
-        extraRows: [],
-        manualShows: [],
-        overrides: {},
-        hiddenShows: {},
-        undoStack: [],
-      };
-    }
-    // Copy schedule fields into top‑level state
-    const sched = state.scheduleByDate[date];
-    state.primeRows = Array.isArray(sched.primeRows) ? sched.primeRows : [];
-    state.extraRows = Array.isArray(sched.extraRows) ? sched.extraRows : [];
-    // Deep copy manual shows, converting start/end strings to Date objects
-    state.manualShows = Array.isArray(sched.manualShows) ? sched.manualShows.map(ms => {
-      const copy = { ...ms };
-      if (typeof copy.start === 'string') {
-        const d = new Date(copy.start);
-        if (!isNaN(d)) copy.start = d;
-      }
-      if (typeof copy.end === 'string') {
-        const d2 = new Date(copy.end);
-        if (!isNaN(d2)) copy.end = d2;
+  // The browser engine re-dispatches engine notifications
+  // (showtimeStateUpdated, showtimeDateChanged) as window events so
+  // existing page listeners keep working unchanged.
+  const engine = Engine.createEngine({
+    storage,
+    onEvent(name) {
+      if (name === 'showtimeStateUpdated' && sync) sync.notifySaved();
+      try {
+        window.dispatchEvent(new Event(name));
+      } catch (err) {
+        // Older browsers may not support Event constructor; ignore.
       }
-      return copy;
-    }) : [];
-    state.overrides = sched.overrides ? { ...sched.overrides } : {};
-    state.hiddenShows = sched.hiddenShows ? { ...sched.hiddenShows } : {};
-    state.undoStack = Array.isArray(sched.undoStack) ? sched.undoStack : [];
-    state.currentDate = date;
-  }
+    },
+    // Stored data written by a newer app version cannot be migrated, and
+    // writes can fail on quota. Either way tell the user.
+    onError: reportStorageError,
+    // A film placed in an auditorium that cannot play its format. Depending
+    // on the theatre setting the edit was made anyway or refused.
+    onFormatMismatch(mismatch) {
+      alert((mismatch.blocked ? 'Format not supported: ' : 'Format warning: ') + mismatch.message);
+    },
+  });
 
-  /**
-   * Remove old schedules to maintain only the most recent N dates. We
-   * extend the retention window from 7 to 14 entries so that copying
-   * schedules across multiple days does not inadvertently drop the
-   * source day or newly copied dates. The keys are sorted
-   * lexicographically (which corresponds to chronological order for
-   * ISO‑8601 strings) and the oldest keys beyond the retention limit
-   * are deleted. If the total number of keys is less than or equal
-   * to the retention limit, nothing is deleted.
-   */
-  function pruneOldSchedules() {
-    if (!state.scheduleByDate || typeof state.scheduleByDate !== 'object') return;
-    const keys = Object.keys(state.scheduleByDate);
-    // Retain up to this many schedules (roughly two weeks). Adjust if
-    // you need a larger or smaller window.
-    const retention = 14;
-    if (keys.length <= retention) return;
-    keys.sort();
-    const toDelete = keys.slice(0, keys.length - retention);
-    toDelete.forEach(k => {
-      delete state.scheduleByDate[k];
+  // Once IndexedDB has been read, reload the engine from it and fire the
+  // same events pages already listen to so they re-render with the stored
+  // data. If it cannot be opened, fall back to localStorage.
+  function refreshPages() {
+    ['showtimeDateChanged', 'showtimeStateUpdated', 'storage'].forEach(name => {
+      try { window.dispatchEvent(new Event(name)); } catch (_) {}
     });
   }
-
-  /**
-   * Change the current schedule date. This will first save the current
-   * schedule under state.currentDate, then load the schedule for the
-   * specified date and update the state accordingly. Finally it
-   * persists the changes and dispatches a custom event to allow
-   * listeners to react to the date change. If the provided date is
-   * empty or null, this function returns without action.
-   * @param {string} date  The new date in YYYY-MM-DD format
-   */
-  function setDate(date) {
-    if (!date) return;
-    load();
-    // Save the current schedule before switching
-    saveCurrentSchedule();
-    // Load the new schedule
-    loadSchedule(date);
-    // Persist changes
-    save();
-    // Notify listeners that the date has changed
-    try {
-      const evt = new Event('showtimeDateChanged');
-      window.dispatchEvent(evt);
-    } catch (err) {}
-  }
-
-  /**
-   * Copy a schedule from one date to one or more target dates.  This will
-   * first ensure that the current schedule is saved, then duplicate the
-   * schedule data (primeRows, extraRows, manualShows, overrides,
-   * hiddenShows) for each target date provided.  If a target date
-   * already exists, it will be overwritten.  The undoStack is
-   * intentionally cleared on the copied schedules because undo history
-   * should not carry over between days.  After copying, changes are
-   * persisted.  If fromDate is falsy or targetDates is not an array,
-   * the function returns without doing anything.
-   *
-   * @param {string} fromDate
-   *   The date to copy from (YYYY-MM-DD).  If null, the current date
-   *   (state.currentDate) will be used.
-   * @param {string[]} targetDates
-   *   An array of target dates (YYYY-MM-DD) to copy the schedule to.
-   */
-  function copySchedule(fromDate, targetDates) {
-    load();
-    if (!Array.isArray(targetDates) || targetDates.length === 0) return;
-    // Determine the source date.  If fromDate is not provided, use the current date.
-    const sourceDate = fromDate || state.currentDate;
-    if (!sourceDate) return;
-    // Ensure the current schedule is saved before copying
-    saveCurrentSchedule();
-    const srcSched = state.scheduleByDate[sourceDate];
-    if (!srcSched) return;
-    // Deep copy helper for rows (primeRows/extraRows)
-    const deepCopyRows = (rows) => rows.map(r => JSON.parse(JSON.stringify(r)));
-    // Deep copy manual shows: copy object and ensure Date fields are actual Date objects
-    const deepCopyManualShows = (ms) => ms.map(show => {
-      const c = { ...show };
-      c.start = show.start instanceof Date ? new Date(show.start) : new Date(show.start);
-      c.end = show.end instanceof Date ? new Date(show.end) : new Date(show.end);
-      return c;
-    });
-    targetDates.forEach(targetDate => {
-      if (!targetDate) return;
-      // Ensure scheduleByDate exists
-      if (!state.scheduleByDate || typeof state.scheduleByDate !== 'object') {
-        state.scheduleByDate = {};
-      }
-      // Assign deep copies to target date
-      state.scheduleByDate[targetDate] = {
-        primeRows: Array.isArray(srcSched.primeRows) ? deepCopyRows(srcSched.primeRows) : [],
-        extraRows: Array.isArray(srcSched.extraRows) ? deepCopyRows(srcSched.extraRows) : [],
-        manualShows: Array.isArray(srcSched.manualShows) ? deepCopyManualShows(srcSched.manualShows) : [],
-        overrides: srcSched.overrides ? { ...srcSched.overrides } : {},
-        hiddenShows: srcSched.hiddenShows ? { ...srcSched.hiddenShows } : {},
-        // Reset undo stack on copied schedules
-        undoStack: [],
-      };
-    });
-    // Persist changes
-    save();
+  // Ask which side to keep when this tab and another one changed the
+  // same shows, rows or records at the same time.
+  function resolveConflicts(conflicts) {
+    const labels = Array.from(new Set(conflicts.map(c => c.label)));
+    const lines = labels.slice(0, 8).map(l => `• ${l}`);
+    if (labels.length > 8) lines.push(`• …and ${labels.length - 8} more`);
+    const keepTheirs = confirm(
+      `Another tab changed the same items you edited here:\n\n${lines.join('\n')}\n\n` +
+      `OK keeps the other tab's version. Cancel keeps yours.`
+    );
+    return keepTheirs ? 'theirs' : 'mine';
   }
-
-  /**
-   * Clear the schedule for a specific date. If no date is provided, the
-   * current date is cleared. This resets primeRows, extraRows,
-   * manualShows, overrides, hiddenShows and undoStack for that date.
-   * If the cleared date is the currently selected date, the top‑level
-   * collections are also emptied so the UI reflects the changes
-   * immediately. After clearing, the state is saved. Use this to
-   * quickly remove all shows from a single day without deleting
-   * auditoriums or bookings.
-   * @param {string|null} date
-   */
-  function clearSchedule(date) {
-    load();
-    const iso = date || state.currentDate;
-    if (!iso) return;
-    if (!state.scheduleByDate || typeof state.scheduleByDate !== 'object') {
-      state.scheduleByDate = {};
-    }
-    state.scheduleByDate[iso] = {
-      primeRows: [],
-      extraRows: [],
-      manualShows: [],
-      overrides: {},
-      hiddenShows: {},
-      undoStack: [],
-    };
-    // If clearing the current date, also reset top-level schedule arrays
-    if (iso === state.currentDate) {
-      state.primeRows = [];
-      state.extraRows = [];
-      state.manualShows = [];
-      state.overrides = {};
-      state.hiddenShows = {};
-      state.undoStack = [];
+  if (typeof BroadcastChannel !== 'undefined' && typeof Engine.createTabSync === 'function') {
+    try {
+      sync = Engine.createTabSync({
+        engine,
+        channel: new BroadcastChannel('showtime-sync'),
+        resolve: resolveConflicts,
+        onApplied: refreshPages,
+        // The IndexedDB adapter only writes records it thinks changed;
+        // after another tab wrote them that belief is stale.
+        onDiverged: () => { if (backend.forget) backend.forget(); },
+      });
+    } catch (err) {
+      console.error('Tab sync unavailable', err);
+      sync = null;
     }
-    save();
   }
 
-  /**
-   * Clear schedules for all dates. This iterates over scheduleByDate
-   * entries and replaces each schedule with an empty one. It also
-   * clears the top‑level schedule fields to reflect the currently
-   * selected date (if any). After clearing, the state is saved.
-   */
-  function clearAllSchedules() {
-    load();
-    if (!state.scheduleByDate || typeof state.scheduleByDate !== 'object') {
-      state.scheduleByDate = {};
-    }
-    Object.keys(state.scheduleByDate).forEach((d) => {
-      state.scheduleByDate[d] = {
-        primeRows: [],
-        extraRows: [],
-        manualShows: [],
-        overrides: {},
-        hiddenShows: {},
-        undoStack: [],
-      };
-    });
-    // Clear top‑level schedule arrays
-    state.primeRows = [];
-    state.extraRows = [];
-    state.manualShows = [];
-    state.overrides = {};
-    state.hiddenShows = {};
-    state.undoStack = [];
-    save();
+  // Until IndexedDB has been read the pages show the engine's defaults,
+  // and edits made to those cannot be kept (see indexedDbStorage), so
+  // swallow clicks and keys until then. Opening normally takes a moment.
+  const HELD_EVENTS = ['click', 'dblclick', 'mousedown', 'pointerdown', 'touchstart', 'keydown', 'change', 'submit', 'drop'];
+  function holdInput(e) {
+    e.preventDefault();
+    e.stopImmediatePropagation();
   }
-
-  /**
-   * Clear all bookings and all schedule data across every date. This
-   * helper removes every booking entry and resets all schedule
-   * collections (primeRows, extraRows, manualShows, overrides,
-   * hiddenShows and undoStack) both at the top level and for each
-   * date in scheduleByDate. It preserves auditorium and film
-   * definitions. After clearing, the state is saved. Use this when
-   * you need to start over with a completely blank schedule and
-   * bookings list.
-   */
-  function clearBookingsAndTimes() {
-    load();
-    // Clear bookings list
-    state.bookings = [];
-    // Clear top‑level schedule arrays
-    state.primeRows = [];
-    state.extraRows = [];
-    state.manualShows = [];
-    state.overrides = {};
-    state.hiddenShows = {};
-    state.undoStack = [];
-    // Clear schedule entries for every date if multi‑date support is enabled
-    if (state.scheduleByDate && typeof state.scheduleByDate === 'object') {
-      Object.keys(state.scheduleByDate).forEach((d) => {
-        state.scheduleByDate[d] = {
-          primeRows: [],
-          extraRows: [],
-          manualShows: [],
-          overrides: {},
-          hiddenShows: {},
-          undoStack: [],
-        };
-      });
-    }
-    save();
+  if (idb) {
+    HELD_EVENTS.forEach(name => window.addEventListener(name, holdInput, true));
+    document.documentElement.style.cursor = 'progress';
   }
-
-  /**
-   * Return a sorted array of all dates present in scheduleByDate. Dates are
-   * returned in ascending order (oldest first).
-   */
-  function listDates() {
-    load();
-    if (!state.scheduleByDate || typeof state.scheduleByDate !== 'object') return [];
-    return Object.keys(state.scheduleByDate).sort();
+  function releaseInput() {
+    HELD_EVENTS.forEach(name => window.removeEventListener(name, holdInput, true));
+    document.documentElement.style.cursor = '';
   }
 
-  /**
-   * Return the currently selected date. If null, returns null.
-   */
-  function getCurrentDate() {
-    load();
-    return state.currentDate || null;
-  }
+  const ready = (idb
+    ? idb.open().then(() => {
+        engine.reload();
+        refreshPages();
+      }).catch(err => {
+        console.error('IndexedDB unavailable, using localStorage', err);
+        backend = legacyStorage;
+        engine.reload();
+        refreshPages();
+      })
+    : Promise.resolve()
+  ).finally(releaseInput).then(() => {
+    // Start syncing only once the stored data is loaded so the defaults
+    // shown before that are never broadcast.
+    if (sync) sync.start();
+  });
 
   // Expose the state and helper methods on window.ShowtimeState
   window.ShowtimeState = {
-    get state() { return load(); },
-    load,
-    save,
-    filmById,
-    audById,
-    buildRowShowtimes,
-    getAllShows,
-    optionsAround,
-    updateShowStart,
-    updateShowAud,
-    updateShowFilm,
-    addManualShow,
-    addExtraRow,
-    setRowField,
-    toggleEndTimes,
-    clearAllTimes,
+    get state() { return engine.state; },
+    load: engine.load,
+    save: engine.save,
+    // Replace the state with imported data after migrating it to the
+    // current schema version (throws when the file is too new)
+    importState: engine.importState,
+    getLoadError: engine.getLoadError,
+    // Resolves once stored data has been read (IndexedDB opens
+    // asynchronously) and, for flush(), once pending writes committed.
+    ready,
+    flush: () => (backend.flush ? backend.flush() : Promise.resolve()),
+    SCHEMA_VERSION: Engine.SCHEMA_VERSION,
+    filmById: engine.filmById,
+    audById: engine.audById,
+    buildRowShowtimes: engine.buildRowShowtimes,
+    getAllShows: engine.getAllShows,
+    optionsAround: engine.optionsAround,
+    updateShowStart: engine.updateShowStart,
+    updateShowAud: engine.updateShowAud,
+    updateShowFilm: engine.updateShowFilm,
+    addManualShow: engine.addManualShow,
+    addExtraRow: engine.addExtraRow,
+    setRowField: engine.setRowField,
+    toggleEndTimes: engine.toggleEndTimes,
+    clearAllTimes: engine.clearAllTimes,
     // Clear the schedule for the current date or a specific date
-    clearSchedule,
+    clearSchedule: engine.clearSchedule,
     // Clear schedules for all dates
-    clearAllSchedules,
+    clearAllSchedules: engine.clearAllSchedules,
     // Clear all bookings and times across every date
-    clearBookingsAndTimes,
-    undo,
+    clearBookingsAndTimes: engine.clearBookingsAndTimes,
+    undo: engine.undo,
+    // Redo and the per‑date command history (see openHistoryPanel)
+    redo: engine.redo,
+    getHistory: engine.getHistory,
+    goToHistory: engine.goToHistory,
+    // Run several mutators as a single undo step
+    batch: engine.batch,
     fmtHM,
     to12,
     hmFromDate,
-    dtFromHM,
-    cycleMinutes,
+    // dtFromHM places HH:MM on the current schedule date's business day
+    // (times before the rollover hour fall on the next calendar day) and
+    // normalizeDate moves any Date onto that same day. The rollover hour
+    // is the theatre setting state.rolloverHour.
+    dtFromHM: engine.dtFromHM,
+    normalizeDate: engine.normalizeDate,
+    minutesFromHM: engine.minutesFromHM,
+    hmFromMinutes: engine.hmFromMinutes,
+    setRolloverHour: engine.setRolloverHour,
+    // Blackout blocks that keep setRolloverHour(hour) from changing it
+    rolloverConflicts: engine.rolloverConflicts,
+    // First/last show selector choices for the current rollover hour
+    showWindowOptions: engine.showWindowOptions,
+    // Cycle length rounded up to the theatre's start‑time granularity;
+    // granularity() returns that step in minutes.
+    cycleMinutes: engine.cycleMinutes,
+    granularity: engine.granularity,
+    setGranularity: engine.setGranularity,
+    // Format capability checks (see the Auditoriums page)
+    formatMismatch: engine.formatMismatch,
+    setFormatPolicy: engine.setFormatPolicy,
+    // Shows starting before the previous show in their auditorium is out
+    // and cleaned, and whether Gantt drops may create them
+    turnaroundConflicts: engine.turnaroundConflicts,
+    setConflictPolicy: engine.setConflictPolicy,
+    // Blackout blocks reserving an auditorium on the current date
+    listBlackouts: engine.listBlackouts,
+    addBlackout: engine.addBlackout,
+    removeBlackout: engine.removeBlackout,
+    BLACKOUT_KINDS: Engine.BLACKOUT_KINDS,
+    // Fixed-time events (one-off screenings and double features)
+    listEvents: engine.listEvents,
+    addEvent: engine.addEvent,
+    updateEvent: engine.updateEvent,
+    removeEvent: engine.removeEvent,
+    // Prime window choices and the automatic prime schedule builder
+    primeTimeOptions: engine.primeTimeOptions,
+    buildSchedule: engine.buildSchedule,
+    // Staggered‑start rule (max starts per window), its violations on the
+    // current date and suggested moves that clear them
+    staggerRule: engine.staggerRule,
+    setStaggerRule: engine.setStaggerRule,
+    staggerViolations: engine.staggerViolations,
+    spreadStarts: engine.spreadStarts,
+    // Seats offered per film and rating, prime‑time seats and auditorium
+    // occupancy for the Dashboard
+    capacityStats: engine.capacityStats,
+    // Distributor terms on bookings and the dates that break them;
+    // showsForDate builds any saved date's shows like getAllShows
+    BOOKING_TERMS: Engine.BOOKING_TERMS,
+    termsViolations: engine.termsViolations,
+    showsForDate: engine.showsForDate,
+    // Added, removed, retimed and re-housed shows between two saved dates
+    diffDates: engine.diffDates,
+    // Which past dates are kept, and the archive of pruned ones
+    retention: engine.retention,
+    setRetention: engine.setRetention,
+    listArchive: engine.listArchive,
+    restoreArchived: engine.restoreArchived,
+    deleteArchived: engine.deleteArchived,
+    // Engagements from booking week numbers, years and run lengths:
+    // which bookings play on a date and a week‑by‑week calendar
+    filmWeekOf: Engine.filmWeekOf,
+    weekYearNear: Engine.weekYearNear,
+    engagementOf: Engine.engagementOf,
+    playsOn: Engine.playsOn,
+    bookingsOn: engine.bookingsOn,
+    engagementCalendar: engine.engagementCalendar,
+    canPlayFormat: Engine.canPlayFormat,
+    audFormats: Engine.audFormats,
+    // Larger of the film's and the auditorium's clean time
+    turnaroundMinutes,
     fmtDur,
     // Date support API
-    initDateSupport,
-    saveCurrentSchedule,
-    loadSchedule,
-    setDate,
-    listDates,
-    getCurrentDate,
-    copySchedule,
+    initDateSupport: engine.initDateSupport,
+    saveCurrentSchedule: engine.saveCurrentSchedule,
+    loadSchedule: engine.loadSchedule,
+    setDate: engine.setDate,
+    listDates: engine.listDates,
+    getCurrentDate: engine.getCurrentDate,
+    copySchedule: engine.copySchedule,
+    // Fill a film week from weekend and weekday template dates
+    buildWeek: engine.buildWeek,
+    // Named schedule templates (see openTemplatePanel and the Data page)
+    listTemplates: engine.listTemplates,
+    saveTemplate: engine.saveTemplate,
+    renameTemplate: engine.renameTemplate,
+    deleteTemplate: engine.deleteTemplate,
+    exportTemplates: engine.exportTemplates,
+    importTemplates: engine.importTemplates,
+    applyTemplate: engine.applyTemplate,
+    // What-if scenarios of the current date (see openScenarioPanel)
+    listScenarios: engine.listScenarios,
+    currentScenarioId: engine.currentScenarioId,
+    forkScenario: engine.forkScenario,
+    openScenario: engine.openScenario,
+    renameScenario: engine.renameScenario,
+    deleteScenario: engine.deleteScenario,
+    promoteScenario: engine.promoteScenario,
+    compareScenarios: engine.compareScenarios,
     // Expose date formatting helpers so pages can convert between
     // ISO strings and MM/DD/YYYY. These do not modify the state.
     isoToMMDD,
@@ -1758,9 +761,10 @@
       cb.type = 'checkbox';
       cb.value = iso;
       // Highlight dates that already contain schedule data by making
-      // the label bold and coloured. Use closure-scoped state for lookup.
+      // the label bold and coloured.
       let hasData = false;
       try {
+        const state = ShowtimeState.state;
         if (state && state.scheduleByDate && state.scheduleByDate[iso]) {
           const sched = state.scheduleByDate[iso];
           if (
@@ -1811,6 +815,539 @@
     btnRow.appendChild(applyBtn);
     btnRow.appendChild(cancelBtn);
     panel.appendChild(btnRow);
+    panel.appendChild(buildWeekSection(panel, mmddCurrent));
+    document.body.appendChild(panel);
+  };
+
+  /**
+   * The "Build film week" part of the copy panel: fills a whole Friday to
+   * Thursday week from a weekend template date and a weekday template
+   * date (see ShowtimeState.buildWeek), optionally dropping early weekday
+   * shows and leaving dates that already have edits alone.
+   *
+   * @param {HTMLElement} panel The copy panel, closed after a build.
+   * @param {string} mmddCurrent The source date shown in the panel, used
+   * as the default for both templates.
+   * @returns {HTMLElement}
+   */
+  function buildWeekSection(panel, mmddCurrent) {
+    const section = document.createElement('div');
+    section.className = 'mt-3 pt-3 border-t border-gray-200 space-y-2';
+    const heading = document.createElement('div');
+    heading.className = 'font-semibold';
+    heading.textContent = 'Build film week';
+    section.appendChild(heading);
+    const field = (labelText, control) => {
+      const row = document.createElement('label');
+      row.className = 'flex items-center justify-between gap-2';
+      const span = document.createElement('span');
+      span.textContent = labelText;
+      row.appendChild(span);
+      row.appendChild(control);
+      section.appendChild(row);
+      return control;
+    };
+    const isoCurrent = mmddToIso(mmddCurrent) || mmddCurrent;
+    // The film week containing the source date and the three after it
+    const weekSel = field('Week', document.createElement('select'));
+    weekSel.className = 'border border-gray-300 rounded px-1 py-0.5';
+    ShowtimeState.engagementCalendar(isoCurrent, 4).forEach(wk => {
+      const opt = document.createElement('option');
+      opt.value = wk.from;
+      opt.textContent = `${wk.week}: ${isoToMMDD(wk.from)} – ${isoToMMDD(wk.to)}`;
+      weekSel.appendChild(opt);
+    });
+    const dateInput = () => {
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.value = mmddCurrent;
+      input.placeholder = 'MM/DD/YYYY';
+      input.className = 'border border-gray-300 rounded px-1 py-0.5 w-28';
+      return input;
+    };
+    const weekendInput = field('Weekend template', dateInput());
+    const weekdayInput = field('Weekday template', dateInput());
+    // Weekend days: Saturday and Sunday unless Friday is ticked too
+    const daysRow = document.createElement('div');
+    daysRow.className = 'flex items-center gap-3';
+    const daysLabel = document.createElement('span');
+    daysLabel.textContent = 'Weekend';
+    daysRow.appendChild(daysLabel);
+    const dayBoxes = [[5, 'Fri'], [6, 'Sat'], [0, 'Sun']].map(([num, name]) => {
+      const lab = document.createElement('label');
+      lab.className = 'flex items-center gap-1';
+      const cb = document.createElement('input');
+      cb.type = 'checkbox';
+      cb.value = String(num);
+      cb.checked = num !== 5;
+      lab.appendChild(cb);
+      lab.appendChild(document.createTextNode(name));
+      daysRow.appendChild(lab);
+      return cb;
+    });
+    section.appendChild(daysRow);
+    const cutoffSel = field('Drop weekday shows before', document.createElement('select'));
+    cutoffSel.className = 'border border-gray-300 rounded px-1 py-0.5';
+    const keepAll = document.createElement('option');
+    keepAll.value = '';
+    keepAll.textContent = 'Keep all';
+    cutoffSel.appendChild(keepAll);
+    ShowtimeState.showWindowOptions().first.forEach(hm => {
+      const opt = document.createElement('option');
+      opt.value = hm;
+      opt.textContent = fmtHM(hm);
+      cutoffSel.appendChild(opt);
+    });
+    const skipRow = document.createElement('label');
+    skipRow.className = 'flex items-center gap-2';
+    const skipBox = document.createElement('input');
+    skipBox.type = 'checkbox';
+    skipBox.checked = true;
+    skipRow.appendChild(skipBox);
+    skipRow.appendChild(document.createTextNode('Skip dates that already have edits'));
+    section.appendChild(skipRow);
+    const buildBtn = document.createElement('button');
+    buildBtn.textContent = 'Build week';
+    buildBtn.className = 'px-3 py-1 bg-green-700 text-white rounded hover:bg-green-800';
+    buildBtn.onclick = function () {
+      const weekendFrom = mmddToIso(weekendInput.value);
+      const weekdayFrom = mmddToIso(weekdayInput.value);
+      if (!weekendFrom || !weekdayFrom) {
+        alert('Invalid date format. Please use MM/DD/YYYY.');
+        return;
+      }
+      // Templates must be saved dates; the current date is saved by the build
+      const saved = ShowtimeState.listDates().concat(ShowtimeState.getCurrentDate());
+      const missing = [weekendFrom, weekdayFrom].filter(d => !saved.includes(d));
+      if (missing.length) {
+        alert(`No schedule saved for ${missing.map(isoToMMDD).join(', ')}.`);
+        return;
+      }
+      const weekLabel = weekSel.options[weekSel.selectedIndex].textContent;
+      const replace = skipBox.checked ? 'dates without edits' : 'every date';
+      if (!confirm(`Build film week ${weekLabel}? This replaces the schedule on ${replace} in the week except the template dates. Undo on a rebuilt date brings back what it held.`)) return;
+      const result = ShowtimeState.buildWeek({
+        week: weekSel.value,
+        weekendFrom,
+        weekdayFrom,
+        weekendDays: dayBoxes.filter(cb => cb.checked).map(cb => parseInt(cb.value, 10)),
+        weekdayNotBefore: cutoffSel.value,
+        skipEdited: skipBox.checked,
+      });
+      let msg = result.built.length ? `Built: ${result.built.map(isoToMMDD).join(', ')}.` : 'No dates were built.';
+      if (result.skipped.length) msg += ` Left alone: ${result.skipped.map(isoToMMDD).join(', ')}.`;
+      alert(msg);
+      panel.remove();
+      // Let the page redraw in case the current date was rebuilt
+      try {
+        window.dispatchEvent(new Event('storage'));
+      } catch (_) {}
+    };
+    const btnWrap = document.createElement('div');
+    btnWrap.className = 'flex justify-end';
+    btnWrap.appendChild(buildBtn);
+    section.appendChild(btnWrap);
+    return section;
+  }
+
+  /**
+   * Show a floating list of the current date's command history below the
+   * triggering button. Clicking an entry undoes or redoes up to and
+   * including it; "Start" reverts every entry. Done entries are shown in
+   * full, undone (redoable) entries greyed out. Clicking the button again
+   * closes the panel.
+   *
+   * @param {HTMLElement} btn The button element that triggers the panel.
+   * @param {Function} [onChange] Called after the history position changed
+   * so the page can re-render.
+   */
+  window.openHistoryPanel = function (btn, onChange) {
+    const existing = document.getElementById('historyPanel');
+    if (existing) {
+      existing.remove();
+      return;
+    }
+    const panel = document.createElement('div');
+    panel.id = 'historyPanel';
+    panel.className = 'absolute z-50 bg-white border border-gray-300 rounded-lg shadow p-3 text-sm max-h-96 overflow-y-auto';
+    const rect = btn.getBoundingClientRect();
+    panel.style.top = `${rect.bottom + window.scrollY + 4}px`;
+    panel.style.left = `${rect.left + window.scrollX}px`;
+    panel.style.minWidth = '16rem';
+    const history = ShowtimeState.getHistory();
+    const current = history.filter(h => h.done).length;
+    const addItem = (position, label, at, done) => {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.className = 'flex w-full justify-between gap-3 text-left px-2 py-1 rounded hover:bg-blue-50';
+      if (!done) item.classList.add('text-gray-400');
+      if (position === current) item.classList.add('font-bold', 'text-blue-700');
+      const name = document.createElement('span');
+      name.textContent = label;
+      item.appendChild(name);
+      if (at) {
+        const time = document.createElement('span');
+        time.className = 'text-xs text-gray-500';
+        time.textContent = to12(new Date(at));
+        item.appendChild(time);
+      }
+      item.onclick = function () {
+        ShowtimeState.goToHistory(position);
+        panel.remove();
+        if (typeof onChange === 'function') onChange();
+      };
+      panel.appendChild(item);
+    };
+    addItem(0, 'Start', null, true);
+    // Newest first reads like the undo order.
+    history.slice().reverse().forEach(h => {
+      addItem(h.position, h.label, h.at, h.done);
+    });
+    if (history.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'px-2 py-1 text-gray-500';
+      empty.textContent = 'No changes yet for this date.';
+      panel.appendChild(empty);
+    }
+    document.body.appendChild(panel);
+  };
+
+  /**
+   * Show a floating list of saved schedule templates below the triggering
+   * button. Applying one replaces the current date's layout, mapping the
+   * template's films onto today's bookings by slot (one undo step);
+   * "Save current as template" stores this date's layout under a name.
+   * Templates are renamed, deleted, exported and imported on the Data
+   * page. Clicking the button again closes the panel.
+   *
+   * @param {HTMLElement} btn The button element that triggers the panel.
+   * @param {Function} [onChange] Called after a template was applied so the
+   * page can re-render.
+   */
+  window.openTemplatePanel = function (btn, onChange) {
+    const existing = document.getElementById('templatePanel');
+    if (existing) {
+      existing.remove();
+      return;
+    }
+    const panel = document.createElement('div');
+    panel.id = 'templatePanel';
+    panel.className = 'absolute z-50 bg-white border border-gray-300 rounded-lg shadow p-3 text-sm max-h-96 overflow-y-auto';
+    const rect = btn.getBoundingClientRect();
+    panel.style.top = `${rect.bottom + window.scrollY + 4}px`;
+    panel.style.left = `${rect.left + window.scrollX}px`;
+    panel.style.minWidth = '16rem';
+    const templates = ShowtimeState.listTemplates();
+    templates.forEach(tpl => {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.className = 'flex w-full justify-between gap-3 text-left px-2 py-1 rounded hover:bg-blue-50';
+      const name = document.createElement('span');
+      name.textContent = tpl.name;
+      item.appendChild(name);
+      const rows = document.createElement('span');
+      rows.className = 'text-xs text-gray-500';
+      rows.textContent = `${tpl.primeRows.length + (tpl.extraRows || []).length} rows`;
+      item.appendChild(rows);
+      item.title = tpl.primeRows.map(r => `Slot ${r.slot}: ${r.filmTitle || 'Untitled'}${r.primeHM ? ' at ' + fmtHM(r.primeHM) : ''}`).join('\n');
+      item.onclick = function () {
+        if (!confirm(`Apply template "${tpl.name}"? This replaces the schedule for ${isoToMMDD(ShowtimeState.getCurrentDate())}.`)) return;
+        const result = ShowtimeState.applyTemplate(tpl.id);
+        panel.remove();
+        // The show window is shared by every date; only change it when asked
+        const win = result && result.window;
+        if (win && confirm(`"${tpl.name}" was saved with shows from ${fmtHM(win.firstShowHM)} to ${fmtHM(win.lastShowHM)} ` +
+          `(now ${fmtHM(ShowtimeState.state.firstShowHM)} to ${fmtHM(ShowtimeState.state.lastShowHM)}). ` +
+          'Use that show window? It applies to every date.')) {
+          ShowtimeState.state.firstShowHM = win.firstShowHM;
+          ShowtimeState.state.lastShowHM = win.lastShowHM;
+          ShowtimeState.save();
+        }
+        if (typeof onChange === 'function') onChange();
+        if (result && result.unmatched.length) {
+          alert(`Not placed (no booking in that slot, or the film is gone): ${result.unmatched.join(', ')}.`);
+        }
+      };
+      panel.appendChild(item);
+    });
+    if (templates.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'px-2 py-1 text-gray-500';
+      empty.textContent = 'No templates saved yet.';
+      panel.appendChild(empty);
+    }
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'button';
+    saveBtn.className = 'mt-2 w-full px-3 py-1 bg-blue-700 text-white rounded hover:bg-blue-800';
+    saveBtn.textContent = 'Save current as template';
+    saveBtn.onclick = function () {
+      const name = prompt('Template name:', `${isoToMMDD(ShowtimeState.getCurrentDate())} layout`);
+      if (name === null) return;
+      ShowtimeState.saveTemplate(name);
+      panel.remove();
+    };
+    panel.appendChild(saveBtn);
+    document.body.appendChild(panel);
+  };
+
+  /**
+   * Scenario selector on every page with navigation controls. It lists
+   * the official schedule and the what-if scenarios of the selected date;
+   * choosing one makes every page edit that version. While a scenario is
+   * open the selector is tinted so it is not mistaken for the official
+   * schedule. The Scenarios button opens openScenarioPanel.
+   */
+  document.addEventListener('DOMContentLoaded', () => {
+    try {
+      const controls = document.querySelector('nav .nav-controls');
+      if (!controls) return;
+      const label = document.createElement('label');
+      label.className = 'flex items-center space-x-1 text-white text-sm';
+      const caption = document.createElement('span');
+      caption.textContent = 'Version';
+      label.appendChild(caption);
+      const select = document.createElement('select');
+      select.id = 'scenarioSelect';
+      select.className = 'border border-gray-300 rounded px-2 py-1 text-sm text-gray-800';
+      select.title = 'Official schedule or a what-if scenario of this date';
+      label.appendChild(select);
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.id = 'scenarioBtn';
+      btn.className = 'px-3 py-1 bg-blue-700 text-white rounded-lg hover:bg-blue-800 text-sm';
+      btn.textContent = 'Scenarios';
+      btn.addEventListener('click', () => window.openScenarioPanel(btn));
+      controls.appendChild(label);
+      controls.appendChild(btn);
+      function refresh() {
+        select.innerHTML = '';
+        const official = document.createElement('option');
+        official.value = '';
+        official.textContent = 'Official';
+        select.appendChild(official);
+        ShowtimeState.listScenarios().forEach(sc => {
+          const opt = document.createElement('option');
+          opt.value = sc.id;
+          opt.textContent = sc.name;
+          select.appendChild(opt);
+        });
+        const current = ShowtimeState.currentScenarioId() || '';
+        select.value = current;
+        select.classList.toggle('bg-amber-200', !!current);
+      }
+      select.addEventListener('change', () => {
+        ShowtimeState.openScenario(select.value || null);
+        // Pages that only re-render on storage events (Dashboard)
+        window.dispatchEvent(new Event('storage'));
+      });
+      ['showtimeDateChanged', 'showtimeStateUpdated'].forEach(name => {
+        window.addEventListener(name, () => {
+          if (document.activeElement !== select) refresh();
+        });
+      });
+      refresh();
+    } catch (_) {}
+  });
+
+  // Format a compared show as "Dune 7:30 PM, Aud 3".
+  function scenarioShowText(show) {
+    return `${show.filmTitle || 'Show'} ${to12(show.start)}, ${show.audName || 'Aud ' + show.audId}`;
+  }
+
+  /**
+   * Side-by-side comparison of two versions of the current date: a stats
+   * table followed by the shows added, removed and moved going from the
+   * left version to the right one.
+   * @param {HTMLElement} container emptied and filled
+   * @param {string|null} a scenario id, or null for the official schedule
+   * @param {string|null} b
+   */
+  function renderScenarioCompare(container, a, b) {
+    container.innerHTML = '';
+    const cmp = ShowtimeState.compareScenarios(a, b);
+    const table = document.createElement('table');
+    table.className = 'w-full text-sm mt-2';
+    const head = document.createElement('tr');
+    ['', cmp.a.name, cmp.b.name, 'Change'].forEach((text, i) => {
+      const th = document.createElement('th');
+      th.className = `px-2 py-1 ${i ? 'text-right' : 'text-left'}`;
+      th.textContent = text;
+      head.appendChild(th);
+    });
+    table.appendChild(head);
+    [
+      ['Shows', 'shows'],
+      ['Seats offered', 'seats'],
+      ['Prime-time seats', 'primeSeats'],
+      ['Gaps of 45+ min', 'gaps'],
+      ['Gap minutes', 'gapMins'],
+      ['Longest gap (min)', 'longestGap'],
+    ].forEach(([name, key]) => {
+      const tr = document.createElement('tr');
+      tr.className = 'border-t border-gray-200';
+      const diff = cmp.b.stats[key] - cmp.a.stats[key];
+      [name, cmp.a.stats[key], cmp.b.stats[key], diff > 0 ? `+${diff}` : String(diff)].forEach((text, i) => {
+        const td = document.createElement('td');
+        td.className = `px-2 py-1 ${i ? 'text-right' : ''}`;
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      table.appendChild(tr);
+    });
+    container.appendChild(table);
+    const lists = [
+      ['Added', cmp.added.map(scenarioShowText)],
+      ['Removed', cmp.removed.map(scenarioShowText)],
+      ['Moved', cmp.moved.map(m => `${m.filmTitle || 'Show'}: ${to12(m.from.start)}, ${m.from.audName} → ${to12(m.to.start)}, ${m.to.audName}`)],
+    ];
+    lists.forEach(([title, items]) => {
+      const h = document.createElement('div');
+      h.className = 'mt-3 font-semibold';
+      h.textContent = `${title} (${items.length})`;
+      container.appendChild(h);
+      const ul = document.createElement('ul');
+      ul.className = 'list-disc pl-5 text-gray-700';
+      items.forEach(text => {
+        const li = document.createElement('li');
+        li.textContent = text;
+        ul.appendChild(li);
+      });
+      if (items.length === 0) {
+        const li = document.createElement('li');
+        li.className = 'list-none -ml-5 text-gray-500';
+        li.textContent = 'None';
+        ul.appendChild(li);
+      }
+      container.appendChild(ul);
+    });
+  }
+
+  /**
+   * Show a floating panel for the current date's what-if scenarios below
+   * the triggering button: open, rename, delete or promote a scenario,
+   * start a new one from what the pages show now, and compare any two
+   * versions side by side. Promoting replaces the official schedule with
+   * the scenario (one undo step). Clicking the button again closes the
+   * panel.
+   *
+   * @param {HTMLElement} btn The button element that triggers the panel.
+   */
+  window.openScenarioPanel = function (btn) {
+    const existing = document.getElementById('scenarioPanel');
+    if (existing) {
+      existing.remove();
+      return;
+    }
+    const panel = document.createElement('div');
+    panel.id = 'scenarioPanel';
+    panel.className = 'absolute z-50 bg-white border border-gray-300 rounded-lg shadow p-3 text-sm text-gray-800 max-h-[80vh] overflow-y-auto';
+    const rect = btn.getBoundingClientRect();
+    panel.style.top = `${rect.bottom + window.scrollY + 4}px`;
+    panel.style.left = `${Math.max(8, rect.right + window.scrollX - 576)}px`;
+    panel.style.width = '36rem';
+    // Switching versions re-renders the page underneath; the storage
+    // event reaches pages that only listen for it (Dashboard).
+    const changed = () => {
+      window.dispatchEvent(new Event('storage'));
+      render();
+    };
+    const button = (text, cls, onClick) => {
+      const b = document.createElement('button');
+      b.type = 'button';
+      b.className = `px-2 py-0.5 rounded text-xs ${cls}`;
+      b.textContent = text;
+      b.onclick = onClick;
+      return b;
+    };
+    function render() {
+      panel.innerHTML = '';
+      const when = isoToMMDD(ShowtimeState.getCurrentDate());
+      const title = document.createElement('div');
+      title.className = 'font-semibold mb-2';
+      title.textContent = `Scenarios for ${when}`;
+      panel.appendChild(title);
+      const current = ShowtimeState.currentScenarioId();
+      const scenarios = ShowtimeState.listScenarios();
+      [{ id: null, name: 'Official' }].concat(scenarios).forEach(sc => {
+        const row = document.createElement('div');
+        row.className = `flex items-center gap-2 px-2 py-1 rounded ${sc.id === current ? 'bg-blue-50' : ''}`;
+        const name = document.createElement('span');
+        name.className = 'flex-1';
+        name.textContent = sc.id === current ? `${sc.name} (editing)` : sc.name;
+        row.appendChild(name);
+        if (sc.id !== current) {
+          row.appendChild(button('Open', 'bg-blue-700 text-white hover:bg-blue-800', () => {
+            ShowtimeState.openScenario(sc.id);
+            changed();
+          }));
+        }
+        if (sc.id) {
+          row.appendChild(button('Rename', 'border border-gray-300 hover:bg-gray-100', () => {
+            const name = prompt('Scenario name:', sc.name);
+            if (name === null) return;
+            ShowtimeState.renameScenario(sc.id, name);
+            changed();
+          }));
+          row.appendChild(button('Promote', 'bg-green-700 text-white hover:bg-green-800', () => {
+            if (!confirm(`Make "${sc.name}" the official schedule for ${when}? The official schedule is replaced; Undo restores it.`)) return;
+            ShowtimeState.promoteScenario(sc.id);
+            changed();
+          }));
+          row.appendChild(button('Delete', 'bg-red-700 text-white hover:bg-red-800', () => {
+            if (!confirm(`Delete scenario "${sc.name}"?`)) return;
+            ShowtimeState.deleteScenario(sc.id);
+            changed();
+          }));
+        }
+        panel.appendChild(row);
+      });
+      const forkBtn = document.createElement('button');
+      forkBtn.type = 'button';
+      forkBtn.className = 'mt-2 w-full px-3 py-1 bg-blue-700 text-white rounded hover:bg-blue-800';
+      forkBtn.textContent = 'New scenario from current';
+      forkBtn.onclick = function () {
+        const name = prompt('Scenario name:', `Scenario ${scenarios.length + 1}`);
+        if (name === null) return;
+        ShowtimeState.forkScenario(name);
+        changed();
+      };
+      panel.appendChild(forkBtn);
+      // Compare two versions; defaults to official against the open
+      // scenario, or the first one.
+      const cmpHead = document.createElement('div');
+      cmpHead.className = 'mt-4 flex items-center gap-2';
+      const cmpTitle = document.createElement('span');
+      cmpTitle.className = 'font-semibold';
+      cmpTitle.textContent = 'Compare';
+      cmpHead.appendChild(cmpTitle);
+      const versionSelect = value => {
+        const sel = document.createElement('select');
+        sel.className = 'border border-gray-300 rounded px-2 py-1 text-sm';
+        [{ id: '', name: 'Official' }].concat(scenarios).forEach(sc => {
+          const opt = document.createElement('option');
+          opt.value = sc.id;
+          opt.textContent = sc.name;
+          sel.appendChild(opt);
+        });
+        sel.value = value || '';
+        return sel;
+      };
+      const left = versionSelect('');
+      const right = versionSelect(current || (scenarios[0] && scenarios[0].id) || '');
+      const vs = document.createElement('span');
+      vs.textContent = 'vs';
+      cmpHead.appendChild(left);
+      cmpHead.appendChild(vs);
+      cmpHead.appendChild(right);
+      panel.appendChild(cmpHead);
+      const result = document.createElement('div');
+      panel.appendChild(result);
+      const compare = () => renderScenarioCompare(result, left.value || null, right.value || null);
+      left.onchange = compare;
+      right.onchange = compare;
+      compare();
+    }
+    render();
     document.body.appendChild(panel);
   };
 
@@ -71,6 +71,33 @@ document.addEventListener('DOMContentLoaded', () => {
       });
       tdFmt.appendChild(inputFmt);
       tr.appendChild(tdFmt);
+      // Supported formats cell: comma separated list of the print formats
+      // this house can play. Left empty, the house plays its own format
+      // and Standard (see audFormats in engine.js).
+      const tdFormats = document.createElement('td');
+      tdFormats.style.width = '20ch';
+      tdFormats.style.maxWidth = '20ch';
+      tdFormats.className = 'px-3 py-2 truncate navcell';
+      const inputFormats = document.createElement('input');
+      inputFormats.type = 'text';
+      inputFormats.value = Array.isArray(aud.formats) ? aud.formats.join(', ') : '';
+      inputFormats.placeholder = ShowtimeState.audFormats({ format: aud.format }).join(', ');
+      inputFormats.title = 'Formats this auditorium can play, separated by commas';
+      inputFormats.className = 'border border-gray-300 rounded px-2 py-1 w-full';
+      inputFormats.addEventListener('change', () => {
+        const list = inputFormats.value.split(',').map(f => f.trim()).filter(Boolean);
+        if (list.length) {
+          aud.formats = list;
+        } else {
+          delete aud.formats;
+        }
+        ShowtimeState.save();
+        if (!isTabbing) {
+          render();
+        }
+      });
+      tdFormats.appendChild(inputFormats);
+      tr.appendChild(tdFormats);
       // Seats cell
       const tdSeats = document.createElement('td');
       // Double the seats column width to 20 characters.
@@ -93,6 +120,29 @@ document.addEventListener('DOMContentLoaded', () => {
       });
       tdSeats.appendChild(inputSeats);
       tr.appendChild(tdSeats);
+      // Clean time cell: minutes this house needs between shows. Cycles use
+      // the larger of this and the film's own clean time.
+      const tdClean = document.createElement('td');
+      tdClean.style.width = '20ch';
+      tdClean.style.maxWidth = '20ch';
+      tdClean.className = 'px-3 py-2 truncate navcell';
+      const inputClean = document.createElement('input');
+      inputClean.type = 'number';
+      inputClean.min = '0';
+      inputClean.step = '5';
+      inputClean.value = aud.clean || 0;
+      inputClean.title = 'Turnaround minutes for this auditorium; cycles use the larger of this and the film clean time';
+      inputClean.className = 'border border-gray-300 rounded px-2 py-1 w-full';
+      inputClean.addEventListener('change', () => {
+        const val = parseInt(inputClean.value, 10);
+        aud.clean = isNaN(val) || val < 0 ? 0 : val;
+        ShowtimeState.save();
+        if (!isTabbing) {
+          render();
+        }
+      });
+      tdClean.appendChild(inputClean);
+      tr.appendChild(tdClean);
       // Create a Delete cell with a button to remove this auditorium.
       const tdDel = document.createElement('td');
       // Narrow width for delete column
@@ -148,7 +198,7 @@ document.addEventListener('DOMContentLoaded', () => {
   addBtn.addEventListener('click', () => {
     const state = ShowtimeState.state;
     const maxId = state.auds.reduce((m, a) => Math.max(m, a.id), 0);
-    state.auds.push({ id: maxId + 1, name: `Aud ${maxId + 1}`, format: 'Standard', seats: 100 });
+    state.auds.push({ id: maxId + 1, name: `Aud ${maxId + 1}`, format: 'Standard', seats: 100, clean: 0 });
     ShowtimeState.save();
     render();
   });
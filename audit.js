@@ -3,7 +3,9 @@
 // lists every show in chronological order per film and computes the time
 // gap between consecutive shows. The gap is shown in hours and minutes.
 // If the gap between two shows is less than 30 minutes, the cell is
-// highlighted for easy visualisation.
+// highlighted for easy visualisation. A Distributor Terms table above lists
+// every saved date's breaches of the booking terms, and a Schedule Diff
+// table lists what changed between two saved dates (exportable as CSV).
 
 document.addEventListener('DOMContentLoaded', () => {
   const ShowtimeState = window.ShowtimeState;
@@ -14,6 +16,11 @@ document.addEventListener('DOMContentLoaded', () => {
   const bodyHouse = document.getElementById('housePlacementBody');
   const bodyAud = document.getElementById('showsPerAudBody');
   const bodyFeature = document.getElementById('showsPerFeatureBody');
+  const bodyTerms = document.getElementById('termsViolationsBody');
+  const bodyDiff = document.getElementById('scheduleDiffBody');
+  const diffFromSel = document.getElementById('diffFromSelect');
+  const diffToSel = document.getElementById('diffToSelect');
+  const diffCsvBtn = document.getElementById('diffCsvBtn');
   if (!bodyFilm || !bodyHouse || !bodyAud || !bodyFeature) return;
   // Load the latest state from storage; ignore errors
   try {
@@ -30,19 +37,13 @@ document.addEventListener('DOMContentLoaded', () => {
   const nextBtn = document.getElementById('nextDateAuditBtn');
 
   // Populate the first/last show selectors.  This generates 30‑minute
-  // increments from 05:00 to 19:00 for the first show and from
-  // 20:00 through 02:00 for the last show.  Selected values are
+  // increments from the rollover hour to 19:00 for the first show and
+  // from 20:00 up to the next rollover for the last show.  Selected values are
   // persisted in ShowtimeState.state and applied to the dropdowns.
   function populateTimeSelectors() {
     if (!firstSel || !lastSel) return;
-    const times = [];
-    let t = ShowtimeState.dtFromHM('05:00');
-    const end = ShowtimeState.dtFromHM('19:00');
-    while (t <= end) {
-      times.push(ShowtimeState.hmFromDate(t));
-      t = new Date(t.getTime() + 30 * 60000);
-    }
-    const lastTimes = ['20:00','20:30','21:00','21:30','22:00','22:30','23:00','23:30','00:00','00:30','01:00','01:30','02:00'];
+    // Choices run from the theatre's rollover hour (see showWindowOptions)
+    const { first: times, last: lastTimes } = ShowtimeState.showWindowOptions();
     firstSel.innerHTML = '';
     lastSel.innerHTML = '';
     times.forEach(hm => {
@@ -103,7 +104,186 @@ document.addEventListener('DOMContentLoaded', () => {
     return baseTitle;
   }
 
+  // List every breach of the bookings' distributor terms across all saved
+  // dates. Clicking a date switches the audit to it.
+  function renderTerms() {
+    if (!bodyTerms) return;
+    bodyTerms.innerHTML = '';
+    const labels = {};
+    ShowtimeState.BOOKING_TERMS.forEach(t => { labels[t.key] = t.label; });
+    const violations = ShowtimeState.termsViolations();
+    violations.forEach((v, i) => {
+      const tr = document.createElement('tr');
+      tr.className = i % 2 === 0 ? 'bg-white' : 'bg-gray-50';
+      tr.dataset.filmid = String(v.filmId);
+      const tdDate = document.createElement('td');
+      tdDate.className = 'px-2 py-1 whitespace-nowrap';
+      const link = document.createElement('a');
+      link.href = '#';
+      link.className = 'underline';
+      link.textContent = ShowtimeState.isoToMMDD(v.date);
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        ShowtimeState.setDate(v.date);
+        if (dateInput) dateInput.value = ShowtimeState.isoToMMDD(v.date);
+        render();
+      });
+      tdDate.appendChild(link);
+      if (v.date === ShowtimeState.getCurrentDate()) tdDate.classList.add('font-semibold');
+      const tdFilm = document.createElement('td');
+      tdFilm.className = 'px-2 py-1';
+      tdFilm.textContent = v.title;
+      const tdTerm = document.createElement('td');
+      tdTerm.className = 'px-2 py-1 whitespace-nowrap';
+      tdTerm.textContent = labels[v.term] || v.term;
+      const tdMsg = document.createElement('td');
+      tdMsg.className = 'px-2 py-1 text-red-700';
+      tdMsg.textContent = v.message;
+      tr.appendChild(tdDate);
+      tr.appendChild(tdFilm);
+      tr.appendChild(tdTerm);
+      tr.appendChild(tdMsg);
+      bodyTerms.appendChild(tr);
+    });
+    if (violations.length === 0) {
+      const tr = document.createElement('tr');
+      const td = document.createElement('td');
+      td.colSpan = 4;
+      td.className = 'px-2 py-1 text-green-700';
+      td.textContent = (ShowtimeState.state.bookings || []).some(b => b.terms)
+        ? 'Every date meets the booking terms.'
+        : 'No distributor terms are set. Add them with the Terms button on the Bookings page.';
+      tr.appendChild(td);
+      bodyTerms.appendChild(tr);
+    }
+  }
+
+  const DIFF_LABELS = { added: 'Added', removed: 'Removed', retimed: 'Retimed', rehoused: 'Re-housed' };
+  const DIFF_COLORS = { added: 'text-green-700', removed: 'text-red-700' };
+  // Chosen diff dates; blank follows the schedule date (to) and the saved
+  // date before it (from).
+  let diffFrom = '';
+  let diffTo = '';
+
+  function diffChangeLabel(row) {
+    return row.change === 'rehoused' && row.retimed ? 'Re-housed and retimed' : DIFF_LABELS[row.change];
+  }
+
+  function diffTimeText(hm, aud) {
+    return hm ? `${ShowtimeState.fmtHM(hm)}, ${aud}` : '';
+  }
+
+  // Fill both date selectors with the saved dates and return the pair to
+  // compare.
+  function diffDatesChosen() {
+    const dates = ShowtimeState.listDates();
+    const current = ShowtimeState.getCurrentDate();
+    const to = dates.includes(diffTo) ? diffTo : current;
+    const earlier = dates.filter(d => d < to);
+    const from = dates.includes(diffFrom) ? diffFrom : (earlier[earlier.length - 1] || dates.find(d => d !== to) || to);
+    [[diffFromSel, from], [diffToSel, to]].forEach(([sel, value]) => {
+      if (!sel) return;
+      sel.innerHTML = '';
+      dates.forEach(d => {
+        const opt = document.createElement('option');
+        opt.value = d;
+        opt.textContent = ShowtimeState.isoToMMDD(d);
+        sel.appendChild(opt);
+      });
+      sel.value = value;
+    });
+    return { from, to };
+  }
+
+  // Shows added, removed, retimed and re-housed going from one saved date
+  // to another, grouped by auditorium.
+  function renderDiff() {
+    if (!bodyDiff) return;
+    bodyDiff.innerHTML = '';
+    const { from, to } = diffDatesChosen();
+    const rows = from && to && from !== to ? ShowtimeState.diffDates(from, to) : [];
+    let lastAud = null;
+    rows.forEach((row, i) => {
+      const tr = document.createElement('tr');
+      tr.className = i % 2 === 0 ? 'bg-white' : 'bg-gray-50';
+      tr.dataset.filmid = String(row.filmId);
+      const cells = [
+        row.audId === lastAud ? '' : row.audName,
+        diffChangeLabel(row),
+        row.filmTitle,
+        diffTimeText(row.fromHM, row.fromAud),
+        diffTimeText(row.toHM, row.toAud),
+      ];
+      lastAud = row.audId;
+      cells.forEach((text, c) => {
+        const td = document.createElement('td');
+        td.className = 'px-2 py-1' + (c === 1 ? ` whitespace-nowrap ${DIFF_COLORS[row.change] || ''}` : '');
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      bodyDiff.appendChild(tr);
+    });
+    if (rows.length === 0) {
+      const tr = document.createElement('tr');
+      const td = document.createElement('td');
+      td.colSpan = 5;
+      td.className = 'px-2 py-1 text-gray-500';
+      td.textContent = from === to
+        ? 'Pick two different saved dates to compare.'
+        : `No changes between ${ShowtimeState.isoToMMDD(from)} and ${ShowtimeState.isoToMMDD(to)}.`;
+      tr.appendChild(td);
+      bodyDiff.appendChild(tr);
+    }
+  }
+
+  [[diffFromSel, v => { diffFrom = v; }], [diffToSel, v => { diffTo = v; }]].forEach(([sel, set]) => {
+    if (!sel) return;
+    sel.addEventListener('change', () => {
+      set(sel.value);
+      renderDiff();
+      if (typeof window.applyFilmHighlight === 'function') window.applyFilmHighlight();
+    });
+  });
+
+  // Download the diff for the booking office.
+  if (diffCsvBtn) {
+    diffCsvBtn.addEventListener('click', () => {
+      const { from, to } = diffDatesChosen();
+      const rows = from && to && from !== to ? ShowtimeState.diffDates(from, to) : [];
+      const esc = (v) => {
+        if (v == null) return '';
+        const s = String(v);
+        return /[",\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+      };
+      let csv = 'Auditorium,Change,Film,From Date,From Time,From Auditorium,To Date,To Time,To Auditorium\n';
+      rows.forEach(row => {
+        csv += [
+          row.audName,
+          diffChangeLabel(row),
+          row.filmTitle,
+          from,
+          row.fromHM ? ShowtimeState.fmtHM(row.fromHM) : '',
+          row.fromAud,
+          to,
+          row.toHM ? ShowtimeState.fmtHM(row.toHM) : '',
+          row.toAud,
+        ].map(esc).join(',') + '\n';
+      });
+      const blob = new Blob([csv], { type: 'text/csv' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `showtime-diff-${from}-to-${to}.csv`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    });
+  }
+
   function render() {
+    renderTerms();
+    renderDiff();
     // Clear existing bodies
     bodyFilm.innerHTML = '';
     bodyHouse.innerHTML = '';
@@ -14,6 +14,84 @@ let isTabbing = false;
 // events from triggering a re-render and stealing focus.
 let tabResetTimer = null;
 
+// Number of distributor terms set on a booking (see BOOKING_TERMS).
+function countTerms(b) {
+  const terms = b.terms || {};
+  return ShowtimeState.BOOKING_TERMS.filter(t => (t.type === 'flag' ? !!terms[t.key] : terms[t.key] !== undefined && terms[t.key] !== '')).length;
+}
+
+// One line per term set on a booking, for tooltips.
+function describeTerms(b) {
+  const terms = b.terms || {};
+  return ShowtimeState.BOOKING_TERMS.map(t => {
+    if (t.type === 'flag') return terms[t.key] ? t.label : '';
+    return terms[t.key] !== undefined && terms[t.key] !== '' ? `${t.label}: ${terms[t.key]}` : '';
+  }).filter(Boolean).join('\n');
+}
+
+// Show the terms editor for a booking below its Terms button. Edits are
+// saved as they are made; clicking the button again or Done closes it.
+function openTermsPanel(btn, b) {
+  const existing = document.getElementById('bookingTermsPanel');
+  if (existing) {
+    existing.remove();
+    if (existing.dataset.bookingId === b.id) return;
+  }
+  const panel = document.createElement('div');
+  panel.id = 'bookingTermsPanel';
+  panel.dataset.bookingId = b.id;
+  panel.className = 'absolute z-50 bg-white border border-gray-300 rounded-lg shadow p-3 text-sm space-y-2';
+  const rect = btn.getBoundingClientRect();
+  panel.style.top = `${rect.bottom + window.scrollY + 4}px`;
+  panel.style.left = `${rect.left + window.scrollX}px`;
+  const film = ShowtimeState.filmById(b.filmId);
+  const heading = document.createElement('div');
+  heading.className = 'font-semibold';
+  heading.textContent = `Terms for ${film ? film.title : 'booking'}`;
+  panel.appendChild(heading);
+  ShowtimeState.BOOKING_TERMS.forEach(t => {
+    const row = document.createElement('label');
+    row.className = 'flex items-center justify-between gap-3';
+    const text = document.createElement('span');
+    text.textContent = t.label;
+    const input = document.createElement('input');
+    const terms = b.terms || {};
+    if (t.type === 'flag') {
+      input.type = 'checkbox';
+      input.checked = !!terms[t.key];
+    } else {
+      input.type = 'number';
+      input.min = '0';
+      input.className = 'border border-gray-300 rounded px-2 py-1 w-16';
+      input.value = terms[t.key] !== undefined ? terms[t.key] : '';
+    }
+    input.addEventListener('change', () => {
+      const next = { ...(b.terms || {}) };
+      if (t.type === 'flag') {
+        if (input.checked) next[t.key] = true; else delete next[t.key];
+      } else {
+        const num = parseInt(input.value, 10);
+        if (isNaN(num) || num < 0) delete next[t.key]; else next[t.key] = num;
+      }
+      if (Object.keys(next).length) b.terms = next; else delete b.terms;
+      ShowtimeState.save();
+      const count = countTerms(b);
+      btn.textContent = count ? `${count} term${count > 1 ? 's' : ''}` : 'None';
+      btn.title = describeTerms(b) || 'No distributor terms';
+    });
+    row.appendChild(text);
+    row.appendChild(input);
+    panel.appendChild(row);
+  });
+  const done = document.createElement('button');
+  done.type = 'button';
+  done.className = 'px-3 py-1 bg-blue-700 text-white rounded-lg hover:bg-blue-800 text-sm';
+  done.textContent = 'Done';
+  done.addEventListener('click', () => panel.remove());
+  panel.appendChild(done);
+  document.body.appendChild(panel);
+}
+
 document.addEventListener('DOMContentLoaded', () => {
   const addBtn = document.getElementById('addBookingBtn');
   // Button to clear all bookings and reset to a single blank row
@@ -153,7 +231,7 @@ document.addEventListener('DOMContentLoaded', () => {
       const nextSlot = String(maxSlot + 1 || 1);
       const bookingId = `B${Date.now()}-${Math.floor(Math.random() * 1000)}`;
       // Do not prefill week or weeksOut; leave blank values
-      state.bookings.push({ id: bookingId, week: '', slot: nextSlot, filmId: filmId, notes: '', weeksOut: '' });
+      state.bookings.push({ id: bookingId, week: '', weekYear: '', slot: nextSlot, filmId: filmId, notes: '', weeksOut: '' });
       ShowtimeState.save();
       ensurePrimeRows();
     }
@@ -405,7 +483,85 @@ document.addEventListener('DOMContentLoaded', () => {
       });
       tdNotes.appendChild(inputNotes);
       tr.appendChild(tdNotes);
-      // Weeks Out input
+      // Terms button: summarises the booking's distributor terms and opens
+      // an editor for them. The Audit page checks each date against them.
+      const tdTerms = document.createElement('td');
+      tdTerms.className = 'px-3 py-2 navcell';
+      const termsBtn = document.createElement('button');
+      termsBtn.type = 'button';
+      const termCount = countTerms(b);
+      termsBtn.textContent = termCount ? `${termCount} term${termCount > 1 ? 's' : ''}` : 'None';
+      termsBtn.title = describeTerms(b) || 'No distributor terms';
+      termsBtn.className = 'border border-gray-300 rounded px-2 py-1 w-20 text-left ' + (termCount ? 'bg-indigo-50' : 'bg-white');
+      termsBtn.disabled = !b.filmId;
+      termsBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        openTermsPanel(termsBtn, b);
+      });
+      tdTerms.appendChild(termsBtn);
+      tr.appendChild(tdTerms);
+      // Week number input: the film week (Friday to Thursday) the
+      // engagement opens. Blank means the booking plays on every date.
+      const tdWeek = document.createElement('td');
+      tdWeek.className = 'px-3 py-2 navcell whitespace-nowrap';
+      const inputWeek = document.createElement('input');
+      inputWeek.type = 'number';
+      inputWeek.min = '1';
+      inputWeek.max = '53';
+      inputWeek.value = b.week !== undefined && b.week !== null ? b.week : '';
+      inputWeek.className = 'border border-gray-300 rounded px-2 py-1 w-16';
+      const curDate = ShowtimeState.getCurrentDate();
+      const eng = ShowtimeState.engagementOf(b, curDate);
+      if (eng) {
+        inputWeek.title = `Plays ${ShowtimeState.isoToMMDD(eng.from)} – ${ShowtimeState.isoToMMDD(eng.to)}`;
+        if (eng.weekOfRun === null) {
+          // Not playing on the selected date: dim the week so expired and
+          // future engagements stand out from the current ones
+          inputWeek.classList.add('bg-gray-100', 'text-gray-500');
+          inputWeek.title += ` (not playing ${ShowtimeState.isoToMMDD(curDate)})`;
+        }
+      } else {
+        inputWeek.title = 'No week set: plays every date';
+      }
+      inputWeek.tabIndex = tabCounter++;
+      inputWeek.addEventListener('change', () => {
+        const num = parseInt((inputWeek.value || '').trim(), 10);
+        b.week = isNaN(num) || num < 1 || num > 53 ? '' : num;
+        // A new week number opens the run nearest the selected date
+        // unless the year was already set; no week, no year.
+        if (b.week === '') {
+          b.weekYear = '';
+        } else if (!b.weekYear) {
+          b.weekYear = ShowtimeState.weekYearNear(b.week, b.weeksOut, curDate) || '';
+        }
+        ShowtimeState.save();
+        if (!isTabbing) {
+          render();
+        }
+      });
+      tdWeek.appendChild(inputWeek);
+      // Year of the opening week, so a week number does not come round
+      // again every year
+      const inputYear = document.createElement('input');
+      inputYear.type = 'number';
+      inputYear.min = '2000';
+      inputYear.max = '2099';
+      inputYear.value = b.weekYear !== undefined && b.weekYear !== null ? b.weekYear : '';
+      inputYear.placeholder = 'Year';
+      inputYear.title = 'Year of the opening week';
+      inputYear.className = 'border border-gray-300 rounded px-2 py-1 w-20 ml-1' + (eng && eng.weekOfRun === null ? ' bg-gray-100 text-gray-500' : '');
+      inputYear.tabIndex = tabCounter++;
+      inputYear.addEventListener('change', () => {
+        const num = parseInt((inputYear.value || '').trim(), 10);
+        b.weekYear = isNaN(num) || num < 2000 || num > 2099 ? '' : num;
+        ShowtimeState.save();
+        if (!isTabbing) {
+          render();
+        }
+      });
+      tdWeek.appendChild(inputYear);
+      tr.appendChild(tdWeek);
+      // Weeks Out input: length of the engagement in weeks
       const tdWeeks = document.createElement('td');
       tdWeeks.className = 'px-3 py-2 navcell';
       const inputWeeks = document.createElement('input');
@@ -538,6 +694,7 @@ document.addEventListener('DOMContentLoaded', () => {
     // document order of inputs to move focus horizontally across the
     // row and then down to the next row.
     assignTabHandlers();
+    renderCalendar();
 
     // Update the film highlight dropdown options in case films were added or
     // removed during this render.  This function is defined in app.js
@@ -555,6 +712,47 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
+  // List the titles booked in each of the next eight film weeks, starting
+  // with the week of the selected date (highlighted).
+  function renderCalendar() {
+    const calBody = document.getElementById('engagementCalendarBody');
+    if (!calBody) return;
+    calBody.innerHTML = '';
+    const weeks = ShowtimeState.engagementCalendar(ShowtimeState.getCurrentDate(), 8);
+    weeks.forEach((wk, idx) => {
+      const tr = document.createElement('tr');
+      tr.className = idx === 0 ? 'bg-indigo-50' : (idx % 2 === 0 ? 'bg-white' : 'bg-gray-50');
+      const tdWeek = document.createElement('td');
+      tdWeek.className = 'px-2 py-1';
+      tdWeek.textContent = String(wk.week);
+      const tdDates = document.createElement('td');
+      tdDates.className = 'px-2 py-1 whitespace-nowrap';
+      tdDates.textContent = `${ShowtimeState.isoToMMDD(wk.from)} – ${ShowtimeState.isoToMMDD(wk.to)}`;
+      const tdTitles = document.createElement('td');
+      tdTitles.className = 'px-2 py-1';
+      if (!wk.bookings.length) {
+        tdTitles.className += ' text-gray-400';
+        tdTitles.textContent = 'No dated bookings';
+      } else {
+        tdTitles.textContent = wk.bookings.map(x => {
+          const run = x.weeks > 1 ? ` (week ${x.weekOfRun} of ${x.weeks})` : '';
+          return (x.title || 'Untitled') + run;
+        }).join(', ');
+      }
+      tr.appendChild(tdWeek);
+      tr.appendChild(tdDates);
+      tr.appendChild(tdTitles);
+      calBody.appendChild(tr);
+    });
+  }
+
+  // The week inputs and calendar follow the selected date
+  window.addEventListener('showtimeDateChanged', () => {
+    if (!isTabbing) {
+      render();
+    }
+  });
+
   addBtn.addEventListener('click', () => {
     const state = ShowtimeState.state;
     // Create a new film with default values
@@ -564,7 +762,7 @@ document.addEventListener('DOMContentLoaded', () => {
     const nextSlot = String(state.bookings.length + 1);
     const bookingId = `B${Date.now()}-${Math.floor(Math.random()*1000)}`;
     // Do not prefill week or weeksOut when adding a new booking; leave blank
-    state.bookings.push({ id: bookingId, week: '', slot: nextSlot, filmId: filmId, notes: '', weeksOut: '' });
+    state.bookings.push({ id: bookingId, week: '', weekYear: '', slot: nextSlot, filmId: filmId, notes: '', weeksOut: '' });
     ShowtimeState.save();
     ensurePrimeRows();
     render();
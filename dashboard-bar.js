@@ -120,13 +120,17 @@
       const eh = end.getHours();
       endCounts[eh] = (endCounts[eh] || 0) + 1;
     });
-    // Build ordered arrays for 24 hours (0–23).  This ensures the x‑axis
-    // ordering is consistent even if there are no shows in some hours.
+    // Build ordered arrays for all 24 hours, starting at the theatre's
+    // rollover hour so late‑night hours follow the evening.  This ensures
+    // the x‑axis ordering is consistent even if there are no shows in
+    // some hours.
     const labels = [];
     const starts = [];
     const ends = [];
     const seats = [];
-    for (let h = 0; h < 24; h++) {
+    const firstHour = parseInt(ShowtimeState.hmFromMinutes(0), 10);
+    for (let i = 0; i < 24; i++) {
+      const h = (firstHour + i) % 24;
       labels.push(formatHour(h));
       starts.push(startCounts[h] || 0);
       ends.push(endCounts[h] || 0);
@@ -167,6 +171,10 @@
       }
       byAud[audId].push({ start: rec.start instanceof Date ? rec.start : new Date(rec.start), end: endDate });
     });
+    // Blackout blocks are busy time too (see computeFlaggedIssues)
+    (ShowtimeState.listBlackouts ? ShowtimeState.listBlackouts() : []).forEach(b => {
+      if (byAud[b.audId]) byAud[b.audId].push({ start: b.start, end: b.end });
+    });
     const counts = { late: 0, gap: 0, huge: 0 };
     // Determine operating window start per auditorium from state
     const state = ShowtimeState.state || {};
@@ -193,18 +201,15 @@
   }
 
   /**
-   * Normalize a date so that times before 5AM are considered part of the next day.
+   * Normalize a date onto the current schedule date's business day, so
+   * times after midnight sort after the evening shows.
    * Mirrors the logic used in the dedicated dashboard page and schedule grid.
    *
    * @param {Date} dt
    * @returns {Date}
    */
   function normalizeDateForGap(dt) {
-    const n = new Date(dt);
-    if (n.getHours() < 5) {
-      n.setDate(n.getDate() + 1);
-    }
-    return n;
+    return ShowtimeState.normalizeDate(dt);
   }
 
   /**
@@ -258,6 +263,11 @@
         audName: rec.audName || ''
       });
     });
+    // Blackout blocks (rentals, events, maintenance) keep the house busy,
+    // so downtime is measured around them rather than through them.
+    (ShowtimeState.listBlackouts ? ShowtimeState.listBlackouts() : []).forEach(b => {
+      if (byAud[b.audId]) byAud[b.audId].push({ start: b.start, end: b.end, audName: b.audName });
+    });
     // Use current first show time as operating window start
     const state = ShowtimeState.state || {};
     const firstHM = (state && state.firstShowHM) || '07:00';
@@ -2,8 +2,9 @@
 // This script uses Chart.js to display summary statistics about the
 // current day's schedule.  It creates bar charts for the number of shows
 // per film, number of shows per auditorium, and a histogram of show
-// start times by hour.  Charts update whenever the selected date
-// changes.
+// start times by hour, plus capacity charts built from auditorium seats
+// (ShowtimeState.capacityStats).  Charts update whenever the selected
+// date changes.
 
 (function() {
   const ShowtimeState = window.ShowtimeState;
@@ -14,6 +15,11 @@
   let utilChart = null;
   // Chart for end time distribution
   let endTimeChart = null;
+  // Capacity charts (seats offered, prime seats, rating share, occupancy)
+  let seatsFilmChart = null;
+  let primeSeatsChart = null;
+  let ratingChart = null;
+  let occupancyChart = null;
 
   // Threshold constants for downtime and late-first flagging
   const GAP_THRESHOLD_MIN = 45;
@@ -21,18 +27,15 @@
   const FIT_SLOT_MIN = 105;
 
   /**
-   * Normalize a date so that times before 5AM are considered part of the next day.
+   * Normalize a date onto the current schedule date's business day, so
+   * times after midnight sort after the evening shows.
    * Mirrors the logic used in the schedule grid.
    *
    * @param {Date} dt
    * @returns {Date}
    */
   function normalizeDateForGap(dt) {
-    const n = new Date(dt);
-    if (n.getHours() < 5) {
-      n.setDate(n.getDate() + 1);
-    }
-    return n;
+    return ShowtimeState.normalizeDate(dt);
   }
 
   /**
@@ -83,6 +86,11 @@
         audName: rec.audName || ''
       });
     });
+    // Blackout blocks (rentals, events, maintenance) keep the house busy,
+    // so downtime is measured around them rather than through them.
+    (ShowtimeState.listBlackouts ? ShowtimeState.listBlackouts() : []).forEach(b => {
+      if (byAud[b.audId]) byAud[b.audId].push({ start: b.start, end: b.end, audName: b.audName });
+    });
     // Use current first show time as operating window start
     const firstHM = (ShowtimeState.state && ShowtimeState.state.firstShowHM) || '07:00';
     const windowStartRaw = ShowtimeState.dtFromHM ? ShowtimeState.dtFromHM(firstHM) : new Date();
@@ -287,7 +295,7 @@
       seatCounts[hr] = (seatCounts[hr] || 0) + seats;
     });
     // Build sorted labels and data arrays.  Use the same sorting of hourCounts keys.
-    Object.keys(hourCounts).sort((a, b) => parseInt(a) - parseInt(b)).forEach(hr => {
+    Object.keys(hourCounts).sort(compareBusinessHours).forEach(hr => {
       const hNum = parseInt(hr);
       hrLabels.push(formatHour(hNum));
       hrData.push(hourCounts[hr]);
@@ -319,7 +327,7 @@
     });
     const endHrLabels = [];
     const endHrData = [];
-    Object.keys(endHourCounts).sort((a, b) => parseInt(a) - parseInt(b)).forEach(hr => {
+    Object.keys(endHourCounts).sort(compareBusinessHours).forEach(hr => {
       const hNum = parseInt(hr);
       endHrLabels.push(formatHour(hNum));
       endHrData.push(endHourCounts[hr]);
@@ -594,6 +602,13 @@
       });
     }
 
+    // Capacity charts use auditorium seats rather than show counts
+    try {
+      updateCapacityCharts(primary);
+    } catch (err) {
+      console.error(err);
+    }
+
     // After all charts have been updated, compute flagged issues (gaps and late first shows)
     // and populate the flagged list.  This runs every time charts refresh so the
     // messages reflect the latest first/last show window and schedule data.
@@ -637,6 +652,153 @@
     }
   }
 
+  /**
+   * Destroy a chart (if any) and draw a new one on the canvas with the
+   * given id.  Returns the new chart, or null when the canvas is missing.
+   *
+   * @param {Chart|null} chart
+   * @param {string} canvasId
+   * @param {object} config Chart.js configuration
+   * @returns {Chart|null}
+   */
+  function redrawChart(chart, canvasId, config) {
+    if (chart) {
+      try { chart.destroy(); } catch (_) {}
+    }
+    const canvas = document.getElementById(canvasId);
+    return canvas ? new Chart(canvas.getContext('2d'), config) : null;
+  }
+
+  /**
+   * Draw the capacity charts: seats offered per film (all day and prime
+   * time), prime-time seats in booking priority order, the share of seats
+   * by rating and each auditorium's showing, turnaround and idle minutes.
+   * Films with fewer prime seats than a lower-priority film are listed
+   * under the prime chart.
+   *
+   * @param {string} primary Theme colour
+   */
+  function updateCapacityCharts(primary) {
+    const stats = ShowtimeState.capacityStats();
+    const filmLabel = f => f.title + (f.priority !== null ? ` (P${f.priority})` : '');
+    const filmLabels = stats.films.map(filmLabel);
+    const primeColor = darkenColor(primary, 25);
+    const seatsColor = lightenColor(primary, 30);
+
+    seatsFilmChart = redrawChart(seatsFilmChart, 'seatsFilmChart', {
+      type: 'bar',
+      data: {
+        labels: filmLabels,
+        datasets: [
+          { label: 'All day', data: stats.films.map(f => f.seats), backgroundColor: seatsColor },
+          { label: 'Prime time', data: stats.films.map(f => f.primeSeats), backgroundColor: primeColor }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        indexAxis: 'y',
+        scales: {
+          x: { beginAtZero: true, title: { display: true, text: 'Seats' } },
+          y: { ticks: { autoSkip: false } }
+        }
+      }
+    });
+
+    // Prime seats as a share of all prime seats, films in priority order
+    // so a falling line reads as priorities being honoured.
+    const primeShare = stats.films.map(f => stats.primeSeats > 0 ? (f.primeSeats / stats.primeSeats) * 100 : 0);
+    primeSeatsChart = redrawChart(primeSeatsChart, 'primeSeatsChart', {
+      type: 'bar',
+      data: {
+        labels: filmLabels,
+        datasets: [{ label: 'Prime seats (%)', data: primeShare, backgroundColor: primeColor }]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        scales: {
+          x: { ticks: { autoSkip: false } },
+          y: { beginAtZero: true, max: 100, ticks: { callback: value => value + '%' } }
+        },
+        plugins: {
+          tooltip: {
+            callbacks: {
+              label: context => {
+                const f = stats.films[context.dataIndex];
+                return `${f.primeSeats} seats in ${f.primeShows} prime shows (${context.parsed.y.toFixed(1)}%)`;
+              }
+            }
+          }
+        }
+      }
+    });
+    const notes = document.getElementById('priorityNotes');
+    if (notes) {
+      notes.innerHTML = '';
+      const ranked = stats.films.filter(f => f.priority !== null);
+      ranked.forEach((f, i) => {
+        const lower = ranked.slice(i + 1).find(o => o.priority > f.priority && o.primeSeats > f.primeSeats);
+        if (!lower) return;
+        const li = document.createElement('li');
+        li.className = 'text-yellow-700';
+        li.textContent = `${filmLabel(f)} has ${f.primeSeats} prime seats, fewer than ${filmLabel(lower)} with ${lower.primeSeats}.`;
+        notes.appendChild(li);
+      });
+      if (!notes.children.length && ranked.length) {
+        const li = document.createElement('li');
+        li.className = 'text-green-700';
+        li.textContent = 'Prime-time seats follow booking priority.';
+        notes.appendChild(li);
+      }
+    }
+
+    // One slice per rating, shaded from the theme colour
+    const ratingColors = stats.ratings.map((_, i) => lightenColor(darkenColor(primary, 30), Math.min(80, i * 20)));
+    ratingChart = redrawChart(ratingChart, 'ratingChart', {
+      type: 'doughnut',
+      data: {
+        labels: stats.ratings.map(r => r.rating),
+        datasets: [{ data: stats.ratings.map(r => r.seats), backgroundColor: ratingColors }]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          tooltip: {
+            callbacks: {
+              label: context => {
+                const share = stats.totalSeats > 0 ? (context.parsed / stats.totalSeats) * 100 : 0;
+                return `${context.label}: ${context.parsed} seats (${share.toFixed(1)}%)`;
+              }
+            }
+          }
+        }
+      }
+    });
+
+    // Showing, turnaround and idle minutes stack up to the available time
+    occupancyChart = redrawChart(occupancyChart, 'occupancyChart', {
+      type: 'bar',
+      data: {
+        labels: stats.auds.map(a => a.name),
+        datasets: [
+          { label: 'Showing', data: stats.auds.map(a => a.showingMins), backgroundColor: darkenColor(primary, 10) },
+          { label: 'Turnaround', data: stats.auds.map(a => a.cleanMins), backgroundColor: lightenColor(primary, 40) },
+          { label: 'Idle', data: stats.auds.map(a => Math.max(0, a.availableMins - a.showingMins - a.cleanMins)), backgroundColor: '#e5e7eb' }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        scales: {
+          x: { stacked: true, ticks: { autoSkip: false } },
+          y: { stacked: true, beginAtZero: true, title: { display: true, text: `Minutes (of ${stats.availableMins} available)` } }
+        }
+      }
+    });
+  }
+
   /**
    * Format an hour integer into a 12-hour clock label (e.g. 0 -> 12a, 13 -> 1p)
    *
@@ -648,6 +810,20 @@
     return hour12 + (h < 12 ? 'a' : 'p');
   }
 
+  /**
+   * Compare two hour keys in business‑day order, so hours after midnight
+   * follow the evening ones and the axis starts at the rollover hour.
+   *
+   * @param {string|number} a
+   * @param {string|number} b
+   * @returns {number}
+   */
+  function compareBusinessHours(a, b) {
+    const rollover = parseInt(ShowtimeState.hmFromMinutes(0), 10);
+    const rank = h => (parseInt(h, 10) - rollover + 24) % 24;
+    return rank(a) - rank(b);
+  }
+
   /**
    * Lighten a hex colour by the given percentage (0-100).  Returns a
    * new hex string.  If the input is not a 3- or 6-digit hex string,
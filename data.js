@@ -13,6 +13,126 @@ document.addEventListener('DOMContentLoaded', () => {
 
   const importTextBtn = document.getElementById('importTextBtn');
   const importTextArea = document.getElementById('importText');
+  const rolloverSel = document.getElementById('rolloverHourSelect');
+  const granularitySel = document.getElementById('granularitySelect');
+  const formatPolicySel = document.getElementById('formatPolicySelect');
+  const conflictPolicySel = document.getElementById('conflictPolicySelect');
+  const staggerMaxInput = document.getElementById('staggerMaxInput');
+  const staggerWindowInput = document.getElementById('staggerWindowInput');
+
+  // Business day rollover: hours 0:00a through 12:00p. Every page places
+  // times before it on the following calendar day.
+  function populateRollover() {
+    if (!rolloverSel) return;
+    rolloverSel.innerHTML = '';
+    for (let h = 0; h <= 12; h++) {
+      const opt = document.createElement('option');
+      opt.value = String(h);
+      opt.textContent = ShowtimeState.fmtHM(`${String(h).padStart(2, '0')}:00`);
+      rolloverSel.appendChild(opt);
+    }
+    rolloverSel.value = String(parseInt(ShowtimeState.hmFromMinutes(0), 10));
+  }
+  if (rolloverSel) {
+    populateRollover();
+    rolloverSel.addEventListener('change', () => {
+      const hour = parseInt(rolloverSel.value, 10);
+      const conflicts = ShowtimeState.rolloverConflicts(hour);
+      if (conflicts.length) {
+        const lines = conflicts.slice(0, 8).map(c =>
+          `• ${ShowtimeState.isoToMMDD(c.date)}${c.scenario ? ` (${c.scenario})` : ''} ${c.audName} ${ShowtimeState.fmtHM(c.fromHM)}–${ShowtimeState.fmtHM(c.toHM)}`);
+        if (conflicts.length > 8) lines.push(`• …and ${conflicts.length - 8} more`);
+        alert(`These blackout blocks would cross a ${rolloverSel.options[rolloverSel.selectedIndex].textContent} rollover:\n\n${lines.join('\n')}\n\nShorten or remove them first.`);
+        populateRollover();
+        return;
+      }
+      ShowtimeState.setRolloverHour(hour);
+    });
+    // Follow changes made in another tab or after storage finishes loading
+    window.addEventListener('showtimeStateUpdated', populateRollover);
+  }
+
+  // Start‑time granularity: one of the steps the engine supports.
+  function populateGranularity() {
+    if (!granularitySel) return;
+    granularitySel.innerHTML = '';
+    window.ShowtimeEngine.GRANULARITIES.forEach(step => {
+      const opt = document.createElement('option');
+      opt.value = String(step);
+      opt.textContent = `${step} minutes`;
+      granularitySel.appendChild(opt);
+    });
+    granularitySel.value = String(ShowtimeState.granularity());
+  }
+  if (granularitySel) {
+    populateGranularity();
+    granularitySel.addEventListener('change', () => {
+      ShowtimeState.setGranularity(parseInt(granularitySel.value, 10));
+    });
+    window.addEventListener('showtimeStateUpdated', populateGranularity);
+  }
+
+  // Warn about or block films placed in auditoriums that cannot play
+  // their format.
+  if (formatPolicySel) {
+    const syncPolicy = () => {
+      formatPolicySel.value = ShowtimeState.state.formatPolicy === 'block' ? 'block' : 'warn';
+    };
+    syncPolicy();
+    formatPolicySel.addEventListener('change', () => {
+      ShowtimeState.setFormatPolicy(formatPolicySel.value);
+    });
+    window.addEventListener('showtimeStateUpdated', syncPolicy);
+  }
+
+  // Allow or refuse Gantt drops that start a show before the previous
+  // show in its auditorium is turned.
+  if (conflictPolicySel) {
+    const syncConflictPolicy = () => {
+      conflictPolicySel.value = ShowtimeState.state.conflictPolicy === 'refuse' ? 'refuse' : 'allow';
+    };
+    syncConflictPolicy();
+    conflictPolicySel.addEventListener('change', () => {
+      ShowtimeState.setConflictPolicy(conflictPolicySel.value);
+    });
+    window.addEventListener('showtimeStateUpdated', syncConflictPolicy);
+  }
+
+  // Staggered‑start rule: at most N starts in any X minutes.
+  if (staggerMaxInput && staggerWindowInput) {
+    const syncStagger = () => {
+      const rule = ShowtimeState.staggerRule();
+      staggerMaxInput.value = rule.maxStarts;
+      staggerWindowInput.value = rule.windowMins;
+    };
+    syncStagger();
+    const saveStagger = () => {
+      ShowtimeState.setStaggerRule(staggerMaxInput.value, staggerWindowInput.value);
+      syncStagger();
+    };
+    staggerMaxInput.addEventListener('change', saveStagger);
+    staggerWindowInput.addEventListener('change', saveStagger);
+    window.addEventListener('showtimeStateUpdated', syncStagger);
+  }
+
+  // Replace the saved state with imported data. importState() migrates the
+  // data to the current schema and throws without writing anything when
+  // the file was saved by a newer app version. Wait for storage to be
+  // ready first and for the write to commit before reloading the app.
+  function applyImport(data, successMsg) {
+    Promise.resolve(ShowtimeState.ready)
+      .then(() => {
+        ShowtimeState.importState(data);
+        return ShowtimeState.flush();
+      })
+      .then(() => {
+        alert(successMsg);
+        location.href = 'index.html';
+      })
+      .catch(err => {
+        alert('Import failed: ' + err.message);
+      });
+  }
 
   if (btnJson) {
     btnJson.addEventListener('click', () => {
@@ -34,7 +154,8 @@ document.addEventListener('DOMContentLoaded', () => {
   if (btnCsv) {
     btnCsv.addEventListener('click', () => {
       // Build a CSV across all dates containing movie title, film format, auditorium name,
-      // start time and date. Sort by date then auditorium then start time.
+      // start time, date and the full calendar start. Sort by date then auditorium then
+      // start time.
       const state = ShowtimeState.state || {};
       const scheds = state.scheduleByDate && typeof state.scheduleByDate === 'object' ? Object.keys(state.scheduleByDate) : [];
       // If no schedules exist, simply export an empty CSV with headers.
@@ -70,7 +191,9 @@ document.addEventListener('DOMContentLoaded', () => {
         return (a.rec.start || 0) - (b.rec.start || 0);
       });
       // Build CSV header
-      let csv = 'Movie,Format,Auditorium,Start Time,Date\n';
+      // Start DateTime is the show's actual calendar start, so a show after
+      // midnight carries the next day's date rather than the schedule date.
+      let csv = 'Movie,Format,Auditorium,Start Time,Date,Start DateTime\n';
       const esc = (v) => {
         if (v == null) return '';
         const s = String(v);
@@ -96,7 +219,15 @@ document.addEventListener('DOMContentLoaded', () => {
         try {
           startStr = ShowtimeState.to12 ? ShowtimeState.to12(rec.start) : '';
         } catch (_) {}
-        csv += `${esc(filmTitle)},${esc(filmFormat)},${esc(auditorium)},${esc(startStr)},${esc(date)}\n`;
+        let startDateTime = '';
+        try {
+          const d = new Date(rec.start);
+          if (!isNaN(d)) {
+            const p2 = (n) => String(n).padStart(2, '0');
+            startDateTime = `${d.getFullYear()}-${p2(d.getMonth() + 1)}-${p2(d.getDate())} ${p2(d.getHours())}:${p2(d.getMinutes())}`;
+          }
+        } catch (_) {}
+        csv += `${esc(filmTitle)},${esc(filmFormat)},${esc(auditorium)},${esc(startStr)},${esc(date)},${esc(startDateTime)}\n`;
       });
       // Create and download the CSV file
       const blob = new Blob([csv], { type: 'text/csv' });
@@ -120,25 +251,7 @@ document.addEventListener('DOMContentLoaded', () => {
         try {
           const data = JSON.parse(reader.result);
           if (data && typeof data === 'object') {
-            // Persist the imported state directly into localStorage.  We avoid
-            // calling ShowtimeState.save() here because it writes the internal
-            // state variable (which we cannot mutate from this context) back to
-            // storage, effectively discarding the imported data.  Writing
-            // directly ensures that subsequent loads hydrate from the new state.
-            try {
-              localStorage.setItem('showtime:persist', JSON.stringify(data));
-            } catch (_) {
-              /* ignore storage errors */
-            }
-            // Update the externally exposed state property for completeness,
-            // but note that most pages rely on the internal state loaded via
-            // ShowtimeState.load(), so this assignment alone is insufficient.
-            ShowtimeState.state = data;
-            // Inform the user and reload the application to apply the imported data.
-            alert('Data imported successfully. The application will reload to apply your changes.');
-            setTimeout(() => {
-              location.href = 'index.html';
-            }, 200);
+            applyImport(data, 'Data imported successfully. The application will reload to apply your changes.');
           } else {
             alert('Invalid JSON file.');
           }
@@ -165,24 +278,278 @@ document.addEventListener('DOMContentLoaded', () => {
         return;
       }
       if (data && typeof data === 'object') {
-        // Persist the imported state to localStorage without calling
-        // ShowtimeState.save(). See file import handler for details.
-        try {
-          localStorage.setItem('showtime:persist', JSON.stringify(data));
-        } catch (_) {
-          /* ignore storage errors */
-        }
-        ShowtimeState.state = data;
-        alert('Pasted data imported successfully. The application will reload to apply your changes.');
-        setTimeout(() => {
-          location.href = 'index.html';
-        }, 200);
+        applyImport(data, 'Pasted data imported successfully. The application will reload to apply your changes.');
       } else {
         alert('JSON must be an object representing the saved state.');
       }
     });
   }
 
+  // Save text as a file download.
+  function downloadFile(text, filename, type) {
+    const blob = new Blob([text], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  // File name for a template export: the template name in lower case
+  // with anything but letters and digits turned into dashes.
+  function templateFileName(name) {
+    const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `showtime-template-${slug || 'export'}.json`;
+  }
+
+  // Schedule templates manager: rename in place, export or delete each
+  // template, export all of them, or import a templates file.
+  const templatesBody = document.getElementById('templatesBody');
+  function renderTemplates() {
+    if (!templatesBody) return;
+    templatesBody.innerHTML = '';
+    const templates = ShowtimeState.listTemplates();
+    if (!templates.length) {
+      const tr = document.createElement('tr');
+      const td = document.createElement('td');
+      td.colSpan = 5;
+      td.className = 'px-2 py-2 text-gray-500';
+      td.textContent = 'No templates saved yet.';
+      tr.appendChild(td);
+      templatesBody.appendChild(tr);
+      return;
+    }
+    templates.forEach(tpl => {
+      const tr = document.createElement('tr');
+      const tdName = document.createElement('td');
+      tdName.className = 'px-2 py-1';
+      const nameInput = document.createElement('input');
+      nameInput.type = 'text';
+      nameInput.value = tpl.name;
+      nameInput.className = 'border border-gray-300 rounded px-2 py-1 w-full';
+      nameInput.addEventListener('change', () => {
+        if (!ShowtimeState.renameTemplate(tpl.id, nameInput.value)) nameInput.value = tpl.name;
+      });
+      tdName.appendChild(nameInput);
+      const tdRows = document.createElement('td');
+      tdRows.className = 'px-2 py-1';
+      tdRows.textContent = `${tpl.primeRows.length} prime, ${(tpl.extraRows || []).length} extra, ${(tpl.manualShows || []).length} manual`;
+      const tdWindow = document.createElement('td');
+      tdWindow.className = 'px-2 py-1 whitespace-nowrap';
+      tdWindow.textContent = tpl.firstShowHM && tpl.lastShowHM ? `${ShowtimeState.fmtHM(tpl.firstShowHM)} – ${ShowtimeState.fmtHM(tpl.lastShowHM)}` : '';
+      const tdSaved = document.createElement('td');
+      tdSaved.className = 'px-2 py-1 whitespace-nowrap';
+      const saved = new Date(tpl.created);
+      tdSaved.textContent = isNaN(saved) ? '' : saved.toLocaleDateString();
+      const tdActions = document.createElement('td');
+      tdActions.className = 'px-2 py-1 space-x-2 whitespace-nowrap';
+      const exportBtn = document.createElement('button');
+      exportBtn.className = 'px-2 py-1 bg-blue-700 text-white rounded hover:bg-blue-800 text-xs';
+      exportBtn.textContent = 'Export';
+      exportBtn.addEventListener('click', () => {
+        downloadFile(JSON.stringify(ShowtimeState.exportTemplates([tpl.id]), null, 2), templateFileName(tpl.name), 'application/json');
+      });
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'px-2 py-1 bg-red-700 text-white rounded hover:bg-red-800 text-xs';
+      deleteBtn.textContent = 'Delete';
+      deleteBtn.addEventListener('click', () => {
+        if (!confirm(`Delete template "${tpl.name}"?`)) return;
+        ShowtimeState.deleteTemplate(tpl.id);
+        renderTemplates();
+      });
+      tdActions.appendChild(exportBtn);
+      tdActions.appendChild(deleteBtn);
+      [tdName, tdRows, tdWindow, tdSaved, tdActions].forEach(td => tr.appendChild(td));
+      templatesBody.appendChild(tr);
+    });
+  }
+  if (templatesBody) {
+    renderTemplates();
+    // Follow templates saved in another tab or after storage finishes loading
+    window.addEventListener('showtimeStateUpdated', () => {
+      // Leave a name being edited alone
+      if (document.activeElement && templatesBody.contains(document.activeElement)) return;
+      renderTemplates();
+    });
+  }
+  const exportTemplatesBtn = document.getElementById('exportTemplatesBtn');
+  if (exportTemplatesBtn) {
+    exportTemplatesBtn.addEventListener('click', () => {
+      if (!ShowtimeState.listTemplates().length) {
+        alert('No templates saved yet.');
+        return;
+      }
+      downloadFile(JSON.stringify(ShowtimeState.exportTemplates(), null, 2), 'showtime-templates.json', 'application/json');
+    });
+  }
+  const importTemplatesInput = document.getElementById('importTemplatesInput');
+  if (importTemplatesInput) {
+    importTemplatesInput.addEventListener('change', (e) => {
+      const file = e.target.files && e.target.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = function() {
+        try {
+          const added = ShowtimeState.importTemplates(JSON.parse(reader.result));
+          alert(added ? `Imported ${added} template${added > 1 ? 's' : ''}.` : 'No templates found in the file.');
+          renderTemplates();
+        } catch (err) {
+          alert('Import failed: ' + err.message);
+        }
+        importTemplatesInput.value = '';
+      };
+      reader.readAsText(file);
+    });
+  }
+
+  // Retention policy and archive: how many past dates stay saved, and the
+  // dates pruned so far with Restore and Delete actions.
+  const retentionSel = document.getElementById('retentionSelect');
+  const archiveCheckbox = document.getElementById('archivePrunedCheckbox');
+  const keptDatesList = document.getElementById('keptDatesList');
+  const archiveBody = document.getElementById('archiveBody');
+  const RETENTION_CHOICES = [7, 14, 30, 60, 90, 180, 365];
+  function renderRetention() {
+    const policy = ShowtimeState.retention();
+    if (retentionSel) {
+      retentionSel.innerHTML = '';
+      const choices = RETENTION_CHOICES.slice();
+      if (policy.pastDates !== null && !choices.includes(policy.pastDates)) {
+        choices.push(policy.pastDates);
+        choices.sort((a, b) => a - b);
+      }
+      choices.forEach(n => {
+        const opt = document.createElement('option');
+        opt.value = String(n);
+        opt.textContent = `${n} most recent`;
+        retentionSel.appendChild(opt);
+      });
+      const all = document.createElement('option');
+      all.value = 'all';
+      all.textContent = 'All of them';
+      retentionSel.appendChild(all);
+      retentionSel.value = policy.pastDates === null ? 'all' : String(policy.pastDates);
+    }
+    if (archiveCheckbox) archiveCheckbox.checked = policy.archive;
+    if (keptDatesList) {
+      keptDatesList.innerHTML = '';
+      if (policy.keep.length) {
+        const label = document.createElement('span');
+        label.className = 'font-medium';
+        label.textContent = 'Always kept:';
+        keptDatesList.appendChild(label);
+      }
+      policy.keep.slice().sort().forEach(date => {
+        const chip = document.createElement('span');
+        chip.className = 'inline-flex items-center gap-1 px-2 py-0.5 rounded-full bg-gray-200';
+        chip.textContent = ShowtimeState.isoToMMDD(date);
+        const release = document.createElement('button');
+        release.type = 'button';
+        release.className = 'text-gray-600 hover:text-red-700';
+        release.title = 'Release: the retention limit applies to this date again';
+        release.textContent = '×';
+        release.addEventListener('click', () => {
+          ShowtimeState.setRetention({ keep: policy.keep.filter(d => d !== date) });
+          renderRetention();
+        });
+        chip.appendChild(release);
+        keptDatesList.appendChild(chip);
+      });
+    }
+    if (!archiveBody) return;
+    archiveBody.innerHTML = '';
+    const archived = ShowtimeState.listArchive();
+    if (!archived.length) {
+      const tr = document.createElement('tr');
+      const td = document.createElement('td');
+      td.colSpan = 4;
+      td.className = 'px-2 py-2 text-gray-500';
+      td.textContent = 'No archived dates.';
+      tr.appendChild(td);
+      archiveBody.appendChild(tr);
+      return;
+    }
+    archived.forEach(item => {
+      const tr = document.createElement('tr');
+      const tdDate = document.createElement('td');
+      tdDate.className = 'px-2 py-1 whitespace-nowrap';
+      tdDate.textContent = ShowtimeState.isoToMMDD(item.date);
+      const tdContents = document.createElement('td');
+      tdContents.className = 'px-2 py-1';
+      const parts = [`${item.rows} rows`, `${item.manualShows} manual shows`];
+      if (item.scenarios) parts.push(`${item.scenarios} scenario${item.scenarios > 1 ? 's' : ''}`);
+      tdContents.textContent = parts.join(', ');
+      const tdArchived = document.createElement('td');
+      tdArchived.className = 'px-2 py-1 whitespace-nowrap';
+      const at = new Date(item.archivedAt);
+      tdArchived.textContent = isNaN(at) ? '' : at.toLocaleDateString();
+      const tdActions = document.createElement('td');
+      tdActions.className = 'px-2 py-1 space-x-2 whitespace-nowrap';
+      const restoreBtn = document.createElement('button');
+      restoreBtn.className = 'px-2 py-1 bg-blue-700 text-white rounded hover:bg-blue-800 text-xs';
+      restoreBtn.textContent = 'Restore';
+      restoreBtn.addEventListener('click', () => {
+        const when = ShowtimeState.isoToMMDD(item.date);
+        if (ShowtimeState.listDates().includes(item.date) &&
+            !confirm(`${when} already has a saved schedule. Replace it with the archived one?`)) return;
+        ShowtimeState.restoreArchived(item.date);
+        renderRetention();
+      });
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'px-2 py-1 bg-red-700 text-white rounded hover:bg-red-800 text-xs';
+      deleteBtn.textContent = 'Delete';
+      deleteBtn.addEventListener('click', () => {
+        if (!confirm(`Delete the archived schedule for ${ShowtimeState.isoToMMDD(item.date)}? This cannot be undone.`)) return;
+        ShowtimeState.deleteArchived(item.date);
+        renderRetention();
+      });
+      tdActions.appendChild(restoreBtn);
+      tdActions.appendChild(deleteBtn);
+      [tdDate, tdContents, tdArchived, tdActions].forEach(td => tr.appendChild(td));
+      archiveBody.appendChild(tr);
+    });
+  }
+  if (retentionSel) {
+    retentionSel.addEventListener('change', () => {
+      const value = retentionSel.value === 'all' ? null : parseInt(retentionSel.value, 10);
+      const policy = ShowtimeState.retention();
+      if (value !== null && !policy.archive) {
+        if (!confirm(`Archiving is off, so past dates beyond the ${value} most recent will be deleted. Continue?`)) {
+          renderRetention();
+          return;
+        }
+      }
+      ShowtimeState.setRetention({ pastDates: value });
+      renderRetention();
+    });
+  }
+  if (archiveCheckbox) {
+    archiveCheckbox.addEventListener('change', () => {
+      ShowtimeState.setRetention({ archive: archiveCheckbox.checked });
+      renderRetention();
+    });
+  }
+  const clearArchiveBtn = document.getElementById('clearArchiveBtn');
+  if (clearArchiveBtn) {
+    clearArchiveBtn.addEventListener('click', () => {
+      if (!ShowtimeState.listArchive().length) return;
+      if (!confirm('Delete every archived schedule? This cannot be undone.')) return;
+      ShowtimeState.deleteArchived();
+      renderRetention();
+    });
+  }
+  if (retentionSel || archiveBody) {
+    renderRetention();
+    // Dates pruned by saves in this or another tab show up in the archive
+    window.addEventListener('showtimeStateUpdated', () => {
+      if (document.activeElement === retentionSel) return;
+      renderRetention();
+    });
+  }
+
   // Handle clearing all schedules when the button exists. This resets
   // schedules across all dates while preserving auditoriums and bookings.
   const clearAllBtn = document.getElementById('clearAllSchedulesBtn');
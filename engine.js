@@ -0,0 +1,4197 @@
+// Scheduling engine for the showtime builder application.
+// This file holds the core model: default seeds, time helpers, show
+// generation (buildRowShowtimes/getAllShows), the show mutators, undo and
+// the multi‑date schedule API. It deliberately never touches window,
+// document or localStorage so that the same rules can run headless from
+// Node (nightly builds, regression scripts) as well as in the browser.
+//
+// Usage from Node:
+//   const ShowtimeEngine = require('./engine.js');
+//   const engine = ShowtimeEngine.createEngine({
+//     storage: ShowtimeEngine.memoryStorage(savedStateObject),
+//   });
+//   engine.initDateSupport();
+//   const shows = engine.getAllShows();
+//
+// In the browser app.js creates one engine bound to localStorage and
+// exposes it as window.ShowtimeState.
+
+(function(root, factory) {
+  const api = factory();
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.ShowtimeEngine = api;
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  const LOCAL_KEY = "showtime:persist";
+
+  // Version of the persisted state layout. Bump this whenever the shape
+  // of the saved blob changes and register a matching step in
+  // `migrations` below. Blobs saved before versioning existed have no
+  // schemaVersion field and are treated as version 0.
+  const SCHEMA_VERSION = 5;
+
+  // Default seeds for auditoriums, films and bookings. These mirror
+  // the original React seeds but can be extended by the user.
+  const defaultState = {
+    auds: [
+      {id: 1, name: "Aud 1", format: "Standard", seats: 200},
+      {id: 2, name: "Aud 2", format: "Standard", seats: 190},
+      {id: 3, name: "Aud 3", format: "3D", seats: 150},
+      {id: 4, name: "Aud 4", format: "Laser", seats: 210},
+      {id: 5, name: "Aud 5", format: "Standard", seats: 140},
+      {id: 6, name: "Aud 6", format: "Standard", seats: 140},
+    ],
+    films: [
+      {id: "F1", title: "Thunder Road", rating: "PG-13", runtime: 124, trailer: 18, clean: 20, priority: 1},
+      {id: "F2", title: "Moon Harbor", rating: "R", runtime: 108, trailer: 16, clean: 20, priority: 2},
+      {id: "F3", title: "Galaxy Kids 3D", rating: "PG", runtime: 97, trailer: 15, clean: 15, priority: 3},
+    ],
+    // Bookings tie films to slots and weeks. `week` is the film week the
+    // engagement opens, `weekYear` the year of that week and `weeksOut`
+    // the run length in weeks (see engagementOf); a booking with a blank
+    // week plays on every date. A
+    // slot simply labels a booking and is shown on the prime page. A
+    // booking may carry distributor terms in `terms` (see BOOKING_TERMS).
+    bookings: [
+      {id: "B1", week: "", weekYear: "", slot: "1", filmId: "F1", notes: "", weeksOut: 1},
+      {id: "B2", week: "", weekYear: "", slot: "2", filmId: "F2", notes: "", weeksOut: 1},
+      {id: "B3", week: "", weekYear: "", slot: "3", filmId: "F3", notes: "", weeksOut: 1},
+    ],
+    // Prime rows mirror bookings with selected prime times. Each entry
+    // references a booking by id and stores an auditorium assignment and
+    // prime time. The prime time is stored as an HM string (HH:MM). New
+    // bookings without a prime time remain blank until selected on the
+    // prime page or schedule grid.
+    primeRows: [],
+    // Extra rows are user‑added rows that behave like prime rows but are
+    // not backed by a booking. They have a unique rowId beginning with
+    // "EX-", a slot (string) and references to filmId, audId and
+    // primeHM. They allow building custom cycles beyond the bookings.
+    extraRows: [],
+    // Manual shows are single show instances created directly on the
+    // schedule grid. They do not participate in cycling like prime rows and
+    // persist independently. Each has its own id, rowId, audId, audName,
+    // filmId, filmTitle, start (Date), end (Date), runtime, trailer,
+    // clean and cycle. They can be deleted by hiding the show (selecting
+    // blank in the dropdown).
+    manualShows: [],
+    // Overrides allow editing individual show start times or auditorium
+    // assignments without altering the base schedule. The key is the show
+    // id (rowId:offset) and the value is an object with optional
+    // start (Date), audId (number) and filmId (string). An override
+    // leaves all other fields of the base show untouched.
+    overrides: {},
+    // Hidden shows are shows removed from the schedule grid. They remain
+    // in state for undo but are filtered out of the showtime list. Keys
+    // are show ids and values are true.
+    hiddenShows: {},
+    // Blackout blocks: ranges an auditorium is reserved on this date for a
+    // private rental, an event or maintenance (see addBlackout). Each has
+    // an id, audId, kind (see BLACKOUT_KINDS), note and wall‑clock
+    // fromHM/toHM. Show cycles that would run into a block are not
+    // generated.
+    blackouts: [],
+    // Fixed‑time events on this date: one‑off screenings that start at an
+    // exact time whatever the auditorium's cycle (see addEvent). Each has
+    // an id, audId, startHM, title, optional filmId, its own runtime,
+    // preshow and clean minutes, and an optional second feature
+    // ({filmId, title, runtime}) that starts as soon as the first ends.
+    // Events appear among the shows; the show cycles of the same
+    // auditorium are re‑anchored around them (see buildRowShowtimes).
+    events: [],
+    // When multi-date support is enabled, schedule data for each date is stored
+    // under scheduleByDate. Each entry keyed by a date string (YYYY-MM-DD)
+    // contains the arrays of primeRows, extraRows, manualShows, overrides,
+    // hiddenShows and undoStack for that specific date. This allows
+    // switching between schedules without losing data. If undefined, the
+    // app operates in single-date mode using top-level fields. See
+    // initDateSupport() and setDate() for details.
+    scheduleByDate: {},
+    // The currently selected date for the schedule. When null, the app
+    // will default to today's date on first initialisation. The date
+    // string must be in ISO format (YYYY-MM-DD) so that lexical sorting
+    // matches chronological order.
+    currentDate: null,
+    // The currently configured first and last show times. These are HM
+    // strings. The lastShowHM may represent a time after midnight (e.g.
+    // "02:00"). In such cases, code that compares dates must treat the
+    // last show as belonging to the next day. See dtFromHM below.
+    firstShowHM: "07:00", // 7:00a
+    lastShowHM: "23:00",  // 11:00p
+    // Hour at which the theatre's business day starts. Times before it
+    // belong to the previous date's schedule. Change it only through
+    // setRolloverHour(), which re‑bases the stored show starts.
+    rolloverHour: 5,
+    // Start‑time granularity in minutes (5, 10 or 15). See GRANULARITIES.
+    granularity: 5,
+    // What to do when a film is placed in an auditorium that cannot play
+    // its format (see canPlayFormat): 'warn' makes the change and reports
+    // it, 'block' refuses it.
+    formatPolicy: 'warn',
+    // What a Gantt drag or drop does when it makes a show start before the
+    // previous show in its auditorium is out and cleaned (see
+    // turnaroundConflicts): 'allow' places it and marks the conflict,
+    // 'refuse' leaves the schedule as it was.
+    conflictPolicy: 'allow',
+    // Lobby and box office load: at most maxStarts show starts in any
+    // windowMins minutes (see staggerRuleOf). maxStarts 0 turns it off.
+    staggerRule: { maxStarts: 3, windowMins: 10 },
+    // Named schedule layouts saved with saveTemplate(): the prime/extra
+    // rows, manual shows and first/last show window of a date, with films
+    // identified by booking slot so applyTemplate() can map them onto
+    // whatever is booked later.
+    templates: [],
+    // What‑if copies of a date's schedule (see forkScenario). Each holds
+    // an id, its date, a name and its own schedule fields. scenarioId is
+    // the scenario the pages are editing; null edits the official
+    // schedule in scheduleByDate.
+    scenarios: [],
+    scenarioId: null,
+    // Which saved dates pruneOldSchedules() keeps (see retentionOf): the
+    // current date, every date from today on, the dates in `keep` and the
+    // `pastDates` most recent past dates (null keeps them all). With
+    // `archive` set, pruned dates move to scheduleArchive instead of
+    // being deleted.
+    retention: { pastDates: 14, archive: true, keep: [] },
+    // Pruned schedules by date, without their undo history. Restored
+    // with restoreArchived().
+    scheduleArchive: {},
+    // Whether to display end times beneath start times on the schedule
+    // grid. Toggled via Hide End Times button.
+    showEndTimes: true,
+    // Gantt view: zoom factor (1 fits the day to the page width) and the
+    // minutes between gridlines. See gantt.js.
+    ganttView: { zoom: 1, gridMins: 30 },
+    // Command history for the current date. Every schedule mutator runs
+    // as a command (see runCommand) and pushes an entry holding a label,
+    // a timestamp and the before/after values of everything it changed.
+    // undo() moves the newest entry onto redoStack; redo() moves it back.
+    // Older saves may still hold typed legacy entries (edit/hide/manual/
+    // moveAud/editFilm), which undo() understands but cannot redo.
+    undoStack: [],
+    redoStack: [],
+    // Controls whether the Start‑time Order panel is open. When true,
+    // order-panel.js will show the side panel by default and leave the
+    // main content shifted left. Persisting this flag allows the panel
+    // to remain open across tab navigations.
+    showOrderPanel: true,
+    // Layout version of this state object. See SCHEMA_VERSION and
+    // migrateState() below.
+    schemaVersion: SCHEMA_VERSION,
+  };
+
+  // Helper: pad single digit to two digits.
+  function pad(n) { return n.toString().padStart(2, "0"); }
+
+  // Default hour (local time) at which a business day starts. Shows
+  // before this hour belong to the previous date's schedule: a 1:30a show
+  // listed on the 18th actually starts on the 19th. Theatres set their
+  // own with state.rolloverHour (see setRolloverHour); the helpers below
+  // take it as an optional last argument.
+  const ROLLOVER_HOUR = 5;
+
+  // A valid rollover hour (0‑12), or the default.
+  function rolloverOf(hour) {
+    const h = Number(hour);
+    return Number.isInteger(h) && h >= 0 && h <= 12 ? h : ROLLOVER_HOUR;
+  }
+
+  // Parse an HH:MM string into [hours, minutes], clamped to a valid time.
+  function parseHM(hm) {
+    if (typeof hm !== 'string') hm = '0:00';
+    const m = hm.match(/^(\d{1,2}):(\d{1,2})$/);
+    let H = 0, M = 0;
+    if (m) {
+      H = Math.min(23, Math.max(0, parseInt(m[1], 10) || 0));
+      M = Math.min(59, Math.max(0, parseInt(m[2], 10) || 0));
+    }
+    return [H, M];
+  }
+
+  // Convert HH:MM string to a Date at that time. With a schedule date
+  // (YYYY-MM-DD) the time is placed on that date's business day, so
+  // times before the rollover hour fall on the following calendar day.
+  // Without one it returns today at the given time and never rolls
+  // over; that form is kept for callers that only need the time of day.
+  function dtFromHM(hm, dateIso, rollover) {
+    if (parseIsoDate(dateIso)) return dateAt(dateIso, minutesFromHM(hm, rollover), rollover);
+    const [H, M] = parseHM(hm);
+    const d = new Date();
+    d.setHours(H, M, 0, 0);
+    return d;
+  }
+
+  // Split a YYYY-MM-DD string into [year, monthIndex, day], or null.
+  function parseIsoDate(dateIso) {
+    if (typeof dateIso !== 'string') return null;
+    const m = dateIso.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    return m ? [parseInt(m[1], 10), parseInt(m[2], 10) - 1, parseInt(m[3], 10)] : null;
+  }
+
+  // Minutes from the start of the business day for an HH:MM time
+  // (0 = the rollover hour, 1439 = one minute before the next day starts).
+  function minutesFromHM(hm, rollover) {
+    const [H, M] = parseHM(hm);
+    return (H * 60 + M - rolloverOf(rollover) * 60 + 1440) % 1440;
+  }
+
+  // Inverse of minutesFromHM: wall‑clock HH:MM for business minutes.
+  function hmFromMinutes(min, rollover) {
+    const wall = ((Math.round(min) + rolloverOf(rollover) * 60) % 1440 + 1440) % 1440;
+    return pad(Math.floor(wall / 60)) + ':' + pad(wall % 60);
+  }
+
+  // Calendar Date of a show `min` minutes into the business day of
+  // `dateIso`. Built from wall‑clock fields so DST changes keep the
+  // listed time.
+  function dateAt(dateIso, min, rollover) {
+    const p = parseIsoDate(dateIso);
+    if (!p) return dtFromHM(hmFromMinutes(min, rollover));
+    return new Date(p[0], p[1], p[2], rolloverOf(rollover), Math.round(min), 0, 0);
+  }
+
+  // Business minutes of a Date relative to the business day of `dateIso`
+  // (negative before it starts, 1440 and up after it ends).
+  function minutesAt(dateIso, d, rollover) {
+    const p = parseIsoDate(dateIso);
+    if (!p || !(d instanceof Date)) return minutesFromHM(hmFromDate(new Date(d)), rollover);
+    const days = Math.round((Date.UTC(d.getFullYear(), d.getMonth(), d.getDate()) - Date.UTC(p[0], p[1], p[2])) / 86400000);
+    return days * 1440 + d.getHours() * 60 + d.getMinutes() - rolloverOf(rollover) * 60;
+  }
+
+  // Call fn for every manual show and override record of a schedule
+  // entry (or the top‑level working copy), including the before/after
+  // copies held by its command history entries.
+  function eachTimedRecord(sched, fn) {
+    if (!sched || typeof sched !== 'object') return;
+    if (Array.isArray(sched.manualShows)) sched.manualShows.forEach(fn);
+    if (sched.overrides && typeof sched.overrides === 'object') Object.values(sched.overrides).forEach(fn);
+    [].concat(sched.undoStack || [], sched.redoStack || []).forEach(entry => {
+      const changes = entry && entry.changes;
+      if (!changes) return;
+      ['manualShows', 'overrides'].forEach(f => {
+        const set = changes[f] && changes[f].set;
+        if (set) Object.values(set).forEach(pair => { if (Array.isArray(pair)) pair.forEach(fn); });
+      });
+    });
+  }
+
+  // Today's business date as YYYY-MM-DD: the local calendar date, or the
+  // day before while the business day that began then is still running
+  // (before the rollover hour, default ROLLOVER_HOUR).
+  function todayIso(rolloverHour) {
+    const d = new Date();
+    if (d.getHours() < rolloverOf(rolloverHour)) d.setDate(d.getDate() - 1);
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+  }
+
+  // Convert a Date to HH:MM string in 24‑hour format.
+  function hmFromDate(d) { return pad(d.getHours()) + ":" + pad(d.getMinutes()); }
+
+  // Add minutes to a date, returning a new Date.
+  function addMins(d, mins) { const nd = new Date(d.getTime()); nd.setMinutes(nd.getMinutes() + mins); return nd; }
+
+  // Difference in minutes between two dates (a - b).
+  function diffMins(a, b) { return Math.round((a.getTime() - b.getTime()) / 60000); }
+
+  // The prime window: prime times are chosen from it and shows starting
+  // in it count as prime‑time shows.
+  const PRIME_WINDOW = { from: '18:00', to: '20:30' };
+
+  // Film‑rental terms a booking can carry in booking.terms, keyed as
+  // below. Flags are true/false; counts are whole numbers, blank when the
+  // term does not apply. termsViolations() checks them.
+  const BOOKING_TERMS = [
+    { key: 'largestHouse', label: 'Must play in the largest house', type: 'flag' },
+    { key: 'minShows', label: 'Minimum shows daily', type: 'count' },
+    { key: 'maxOutsidePrime', label: 'Most shows outside prime', type: 'count' },
+    { key: 'exclusiveFormat', label: 'Exclusive format screens', type: 'flag' },
+  ];
+
+  // Reasons an auditorium can be blacked out on a date (see addBlackout).
+  const BLACKOUT_KINDS = [
+    { key: 'rental', label: 'Private rental' },
+    { key: 'event', label: 'Event' },
+    { key: 'maintenance', label: 'Maintenance' },
+  ];
+
+  // Film weeks run Friday to Thursday and are numbered by the ISO week
+  // their Friday falls in. A booking opens on film week `week` and plays
+  // `weeksOut` whole weeks (1 when blank); a booking without a week
+  // number plays on every date.
+
+  // Whole days since 1970‑01‑01 for a YYYY-MM-DD string, or null.
+  // Counting UTC days keeps week arithmetic clear of DST changes.
+  function dayOfIso(dateIso) {
+    const p = parseIsoDate(dateIso);
+    return p ? Math.round(Date.UTC(p[0], p[1], p[2]) / 86400000) : null;
+  }
+
+  // Inverse of dayOfIso.
+  function isoOfDay(day) {
+    const d = new Date(day * 86400000);
+    return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+  }
+
+  // Day number of the Friday that opens film week `week` of `year`.
+  function filmWeekStartDay(year, week) {
+    const jan4 = Math.round(Date.UTC(year, 0, 4) / 86400000);
+    const monday = jan4 - (new Date(jan4 * 86400000).getUTCDay() + 6) % 7;
+    return monday + (week - 1) * 7 + 4;
+  }
+
+  /**
+   * The film week containing a date.
+   * @param {string} dateIso YYYY-MM-DD
+   * @returns {{year: number, week: number, from: string, to: string}|null}
+   *          from/to are the Friday and Thursday
+   */
+  function filmWeekOf(dateIso) {
+    const day = dayOfIso(dateIso);
+    if (day === null) return null;
+    const friday = day - (new Date(day * 86400000).getUTCDay() + 2) % 7;
+    // The ISO week year is the year of the week's Thursday
+    const year = new Date((friday - 1) * 86400000).getUTCFullYear();
+    const week = Math.floor((friday - filmWeekStartDay(year, 1)) / 7) + 1;
+    return { year, week, from: isoOfDay(friday), to: isoOfDay(friday + 6) };
+  }
+
+  // A booking's opening week, its year and run length, or null when it
+  // has no usable week number. `year` is null for a week saved without
+  // one (see weekYearNear).
+  function bookingRunOf(booking) {
+    const week = parseInt(booking && booking.week, 10);
+    if (isNaN(week) || week < 1 || week > 53) return null;
+    const weeks = parseInt(booking.weeksOut, 10);
+    const year = parseInt(booking.weekYear, 10);
+    return {
+      week,
+      year: isNaN(year) || year < 1970 || year > 9999 ? null : year,
+      weeks: isNaN(weeks) || weeks < 1 ? 1 : weeks,
+    };
+  }
+
+  /**
+   * The film week year a week number without one most likely means,
+   * seen from a date: the year whose run covers the date, else the next
+   * one to open, else the last one, of the date's year and the years
+   * either side. The Bookings page fills booking.weekYear with it.
+   * @param {number|string} week film week number (1–53)
+   * @param {number|string} weeksOut run length in weeks, blank for one
+   * @param {string} dateIso YYYY-MM-DD
+   * @returns {number|null} null when the week or date is not valid
+   */
+  function weekYearNear(week, weeksOut, dateIso) {
+    const run = bookingRunOf({ week, weeksOut });
+    const day = dayOfIso(dateIso);
+    if (!run || day === null) return null;
+    const year = new Date(day * 86400000).getUTCFullYear();
+    const runs = [year - 1, year, year + 1].map(y => {
+      const from = filmWeekStartDay(y, run.week);
+      return { year: y, from, to: from + run.weeks * 7 - 1 };
+    });
+    const pick = runs.find(x => x.from <= day && day <= x.to) ||
+      runs.find(x => x.from > day) || runs[runs.length - 1];
+    return pick.year;
+  }
+
+  /**
+   * A booking's engagement: the run opening in film week `week` of
+   * `weekYear`, and how far into it a date is. A booking saved before
+   * weeks carried a year gets the run nearest the date (weekYearNear).
+   * @param {object} booking
+   * @param {string} dateIso YYYY-MM-DD
+   * @returns {{from: string, to: string, weeks: number, weekOfRun: number|null}|null}
+   *          null when the booking has no week number; weekOfRun is null
+   *          when the date is outside the run
+   */
+  function engagementOf(booking, dateIso) {
+    const run = bookingRunOf(booking);
+    const day = dayOfIso(dateIso);
+    if (!run || day === null) return null;
+    const year = run.year !== null ? run.year : weekYearNear(run.week, run.weeks, dateIso);
+    const from = filmWeekStartDay(year, run.week);
+    const to = from + run.weeks * 7 - 1;
+    const covers = from <= day && day <= to;
+    return {
+      from: isoOfDay(from),
+      to: isoOfDay(to),
+      weeks: run.weeks,
+      weekOfRun: covers ? Math.floor((day - from) / 7) + 1 : null,
+    };
+  }
+
+  // Whether a booking plays on a date: inside its engagement, or always
+  // when it has no week number.
+  function playsOn(booking, dateIso) {
+    const eng = engagementOf(booking, dateIso);
+    return !eng || eng.weekOfRun !== null;
+  }
+
+  // Start‑time granularities a theatre can schedule on (minutes). Cycles
+  // are rounded up to the chosen step and start time choices, prime
+  // options and Gantt drags snap to it. Set with state.granularity.
+  const GRANULARITIES = [5, 10, 15];
+
+  // A supported granularity, or the 5‑minute default.
+  function granularityOf(step) {
+    const n = Number(step);
+    return GRANULARITIES.includes(n) ? n : GRANULARITIES[0];
+  }
+
+  // Round a number up to the nearest multiple of `step` (default five).
+  function roundUpTo(x, step) {
+    const s = granularityOf(step);
+    return Math.ceil(x / s) * s;
+  }
+
+  // Convert a date to a 12‑hour time with am/pm suffix (e.g. "10:30p").
+  function to12(d) {
+    // Format a Date to 12‑hour time with am/pm suffix.
+    // Hours 0‑11 are AM and 12‑23 are PM. Midnight should be 12:MMam and noon 12:MMpm.
+    let h = d.getHours();
+    const m = pad(d.getMinutes());
+    const isPm = h >= 12;
+    // Convert to 12‑hour format (0 becomes 12, 13 becomes 1).
+    h = h % 12 || 12;
+    // Use explicit am/pm suffix rather than a single letter. This improves readability
+    // for time pickers and selectors.
+    const suffix = isPm ? 'pm' : 'am';
+    return `${h}:${m}${suffix}`;
+  }
+
+  // Minutes needed to turn the house after a show: the film's clean time
+  // or the auditorium's (large recliner houses take longer to turn than
+  // small rooms), whichever is longer.
+  function turnaroundMinutes(film, aud) {
+    return Math.max((film && film.clean) || 0, (aud && aud.clean) || 0);
+  }
+
+  // Given a film object and optionally the auditorium it plays in, compute
+  // the total minutes of a show cycle (runtime + trailer + turnaround),
+  // rounded up to the granularity `step` (default 5 minutes).
+  function cycleMinutes(film, aud, step) {
+    if (!film) return 0;
+    const total = (film.runtime || 0) + (film.trailer || 0) + turnaroundMinutes(film, aud);
+    return roundUpTo(total, step);
+  }
+
+  // Format of a film's print; films without one are Standard.
+  function filmFormat(film) {
+    const f = film && typeof film.format === 'string' ? film.format.trim() : '';
+    return f || 'Standard';
+  }
+
+  // Formats an auditorium can play. Auditoriums declare them in
+  // `formats`; records without that list only name their own format and
+  // are taken to play Standard prints as well.
+  function audFormats(aud) {
+    if (!aud) return [];
+    if (Array.isArray(aud.formats) && aud.formats.length) {
+      return aud.formats.map(f => String(f).trim()).filter(Boolean);
+    }
+    const own = typeof aud.format === 'string' && aud.format.trim() ? aud.format.trim() : 'Standard';
+    return own.toLowerCase() === 'standard' ? [own] : [own, 'Standard'];
+  }
+
+  // Whether a film's format can play in an auditorium. Missing films or
+  // auditoriums never count as a mismatch. Formats compare without case.
+  function canPlayFormat(film, aud) {
+    if (!film || !aud) return true;
+    const need = filmFormat(film).toLowerCase();
+    return audFormats(aud).some(f => f.toLowerCase() === need);
+  }
+
+  // A valid stagger rule: at most `maxStarts` starts in any `windowMins`
+  // minutes. Missing or bad values fall back to three starts in ten
+  // minutes; a maxStarts of 0 turns the rule off.
+  function staggerRuleOf(rule) {
+    const r = rule && typeof rule === 'object' ? rule : {};
+    const max = parseInt(r.maxStarts, 10);
+    const win = parseInt(r.windowMins, 10);
+    return {
+      maxStarts: isNaN(max) || max < 0 ? 3 : max,
+      windowMins: isNaN(win) || win < 1 ? 10 : Math.min(win, 120),
+    };
+  }
+
+  // A valid retention policy (see defaultState.retention). Bad or
+  // missing counts fall back to 14 past dates.
+  function retentionOf(policy) {
+    const p = policy && typeof policy === 'object' ? policy : {};
+    const count = parseInt(p.pastDates, 10);
+    return {
+      pastDates: p.pastDates === null ? null : (isNaN(count) || count < 0 ? 14 : count),
+      archive: p.archive !== false,
+      keep: Array.isArray(p.keep) ? p.keep.filter(d => typeof d === 'string') : [],
+    };
+  }
+
+  // Windows that hold more starts than the rule allows. `starts` is a list
+  // of {id, min} (business‑day minutes); each window returned covers
+  // [from, to) and lists the ids starting in it. Overlapping windows are
+  // merged so one crowded stretch is reported once.
+  function crowdedStarts(starts, rule) {
+    const r = staggerRuleOf(rule);
+    if (!r.maxStarts) return [];
+    const sorted = starts.slice().sort((a, b) => a.min - b.min);
+    const out = [];
+    let j = 0;
+    for (let i = 0; i < sorted.length; i++) {
+      const from = sorted[i].min;
+      while (j < sorted.length && sorted[j].min < from + r.windowMins) j++;
+      if (j - i <= r.maxStarts) continue;
+      const ids = sorted.slice(i, j).map(s => s.id);
+      const last = out[out.length - 1];
+      if (last && from < last.to) {
+        ids.forEach(id => { if (!last.ids.includes(id)) last.ids.push(id); });
+        last.to = from + r.windowMins;
+      } else {
+        out.push({ from, to: from + r.windowMins, ids });
+      }
+    }
+    return out;
+  }
+
+  // Compute the end time of a show given a start and film definition.
+  function endOfMovie(start, film) {
+    return addMins(start, (film.runtime || 0) + (film.trailer || 0));
+  }
+
+  // Format duration (minutes) to H:MM (e.g. 2:10).
+  function fmtDur(mins) {
+    return `${Math.floor(mins / 60)}:${pad(mins % 60)}`;
+  }
+
+  // Convert an ISO date string (YYYY-MM-DD) to MM/DD/YYYY format. If the
+  // input is invalid, return the original string. Note that this
+  // utility does not change the underlying date object; it merely
+  // reformats the string for display. This is useful for rendering
+  // dates in the US style (e.g. 2025-08-19 -> 08/19/2025).
+  function isoToMMDD(dateStr) {
+    if (!dateStr || typeof dateStr !== 'string') return dateStr;
+    const parts = dateStr.split('-');
+    if (parts.length !== 3) return dateStr;
+    const [y, m, d] = parts;
+    return `${m}/${d}/${y}`;
+  }
+
+  // Convert a MM/DD/YYYY string to ISO format (YYYY-MM-DD). If the
+  // input is invalid or cannot be parsed, returns null. This helper
+  // splits on either '/' or '-' for robustness. Leading zeros are
+  // added to the month and day parts. The year must be four digits.
+  function mmddToIso(mmdd) {
+    if (!mmdd || typeof mmdd !== 'string') return null;
+    // Split on common separators
+    const parts = mmdd.trim().split(/[\/-]/);
+    if (parts.length !== 3) return null;
+    let [m, d, y] = parts;
+    // Ensure year has four digits
+    if (y.length !== 4) return null;
+    // Pad month and day to two digits
+    m = m.padStart(2, '0');
+    d = d.padStart(2, '0');
+    // Basic validation
+    const mm = parseInt(m, 10);
+    const dd = parseInt(d, 10);
+    const yyyy = parseInt(y, 10);
+    if (
+      isNaN(mm) || isNaN(dd) || isNaN(yyyy) ||
+      mm < 1 || mm > 12 ||
+      dd < 1 || dd > 31 ||
+      yyyy < 1000 || yyyy > 9999
+    ) {
+      return null;
+    }
+    return `${y}-${m}-${d}`;
+  }
+
+  // Convert HM string to 12‑hour display format (e.g. "14:00" -> "2:00p").
+  function fmtHM(hm) {
+    return to12(dtFromHM(hm));
+  }
+
+
+  // Empty per‑date schedule entry. Shared by the migrations and the
+  // multi‑date helpers so every entry carries the same keys.
+  function emptySchedule() {
+    return {
+      primeRows: [],
+      extraRows: [],
+      manualShows: [],
+      overrides: {},
+      hiddenShows: {},
+      blackouts: [],
+      events: [],
+      undoStack: [],
+      redoStack: [],
+    };
+  }
+
+  /**
+   * Registry of forward migrations. Each step upgrades a raw state object
+   * from version `to - 1` to version `to` in place. Steps must be
+   * idempotent and tolerant of partially filled data because older
+   * exports were frequently hand edited. Keep the list ordered by `to`.
+   */
+  const migrations = [
+    {
+      to: 1,
+      describe: 'Fill film/booking/auditorium fields and move single-date schedules into scheduleByDate',
+      up(st) {
+        if (Array.isArray(st.films)) {
+          st.films.forEach(f => {
+            if (!f) return;
+            if (f.format === undefined || f.format === null) f.format = '';
+            if (typeof f.trailer !== 'number') f.trailer = parseInt(f.trailer, 10) || 0;
+            if (typeof f.clean !== 'number') f.clean = parseInt(f.clean, 10) || 0;
+            if (typeof f.runtime !== 'number') f.runtime = parseInt(f.runtime, 10) || 0;
+            if (f.priority === undefined || f.priority === null) f.priority = '';
+            if (f.rating === undefined || f.rating === null) f.rating = '';
+          });
+        }
+        if (Array.isArray(st.bookings)) {
+          st.bookings.forEach(b => {
+            if (!b) return;
+            if (b.notes === undefined || b.notes === null) b.notes = '';
+            if (b.weeksOut === undefined || b.weeksOut === null) b.weeksOut = '';
+            if (b.week === undefined || b.week === null) b.week = '';
+            if (b.slot !== undefined && b.slot !== null) b.slot = String(b.slot);
+          });
+        }
+        if (Array.isArray(st.auds)) {
+          st.auds.forEach(a => {
+            if (!a) return;
+            if (!a.format) a.format = 'Standard';
+            if (typeof a.seats !== 'number') a.seats = parseInt(a.seats, 10) || 0;
+          });
+        }
+        // Exports from the single‑date era keep their schedule in the
+        // top‑level fields only. Move it under the file's current date
+        // (or today) so that it is not lost when initDateSupport() loads
+        // an empty entry for that date.
+        if (!st.scheduleByDate || typeof st.scheduleByDate !== 'object' || Array.isArray(st.scheduleByDate)) {
+          st.scheduleByDate = {};
+          const hasTopLevel = ['primeRows', 'extraRows', 'manualShows'].some(k => Array.isArray(st[k]) && st[k].length);
+          if (hasTopLevel) {
+            if (!st.currentDate) st.currentDate = todayIso(st.rolloverHour);
+            st.scheduleByDate[st.currentDate] = {
+              primeRows: Array.isArray(st.primeRows) ? st.primeRows : [],
+              extraRows: Array.isArray(st.extraRows) ? st.extraRows : [],
+              manualShows: Array.isArray(st.manualShows) ? st.manualShows : [],
+              overrides: st.overrides && typeof st.overrides === 'object' ? st.overrides : {},
+              hiddenShows: st.hiddenShows && typeof st.hiddenShows === 'object' ? st.hiddenShows : {},
+              undoStack: Array.isArray(st.undoStack) ? st.undoStack : [],
+            };
+          }
+        }
+        // Make sure every per‑date entry carries all schedule keys
+        Object.keys(st.scheduleByDate).forEach(d => {
+          const sched = st.scheduleByDate[d];
+          st.scheduleByDate[d] = { ...emptySchedule(), ...(sched && typeof sched === 'object' ? sched : {}) };
+        });
+      },
+    },
+    {
+      to: 2,
+      describe: 'Add a redo stack next to every undo stack',
+      up(st) {
+        if (!Array.isArray(st.redoStack)) st.redoStack = [];
+        Object.values(st.scheduleByDate || {}).forEach(sched => {
+          if (sched && typeof sched === 'object' && !Array.isArray(sched.redoStack)) sched.redoStack = [];
+        });
+      },
+    },
+    {
+      to: 3,
+      describe: 'Store show start times as minutes from the start of the business day',
+      up(st) {
+        // Starts used to be saved as the full Date of the day the edit was
+        // made; only their time of day is meaningful.
+        const convert = obj => {
+          if (!obj || typeof obj !== 'object' || typeof obj.startMin === 'number') return;
+          if (obj.start) {
+            const d = new Date(obj.start);
+            if (!isNaN(d)) obj.startMin = minutesFromHM(hmFromDate(d));
+          }
+          delete obj.start;
+          delete obj.end;
+        };
+        eachTimedRecord(st, convert);
+        Object.values(st.scheduleByDate || {}).forEach(sched => eachTimedRecord(sched, convert));
+      },
+    },
+    {
+      to: 4,
+      describe: 'Clear booking week numbers saved before they set engagement dates',
+      up(st) {
+        // Week numbers could not be edited and were ignored, so the ones
+        // on file are leftovers from the sample data. Keeping them would
+        // take those films off every date outside that week.
+        if (Array.isArray(st.bookings)) {
+          st.bookings.forEach(b => { if (b) b.week = ''; });
+        }
+      },
+    },
+    {
+      to: 5,
+      describe: 'Give booking week numbers the year their engagement opens',
+      up(st) {
+        // Without a year a week number repeats every year. Pin each one to
+        // the run the app showed for it, the one nearest the file's date.
+        const date = st.currentDate || todayIso(st.rolloverHour);
+        (Array.isArray(st.bookings) ? st.bookings : []).forEach(b => {
+          if (!b || (b.weekYear !== undefined && b.weekYear !== null && b.weekYear !== '')) return;
+          b.weekYear = weekYearNear(b.week, b.weeksOut, date) || '';
+        });
+      },
+    },
+  ];
+
+  /**
+   * Upgrade a raw persisted state object to SCHEMA_VERSION by running
+   * every registered migration newer than its schemaVersion. The object
+   * is modified in place and returned. Throws an Error with
+   * code 'SCHEMA_TOO_NEW' when the data was written by a newer version
+   * of the app than this one understands, so callers can refuse to load
+   * (and, crucially, refuse to overwrite) it.
+   * @param {object} raw
+   * @returns {object}
+   */
+  function migrateState(raw) {
+    if (!raw || typeof raw !== 'object') return raw;
+    const from = parseInt(raw.schemaVersion, 10) || 0;
+    if (from > SCHEMA_VERSION) {
+      const err = new Error(`This data was saved by a newer version of Showtime Builder (schema ${from}); this copy only understands schema ${SCHEMA_VERSION}. Please update the app before opening it.`);
+      err.code = 'SCHEMA_TOO_NEW';
+      err.schemaVersion = from;
+      throw err;
+    }
+    migrations.forEach(step => {
+      if (step.to > from) step.up(raw);
+    });
+    raw.schemaVersion = SCHEMA_VERSION;
+    return raw;
+  }
+
+  /**
+   * Storage adapters. The engine only needs two operations from its
+   * storage: read() returns the last persisted state object (or null
+   * when nothing has been saved yet) and write(state) persists the
+   * whole state. Any object implementing these two methods can be
+   * passed to createEngine(). Both are synchronous; asynchronous
+   * backends (see storage-idb.js) keep an in‑memory copy and call
+   * engine.reload() once their data has been read.
+   */
+
+  // Keep state in memory only. Useful for scripts and tests: seed it
+  // with a previously exported JSON object and inspect written() after
+  // running mutators. The state is round‑tripped through JSON so that
+  // Dates are serialised exactly as they would be in the browser.
+  function memoryStorage(initial) {
+    let raw = initial ? JSON.stringify(initial) : null;
+    return {
+      read() { return raw ? JSON.parse(raw) : null; },
+      write(st) { raw = JSON.stringify(st); },
+      written() { return raw ? JSON.parse(raw) : null; },
+    };
+  }
+
+  // Wrap a Web Storage style object (localStorage, sessionStorage or
+  // anything with getItem/setItem) storing the state as JSON under a
+  // single key.
+  function webStorage(store, key) {
+    const k = key || LOCAL_KEY;
+    return {
+      read() {
+        const raw = store.getItem(k);
+        return raw ? JSON.parse(raw) : null;
+      },
+      write(st) { store.setItem(k, JSON.stringify(st)); },
+    };
+  }
+
+  /**
+   * Create an engine instance around a storage adapter. Each engine owns
+   * its own copy of the state, loaded lazily from storage on first
+   * access. Options:
+   *   storage  – adapter with read()/write(); defaults to memoryStorage()
+   *   onEvent  – optional callback(name) fired after a save
+   *              ('showtimeStateUpdated') or a date switch
+   *              ('showtimeDateChanged'); the browser binding turns these
+   *              into window events.
+   *   onError  – optional callback(err) invoked when the stored data
+   *              cannot be loaded (e.g. its schema is newer than this
+   *              engine) or cannot be written (e.g. storage quota). While
+   *              a load error is active save() never writes, so the newer
+   *              data is left untouched.
+   *   onFormatMismatch – optional callback({message, blocked, film, aud})
+   *              invoked when an edit puts a film in an auditorium that
+   *              cannot play its format; `blocked` says whether the edit
+   *              was refused (state.formatPolicy).
+   * @param {{storage?: {read: Function, write: Function}, onEvent?: Function, onError?: Function, onFormatMismatch?: Function}} options
+   */
+  function createEngine(options) {
+    const opts = options || {};
+    const storage = opts.storage || memoryStorage();
+    const emit = typeof opts.onEvent === 'function' ? opts.onEvent : () => {};
+    const reportError = typeof opts.onError === 'function' ? opts.onError : () => {};
+    const reportFormat = typeof opts.onFormatMismatch === 'function' ? opts.onFormatMismatch : () => {};
+    // Set when the stored blob could not be migrated. Blocks writes.
+    let loadError = null;
+
+    // Local copy of state. Loaded on first access. All modifications should
+    // go through setState or dedicated mutators to ensure persistence.
+    let state = null;
+
+    // Load persisted state from the storage adapter. Merge with defaults to
+    // fill in any missing keys. Called automatically on first access. The
+    // defaults are deep copied so that several engines in one process
+    // (e.g. a Node script building many sites) never share seed arrays.
+    // Stored data passes through migrateState() first so that older blobs
+    // are upgraded explicitly instead of being half‑filled by the merge.
+    function load() {
+      if (state) return state;
+      let loaded = {};
+      try {
+        const raw = storage.read();
+        if (raw && typeof raw === 'object') loaded = migrateState(raw);
+      } catch (e) {
+        if (e && e.code === 'SCHEMA_TOO_NEW') {
+          // Fall back to the defaults in memory but remember the error so
+          // save() cannot clobber data written by a newer app version.
+          loadError = e;
+          loaded = {};
+          try { reportError(e); } catch (_) {}
+        } else {
+          console.error('Failed to parse saved state', e);
+        }
+      }
+      state = hydrate(loaded);
+      return state;
+    }
+
+    // Merge a (migrated) raw state object with the defaults and convert
+    // serialised fields back into their runtime types.
+    function hydrate(loaded) {
+      const st = { ...clone(defaultState), ...loaded };
+      // Rebuild the start/end Dates of manual shows and start overrides
+      // from their stored startMin. This runs on initial load and when a
+      // file is imported.
+      anchorShows(st);
+      // Ensure primeRows and extraRows are arrays
+      if (!Array.isArray(st.primeRows)) st.primeRows = [];
+      if (!Array.isArray(st.extraRows)) st.extraRows = [];
+      if (!Array.isArray(st.manualShows)) st.manualShows = [];
+      if (!st.overrides || typeof st.overrides !== 'object') st.overrides = {};
+      if (!st.hiddenShows || typeof st.hiddenShows !== 'object') st.hiddenShows = {};
+      if (!Array.isArray(st.blackouts)) st.blackouts = [];
+      if (!Array.isArray(st.events)) st.events = [];
+      if (!Array.isArray(st.undoStack)) st.undoStack = [];
+      if (!Array.isArray(st.redoStack)) st.redoStack = [];
+
+      // Ensure siteName and siteNumber fields exist. These identify the theatre
+      // or site and are included in exported JSON. When not provided, default
+      // to empty strings so that input fields bind to valid values.
+      if (st.siteName === undefined || st.siteName === null) st.siteName = '';
+      if (st.siteNumber === undefined || st.siteNumber === null) st.siteNumber = '';
+      return st;
+    }
+
+    /**
+     * Replace the whole state with an imported object (e.g. a JSON export
+     * loaded on the Data page). The object is migrated to the current
+     * schema before it is persisted. Throws the migrateState() error when
+     * the file is newer than this app understands; nothing is written in
+     * that case.
+     * @param {object} data
+     * @returns {object} the new state
+     */
+    function importState(data) {
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Imported data must be an object representing the saved state.');
+      }
+      const migrated = migrateState(clone(data));
+      state = hydrate(migrated);
+      loadError = null;
+      // Top‑level schedule fields mirror scheduleByDate[currentDate]; take
+      // the per‑date copy as authoritative so save() does not overwrite it
+      // with stale top‑level values from a hand‑edited file.
+      if (state.currentDate && state.scheduleByDate[state.currentDate]) {
+        loadSchedule(state.currentDate);
+      }
+      save();
+      return state;
+    }
+
+    // Return the error that prevented stored data from loading, if any.
+    function getLoadError() {
+      return loadError;
+    }
+
+    // Re‑read the storage adapter. Used by asynchronous adapters once
+    // their data has arrived. The existing state object is refilled in
+    // place so that pages holding a reference to ShowtimeState.state keep
+    // seeing current data.
+    function reload() {
+      const prev = state;
+      state = null;
+      loadError = null;
+      const fresh = load();
+      if (prev && prev !== fresh) {
+        Object.keys(prev).forEach(k => { delete prev[k]; });
+        Object.assign(prev, fresh);
+        state = prev;
+      }
+      return state;
+    }
+
+    // Persist current state through the storage adapter. Certain transient keys may be
+    // excluded here if needed (e.g. undoStack), but currently everything is
+    // persisted.
+    function save() {
+      // When multi‑date support is enabled and a current date is set,
+      // update the scheduleByDate entry for the current date before
+      // persisting. This ensures that changes to primeRows, extraRows,
+      // manualShows, overrides, hiddenShows and undoStack are captured
+      // under the currentDate key. This is safe because JSON.stringify
+      // will serialise Date objects to ISO strings. If scheduleByDate
+      // doesn't exist, create it.
+      // Never overwrite data we could not read (see load()).
+      if (loadError) return;
+      // Inside a command the outermost runCommand() saves once at the end.
+      if (commandDepth > 0) return;
+      if (state && state.currentDate) {
+        storeWorkingCopy();
+        // Prune (or archive) past dates the retention policy lets go
+        pruneOldSchedules();
+      }
+      try {
+        storage.write(state);
+      } catch (e) {
+        console.error('Failed to save state', e);
+        // Quota and similar write failures must reach the user rather
+        // than only the console; the binding decides how to show them.
+        try { reportError(e); } catch (_) {}
+      }
+      // Notify listeners that the state has changed. The browser binding
+      // turns this into a window event so components like the start‑time
+      // order panel react immediately; headless callers may ignore it.
+      try {
+        emit('showtimeStateUpdated');
+      } catch (err) {}
+    }
+
+    // Helper to clone an object (shallow) using JSON. Only used for
+    // simple clones of state prior to modification when pushing to undo.
+    function clone(obj) {
+      return JSON.parse(JSON.stringify(obj));
+    }
+
+    // ---- Business‑day times ----------------------------------------------
+    // Manual shows and start overrides are stored with startMin, the
+    // minutes from the start of their schedule date's business day, so a
+    // schedule means the same thing on whatever date it is stored, copied
+    // or exported. The start/end Dates that pages read are derived from it
+    // for the current schedule date (anchorShows) and never persisted.
+
+    // The date whose business day times are anchored on.
+    function scheduleDate(st) {
+      const src = st || state;
+      return (src && src.currentDate) || todayIso(rollover(src));
+    }
+
+    // The theatre's rollover hour (see defaultState.rolloverHour).
+    function rollover(st) {
+      const src = st || state;
+      return rolloverOf(src && src.rolloverHour);
+    }
+
+    // The theatre's start‑time granularity (see defaultState.granularity).
+    function granularity() {
+      return granularityOf(state && state.granularity);
+    }
+
+    // HH:MM on the current schedule date's business day. Exposed to pages
+    // as dtFromHM so every Date they build compares correctly with show
+    // starts.
+    function at(hm) {
+      return dtFromHM(hm, scheduleDate(), rollover());
+    }
+
+    /**
+     * Place a Date on the current schedule's business day: Dates already
+     * within it (or the following day, for late ends) are returned as is,
+     * anything else is moved there by its time of day. Safe to apply more
+     * than once.
+     * @param {Date|string|number} dt
+     * @returns {Date}
+     */
+    function normalizeDate(dt) {
+      const d = new Date(dt);
+      const date = scheduleDate();
+      const r = rollover();
+      if (d >= dateAt(date, 0, r) && d < dateAt(date, 2 * 1440, r)) return d;
+      return dateAt(date, minutesFromHM(hmFromDate(d), r), r);
+    }
+
+    // Derive start (and end for manual shows) from startMin on the
+    // schedule fields of `st` (default: the live state).
+    function anchorShows(st) {
+      const target = st || state;
+      const date = scheduleDate(target);
+      const r = rollover(target);
+      (target.manualShows || []).forEach(ms => {
+        if (!ms || typeof ms.startMin !== 'number') return;
+        ms.start = dateAt(date, ms.startMin, r);
+        ms.end = manualEnd(ms, ms.start, target.films);
+      });
+      Object.values(target.overrides || {}).forEach(ov => {
+        if (ov && typeof ov.startMin === 'number') ov.start = dateAt(date, ov.startMin, r);
+      });
+    }
+
+    // End of a manual show. Records normally carry the film's runtime and
+    // trailer; older ones fall back to the film itself.
+    function manualEnd(ms, start, films) {
+      const list = films || (state && state.films) || [];
+      const film = ms.runtime != null ? ms : (list.find(f => f.id === ms.filmId) || ms);
+      return endOfMovie(start, film);
+    }
+
+    // Stored form of a manual show or override: drops the derived Dates.
+    function stripDerived(obj) {
+      if (!obj || typeof obj !== 'object' || typeof obj.startMin !== 'number') return obj;
+      const copy = { ...obj };
+      delete copy.start;
+      delete copy.end;
+      return copy;
+    }
+
+    // The scheduleByDate entry for the top‑level working copy.
+    function storedSchedule() {
+      const overrides = {};
+      Object.keys(state.overrides || {}).forEach(k => { overrides[k] = stripDerived(state.overrides[k]); });
+      return {
+        primeRows: Array.isArray(state.primeRows) ? state.primeRows : [],
+        extraRows: Array.isArray(state.extraRows) ? state.extraRows : [],
+        manualShows: Array.isArray(state.manualShows) ? state.manualShows.map(stripDerived) : [],
+        overrides,
+        hiddenShows: state.hiddenShows || {},
+        blackouts: Array.isArray(state.blackouts) ? state.blackouts : [],
+        events: Array.isArray(state.events) ? state.events : [],
+        undoStack: Array.isArray(state.undoStack) ? state.undoStack : [],
+        redoStack: Array.isArray(state.redoStack) ? state.redoStack : [],
+      };
+    }
+
+    /**
+     * Describe why a film cannot play in an auditorium, or return null when
+     * it can (or either is unknown). Reports nothing; see allowFormat().
+     * @param {string} filmId
+     * @param {number|string} audId
+     * @returns {{message: string, blocked: boolean, film: object, aud: object}|null}
+     */
+    function formatMismatch(filmId, audId) {
+      load();
+      const film = filmId ? filmById(filmId) : null;
+      const aud = audId !== null && audId !== undefined && audId !== '' ? audById(parseInt(audId, 10)) : null;
+      if (canPlayFormat(film, aud)) return null;
+      const blocked = state.formatPolicy === 'block';
+      const message = `${film.title} is a ${filmFormat(film)} print but ${aud.name} plays ${audFormats(aud).join(', ')} only.` +
+        (blocked ? ' The change was not made.' : '');
+      return { message, blocked, film, aud };
+    }
+
+    // Check a film/auditorium pairing an edit is about to make. Reports a
+    // mismatch through onFormatMismatch and returns false when the
+    // theatre blocks mismatches.
+    function allowFormat(filmId, audId) {
+      const mismatch = formatMismatch(filmId, audId);
+      if (!mismatch) return true;
+      try { reportFormat(mismatch); } catch (_) {}
+      return !mismatch.blocked;
+    }
+
+    // Retrieve film by id.
+    function filmById(id) {
+      return state.films.find(f => f.id === id) || null;
+    }
+
+    // Retrieve auditorium by id.
+    function audById(id) {
+      return state.auds.find(a => a.id === id) || null;
+    }
+
+    // Compute all showtime records for a single row based on its primeHM,
+    // filmId and audId. A record contains id, rowId, offset, film info and
+    // computed start/end times. Only shows within the first/last show
+    // window are included.
+    function buildRowShowtimes(row) {
+      const film = filmById(row.filmId);
+      const aud = audById(row.audId);
+      if (!film || !aud || !row.primeHM) return [];
+      // Times are placed on the schedule date's business day, so a last
+      // show or prime time after midnight already falls on the next day.
+      const first = at(state.firstShowHM);
+      const last = at(state.lastShowHM);
+      const prime = at(row.primeHM);
+      // Determine cycle length, including the auditorium's turnaround
+      const cycle = cycleMinutes(film, aud, granularity());
+      // Guard against zero or negative cycles (e.g., films with 0 runtime/trailer/clean).
+      // A zero cycle would cause divide‑by‑zero in preCount/postCount calculations and hang the grid.
+      if (!cycle || cycle <= 0) {
+        return [];
+      }
+      const out = [];
+      // Cycles (show plus turnaround) that would run into one of the
+      // auditorium's blackout blocks are dropped; the remaining shows keep
+      // their offsets, so their ids do not change.
+      const blocks = blackoutSpans().filter(b => b.audId === aud.id);
+      const blocked = st => blocks.some(b => st < b.end && addMins(st, cycle) > b.start);
+      // Cycles are routed around the auditorium's fixed‑time events
+      // instead: walking away from the prime time, a cycle that would run
+      // into an event starts again on the first step after the event is
+      // out and cleaned (or, before the prime time, ends its turnaround
+      // by the time the event starts), and the cycles beyond it follow on
+      // from there.
+      const step = granularity();
+      const events = eventSpans().filter(ev => ev.audId === aud.id);
+      const eventHit = st => events.find(ev => st < ev.busyUntil && addMins(st, cycle) > ev.start);
+      const snap = (d, up) => {
+        const m = d.getMinutes() % step;
+        if (!m) return d;
+        return addMins(d, up ? step - m : -m);
+      };
+      // Always include the prime show itself regardless of the first/last
+      // window. Without this, rows whose primeHM falls outside the
+      // configured start/end window disappear from the schedule grid.  We
+      // still filter pre/post shows relative to the window below.  Only a
+      // blackout block drops it; an event moves it to after the event.
+      let st = prime;
+      for (let i = 0; ; i++) {
+        for (let ev = eventHit(st); ev; ev = eventHit(st)) st = snap(ev.busyUntil, true);
+        if (i > 0 && st > last) break;
+        if (!blocked(st)) out.push(makeRec(row, i, st, film, aud));
+        st = addMins(st, cycle);
+      }
+      st = addMins(prime, -cycle);
+      for (let i = 1; ; i++) {
+        for (let ev = eventHit(st); ev; ev = eventHit(st)) st = snap(addMins(ev.start, -cycle), false);
+        if (st < first) break;
+        if (!blocked(st)) out.unshift(makeRec(row, -i, st, film, aud));
+        st = addMins(st, -cycle);
+      }
+      return out;
+    }
+
+    // Helper to build a single show record from row and offset.
+    function makeRec(row, off, start, film, aud) {
+      return {
+        id: `${row.rowId}:${off}`,
+        rowId: row.rowId,
+        offset: off,
+        audId: aud.id,
+        audName: aud.name,
+        filmId: film.id,
+        // Include film format in the display title if present.  If a film has a
+        // non‑empty format (e.g. "3D"), append it to the film title.  This
+        // ensures that downstream consumers like the schedule and Gantt pages
+        // display the parent film name together with its format.
+        filmTitle: film.title + (film.format ? ' ' + film.format : ''),
+        start: start,
+        end: endOfMovie(start, film),
+        runtime: film.runtime,
+        trailer: film.trailer,
+        clean: turnaroundMinutes(film, aud),
+        cycle: cycleMinutes(film, aud, granularity()),
+        source: 'Prime',
+      };
+    }
+
+    // Compute a flattened array of all shows, applying overrides and
+    // excluding hidden shows. Includes manual shows and events at their
+    // specified times. If an override exists for a show id, its start or
+    // auditorium assignment is updated accordingly. Overrides on filmId
+    // are also applied.
+    function getAllShows() {
+      const shows = [];
+      const date = scheduleDate();
+      // Build from prime and extra rows. Prime rows of bookings whose
+      // engagement does not cover this date are left out.
+      const bookings = new Map((state.bookings || []).map(b => [b.id, b]));
+      const rows = (state.primeRows || []).filter(row => {
+        const b = bookings.get(row.bookingId);
+        return !b || playsOn(b, date);
+      }).concat(state.extraRows || []);
+      rows.forEach(row => {
+        buildRowShowtimes(row).forEach(rec => {
+          shows.push(rec);
+        });
+      });
+      // Include manual shows
+      (state.manualShows || []).forEach(ms => {
+        const rec = { ...ms, source: 'Manual' };
+        if (typeof ms.startMin === 'number') {
+          rec.start = dateAt(date, ms.startMin, rollover());
+          rec.end = manualEnd(ms, rec.start);
+        }
+        // Turnaround may have changed on the film or auditorium since the
+        // show was added
+        const film = filmById(ms.filmId);
+        if (film) {
+          const a = audById(ms.audId);
+          rec.clean = turnaroundMinutes(film, a);
+          rec.cycle = cycleMinutes(film, a, granularity());
+        }
+        shows.push(rec);
+      });
+      // Include fixed-time events
+      eventSpans().forEach(ev => shows.push(eventRec(ev)));
+      // Apply overrides and filter hidden shows
+      const mapped = shows
+        .filter(r => !state.hiddenShows[r.id])
+        .map(r => {
+          const ov = state.overrides[r.id];
+          if (!ov) return r;
+          const updated = { ...r };
+          // Apply start override
+          if (typeof ov.startMin === 'number' || ov.start) {
+            updated.start = typeof ov.startMin === 'number' ? dateAt(date, ov.startMin, rollover()) : new Date(ov.start);
+            const film = filmById(ov.filmId || r.filmId);
+            updated.end = endOfMovie(updated.start, film);
+          }
+          // Apply auditorium override
+          if (ov.audId) {
+            updated.audId = ov.audId;
+            const a = audById(ov.audId);
+            updated.audName = a ? a.name : updated.audName;
+          }
+          // Apply film override
+          if (ov.filmId && ov.filmId !== r.filmId) {
+            const film = filmById(ov.filmId);
+            if (film) {
+              updated.filmId = film.id;
+              // Append the film format to the display title when applying a
+              // film override.  This mirrors makeRec() so that the film title
+              // consistently includes its format across all contexts.
+              updated.filmTitle = film.title + (film.format ? ' ' + film.format : '');
+              updated.runtime = film.runtime;
+              updated.trailer = film.trailer;
+              updated.end = endOfMovie(updated.start, film);
+            }
+          }
+          // Turnaround follows the show's final film and auditorium
+          if (ov.audId || ov.filmId) {
+            const film = filmById(updated.filmId);
+            if (film) {
+              const a = audById(updated.audId);
+              updated.clean = turnaroundMinutes(film, a);
+              updated.cycle = cycleMinutes(film, a, granularity());
+            }
+          }
+          // Determine dynamic row grouping: if the override changed auditorium or film relative to base, group by dest auditorium and film
+          if ((ov.audId && ov.audId !== r.audId) || (ov.filmId && ov.filmId !== r.filmId)) {
+            // Use updated audId and filmId values after applying overrides to build the group id
+            const destAud = updated.audId || r.audId;
+            const destFilm = updated.filmId || r.filmId;
+            updated.rowId = `OV-${destAud}-${destFilm}`;
+            updated.source = 'Override';
+          }
+          return updated;
+        });
+      // Deduplicate shows by start time, auditorium and film.  In some
+      // scenarios (e.g. entering times outside the first/last window or
+      // overriding a show to the same time as another show) multiple
+      // records can exist with identical start, auditorium and film.  To
+      // prevent duplicate entries from appearing in the Gantt or Start‑Time
+      // Order views, remove duplicates while preserving the first occurrence.
+      mapped.sort((a, b) => a.start - b.start);
+      const unique = [];
+      const seen = new Set();
+      mapped.forEach(rec => {
+        // Use milliseconds for start time; fall back to number if not a Date
+        const startTime = rec.start instanceof Date ? rec.start.getTime() : new Date(rec.start).getTime();
+        const key = `${startTime}_${rec.audId}_${rec.filmId}`;
+        if (!seen.has(key)) {
+          seen.add(key);
+          unique.push(rec);
+        }
+      });
+      return unique;
+    }
+
+    // Generate options (HM strings) around a given show start time. Options
+    // are the theatre's granularity steps within ±90 minutes of the start,
+    // on the step grid, plus the current start itself. Times outside of the
+    // first/last show window are excluded.
+    function optionsAround(start) {
+      const opts = [];
+      const first = at(state.firstShowHM);
+      const last = at(state.lastShowHM);
+      const base = normalizeDate(start);
+      const step = granularity();
+      const baseMin = minutesFromHM(hmFromDate(base), rollover());
+      const gridBase = addMins(base, Math.round(baseMin / step) * step - baseMin);
+      if (base >= first && base <= last) opts.push(hmFromDate(base));
+      for (let m = -90; m <= 90; m += step) {
+        const t = addMins(gridBase, m);
+        if (t < first || t > last) continue;
+        opts.push(hmFromDate(t));
+      }
+      // Remove duplicates and sort in business‑day order (after‑midnight
+      // times last)
+      return [...new Set(opts)].sort((a, b) => minutesFromHM(a, rollover()) - minutesFromHM(b, rollover()));
+    }
+
+    // ---- Command history ------------------------------------------------
+    // Every schedule mutator runs through runCommand(). A command records
+    // the before and after values of the per‑date schedule fields it
+    // touched, which gives each entry a generic apply (after) and revert
+    // (before) without a hand‑written inverse per mutator. Only the keys
+    // that changed are stored, so entries stay small.
+
+    // Schedule fields tracked by commands, mapped to the key that
+    // identifies an item. Arrays are keyed by that property; objects by
+    // their own keys (null).
+    const TRACKED_FIELDS = {
+      primeRows: 'rowId',
+      extraRows: 'rowId',
+      manualShows: 'id',
+      overrides: null,
+      hiddenShows: null,
+      blackouts: 'id',
+      events: 'id',
+    };
+    // Maximum number of entries kept in undoStack per date.
+    const HISTORY_LIMIT = 100;
+    // Nesting depth of runCommand. Nested commands (e.g. the mutators
+    // called inside batch()) fold into the outermost one, and save()
+    // is deferred until the outermost command finishes.
+    let commandDepth = 0;
+
+    // Map a tracked field to { key: JSON string } for diffing. `sched`
+    // defaults to the working copy; buildWeek passes stored schedules.
+    function snapshotField(field, sched = state) {
+      const keyProp = TRACKED_FIELDS[field];
+      const src = sched[field];
+      const out = {};
+      const order = [];
+      // Record the stored form so history entries never carry the
+      // derived start/end Dates (see anchorShows).
+      if (keyProp) {
+        (Array.isArray(src) ? src : []).forEach(item => {
+          const key = String(item && item[keyProp]);
+          order.push(key);
+          out[key] = JSON.stringify(stripDerived(item));
+        });
+        return { items: out, order };
+      }
+      Object.keys(src || {}).forEach(key => { out[key] = JSON.stringify(stripDerived(src[key])); });
+      return { items: out, order: null };
+    }
+
+    function snapshotTracked(sched) {
+      const snap = {};
+      Object.keys(TRACKED_FIELDS).forEach(f => { snap[f] = snapshotField(f, sched); });
+      return snap;
+    }
+
+    // Compare two snapshots. Returns null when nothing changed, otherwise
+    // { field: { set: { key: [before|null, after|null] }, order?: [before, after] } }.
+    function diffTracked(before, after) {
+      let changed = false;
+      const changes = {};
+      Object.keys(TRACKED_FIELDS).forEach(f => {
+        const a = before[f];
+        const b = after[f];
+        const set = {};
+        let any = false;
+        new Set(Object.keys(a.items).concat(Object.keys(b.items))).forEach(key => {
+          const x = a.items[key];
+          const y = b.items[key];
+          if (x === y) return;
+          set[key] = [x === undefined ? null : JSON.parse(x), y === undefined ? null : JSON.parse(y)];
+          any = true;
+        });
+        const reordered = a.order && a.order.join('\u0000') !== b.order.join('\u0000');
+        if (!any && !reordered) return;
+        changes[f] = { set };
+        if (a.order) changes[f].order = [a.order, b.order];
+        changed = true;
+      });
+      return changed ? changes : null;
+    }
+
+    // Apply one side of a recorded change set to the state: side 0
+    // restores the values from before the command (revert), side 1 the
+    // values after it (apply). Array items are updated in place where
+    // possible so page code holding a row reference keeps working.
+    function applyChanges(changes, side) {
+      Object.keys(changes).forEach(f => {
+        const keyProp = TRACKED_FIELDS[f];
+        if (!(f in TRACKED_FIELDS)) return;
+        const ch = changes[f];
+        if (keyProp) {
+          if (!Array.isArray(state[f])) state[f] = [];
+          const byKey = {};
+          state[f].forEach(item => { byKey[String(item && item[keyProp])] = item; });
+          Object.keys(ch.set || {}).forEach(key => {
+            const value = ch.set[key][side];
+            if (value === null) {
+              delete byKey[key];
+            } else if (byKey[key]) {
+              const item = byKey[key];
+              Object.keys(item).forEach(k => { delete item[k]; });
+              Object.assign(item, clone(value));
+            } else {
+              byKey[key] = clone(value);
+            }
+          });
+          const order = ch.order ? ch.order[side] : state[f].map(item => String(item && item[keyProp]));
+          const next = [];
+          order.forEach(key => { if (byKey[key]) { next.push(byKey[key]); delete byKey[key]; } });
+          // Anything not covered by the recorded order (e.g. added by an
+          // entry that was not undone) stays at the end.
+          Object.keys(byKey).forEach(key => next.push(byKey[key]));
+          state[f].splice(0, state[f].length, ...next);
+        } else {
+          if (!state[f] || typeof state[f] !== 'object') state[f] = {};
+          Object.keys(ch.set || {}).forEach(key => {
+            const value = ch.set[key][side];
+            if (value === null) delete state[f][key];
+            else state[f][key] = clone(value);
+          });
+        }
+      });
+      // Recorded values are the stored form; rebuild the derived Dates.
+      anchorShows();
+    }
+
+    /**
+     * Run fn as one undoable command labelled `label`. Changes made by fn
+     * to the current date's schedule are recorded as a single history
+     * entry, any redo history is discarded and the state is saved once.
+     * Commands that change nothing leave no entry. Returns fn's result.
+     * @param {string} label
+     * @param {Function} fn
+     */
+    function runCommand(label, fn) {
+      load();
+      if (commandDepth > 0) return fn();
+      const before = snapshotTracked();
+      let result;
+      commandDepth++;
+      try {
+        result = fn();
+      } finally {
+        commandDepth--;
+      }
+      const changes = diffTracked(before, snapshotTracked());
+      if (changes) {
+        if (!Array.isArray(state.undoStack)) state.undoStack = [];
+        state.undoStack.push({ label: label || 'Edit', at: new Date().toISOString(), changes });
+        if (state.undoStack.length > HISTORY_LIMIT) {
+          state.undoStack.splice(0, state.undoStack.length - HISTORY_LIMIT);
+        }
+        state.redoStack = [];
+        save();
+      }
+      return result;
+    }
+
+    // Human‑readable names used in history labels.
+    function describeShow(showId) {
+      const rec = getAllShows().find(r => r.id === showId);
+      if (!rec) return 'show';
+      return `${rec.filmTitle || 'show'} ${to12(rec.start)}`;
+    }
+
+    function describeRow(rowId) {
+      const row = state.primeRows.concat(state.extraRows).find(r => r.rowId === rowId);
+      if (!row) return 'row';
+      const film = filmById(row.filmId);
+      return film ? film.title : `slot ${row.slot}`;
+    }
+
+    function describeRowEdit(rowId, field, value) {
+      const name = describeRow(rowId);
+      if (field === 'primeHM') return value ? `Set ${name} prime time to ${fmtHM(value)}` : `Clear ${name} prime time`;
+      if (field === 'audId') {
+        const aud = value ? audById(parseInt(value, 10)) : null;
+        return aud ? `Put ${name} in ${aud.name}` : `Clear ${name} auditorium`;
+      }
+      if (field === 'filmId') {
+        const film = value ? filmById(value) : null;
+        return film ? `Set ${name} film to ${film.title}` : `Clear ${name} film`;
+      }
+      return `Edit ${name} ${field}`;
+    }
+
+    // Update the start time of a specific show via override. This affects
+    // only the given show id and does not alter other shows in the same
+    // row. Runs as an undoable command. Passing an empty string hides the
+    // show instead of changing its start. An event is moved (or removed)
+    // itself.
+    function updateShowStart(showId, hm) {
+      load();
+      if (isEvent(showId)) return hm === '' ? removeEvent(showId) : updateEvent(showId, { startHM: hm });
+      return runCommand(hm === '' ? `Remove ${describeShow(showId)}` : `Move ${describeShow(showId)} to ${fmtHM(hm)}`, () => {
+        const shows = getAllShows();
+        const rec = shows.find(r => r.id === showId);
+        if (!rec) return;
+        // If hm is empty string, hide the show
+        if (hm === '') {
+          state.hiddenShows[showId] = true;
+          save();
+          return;
+        }
+        // Set new override start, stored relative to the business day
+        const startMin = minutesFromHM(hm, rollover());
+        if (state.overrides[showId]) {
+          state.overrides[showId].startMin = startMin;
+        } else {
+          state.overrides[showId] = { startMin };
+        }
+        state.overrides[showId].start = at(hm);
+        save();
+      });
+    }
+
+    // Update the auditorium assignment of a specific show via override.  This
+    // function mirrors updateShowStart but for the auditorium (audId) and
+    // is likewise undoable. Passing a null or empty value resets the override to
+    // the base auditorium. Moving shows between auditoriums is needed for
+    // the Gantt view to support vertical drag operations. Returns false when
+    // the move is blocked because the auditorium cannot play the film's
+    // format. An event is moved to the auditorium itself.
+    function updateShowAud(showId, audId) {
+      load();
+      if (isEvent(showId)) {
+        if (audId === undefined || audId === null || audId === '') return;
+        return updateEvent(showId, { audId });
+      }
+      return runCommand(`Move ${describeShow(showId)} to ${audId ? (audById(parseInt(audId, 10)) || {}).name || 'auditorium' : 'its row auditorium'}`, () => {
+        const shows = getAllShows();
+        const rec = shows.find(r => r.id === showId);
+        if (!rec) return;
+        const newAud = (audId !== undefined && audId !== null && audId !== '') ? parseInt(audId, 10) : null;
+        // Determine previous override or base auditorium
+        const prevAud = state.overrides[showId]?.audId || rec.audId;
+        if (newAud !== null && newAud !== prevAud && !allowFormat(rec.filmId, newAud)) return false;
+        // Special handling for manual shows: update the manual show record
+        // directly instead of using overrides. Manual shows have a source
+        // property set to 'Manual'. This ensures moving a manual show
+        // between auditoriums updates its own audId/audName fields and
+        // supports undo. Overrides are better suited for shows derived
+        // from prime/extra rows.
+        if (rec.source === 'Manual') {
+          const msIdx = state.manualShows.findIndex(x => x.id === showId);
+          if (msIdx !== -1) {
+            // If clearing, revert to previous auditorium
+            const targetAud = newAud === null ? prevAud : newAud;
+            // If no change, do nothing
+            if (targetAud === prevAud) return;
+            state.manualShows[msIdx].audId = targetAud;
+            const audObj = audById(targetAud);
+            state.manualShows[msIdx].audName = audObj ? audObj.name : '';
+            save();
+            return;
+          }
+        }
+        // For non‑manual shows, use overrides
+        if (newAud === null) {
+          // Only act if an override currently exists for this show
+          if (state.overrides[showId] && Object.prototype.hasOwnProperty.call(state.overrides[showId], 'audId')) {
+            delete state.overrides[showId].audId;
+            if (Object.keys(state.overrides[showId]).length === 0) {
+              delete state.overrides[showId];
+            }
+            save();
+          }
+          return;
+        }
+        // If the new auditorium matches the current assignment, do nothing
+        if (newAud === prevAud) return;
+        if (!state.overrides[showId]) {
+          state.overrides[showId] = { audId: newAud };
+        } else {
+          state.overrides[showId].audId = newAud;
+        }
+        save();
+      });
+    }
+
+    /**
+     * Update the film assignment of a specific show via override. This mirrors
+     * updateShowAud but for the film. If a manual show is edited, the
+     * manual show record is updated directly (filmId, filmTitle, runtime,
+     * trailer, clean, cycle, end). For non‑manual shows, a filmId
+     * override is written to state.overrides. Passing a null or empty
+     * value clears the override and reverts to the base film. An event
+     * links its first feature to the film instead. Runs as an undoable
+     * command.
+     * @param {string} showId
+     * @param {string|null} filmId
+     */
+    function updateShowFilm(showId, filmId) {
+      load();
+      if (isEvent(showId)) return filmId ? updateEvent(showId, { filmId }) : undefined;
+      return runCommand(`Change film of ${describeShow(showId)}`, () => {
+        const shows = getAllShows();
+        const rec = shows.find(r => r.id === showId);
+        if (!rec) return;
+        const newFilmId = filmId === '' || filmId === null || filmId === undefined ? null : filmId;
+        // Determine previous film assignment (override or base)
+        const prevFilmId = state.overrides[showId]?.filmId || rec.filmId;
+        // If nothing changes, do nothing
+        if (newFilmId === prevFilmId) return;
+        if (newFilmId !== null && !allowFormat(newFilmId, rec.audId)) return false;
+        // Manual shows: update record directly
+        if (rec.source === 'Manual') {
+          const msIdx = state.manualShows.findIndex(x => x.id === showId);
+          if (msIdx !== -1) {
+            if (newFilmId === null) {
+              // Clearing override for manual shows reverts to previous film; nothing to do
+              save();
+              return;
+            }
+            // Lookup film and update manual show fields
+            const filmObj = filmById(newFilmId);
+            if (!filmObj) return;
+            const ms = state.manualShows[msIdx];
+            ms.filmId = filmObj.id;
+            // Include format when updating the film title for a manual show
+            ms.filmTitle = filmObj.title + (filmObj.format ? ' ' + filmObj.format : '');
+            ms.runtime = filmObj.runtime;
+            ms.trailer = filmObj.trailer;
+            ms.clean = turnaroundMinutes(filmObj, audById(ms.audId));
+            ms.cycle = cycleMinutes(filmObj, audById(ms.audId), granularity());
+            // Recompute end based on existing start and new film runtime/trailer
+            ms.end = endOfMovie(ms.start, filmObj);
+            save();
+            return;
+          }
+        }
+        // Non‑manual shows: write override or clear override
+        if (newFilmId === null) {
+          // Remove film override if it exists
+          if (state.overrides[showId] && Object.prototype.hasOwnProperty.call(state.overrides[showId], 'filmId')) {
+            delete state.overrides[showId].filmId;
+            if (Object.keys(state.overrides[showId]).length === 0) {
+              delete state.overrides[showId];
+            }
+            save();
+          }
+          return;
+        }
+        // Otherwise set override
+        if (!state.overrides[showId]) {
+          state.overrides[showId] = { filmId: newFilmId };
+        } else {
+          state.overrides[showId].filmId = newFilmId;
+        }
+        save();
+      });
+    }
+
+    // Remove (unhide) a show by id. Used when undoing a hide operation.
+    function unhideShow(showId, prevHidden) {
+      if (!prevHidden) {
+        // Remove the hidden flag
+        delete state.hiddenShows[showId];
+      } else {
+        // Restore previous hidden state
+        state.hiddenShows[showId] = true;
+      }
+    }
+
+    // Remove or revert override for a show. Used when undoing an edit.
+    // Legacy entries hold the previous start as a full Date; only its
+    // time of day is kept.
+    function revertOverride(showId, prevStart) {
+      const startMin = minutesFromHM(hmFromDate(new Date(prevStart)), rollover());
+      if (!state.overrides[showId]) {
+        state.overrides[showId] = { startMin };
+      } else {
+        state.overrides[showId].startMin = startMin;
+      }
+      anchorShows();
+    }
+
+    // Revert a typed undo entry written before the command history
+    // existed. These entries only hold the previous value, so they cannot
+    // be redone.
+    function undoLegacy(entry) {
+      if (entry.type === 'edit') {
+        revertOverride(entry.showId, entry.prevStart);
+      } else if (entry.type === 'hide') {
+        unhideShow(entry.showId, entry.prevHidden);
+      } else if (entry.type === 'manual') {
+        // Remove a manual show entirely
+        const idx = state.manualShows.findIndex(x => x.id === entry.show.id);
+        if (idx !== -1) state.manualShows.splice(idx, 1);
+      } else if (entry.type === 'moveAud') {
+        // Revert an auditorium move.  If the previous auditorium matches the
+        // base row assignment (i.e. no override was originally set), then
+        // remove the override; otherwise restore the previous override value.
+        const sid = entry.showId;
+        const prev = entry.prevAudId;
+        const currentBase = getAllShows().find(r => r.id === sid)?.audId;
+        if (prev === currentBase) {
+          // Remove audId override entirely
+          if (state.overrides[sid]) {
+            delete state.overrides[sid].audId;
+            // If override becomes empty object, remove it
+            if (Object.keys(state.overrides[sid]).length === 0) {
+              delete state.overrides[sid];
+            }
+          }
+        } else {
+          if (!state.overrides[sid]) {
+            state.overrides[sid] = { audId: prev };
+          } else {
+            state.overrides[sid].audId = prev;
+          }
+        }
+      }
+
+      // Revert film edit
+      else if (entry.type === 'editFilm') {
+        const sid = entry.showId;
+        const prevFilm = entry.prevFilmId;
+        // If rec is a manual show, revert manual show directly
+        const msIdx = state.manualShows.findIndex(x => x.id === sid);
+        if (msIdx !== -1) {
+          const ms = state.manualShows[msIdx];
+          const filmObj = filmById(prevFilm);
+          if (filmObj) {
+            ms.filmId = filmObj.id;
+            // When reverting a film edit, restore the film title with its format if present
+            ms.filmTitle = filmObj.title + (filmObj.format ? ' ' + filmObj.format : '');
+            ms.runtime = filmObj.runtime;
+            ms.trailer = filmObj.trailer;
+            ms.clean = turnaroundMinutes(filmObj, audById(ms.audId));
+            ms.cycle = cycleMinutes(filmObj, audById(ms.audId), granularity());
+            ms.end = endOfMovie(ms.start, filmObj);
+          }
+        } else {
+          // For overrides, restore previous filmId or remove override
+          if (!prevFilm || prevFilm === (getAllShows().find(r => r.id === sid)?.filmId)) {
+            // Remove film override
+            if (state.overrides[sid] && state.overrides[sid].filmId) {
+              delete state.overrides[sid].filmId;
+              if (Object.keys(state.overrides[sid]).length === 0) {
+                delete state.overrides[sid];
+              }
+            }
+          } else {
+            if (!state.overrides[sid]) {
+              state.overrides[sid] = { filmId: prevFilm };
+            } else {
+              state.overrides[sid].filmId = prevFilm;
+            }
+          }
+        }
+      }
+    }
+
+
+    // Undo or redo one history step without saving. Returns false when
+    // there is nothing to step over.
+    function undoStep() {
+      const entry = state.undoStack.pop();
+      if (!entry) return false;
+      if (entry.changes) {
+        applyChanges(entry.changes, 0);
+        if (!Array.isArray(state.redoStack)) state.redoStack = [];
+        state.redoStack.push(entry);
+      } else {
+        undoLegacy(entry);
+      }
+      return true;
+    }
+
+    function redoStep() {
+      const entry = Array.isArray(state.redoStack) ? state.redoStack.pop() : null;
+      if (!entry) return false;
+      applyChanges(entry.changes, 1);
+      state.undoStack.push(entry);
+      return true;
+    }
+
+    // Undo the most recent command on the current date. The entry moves
+    // onto redoStack so redo() can reapply it.
+    function undo() {
+      load();
+      if (undoStep()) save();
+    }
+
+    // Reapply the most recently undone command. Any new command clears
+    // the redo stack, as in every other editor.
+    function redo() {
+      load();
+      if (redoStep()) save();
+    }
+
+    // Labels for typed legacy undo entries.
+    const LEGACY_LABELS = {
+      edit: 'Change show time',
+      hide: 'Remove show',
+      manual: 'Add show',
+      moveAud: 'Move show to another auditorium',
+      editFilm: 'Change show film',
+    };
+
+    /**
+     * List the current date's command history, oldest first. Entries that
+     * are done come first, followed by undone entries that can be redone.
+     * Each item is { position, label, at, done, canRedo } where position is
+     * the number of done entries after reaching it, suitable for
+     * goToHistory(). Position 0 (before any entry) is not listed.
+     * @returns {Array<{position:number,label:string,at:string|null,done:boolean,canRedo:boolean}>}
+     */
+    function getHistory() {
+      load();
+      const done = Array.isArray(state.undoStack) ? state.undoStack : [];
+      const undone = Array.isArray(state.redoStack) ? state.redoStack.slice().reverse() : [];
+      const label = e => e.label || LEGACY_LABELS[e.type] || 'Edit';
+      return done.map((e, i) => ({ position: i + 1, label: label(e), at: e.at || null, done: true, canRedo: !!e.changes }))
+        .concat(undone.map((e, i) => ({ position: done.length + i + 1, label: label(e), at: e.at || null, done: false, canRedo: true })));
+    }
+
+    /**
+     * Undo or redo until exactly `position` history entries are done
+     * (0 reverts everything that can be reverted). Saves once.
+     * @param {number} position
+     */
+    function goToHistory(position) {
+      load();
+      const target = Math.max(0, parseInt(position, 10) || 0);
+      let moved = false;
+      while (state.undoStack.length > target && undoStep()) moved = true;
+      while (state.undoStack.length < target && redoStep()) moved = true;
+      if (moved) save();
+    }
+
+    /**
+     * Run several mutators as one undoable step, e.g. a Gantt drop that
+     * adds a row, sets its film and auditorium and places a show.
+     * @param {string} label
+     * @param {Function} fn
+     */
+    function batch(label, fn) {
+      return runCommand(label, fn);
+    }
+
+    // Create a new manual show at the selected time in the specified row.
+    // The filmId and audId are taken from the row. Runs as an undoable
+    // command.
+    function addManualShow(rowId, hm) {
+      load();
+      return runCommand(`Add ${describeRow(rowId)} show at ${fmtHM(hm)}`, () => {
+        const row = state.primeRows.concat(state.extraRows).find(r => r.rowId === rowId);
+        if (!row) return;
+        const film = filmById(row.filmId);
+        const aud = audById(row.audId);
+        if (!film || !aud) return;
+        const start = at(hm);
+        const end = endOfMovie(start, film);
+        const id = `M-${Date.now()}-${Math.floor(Math.random()*1000)}`;
+        const rec = {
+          id: id,
+          rowId: rowId,
+          audId: aud.id,
+          audName: aud.name,
+          filmId: film.id,
+          // Include the film format in the title for manual shows
+          filmTitle: film.title + (film.format ? ' ' + film.format : ''),
+          // startMin is what gets stored; start/end are derived from it
+          startMin: minutesFromHM(hm, rollover()),
+          start: start,
+          end: end,
+          runtime: film.runtime,
+          trailer: film.trailer,
+          clean: turnaroundMinutes(film, aud),
+          cycle: cycleMinutes(film, aud, granularity()),
+          source: 'Manual'
+        };
+        state.manualShows.push(rec);
+        save();
+      });
+    }
+
+    // Add a new extra row (manual row). Returns the new row object. Row ids
+    // are unique strings starting with "EX-" followed by timestamp.
+    function addExtraRow() {
+      load();
+      return runCommand('Add row', () => {
+        const id = `EX-${Date.now()}-${Math.floor(Math.random()*1000)}`;
+        const slot = String((state.primeRows.length + state.extraRows.length) + 1);
+        const row = { rowId: id, bookingId: null, slot: slot, audId: null, filmId: null, primeHM: '' };
+        state.extraRows.push(row);
+        save();
+        return row;
+      });
+    }
+
+    // Set a field on a row (prime or extra). field is 'audId', 'filmId' or
+    // 'primeHM'. For primeHM this does not cascade to show overrides; it
+    // simply updates the cycle start time for that row. Film and auditorium
+    // changes are format checked (allowFormat); returns false when blocked.
+    function setRowField(rowId, field, value) {
+      load();
+      return runCommand(describeRowEdit(rowId, field, value), () => {
+        let row = state.primeRows.find(r => r.rowId === rowId);
+        if (!row) row = state.extraRows.find(r => r.rowId === rowId);
+        if (!row) return;
+        // The row's film must be able to play in its auditorium
+        if ((field === 'audId' || field === 'filmId') && value !== row[field]) {
+          const filmId = field === 'filmId' ? value : row.filmId;
+          const audId = field === 'audId' ? value : row.audId;
+          if (!allowFormat(filmId, audId)) return false;
+        }
+        row[field] = value;
+        // When editing row-level auditorium or film, propagate changes to manual
+        // shows associated with this row. Manual shows are single show
+        // instances created directly on the schedule grid. They copy the
+        // row's auditorium and film at creation time, so they can fall out of
+        // sync when the row is later edited. To mirror the behaviour of the
+        // original React app, update manual show records when the row's
+        // auditorium or film changes. This keeps the Start‑time Order panel
+        // consistent with the schedule grid.
+        if (field === 'audId') {
+          const newAudId = value ? parseInt(value, 10) : null;
+          (state.manualShows || []).forEach(ms => {
+            if (ms.rowId === rowId) {
+              ms.audId = newAudId;
+              const aud = audById(newAudId);
+              ms.audName = aud ? aud.name : '';
+            }
+          });
+        } else if (field === 'filmId') {
+          const newFilmId = value || null;
+          (state.manualShows || []).forEach(ms => {
+            if (ms.rowId === rowId) {
+              const film = filmById(newFilmId);
+              if (film) {
+                ms.filmId = film.id;
+                // When updating the film of a manual show, update the title to include the
+                // format so that it appears consistently across the UI
+                ms.filmTitle = film.title + (film.format ? ' ' + film.format : '');
+                ms.runtime = film.runtime;
+                ms.trailer = film.trailer;
+                ms.clean = turnaroundMinutes(film, audById(ms.audId));
+                ms.cycle = cycleMinutes(film, audById(ms.audId), granularity());
+                // update end time based on new film runtime and trailer; clean
+                const totalMins = (film.runtime || 0) + (film.trailer || 0);
+                ms.end = addMins(ms.start, totalMins);
+              } else {
+                // if no film, clear film-related fields
+                ms.filmId = null;
+                ms.filmTitle = '';
+                ms.runtime = 0;
+                ms.trailer = 0;
+                ms.clean = 0;
+                ms.cycle = 0;
+                ms.end = ms.start;
+              }
+            }
+          });
+        }
+        save();
+      });
+    }
+
+    // Hide or reveal end times on the grid
+    function toggleEndTimes() {
+      load();
+      state.showEndTimes = !state.showEndTimes;
+      save();
+    }
+
+    // Clear all showtimes across the application. This resets prime times,
+    // removes all overrides and manual shows, and clears hidden shows. It
+    // preserves the structure of primeRows and extraRows so that users can
+    // assign new times from scratch. This is useful for starting over.
+    function clearAllTimes() {
+      load();
+      // Runs as a command so the whole reset can be undone in one step.
+      return runCommand('Clear all times', () => {
+        // Reset prime times on prime and extra rows
+        if (Array.isArray(state.primeRows)) {
+          state.primeRows.forEach(r => { r.primeHM = ''; });
+        }
+        if (Array.isArray(state.extraRows)) {
+          state.extraRows.forEach(r => { r.primeHM = ''; });
+        }
+        // Remove all overrides and manual shows and hidden shows
+        state.overrides = {};
+        state.manualShows = [];
+        state.hiddenShows = {};
+        save();
+      });
+    }
+
+    /**
+     * Prime time choices: the prime window (6:00p to 8:30p) in steps of
+     * the start‑time granularity.
+     * @returns {string[]} HH:MM values in business‑day order
+     */
+    function primeTimeOptions() {
+      load();
+      const r = rollover();
+      const step = granularity();
+      const out = [];
+      const to = minutesFromHM(PRIME_WINDOW.to, r);
+      for (let m = minutesFromHM(PRIME_WINDOW.from, r); m <= to; m += step) out.push(hmFromMinutes(m, r));
+      return out;
+    }
+
+    // Mirror the bookings with a titled film into prime rows, keeping the
+    // row ids, auditoriums and prime times of existing rows. Call inside a
+    // command.
+    function mirrorBookings() {
+      const existing = new Map((state.primeRows || []).map(r => [r.bookingId, r]));
+      state.primeRows = (state.bookings || []).filter(b => {
+        const film = b.filmId ? filmById(b.filmId) : null;
+        return film && film.title;
+      }).map(b => {
+        const row = existing.get(b.id);
+        return {
+          rowId: row?.rowId || `PRB-${b.id}`,
+          bookingId: b.id,
+          slot: b.slot,
+          filmId: b.filmId,
+          audId: row?.audId ?? null,
+          primeHM: row?.primeHM ?? '',
+        };
+      });
+    }
+
+    /**
+     * Build the prime schedule from the bookings. Every booking with a film
+     * gets a prime row, but only bookings playing on the current date (see
+     * bookingsOn) are scheduled; rows are taken in film priority order (1 first,
+     * blank last) and each gets the largest free auditorium that can play
+     * its film, so the most important films offer the most prime‑hour
+     * seats. Prime times are then picked from primeTimeOptions(), close to
+     * the middle of the prime window but away from starts already placed
+     * (extra rows included), so the houses do not all let out together and
+     * the stagger rule (state.staggerRule) is kept where it can be. A
+     * prime time inside one of the auditorium's blackout blocks or moved
+     * by one of its events is never picked; an auditorium with no other
+     * prime time is passed over.
+     * Auditoriums used by extra rows are left alone. The result is made
+     * with setRowField() and can be edited like any hand‑built row; the
+     * whole build is one undo step.
+     * @returns {{assigned: number, unassigned: string[]}} titles of films
+     *          that got no auditorium
+     */
+    function buildSchedule() {
+      load();
+      const result = { assigned: 0, unassigned: [] };
+      runCommand('Build schedule', () => {
+        mirrorBookings();
+        const rank = row => {
+          const p = parseInt(filmById(row.filmId).priority, 10);
+          return isNaN(p) ? Infinity : p;
+        };
+        // Only bookings playing on this date are scheduled; rows of the
+        // others are left as they were.
+        const playing = new Set(bookingsOn().map(b => b.id));
+        const rows = state.primeRows.filter(row => playing.has(row.bookingId)).sort((a, b) => {
+          if (rank(a) !== rank(b)) return rank(a) - rank(b);
+          const sa = parseInt(a.slot, 10);
+          const sb = parseInt(b.slot, 10);
+          if (!isNaN(sa) && !isNaN(sb)) return sa - sb;
+          return String(a.slot || '').localeCompare(String(b.slot || ''));
+        });
+        // Starts already on the schedule, from extra rows and then from
+        // each row as it is placed, as {id, offset, min} for crowdedStarts.
+        const r = rollover();
+        const startsOf = row => buildRowShowtimes(row).map(s => ({ id: s.id, offset: s.offset, min: minutesAt(state.currentDate, s.start, r) }));
+        const placed = [];
+        const takenAuds = new Set();
+        (state.extraRows || []).forEach(row => {
+          if (row.audId) takenAuds.add(parseInt(row.audId, 10));
+          placed.push(...startsOf(row));
+        });
+        const free = state.auds.filter(a => !takenAuds.has(a.id))
+          .sort((a, b) => (b.seats || 0) - (a.seats || 0) || a.id - b.id);
+        const options = primeTimeOptions();
+        const middle = (minutesFromHM(options[0], r) + minutesFromHM(options[options.length - 1], r)) / 2;
+        // The theatre's stagger rule, as the Gantt and grid check it
+        const rule = staggerRuleOf(state.staggerRule);
+        // The best prime time for `row` in `aud`, or null when every one
+        // falls in a blackout block or is moved by an event. Starts the
+        // stagger rule would flag count first, then starts closer together
+        // than its window, then the distance from the middle.
+        const bestPrime = (row, aud) => {
+          let best = null;
+          options.forEach(hm => {
+            const starts = startsOf({ ...row, audId: aud.id, primeHM: hm });
+            const prime = starts.find(s => s.offset === 0);
+            if (!prime || prime.min !== minutesFromHM(hm, r)) return;
+            const flagged = new Set();
+            crowdedStarts(placed.concat(starts), rule).forEach(w => w.ids.forEach(id => flagged.add(id)));
+            let crowding = 0;
+            starts.forEach(s => placed.forEach(p => { crowding += Math.max(0, rule.windowMins - Math.abs(s.min - p.min)); }));
+            const score = crowding * 100 + Math.abs(minutesFromHM(hm, r) - middle);
+            if (!best || flagged.size < best.flagged || (flagged.size === best.flagged && score < best.score)) {
+              best = { hm, flagged: flagged.size, score, starts };
+            }
+          });
+          return best;
+        };
+        rows.forEach(row => {
+          const film = filmById(row.filmId);
+          // The largest free auditorium that plays the film and has a
+          // prime time clear of its blackout blocks and events
+          let aud = null;
+          let best = null;
+          for (let i = 0; i < free.length && !aud; i++) {
+            if (!canPlayFormat(film, free[i])) continue;
+            best = bestPrime(row, free[i]);
+            if (best) aud = free.splice(i, 1)[0];
+          }
+          if (!aud) {
+            setRowField(row.rowId, 'primeHM', '');
+            setRowField(row.rowId, 'audId', null);
+            result.unassigned.push(film.title + (film.format ? ' ' + film.format : ''));
+            return;
+          }
+          setRowField(row.rowId, 'audId', aud.id);
+          setRowField(row.rowId, 'primeHM', best.hm);
+          placed.push(...best.starts);
+          result.assigned++;
+        });
+      });
+      return result;
+    }
+
+    /**
+     * Ensure that multi‑date support is initialised. When called, this will
+     * initialise the scheduleByDate and currentDate fields on the state if
+     * they are missing. It will also migrate any existing top‑level
+     * schedule fields (primeRows, extraRows, manualShows, overrides,
+     * hiddenShows and undoStack) into the schedule entry for the current
+     * date. Once initialised, it loads the schedule for the current date
+     * into the top‑level fields so that the rest of the app continues
+     * operating as before. If no currentDate is present, today's business
+     * date (local time, see todayIso) is used. Finally it persists the
+     * changes to storage.
+     */
+    function initDateSupport() {
+      load();
+      // Create the scheduleByDate container if missing
+      if (!state.scheduleByDate || typeof state.scheduleByDate !== 'object') {
+        state.scheduleByDate = {};
+      }
+      // Determine the current date; if not set, default to today's
+      // business date
+      if (!state.currentDate) {
+        state.currentDate = todayIso(rollover());
+      }
+      // If there is no schedule stored for the current date, migrate the
+      // existing top‑level schedule fields into a new entry. This ensures
+      // users upgrading from a single‑date state keep their existing
+      // schedule as the schedule for the current date.
+      if (!state.scheduleByDate[state.currentDate]) {
+        state.scheduleByDate[state.currentDate] = storedSchedule();
+      }
+      // Load the schedule for the current date into top‑level fields
+      loadSchedule(state.currentDate);
+      // Persist the state so that currentDate and scheduleByDate are saved
+      save();
+    }
+
+    /**
+     * Persist the current schedule into the scheduleByDate map. The schedule
+     * fields (primeRows, extraRows, manualShows, overrides, hiddenShows,
+     * undoStack) are saved under the key of state.currentDate. Manual
+     * shows are stored with their start/end fields preserved as Date
+     * objects; these will be serialised to ISO strings when persisted via
+     * save(). Past dates beyond the retention policy are then pruned
+     * (see pruneOldSchedules).
+     */
+    function saveCurrentSchedule() {
+      load();
+      if (!state.currentDate) return;
+      storeWorkingCopy();
+      pruneOldSchedules();
+    }
+
+    // The scenario the working copy belongs to, or null when the pages
+    // edit the official schedule of the current date.
+    function activeScenario() {
+      if (!state || !state.scenarioId) return null;
+      return (state.scenarios || []).find(sc => sc.id === state.scenarioId && sc.date === state.currentDate) || null;
+    }
+
+    // Store the top‑level working copy where it belongs: in the active
+    // scenario, else in scheduleByDate under the current date.
+    function storeWorkingCopy() {
+      if (!state.currentDate) return;
+      const sc = activeScenario();
+      if (sc) {
+        sc.schedule = storedSchedule();
+        return;
+      }
+      if (!state.scheduleByDate || typeof state.scheduleByDate !== 'object') {
+        state.scheduleByDate = {};
+      }
+      state.scheduleByDate[state.currentDate] = storedSchedule();
+    }
+
+    /**
+     * Load the schedule for a given date into the top‑level schedule fields.
+     * If the specified date does not yet have a schedule entry, a new
+     * blank schedule is created. This function does not persist the
+     * change; callers should invoke save() after calling loadSchedule() if
+     * they want the change to be stored. Dates must be provided as
+     * strings in ISO format (YYYY-MM-DD).
+     * @param {string} date 
+     */
+    function loadSchedule(date) {
+      load();
+      if (!state.scheduleByDate || typeof state.scheduleByDate !== 'object') {
+        state.scheduleByDate = {};
+      }
+      if (!date) {
+        // If no date provided, fall back to currentDate or today's
+        // business date
+        date = state.currentDate || todayIso(rollover());
+      }
+      // Stay in the active scenario only while it belongs to this date
+      const scenario = (state.scenarios || []).find(sc => sc.id === state.scenarioId && sc.date === date);
+      if (!scenario) state.scenarioId = null;
+      // Ensure there is a schedule entry for this date
+      if (!state.scheduleByDate[date]) {
+        state.scheduleByDate[date] = {
+          primeRows: [],
+          extraRows: [],
+          manualShows: [],
+          overrides: {},
+          hiddenShows: {},
+          blackouts: [],
+          events: [],
+          undoStack: [],
+          redoStack: [],
+        };
+      }
+      // Copy schedule fields into top‑level state
+      const sched = scenario ? scenario.schedule || {} : state.scheduleByDate[date];
+      state.primeRows = Array.isArray(sched.primeRows) ? sched.primeRows : [];
+      state.extraRows = Array.isArray(sched.extraRows) ? sched.extraRows : [];
+      // Copy manual shows and overrides: their start Dates are derived for
+      // this date below and must not leak into the stored entry.
+      state.manualShows = Array.isArray(sched.manualShows) ? sched.manualShows.map(ms => ({ ...ms })) : [];
+      state.overrides = {};
+      Object.keys(sched.overrides || {}).forEach(k => { state.overrides[k] = { ...sched.overrides[k] }; });
+      state.hiddenShows = sched.hiddenShows ? { ...sched.hiddenShows } : {};
+      state.blackouts = Array.isArray(sched.blackouts) ? sched.blackouts.map(b => ({ ...b })) : [];
+      state.events = Array.isArray(sched.events) ? sched.events.map(ev => clone(ev)) : [];
+      state.undoStack = Array.isArray(sched.undoStack) ? sched.undoStack : [];
+      state.redoStack = Array.isArray(sched.redoStack) ? sched.redoStack : [];
+      state.currentDate = date;
+      anchorShows();
+    }
+
+    /**
+     * Apply the retention policy (state.retention, see retentionOf). Only
+     * past dates are pruned, so planning far ahead never evicts recent
+     * days: the current date, today (the business date, so the day still
+     * running before the rollover hour counts) and later dates and the
+     * dates the policy keeps by name always stay, and of the other past
+     * dates the `pastDates` most recent ones stay. ISO keys sort
+     * chronologically.
+     * Pruned dates move to state.scheduleArchive, together with their
+     * scenarios, unless the policy turns archiving off.
+     */
+    function pruneOldSchedules() {
+      if (!state.scheduleByDate || typeof state.scheduleByDate !== 'object') return;
+      const policy = retentionOf(state.retention);
+      if (policy.pastDates === null) return;
+      const today = todayIso(rollover());
+      const past = Object.keys(state.scheduleByDate)
+        .filter(k => k < today && k !== state.currentDate && !policy.keep.includes(k))
+        .sort();
+      if (past.length <= policy.pastDates) return;
+      const toDelete = past.slice(0, past.length - policy.pastDates);
+      if (!state.scheduleArchive || typeof state.scheduleArchive !== 'object') state.scheduleArchive = {};
+      toDelete.forEach(k => {
+        if (policy.archive) {
+          const entry = copyOfSchedule(state.scheduleByDate[k] || {});
+          delete entry.undoStack;
+          delete entry.redoStack;
+          entry.archivedAt = new Date().toISOString();
+          const scenarios = (state.scenarios || []).filter(sc => sc.date === k);
+          if (scenarios.length) entry.scenarios = clone(scenarios);
+          state.scheduleArchive[k] = entry;
+        }
+        delete state.scheduleByDate[k];
+      });
+      // Scenarios go with their date
+      if (Array.isArray(state.scenarios)) {
+        state.scenarios = state.scenarios.filter(sc => state.scheduleByDate[sc.date]);
+      }
+    }
+
+    // The retention policy with defaults filled in.
+    function retention() {
+      load();
+      return retentionOf(state.retention);
+    }
+
+    /**
+     * Change the retention policy; the new policy applies at once.
+     * @param {{pastDates?: number|null, archive?: boolean, keep?: string[]}} policy
+     *        fields left out keep their current value
+     */
+    function setRetention(policy) {
+      load();
+      state.retention = retentionOf({ ...retentionOf(state.retention), ...(policy || {}) });
+      save();
+    }
+
+    /**
+     * Archived dates, newest first, with a summary of what each holds.
+     * @returns {{date: string, archivedAt: string, rows: number, manualShows: number, scenarios: number}[]}
+     */
+    function listArchive() {
+      load();
+      const archive = state.scheduleArchive || {};
+      return Object.keys(archive).sort().reverse().map(date => {
+        const entry = archive[date] || {};
+        return {
+          date,
+          archivedAt: entry.archivedAt || '',
+          rows: (entry.primeRows || []).filter(r => r.audId || r.primeHM).length + (entry.extraRows || []).length,
+          manualShows: (entry.manualShows || []).length,
+          scenarios: (entry.scenarios || []).length,
+        };
+      });
+    }
+
+    /**
+     * Move an archived date back into scheduleByDate, replacing anything
+     * saved for it, and keep it from being pruned again by adding it to
+     * the policy's keep list. Its scenarios come back with it.
+     * @param {string} date YYYY-MM-DD
+     * @returns {boolean} false when the date is not archived
+     */
+    function restoreArchived(date) {
+      load();
+      const entry = state.scheduleArchive && state.scheduleArchive[date];
+      if (!entry) return false;
+      if (!state.scheduleByDate || typeof state.scheduleByDate !== 'object') state.scheduleByDate = {};
+      state.scheduleByDate[date] = copyOfSchedule(entry);
+      if (!Array.isArray(state.scenarios)) state.scenarios = [];
+      state.scenarios = state.scenarios.filter(sc => sc.date !== date).concat(clone(entry.scenarios || []));
+      delete state.scheduleArchive[date];
+      const policy = retentionOf(state.retention);
+      if (!policy.keep.includes(date)) policy.keep.push(date);
+      state.retention = policy;
+      // The restored date replaces the working copy when it is the
+      // current date
+      if (date === state.currentDate) {
+        state.scenarioId = null;
+        loadSchedule(date);
+      }
+      save();
+      if (date === state.currentDate) {
+        try {
+          emit('showtimeDateChanged');
+        } catch (err) {}
+      }
+      return true;
+    }
+
+    // Drop one archived date, or the whole archive when `date` is omitted.
+    function deleteArchived(date) {
+      load();
+      if (!state.scheduleArchive) return false;
+      if (date === undefined) {
+        state.scheduleArchive = {};
+      } else {
+        if (!state.scheduleArchive[date]) return false;
+        delete state.scheduleArchive[date];
+      }
+      save();
+      return true;
+    }
+
+    /**
+     * Change the current schedule date. This will first save the current
+     * schedule under state.currentDate, then load the schedule for the
+     * specified date and update the state accordingly. Finally it
+     * persists the changes and dispatches a custom event to allow
+     * listeners to react to the date change. If the provided date is
+     * empty or null, this function returns without action.
+     * @param {string} date  The new date in YYYY-MM-DD format
+     */
+    function setDate(date) {
+      if (!date) return;
+      load();
+      // Save the current schedule before switching
+      saveCurrentSchedule();
+      // Load the new schedule
+      loadSchedule(date);
+      // Persist changes
+      save();
+      // Notify listeners that the date has changed
+      try {
+        emit('showtimeDateChanged');
+      } catch (err) {}
+    }
+
+    /**
+     * Copy a schedule from one date to one or more target dates.  This will
+     * first ensure that the current schedule is saved, then duplicate the
+     * schedule data (primeRows, extraRows, manualShows, overrides,
+     * hiddenShows) for each target date provided.  If a target date
+     * already exists, it will be overwritten, except for its blackout
+     * blocks and events, which stay with their date.  The undoStack is
+     * intentionally cleared on the copied schedules because undo history
+     * should not carry over between days.  After copying, changes are
+     * persisted.  If fromDate is falsy or targetDates is not an array,
+     * the function returns without doing anything.
+     *
+     * @param {string} fromDate
+     *   The date to copy from (YYYY-MM-DD).  If null, the current date
+     *   (state.currentDate) will be used.
+     * @param {string[]} targetDates
+     *   An array of target dates (YYYY-MM-DD) to copy the schedule to.
+     */
+    function copySchedule(fromDate, targetDates) {
+      load();
+      if (!Array.isArray(targetDates) || targetDates.length === 0) return;
+      // Determine the source date.  If fromDate is not provided, use the current date.
+      const sourceDate = fromDate || state.currentDate;
+      if (!sourceDate) return;
+      // Ensure the current schedule is saved before copying
+      saveCurrentSchedule();
+      // Copying the current date while a scenario is open copies the
+      // scenario, which is what the pages show
+      const scenario = sourceDate === state.currentDate ? activeScenario() : null;
+      const srcSched = scenario ? scenario.schedule : state.scheduleByDate[sourceDate];
+      if (!srcSched) return;
+      targetDates.forEach(targetDate => {
+        if (!targetDate) return;
+        // Ensure scheduleByDate exists
+        if (!state.scheduleByDate || typeof state.scheduleByDate !== 'object') {
+          state.scheduleByDate = {};
+        }
+        // Assign deep copies to target date
+        state.scheduleByDate[targetDate] = copyOntoDate(srcSched, targetDate);
+      });
+      // Persist changes
+      save();
+    }
+
+    // Deep copy of a stored schedule entry for another date. Manual shows
+    // and overrides are stored with startMin, relative to their own date,
+    // so plain deep copies land at the same listed times on every target
+    // date. Undo history does not carry over between days.
+    function copyOfSchedule(srcSched) {
+      const deepCopyRows = (rows) => rows.map(r => JSON.parse(JSON.stringify(r)));
+      return {
+        primeRows: Array.isArray(srcSched.primeRows) ? deepCopyRows(srcSched.primeRows) : [],
+        extraRows: Array.isArray(srcSched.extraRows) ? deepCopyRows(srcSched.extraRows) : [],
+        manualShows: Array.isArray(srcSched.manualShows) ? srcSched.manualShows.map(show => clone(show)) : [],
+        overrides: srcSched.overrides ? clone(srcSched.overrides) : {},
+        hiddenShows: srcSched.hiddenShows ? { ...srcSched.hiddenShows } : {},
+        blackouts: Array.isArray(srcSched.blackouts) ? srcSched.blackouts.map(b => ({ ...b })) : [],
+        events: Array.isArray(srcSched.events) ? srcSched.events.map(ev => clone(ev)) : [],
+        undoStack: [],
+        redoStack: [],
+      };
+    }
+
+    // copyOfSchedule() for a date that keeps its own blackout blocks and
+    // events: a rental, service or one‑off screening booked on the target
+    // date stays booked whatever schedule is copied over it, and the
+    // source date's events do not repeat.
+    function copyOntoDate(srcSched, date) {
+      const own = state.scheduleByDate[date] || {};
+      return {
+        ...copyOfSchedule(srcSched),
+        blackouts: Array.isArray(own.blackouts) ? own.blackouts : [],
+        events: Array.isArray(own.events) ? own.events : [],
+      };
+    }
+
+    // Whether a stored schedule holds any scheduling work: rows with an
+    // auditorium or prime time, manual shows, or moved or hidden shows.
+    // Prime rows the pages mirror from bookings are not edits by
+    // themselves.
+    function hasEdits(sched) {
+      if (!sched || typeof sched !== 'object') return false;
+      const placed = r => r && (r.audId || r.primeHM);
+      return (sched.primeRows || []).some(placed) ||
+        (sched.extraRows || []).some(placed) ||
+        (sched.manualShows || []).length > 0 ||
+        Object.keys(sched.overrides || {}).length > 0 ||
+        Object.keys(sched.hiddenShows || {}).length > 0;
+    }
+
+    /**
+     * Fill a film week (Friday to Thursday, see filmWeekOf) from two
+     * template dates: weekend days get a copy of the weekend template and
+     * the other days a copy of the weekday template, replacing what they
+     * held apart from their blackout blocks and events. Weekday shows
+     * starting before `weekdayNotBefore` are hidden, which drops the
+     * matinees a weekend template would otherwise bring along. The
+     * template dates themselves are never overwritten. Each rebuilt date
+     * gets a "Build week" entry in its own history, so Undo on that date
+     * brings back what it held.
+     * @param {object} opts
+     * @param {string} opts.weekendFrom template date (YYYY-MM-DD) for weekend days
+     * @param {string} opts.weekdayFrom template date for the other days
+     * @param {string} [opts.week] any date in the film week, default the schedule date
+     * @param {number[]} [opts.weekendDays=[6, 0]] Date#getDay() numbers of the weekend days
+     * @param {string} [opts.weekdayNotBefore] HH:MM, blank to keep every weekday show
+     * @param {boolean} [opts.skipEdited] leave dates that already have edits (see hasEdits) alone
+     * @returns {{built: string[], skipped: string[]}} dates filled and dates left alone
+     */
+    function buildWeek(opts) {
+      load();
+      const o = opts || {};
+      const result = { built: [], skipped: [] };
+      const wk = filmWeekOf(o.week || scheduleDate());
+      if (!wk) return result;
+      // Templates are read from storage, so store the working copy first
+      saveCurrentSchedule();
+      const weekend = Array.isArray(o.weekendDays) ? o.weekendDays : [6, 0];
+      const r = rollover();
+      const notBefore = o.weekdayNotBefore ? minutesFromHM(o.weekdayNotBefore, r) : null;
+      const templates = new Set([o.weekendFrom, o.weekdayFrom]);
+      const weekdays = [];
+      // What each rebuilt date held, for its history entry
+      const before = {};
+      for (let day = dayOfIso(wk.from); day <= dayOfIso(wk.to); day++) {
+        const date = isoOfDay(day);
+        const isWeekend = weekend.includes(new Date(day * 86400000).getUTCDay());
+        const src = state.scheduleByDate[isWeekend ? o.weekendFrom : o.weekdayFrom];
+        if (!src || templates.has(date) || (o.skipEdited && hasEdits(state.scheduleByDate[date]))) {
+          result.skipped.push(date);
+          continue;
+        }
+        const prev = state.scheduleByDate[date] || {};
+        before[date] = {
+          snap: snapshotTracked(prev),
+          undoStack: Array.isArray(prev.undoStack) ? prev.undoStack : [],
+        };
+        state.scheduleByDate[date] = copyOntoDate(src, date);
+        if (!isWeekend) weekdays.push(date);
+        result.built.push(date);
+      }
+      // A rebuilt current date replaces the working copy, which save()
+      // would otherwise write back over it. An open scenario is left as
+      // it is; the week is built on the official schedules.
+      const live = !activeScenario();
+      if (live && result.built.includes(state.currentDate)) loadSchedule(state.currentDate);
+      if (notBefore !== null) {
+        weekdays.forEach(date => {
+          const hidden = live && date === state.currentDate ? state.hiddenShows : state.scheduleByDate[date].hiddenShows;
+          scheduleShows(date, null).forEach(show => {
+            if (minutesAt(date, show.start, r) < notBefore) hidden[show.id] = true;
+          });
+        });
+      }
+      // Record the rebuild on each date as one undoable step, keeping the
+      // history the date had (the copies start with an empty one).
+      const stamp = new Date().toISOString();
+      result.built.forEach(date => {
+        const sched = live && date === state.currentDate ? state : state.scheduleByDate[date];
+        const changes = diffTracked(before[date].snap, snapshotTracked(sched));
+        const history = before[date].undoStack.slice();
+        if (changes) history.push({ label: 'Build week', at: stamp, changes });
+        if (history.length > HISTORY_LIMIT) history.splice(0, history.length - HISTORY_LIMIT);
+        sched.undoStack = history;
+        sched.redoStack = [];
+      });
+      save();
+      return result;
+    }
+
+    // ---- Blackout blocks -------------------------------------------------
+    // Blocks are part of the date's schedule (state.blackouts) so they have
+    // undo, live in scenarios and are archived with their date, but a copy
+    // of another date's schedule never replaces them (see copyOntoDate).
+
+    // The current date's blocks with their auditorium name and start/end
+    // Dates on the business day, sorted by auditorium then start. Blocks
+    // that end before they start are left out.
+    function blackoutSpans() {
+      return (state.blackouts || []).map(b => {
+        const aud = audById(parseInt(b.audId, 10));
+        const start = at(b.fromHM);
+        const end = at(b.toHM);
+        return { ...b, audName: aud ? aud.name : '', start, end };
+      }).filter(b => b.end > b.start)
+        .sort((a, b) => a.audId - b.audId || a.start - b.start);
+    }
+
+    /**
+     * Blackout blocks of the current date (see addBlackout).
+     * @returns {{id: string, audId: number, audName: string, kind: string, note: string, fromHM: string, toHM: string, start: Date, end: Date}[]}
+     */
+    function listBlackouts() {
+      load();
+      return blackoutSpans();
+    }
+
+    /**
+     * Reserve an auditorium on the current date from `fromHM` to `toHM`
+     * (a `toHM` after midnight belongs to the same business day). Show
+     * cycles that would run into the block are no longer generated;
+     * manual and moved shows stay where they were put. Undoable.
+     * @param {number|string} audId
+     * @param {string} fromHM
+     * @param {string} toHM
+     * @param {string} [kind='rental'] a BLACKOUT_KINDS key
+     * @param {string} [note]
+     * @returns {object|null} the block, or null when the auditorium is
+     *          unknown or the range is empty
+     */
+    function addBlackout(audId, fromHM, toHM, kind, note) {
+      load();
+      const aud = audById(parseInt(audId, 10));
+      if (!aud || !fromHM || !toHM) return null;
+      const r = rollover();
+      if (minutesFromHM(toHM, r) <= minutesFromHM(fromHM, r)) return null;
+      const block = {
+        id: `BO-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+        audId: aud.id,
+        kind: BLACKOUT_KINDS.some(k => k.key === kind) ? kind : BLACKOUT_KINDS[0].key,
+        note: note ? String(note).trim() : '',
+        fromHM,
+        toHM,
+      };
+      return runCommand(`Black out ${aud.name} ${fmtHM(fromHM)}–${fmtHM(toHM)}`, () => {
+        if (!Array.isArray(state.blackouts)) state.blackouts = [];
+        state.blackouts.push(block);
+        save();
+        return block;
+      });
+    }
+
+    /**
+     * Remove a blackout block of the current date. Undoable.
+     * @param {string} id
+     */
+    function removeBlackout(id) {
+      load();
+      const block = (state.blackouts || []).find(b => b.id === id);
+      if (!block) return;
+      const aud = audById(parseInt(block.audId, 10));
+      runCommand(`Remove ${aud ? aud.name : 'auditorium'} blackout ${fmtHM(block.fromHM)}–${fmtHM(block.toHM)}`, () => {
+        state.blackouts = state.blackouts.filter(b => b.id !== id);
+        save();
+      });
+    }
+
+    // ---- Fixed-time events ------------------------------------------------
+    // An event is a one‑off screening at an exact time (a fan screening at
+    // 7:00, a double feature) with its own runtime, preshow and clean
+    // minutes instead of the film's. Like blackout blocks, events belong
+    // to their date's schedule and survive copies onto it. getAllShows
+    // lists each event as one show with source 'Event' and the event id
+    // as show and row id, so every view shows it; moving, re‑seating or
+    // removing that show edits the event itself.
+
+    // Whole minutes of an event field, or `fallback` when it is blank.
+    function eventMins(v, fallback) {
+      const n = parseInt(v, 10);
+      return Number.isFinite(n) && n >= 0 ? n : fallback;
+    }
+
+    // An event's first feature title: its own title, else its film's.
+    function featureTitle(title, filmId) {
+      const t = title ? String(title).trim() : '';
+      if (t) return t;
+      const film = filmId ? filmById(filmId) : null;
+      return film ? film.title + (film.format ? ' ' + film.format : '') : '';
+    }
+
+    // The current date's events placed on the business day, sorted by
+    // auditorium then start. Each gains audName, start, end (the last
+    // feature's end), busyUntil (end plus clean) and features: the title,
+    // film and start/end of each feature, the first including the
+    // preshow.
+    function eventSpans() {
+      return (state.events || []).filter(ev => ev && ev.startHM).map(ev => {
+        const aud = audById(parseInt(ev.audId, 10));
+        const start = at(ev.startHM);
+        const firstEnd = addMins(start, (ev.preshow || 0) + (ev.runtime || 0));
+        const features = [{ title: ev.title, filmId: ev.filmId || null, start, end: firstEnd }];
+        if (ev.second) {
+          features.push({
+            title: ev.second.title,
+            filmId: ev.second.filmId || null,
+            start: firstEnd,
+            end: addMins(firstEnd, ev.second.runtime || 0),
+          });
+        }
+        const end = features[features.length - 1].end;
+        return { ...ev, audName: aud ? aud.name : '', start, end, busyUntil: addMins(end, ev.clean || 0), features };
+      }).sort((a, b) => a.audId - b.audId || a.start - b.start);
+    }
+
+    // The show record getAllShows lists for an event span.
+    function eventRec(ev) {
+      const runtime = (ev.runtime || 0) + (ev.second ? ev.second.runtime || 0 : 0);
+      return {
+        id: ev.id,
+        rowId: ev.id,
+        offset: 0,
+        audId: ev.audId,
+        audName: ev.audName,
+        filmId: ev.filmId || null,
+        filmTitle: ev.features.map(f => f.title).join(' + '),
+        start: ev.start,
+        end: ev.end,
+        runtime,
+        trailer: ev.preshow || 0,
+        clean: ev.clean || 0,
+        cycle: (ev.preshow || 0) + runtime + (ev.clean || 0),
+        source: 'Event',
+        eventId: ev.id,
+        features: ev.features,
+        note: ev.note || '',
+      };
+    }
+
+    // Whether a show id is one of the current date's events.
+    function isEvent(id) {
+      return (state.events || []).some(ev => ev.id === id);
+    }
+
+    // Stored form of an event's second feature, or null without one. A
+    // linked film supplies the title and runtime left blank.
+    function secondFeature(second) {
+      if (!second || (!second.filmId && !(second.title && String(second.title).trim()))) return null;
+      const film = second.filmId ? filmById(second.filmId) : null;
+      return {
+        filmId: film ? film.id : null,
+        title: featureTitle(second.title, film ? film.id : null),
+        runtime: eventMins(second.runtime, film ? film.runtime || 0 : 0),
+      };
+    }
+
+    /**
+     * Events of the current date (see addEvent), with their auditorium
+     * name, start/end Dates, busyUntil (end plus clean) and features.
+     * @returns {object[]}
+     */
+    function listEvents() {
+      load();
+      return eventSpans();
+    }
+
+    /**
+     * Add a fixed‑time event on the current date. A linked film (`filmId`)
+     * supplies the title, runtime and preshow (its trailer) left blank;
+     * clean defaults to the film's and auditorium's turnaround. A second
+     * feature starts as soon as the first ends. Show cycles in the same
+     * auditorium that would run into the event resume once it is out and
+     * cleaned (or, before their prime time, end by the time it starts).
+     * Undoable.
+     * @param {object} ev
+     * @param {number|string} ev.audId
+     * @param {string} ev.startHM
+     * @param {string} [ev.title]
+     * @param {string} [ev.filmId]
+     * @param {number} [ev.runtime]
+     * @param {number} [ev.preshow]
+     * @param {number} [ev.clean]
+     * @param {{filmId?: string, title?: string, runtime?: number}} [ev.second]
+     * @param {string} [ev.note]
+     * @returns {object|null|false} the event, null when the auditorium,
+     *          start or title is missing or it has no runtime, or false
+     *          when the theatre blocks a film's format in the auditorium
+     */
+    function addEvent(ev) {
+      load();
+      const o = ev || {};
+      const aud = audById(parseInt(o.audId, 10));
+      if (!aud || !o.startHM) return null;
+      const film = o.filmId ? filmById(o.filmId) : null;
+      const event = {
+        id: `EV-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+        audId: aud.id,
+        startHM: o.startHM,
+        title: featureTitle(o.title, film ? film.id : null),
+        filmId: film ? film.id : null,
+        runtime: eventMins(o.runtime, film ? film.runtime || 0 : 0),
+        preshow: eventMins(o.preshow, film ? film.trailer || 0 : 0),
+        clean: eventMins(o.clean, turnaroundMinutes(film, aud)),
+        second: secondFeature(o.second),
+        note: o.note ? String(o.note).trim() : '',
+      };
+      if (!event.title || !(event.runtime + (event.second ? event.second.runtime : 0))) return null;
+      if (!allowFormat(event.filmId, aud.id)) return false;
+      if (event.second && event.second.filmId && !allowFormat(event.second.filmId, aud.id)) return false;
+      const label = event.second ? `${event.title} + ${event.second.title}` : event.title;
+      return runCommand(`Add event ${label} in ${aud.name} at ${fmtHM(event.startHM)}`, () => {
+        if (!Array.isArray(state.events)) state.events = [];
+        state.events.push(event);
+        save();
+        return event;
+      });
+    }
+
+    /**
+     * Change fields of an event of the current date: audId, startHM,
+     * title, filmId, runtime, preshow, clean, second (null removes the
+     * second feature) or note. Linking a different film without a title
+     * or runtime takes the film's. Undoable.
+     * @param {string} id
+     * @param {object} patch
+     * @returns {object|null|false} the updated event, null when there is
+     *          no such event or the patch leaves it invalid, or false when
+     *          the theatre blocks a film's format in the auditorium
+     */
+    function updateEvent(id, patch) {
+      load();
+      const idx = (state.events || []).findIndex(ev => ev.id === id);
+      if (idx === -1 || !patch) return null;
+      const next = { ...state.events[idx] };
+      if (patch.audId !== undefined) {
+        const aud = audById(parseInt(patch.audId, 10));
+        if (!aud) return null;
+        next.audId = aud.id;
+      }
+      if (patch.startHM !== undefined) next.startHM = patch.startHM;
+      if (patch.filmId !== undefined && (patch.filmId || null) !== next.filmId) {
+        const film = patch.filmId ? filmById(patch.filmId) : null;
+        next.filmId = film ? film.id : null;
+        if (film && patch.title === undefined) next.title = featureTitle('', film.id);
+        if (film && patch.runtime === undefined) next.runtime = film.runtime || 0;
+        if (film && patch.preshow === undefined) next.preshow = film.trailer || 0;
+      }
+      if (patch.title !== undefined) next.title = featureTitle(patch.title, next.filmId);
+      ['runtime', 'preshow', 'clean'].forEach(k => {
+        if (patch[k] !== undefined) next[k] = eventMins(patch[k], next[k] || 0);
+      });
+      if (patch.second !== undefined) next.second = secondFeature(patch.second);
+      if (patch.note !== undefined) next.note = patch.note ? String(patch.note).trim() : '';
+      if (!next.startHM || !next.title || !(next.runtime + (next.second ? next.second.runtime : 0))) return null;
+      const recheck = next.audId !== state.events[idx].audId;
+      if ((recheck || next.filmId !== state.events[idx].filmId) && !allowFormat(next.filmId, next.audId)) return false;
+      if (next.second && next.second.filmId && (recheck || patch.second !== undefined) && !allowFormat(next.second.filmId, next.audId)) return false;
+      const aud = audById(next.audId);
+      const label = patch.startHM !== undefined || patch.audId !== undefined
+        ? `Move event ${next.title} to ${aud ? aud.name : 'auditorium'} ${fmtHM(next.startHM)}`
+        : `Edit event ${next.title}`;
+      return runCommand(label, () => {
+        state.events[idx] = next;
+        save();
+        return next;
+      });
+    }
+
+    /**
+     * Remove an event of the current date. Undoable.
+     * @param {string} id
+     */
+    function removeEvent(id) {
+      load();
+      const event = (state.events || []).find(ev => ev.id === id);
+      if (!event) return;
+      runCommand(`Remove event ${event.title} ${fmtHM(event.startHM)}`, () => {
+        state.events = state.events.filter(ev => ev.id !== id);
+        save();
+      });
+    }
+
+    // ---- Schedule templates ----------------------------------------------
+    // A template records rows by slot rather than by row id so it can be
+    // applied on any date: prime rows by their booking's slot, extra rows
+    // and the rows of manual shows by their own slot. Film ids are kept to
+    // map template films onto the films now booked in the same slots.
+
+    // Template row from a prime or extra row.
+    function templateRow(row) {
+      const film = filmById(row.filmId);
+      return {
+        slot: String(row.slot ?? ''),
+        filmId: row.filmId || null,
+        filmTitle: film ? film.title : '',
+        audId: row.audId ?? null,
+        primeHM: row.primeHM || '',
+      };
+    }
+
+    /**
+     * Saved templates, oldest first.
+     * @returns {{id: string, name: string, created: string, firstShowHM: string, lastShowHM: string,
+     *            primeRows: object[], extraRows: object[], manualShows: object[]}[]}
+     */
+    function listTemplates() {
+      load();
+      if (!Array.isArray(state.templates)) state.templates = [];
+      return state.templates;
+    }
+
+    /**
+     * Save the current date's layout as a named template: prime rows with
+     * an auditorium or prime time, extra rows, manual shows and the
+     * first/last show window. Moved and hidden shows are not part of a
+     * template.
+     * @param {string} name
+     * @returns {object} the new template
+     */
+    function saveTemplate(name) {
+      const list = listTemplates();
+      const rowKind = new Map();
+      (state.primeRows || []).forEach(r => rowKind.set(r.rowId, ['prime', r]));
+      (state.extraRows || []).forEach(r => rowKind.set(r.rowId, ['extra', r]));
+      const tpl = {
+        id: `T-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+        name: String(name || '').trim() || `Template ${list.length + 1}`,
+        created: new Date().toISOString(),
+        firstShowHM: state.firstShowHM,
+        lastShowHM: state.lastShowHM,
+        primeRows: (state.primeRows || []).filter(r => r.audId || r.primeHM).map(templateRow),
+        extraRows: (state.extraRows || []).map(templateRow),
+        manualShows: (state.manualShows || []).map(ms => {
+          const [row, owner] = rowKind.get(ms.rowId) || ['', null];
+          return {
+            row,
+            slot: owner ? String(owner.slot ?? '') : '',
+            filmId: ms.filmId,
+            filmTitle: ms.filmTitle || '',
+            audId: ms.audId ?? null,
+            startMin: typeof ms.startMin === 'number' ? ms.startMin : minutesAt(scheduleDate(), new Date(ms.start), rollover()),
+          };
+        }),
+      };
+      list.push(tpl);
+      save();
+      return tpl;
+    }
+
+    // Rename a template; blank names are ignored.
+    function renameTemplate(id, name) {
+      const tpl = listTemplates().find(t => t.id === id);
+      const clean = String(name || '').trim();
+      if (!tpl || !clean) return false;
+      tpl.name = clean;
+      save();
+      return true;
+    }
+
+    function deleteTemplate(id) {
+      const list = listTemplates();
+      const idx = list.findIndex(t => t.id === id);
+      if (idx === -1) return false;
+      list.splice(idx, 1);
+      save();
+      return true;
+    }
+
+    /**
+     * Templates as a standalone export object.
+     * @param {string[]} [ids] templates to export, default all
+     * @returns {{showtimeTemplates: number, templates: object[]}}
+     */
+    function exportTemplates(ids) {
+      const list = listTemplates().filter(t => !Array.isArray(ids) || ids.includes(t.id));
+      return { showtimeTemplates: 1, templates: clone(list) };
+    }
+
+    /**
+     * Add templates from an exportTemplates() object (or a bare array of
+     * templates). Imported templates get fresh ids so they never replace
+     * existing ones.
+     * @param {object|object[]} data
+     * @returns {number} templates added
+     */
+    function importTemplates(data) {
+      const incoming = Array.isArray(data) ? data : (data && Array.isArray(data.templates) ? data.templates : null);
+      if (!incoming) throw new Error('The file does not contain any schedule templates.');
+      const list = listTemplates();
+      let added = 0;
+      incoming.forEach((t, i) => {
+        if (!t || typeof t !== 'object' || !Array.isArray(t.primeRows)) return;
+        const tpl = clone(t);
+        tpl.id = `T-${Date.now()}-${i}-${Math.floor(Math.random() * 1000)}`;
+        tpl.name = String(tpl.name || '').trim() || `Template ${list.length + 1}`;
+        if (!Array.isArray(tpl.extraRows)) tpl.extraRows = [];
+        if (!Array.isArray(tpl.manualShows)) tpl.manualShows = [];
+        list.push(tpl);
+        added++;
+      });
+      if (added) save();
+      return added;
+    }
+
+    /**
+     * Replace the current date's layout with a template. Template prime
+     * rows go to the bookings now in the same slots; the films of extra
+     * rows and manual shows follow the same slot mapping, or stay as they
+     * are when the film is still on file. Anything that cannot be placed
+     * is left out and listed. Moved and hidden shows are cleared. The
+     * schedule changes are one undo step. The first/last show window is a
+     * setting shared by every date, so it is left alone; when the
+     * template was saved with a different one it is returned as
+     * `window` for the page to offer.
+     * @param {string} id
+     * @returns {{applied: number, unmatched: string[], window: {firstShowHM: string, lastShowHM: string}|null}|null}
+     *          null when the template does not exist
+     */
+    function applyTemplate(id) {
+      const tpl = listTemplates().find(t => t.id === id);
+      if (!tpl) return null;
+      const result = { applied: 0, unmatched: [], window: null };
+      const miss = (slot, title) => {
+        const text = `${title || 'Untitled'} (slot ${slot || '?'})`;
+        if (!result.unmatched.includes(text)) result.unmatched.push(text);
+      };
+      runCommand(`Apply template "${tpl.name}"`, () => {
+        mirrorBookings();
+        const rowBySlot = new Map();
+        state.primeRows.forEach(r => rowBySlot.set(String(r.slot), r));
+        // Template film -> film now booked in the template row's slot
+        const filmMap = new Map();
+        tpl.primeRows.forEach(t => {
+          const row = rowBySlot.get(String(t.slot));
+          if (row && t.filmId) filmMap.set(t.filmId, row.filmId);
+        });
+        const mapFilm = fid => filmMap.get(fid) || (filmById(fid) ? fid : null);
+        const audFor = (filmId, audId) => {
+          const aud = audId !== null && audId !== undefined ? audById(parseInt(audId, 10)) : null;
+          return aud && allowFormat(filmId, aud.id) ? aud.id : null;
+        };
+        state.primeRows.forEach(r => { r.audId = null; r.primeHM = ''; });
+        state.extraRows = [];
+        state.manualShows = [];
+        state.overrides = {};
+        state.hiddenShows = {};
+        const rows = { prime: rowBySlot, extra: new Map() };
+        tpl.primeRows.forEach(t => {
+          const row = rowBySlot.get(String(t.slot));
+          if (!row) return miss(t.slot, t.filmTitle);
+          row.audId = audFor(row.filmId, t.audId);
+          row.primeHM = t.primeHM || '';
+          result.applied++;
+        });
+        (tpl.extraRows || []).forEach((t, i) => {
+          const filmId = mapFilm(t.filmId);
+          if (t.filmId && !filmId) return miss(t.slot, t.filmTitle);
+          const row = {
+            rowId: `EX-${Date.now()}-${i}-${Math.floor(Math.random() * 1000)}`,
+            bookingId: null,
+            slot: t.slot,
+            filmId,
+            audId: filmId ? audFor(filmId, t.audId) : null,
+            primeHM: t.primeHM || '',
+          };
+          state.extraRows.push(row);
+          rows.extra.set(String(t.slot), row);
+          result.applied++;
+        });
+        (tpl.manualShows || []).forEach((t, i) => {
+          const row = (rows[t.row] || new Map()).get(String(t.slot));
+          const film = row ? filmById(row.filmId) : null;
+          const aud = film ? audById(audFor(film.id, t.audId)) : null;
+          if (!film || !aud) return miss(t.slot, t.filmTitle);
+          const start = dateAt(scheduleDate(), t.startMin, rollover());
+          state.manualShows.push({
+            id: `M-${Date.now()}-${i}-${Math.floor(Math.random() * 1000)}`,
+            rowId: row.rowId,
+            audId: aud.id,
+            audName: aud.name,
+            filmId: film.id,
+            filmTitle: film.title + (film.format ? ' ' + film.format : ''),
+            startMin: t.startMin,
+            start,
+            end: endOfMovie(start, film),
+            runtime: film.runtime,
+            trailer: film.trailer,
+            clean: turnaroundMinutes(film, aud),
+            cycle: cycleMinutes(film, aud, granularity()),
+            source: 'Manual',
+          });
+          result.applied++;
+        });
+      });
+      const first = tpl.firstShowHM || state.firstShowHM;
+      const last = tpl.lastShowHM || state.lastShowHM;
+      if (first !== state.firstShowHM || last !== state.lastShowHM) {
+        result.window = { firstShowHM: first, lastShowHM: last };
+      }
+      return result;
+    }
+
+    // Match two show lists by show id. Copied dates and forked scenarios
+    // keep their row ids, so a show that kept its row and position is the
+    // same show; it is retimed when its listed time (minutes into its own
+    // business day) differs and re‑housed when its auditorium does.
+    function matchShows(before, beforeDate, after, afterDate) {
+      const r = rollover();
+      const old = new Map(before.map(s => [s.id, s]));
+      const kept = new Set(after.map(s => s.id));
+      const out = { added: [], removed: before.filter(s => !kept.has(s.id)), changed: [] };
+      after.forEach(s => {
+        const prev = old.get(s.id);
+        if (!prev) {
+          out.added.push(s);
+          return;
+        }
+        const retimed = minutesAt(beforeDate, prev.start, r) !== minutesAt(afterDate, s.start, r);
+        const rehoused = String(prev.audId) !== String(s.audId);
+        if (retimed || rehoused) out.changed.push({ before: prev, after: s, retimed, rehoused });
+      });
+      return out;
+    }
+
+    /**
+     * Differences between the saved schedules of two dates, one entry per
+     * show, sorted by auditorium and time. Removed shows are listed under
+     * the auditorium they left, everything else under the one they play
+     * in on `toDate`. A show both re‑housed and retimed has change
+     * 'rehoused' and retimed true.
+     * @param {string} fromDate YYYY-MM-DD
+     * @param {string} toDate YYYY-MM-DD
+     * @returns {{audId: number, audName: string, change: 'added'|'removed'|'retimed'|'rehoused',
+     *            retimed: boolean, filmId: string, filmTitle: string, fromHM: string, toHM: string,
+     *            fromAud: string, toAud: string}[]}
+     */
+    function diffDates(fromDate, toDate) {
+      load();
+      saveCurrentSchedule();
+      const r = rollover();
+      const byDate = state.scheduleByDate || {};
+      const showsOf = date => (byDate[date] ? scheduleShows(date, null) : []);
+      const m = matchShows(showsOf(fromDate), fromDate, showsOf(toDate), toDate);
+      const entry = (change, show, before, after) => ({
+        audId: show.audId,
+        audName: show.audName || `Aud ${show.audId}`,
+        change,
+        retimed: !!(before && after && minutesAt(fromDate, before.start, r) !== minutesAt(toDate, after.start, r)),
+        filmId: show.filmId,
+        filmTitle: show.filmTitle || '',
+        fromHM: before ? hmFromDate(before.start) : '',
+        toHM: after ? hmFromDate(after.start) : '',
+        fromAud: before ? before.audName || '' : '',
+        toAud: after ? after.audName || '' : '',
+        startMin: after ? minutesAt(toDate, after.start, r) : minutesAt(fromDate, before.start, r),
+      });
+      const rows = []
+        .concat(m.removed.map(s => entry('removed', s, s, null)))
+        .concat(m.added.map(s => entry('added', s, null, s)))
+        .concat(m.changed.map(c => entry(c.rehoused ? 'rehoused' : 'retimed', c.after, c.before, c.after)));
+      const audOrder = new Map((state.auds || []).map((a, i) => [String(a.id), i]));
+      const orderOf = row => (audOrder.has(String(row.audId)) ? audOrder.get(String(row.audId)) : Infinity);
+      rows.sort((x, y) => (orderOf(x) - orderOf(y)) || (x.startMin - y.startMin));
+      rows.forEach(row => { delete row.startMin; });
+      return rows;
+    }
+
+    // ---- What‑if scenarios -----------------------------------------------
+    // A scenario is a named copy of one date's schedule. While it is open
+    // (state.scenarioId) the pages edit it through the usual working copy
+    // and save() stores it in the scenario instead of scheduleByDate, so
+    // the official schedule stays as it was until the scenario is
+    // promoted.
+
+    /**
+     * Scenarios of a date, oldest first.
+     * @param {string} [date] YYYY-MM-DD, default the current date
+     * @returns {{id: string, date: string, name: string, created: string, schedule: object}[]}
+     */
+    function listScenarios(date) {
+      load();
+      if (!Array.isArray(state.scenarios)) state.scenarios = [];
+      const d = date || state.currentDate;
+      return state.scenarios.filter(sc => sc.date === d);
+    }
+
+    // Id of the open scenario, or null on the official schedule.
+    function currentScenarioId() {
+      load();
+      const sc = activeScenario();
+      return sc ? sc.id : null;
+    }
+
+    /**
+     * Copy what the pages show for the current date into a new scenario
+     * and open it.
+     * @param {string} name
+     * @returns {object} the new scenario
+     */
+    function forkScenario(name) {
+      load();
+      if (!state.currentDate) return null;
+      if (!Array.isArray(state.scenarios)) state.scenarios = [];
+      const count = listScenarios().length;
+      const sc = {
+        id: `S-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+        date: state.currentDate,
+        name: String(name || '').trim() || `Scenario ${count + 1}`,
+        created: new Date().toISOString(),
+        schedule: copyOfSchedule(storedSchedule()),
+      };
+      state.scenarios.push(sc);
+      openScenario(sc.id);
+      return sc;
+    }
+
+    /**
+     * Edit a scenario of the current date, or the official schedule when
+     * `id` is null. Listeners get 'showtimeDateChanged' because the whole
+     * working copy changes, as it does for a new date.
+     * @param {string|null} id
+     * @returns {boolean} false when the scenario does not exist
+     */
+    function openScenario(id) {
+      load();
+      if (id && !listScenarios().some(sc => sc.id === id)) return false;
+      saveCurrentSchedule();
+      state.scenarioId = id || null;
+      loadSchedule(state.currentDate);
+      save();
+      try {
+        emit('showtimeDateChanged');
+      } catch (err) {}
+      return true;
+    }
+
+    // Rename a scenario; blank names are ignored.
+    function renameScenario(id, name) {
+      load();
+      const sc = (state.scenarios || []).find(s => s.id === id);
+      const clean = String(name || '').trim();
+      if (!sc || !clean) return false;
+      sc.name = clean;
+      save();
+      return true;
+    }
+
+    // Delete a scenario; deleting the open one goes back to the official
+    // schedule.
+    function deleteScenario(id) {
+      load();
+      if (!(state.scenarios || []).some(s => s.id === id)) return false;
+      // Closing it saves, and the pruning that follows can replace the
+      // scenarios array, so filter whatever array is current afterwards.
+      if (currentScenarioId() === id) openScenario(null);
+      state.scenarios = (state.scenarios || []).filter(s => s.id !== id);
+      save();
+      return true;
+    }
+
+    /**
+     * Make a scenario of the current date the official schedule. The
+     * official schedule is opened and replaced in one undo step; the
+     * scenario itself is kept.
+     * @param {string} id
+     * @returns {boolean} false when the scenario does not exist
+     */
+    function promoteScenario(id) {
+      const sc = listScenarios().find(s => s.id === id);
+      if (!sc) return false;
+      saveCurrentSchedule();
+      state.scenarioId = null;
+      loadSchedule(state.currentDate);
+      runCommand(`Promote scenario "${sc.name}"`, () => {
+        const copy = copyOfSchedule(sc.schedule || {});
+        ['primeRows', 'extraRows', 'manualShows', 'overrides', 'hiddenShows', 'blackouts', 'events'].forEach(k => { state[k] = copy[k]; });
+        anchorShows();
+      });
+      save();
+      try {
+        emit('showtimeDateChanged');
+      } catch (err) {}
+      return true;
+    }
+
+    /**
+     * Compare two versions of the current date: the official schedule
+     * (id null) or scenarios. Stats cover shows, seats offered, prime‑time
+     * seats and the idle gaps between shows in the same auditorium that
+     * last at least `gapMin` minutes (as flagged on the Dashboard). Shows
+     * are matched by id, so a show that kept its row and position but
+     * changed start or auditorium counts as moved.
+     * @param {string|null} a
+     * @param {string|null} b
+     * @param {number} [gapMin=45]
+     * @returns {{a: object, b: object, added: object[], removed: object[], moved: object[]}}
+     *          added/removed are relative to `a`
+     */
+    function compareScenarios(a, b, gapMin) {
+      load();
+      const date = state.currentDate;
+      const r = rollover();
+      const minGap = gapMin > 0 ? gapMin : 45;
+      const primeFrom = minutesFromHM(PRIME_WINDOW.from, r);
+      const primeTo = minutesFromHM(PRIME_WINDOW.to, r);
+      const seatsOf = audId => {
+        const aud = audById(audId);
+        return aud ? parseInt(aud.seats, 10) || 0 : 0;
+      };
+      const brief = s => ({
+        id: s.id, filmTitle: s.filmTitle, audId: s.audId, audName: s.audName, start: s.start, startMin: minutesAt(date, s.start, r),
+      });
+      const side = id => {
+        const sc = id ? listScenarios().find(s => s.id === id) : null;
+        const shows = scheduleShows(date, sc ? sc.id : null);
+        const stats = { shows: shows.length, seats: 0, primeSeats: 0, gaps: 0, gapMins: 0, longestGap: 0 };
+        const byAud = new Map();
+        shows.forEach(s => {
+          const seats = seatsOf(s.audId);
+          const start = minutesAt(date, s.start, r);
+          stats.seats += seats;
+          if (start >= primeFrom && start <= primeTo) stats.primeSeats += seats;
+          if (!byAud.has(s.audId)) byAud.set(s.audId, []);
+          byAud.get(s.audId).push(s);
+        });
+        byAud.forEach(list => {
+          list.sort((x, y) => x.start - y.start);
+          for (let i = 0; i < list.length - 1; i++) {
+            const gap = Math.round((list[i + 1].start - list[i].end) / 60000);
+            if (gap < minGap) continue;
+            stats.gaps++;
+            stats.gapMins += gap;
+            stats.longestGap = Math.max(stats.longestGap, gap);
+          }
+        });
+        return { id: sc ? sc.id : null, name: sc ? sc.name : 'Official', stats, shows };
+      };
+      const left = side(a);
+      const right = side(b);
+      const m = matchShows(left.shows, date, right.shows, date);
+      const byStart = (x, y) => x.startMin - y.startMin;
+      const added = m.added.map(brief).sort(byStart);
+      const removed = m.removed.map(brief).sort(byStart);
+      const moved = m.changed.map(c => ({
+        id: c.after.id, filmTitle: c.after.filmTitle, from: brief(c.before), to: brief(c.after), startMin: minutesAt(date, c.after.start, r),
+      })).sort(byStart);
+      delete left.shows;
+      delete right.shows;
+      return { a: left, b: right, added, removed, moved };
+    }
+
+    /**
+     * Clear the schedule for a specific date. If no date is provided, the
+     * current date is cleared. This resets primeRows, extraRows,
+     * manualShows, overrides, hiddenShows and undoStack for that date.
+     * Blackout blocks and events are kept: clearing the shows does not
+     * free a house that is rented out or being serviced, or cancel a
+     * one‑off screening.
+     * If the cleared date is the currently selected date, the top‑level
+     * collections are also emptied so the UI reflects the changes
+     * immediately. After clearing, the state is saved. Use this to
+     * quickly remove all shows from a single day without deleting
+     * auditoriums or bookings.
+     * @param {string|null} date
+     */
+    function clearSchedule(date) {
+      load();
+      const iso = date || state.currentDate;
+      if (!iso) return;
+      if (!state.scheduleByDate || typeof state.scheduleByDate !== 'object') {
+        state.scheduleByDate = {};
+      }
+      // With a scenario open only the scenario is cleared (by save() below)
+      if (!(iso === state.currentDate && activeScenario())) {
+        const kept = state.scheduleByDate[iso] || {};
+        state.scheduleByDate[iso] = {
+          primeRows: [],
+          extraRows: [],
+          manualShows: [],
+          overrides: {},
+          hiddenShows: {},
+          blackouts: Array.isArray(kept.blackouts) ? kept.blackouts : [],
+          events: Array.isArray(kept.events) ? kept.events : [],
+          undoStack: [],
+          redoStack: [],
+        };
+      }
+      // If clearing the current date, also reset top-level schedule arrays
+      if (iso === state.currentDate) {
+        state.primeRows = [];
+        state.extraRows = [];
+        state.manualShows = [];
+        state.overrides = {};
+        state.hiddenShows = {};
+        state.undoStack = [];
+        state.redoStack = [];
+      }
+      save();
+    }
+
+    /**
+     * Clear schedules for all dates. This iterates over scheduleByDate
+     * entries and replaces each schedule with an empty one. It also
+     * clears the top‑level schedule fields to reflect the currently
+     * selected date (if any). After clearing, the state is saved.
+     */
+    function clearAllSchedules() {
+      load();
+      if (!state.scheduleByDate || typeof state.scheduleByDate !== 'object') {
+        state.scheduleByDate = {};
+      }
+      Object.keys(state.scheduleByDate).forEach((d) => {
+        state.scheduleByDate[d] = emptySchedule();
+      });
+      // Scenarios are copies of the cleared schedules
+      state.scenarios = [];
+      state.scenarioId = null;
+      // Clear top‑level schedule arrays
+      state.primeRows = [];
+      state.extraRows = [];
+      state.manualShows = [];
+      state.overrides = {};
+      state.hiddenShows = {};
+      state.blackouts = [];
+      state.events = [];
+      state.undoStack = [];
+      state.redoStack = [];
+      save();
+    }
+
+    /**
+     * Clear all bookings and all schedule data across every date. This
+     * helper removes every booking entry and resets all schedule
+     * collections (primeRows, extraRows, manualShows, overrides,
+     * hiddenShows and undoStack) both at the top level and for each
+     * date in scheduleByDate. It preserves auditorium and film
+     * definitions. After clearing, the state is saved. Use this when
+     * you need to start over with a completely blank schedule and
+     * bookings list.
+     */
+    function clearBookingsAndTimes() {
+      load();
+      // Clear bookings list
+      state.bookings = [];
+      state.scenarios = [];
+      state.scenarioId = null;
+      // Clear top‑level schedule arrays
+      state.primeRows = [];
+      state.extraRows = [];
+      state.manualShows = [];
+      state.overrides = {};
+      state.hiddenShows = {};
+      state.blackouts = [];
+      state.events = [];
+      state.undoStack = [];
+      state.redoStack = [];
+      // Clear schedule entries for every date if multi‑date support is enabled
+      if (state.scheduleByDate && typeof state.scheduleByDate === 'object') {
+        Object.keys(state.scheduleByDate).forEach((d) => {
+          state.scheduleByDate[d] = emptySchedule();
+        });
+      }
+      save();
+    }
+
+    /**
+     * Return a sorted array of all dates present in scheduleByDate. Dates are
+     * returned in ascending order (oldest first).
+     */
+    function listDates() {
+      load();
+      if (!state.scheduleByDate || typeof state.scheduleByDate !== 'object') return [];
+      return Object.keys(state.scheduleByDate).sort();
+    }
+
+    // Bookings whose engagement covers a date (default the schedule
+    // date), in booking order.
+    function bookingsOn(date) {
+      load();
+      const d = date || scheduleDate();
+      return (state.bookings || []).filter(b => playsOn(b, d));
+    }
+
+    /**
+     * Consecutive film weeks starting with the one containing `date`,
+     * each listing the bookings that play in it. Bookings without a week
+     * number play every week and are not listed.
+     * @param {string} [date] YYYY-MM-DD, default the schedule date
+     * @param {number} [count=8] number of weeks
+     * @returns {{year: number, week: number, from: string, to: string,
+     *            bookings: {bookingId: string, filmId: string, title: string, slot: string, weekOfRun: number, weeks: number}[]}[]}
+     */
+    function engagementCalendar(date, count) {
+      load();
+      const first = filmWeekOf(date || scheduleDate());
+      if (!first) return [];
+      const n = Math.max(1, parseInt(count, 10) || 8);
+      const out = [];
+      let day = dayOfIso(first.from);
+      for (let i = 0; i < n; i++, day += 7) {
+        const week = filmWeekOf(isoOfDay(day));
+        week.bookings = [];
+        (state.bookings || []).forEach(b => {
+          const eng = engagementOf(b, week.from);
+          if (!eng || eng.weekOfRun === null) return;
+          const film = filmById(b.filmId);
+          week.bookings.push({
+            bookingId: b.id,
+            filmId: b.filmId,
+            title: film ? film.title + (film.format ? ' ' + film.format : '') : '',
+            slot: b.slot,
+            weekOfRun: eng.weekOfRun,
+            weeks: eng.weeks,
+          });
+        });
+        out.push(week);
+      }
+      return out;
+    }
+
+    /**
+     * Shows for any saved date, built the way getAllShows() builds the
+     * current one. The working copy is left as it was.
+     * @param {string} date YYYY-MM-DD
+     * @returns {object[]}
+     */
+    function showsForDate(date) {
+      load();
+      if (!date || date === state.currentDate) return getAllShows();
+      if (!state.scheduleByDate || !state.scheduleByDate[date]) return [];
+      return scheduleShows(date, null);
+    }
+
+    // Shows of the official schedule (scenarioId null) or a scenario of
+    // `date`, built like getAllShows(). The working copy is left as it
+    // was.
+    function scheduleShows(date, scenarioId) {
+      const sc = activeScenario();
+      if (date === state.currentDate && (sc ? sc.id : null) === (scenarioId || null)) return getAllShows();
+      const fields = ['primeRows', 'extraRows', 'manualShows', 'overrides', 'hiddenShows', 'blackouts', 'events', 'undoStack', 'redoStack', 'currentDate', 'scenarioId'];
+      const kept = {};
+      fields.forEach(k => { kept[k] = state[k]; });
+      try {
+        state.scenarioId = scenarioId || null;
+        loadSchedule(date);
+        return getAllShows();
+      } finally {
+        fields.forEach(k => { state[k] = kept[k]; });
+      }
+    }
+
+    /**
+     * Return the currently selected date. If null, returns null.
+     */
+    function getCurrentDate() {
+      load();
+      return state.currentDate || null;
+    }
+
+    /**
+     * Set the hour (0‑12) at which the theatre's business day starts.
+     * Stored show starts count minutes from that hour, so every one of
+     * them, on every date (archived ones too), in every scenario and
+     * template and in the command history, is re‑based to keep its
+     * listed time; a show that ends up on the other side of the new
+     * rollover moves to the other end of its date's schedule. Blackout
+     * blocks keep their wall‑clock times and cannot move that way, so the
+     * change is refused while one would cross the new rollover (see
+     * rolloverConflicts). Like the first/last show window this is a
+     * setting and cannot be undone.
+     * @param {number} hour
+     * @returns {boolean} false when a blackout block is in the way
+     */
+    function setRolloverHour(hour) {
+      load();
+      const prev = rollover();
+      const next = rolloverOf(hour);
+      if (next === prev) return true;
+      if (rolloverConflicts(next).length) return false;
+      // The working copy shares its history arrays with the current
+      // date's entry; visit every record once.
+      const seen = new Set();
+      const rebase = obj => {
+        if (!obj || typeof obj !== 'object' || typeof obj.startMin !== 'number' || seen.has(obj)) return;
+        seen.add(obj);
+        obj.startMin = minutesFromHM(hmFromMinutes(obj.startMin, prev), next);
+      };
+      eachTimedRecord(state, rebase);
+      Object.values(state.scheduleByDate || {}).forEach(sched => eachTimedRecord(sched, rebase));
+      // Scenario schedules hold their own copies of the date's shows
+      (state.scenarios || []).forEach(sc => eachTimedRecord(sc && sc.schedule, rebase));
+      // Archived dates come back through restoreArchived as stored
+      Object.values(state.scheduleArchive || {}).forEach(entry => {
+        eachTimedRecord(entry, rebase);
+        ((entry && entry.scenarios) || []).forEach(sc => eachTimedRecord(sc && sc.schedule, rebase));
+      });
+      // Template manual shows keep their start the same way
+      (state.templates || []).forEach(tpl => (tpl && Array.isArray(tpl.manualShows) ? tpl.manualShows : []).forEach(rebase));
+      state.rolloverHour = next;
+      anchorShows();
+      save();
+      return true;
+    }
+
+    /**
+     * Blackout blocks that would cross a rollover at `hour`, i.e. end at
+     * or before their start on the business day, on any date, scenario or
+     * archived date. setRolloverHour refuses the hour while there are any.
+     * @param {number} hour
+     * @returns {{date: string, scenario: string, audName: string, fromHM: string, toHM: string}[]}
+     */
+    function rolloverConflicts(hour) {
+      load();
+      const r = rolloverOf(hour);
+      const out = [];
+      const seen = new Set();
+      const check = (date, scenario, blocks) => {
+        (Array.isArray(blocks) ? blocks : []).forEach(b => {
+          const key = `${date}|${scenario}|${b && b.id}`;
+          if (!b || !b.fromHM || !b.toHM || seen.has(key)) return;
+          seen.add(key);
+          if (minutesFromHM(b.toHM, r) > minutesFromHM(b.fromHM, r)) return;
+          const aud = audById(parseInt(b.audId, 10));
+          out.push({ date, scenario, audName: aud ? aud.name : '', fromHM: b.fromHM, toHM: b.toHM });
+        });
+      };
+      // The working copy is the current date's official schedule or the
+      // open scenario
+      const open = activeScenario();
+      if (state.currentDate) check(state.currentDate, open ? open.name : '', state.blackouts);
+      Object.keys(state.scheduleByDate || {}).forEach(date => check(date, '', state.scheduleByDate[date].blackouts));
+      (state.scenarios || []).forEach(sc => sc && check(sc.date, sc.name, sc.schedule && sc.schedule.blackouts));
+      Object.keys(state.scheduleArchive || {}).forEach(date => {
+        const entry = state.scheduleArchive[date] || {};
+        check(date, '', entry.blackouts);
+        (entry.scenarios || []).forEach(sc => sc && check(date, sc.name, sc.schedule && sc.schedule.blackouts));
+      });
+      return out.sort((a, b) => a.date.localeCompare(b.date) || a.scenario.localeCompare(b.scenario));
+    }
+
+    /**
+     * Set the start‑time granularity (5, 10 or 15 minutes). Cycles are
+     * rounded up to it and start time choices snap to it. Existing show
+     * times are left as they are.
+     * @param {number} minutes
+     */
+    function setGranularity(minutes) {
+      load();
+      state.granularity = granularityOf(minutes);
+      save();
+    }
+
+    /**
+     * Choose whether a film placed in an auditorium that cannot play its
+     * format is allowed with a warning ('warn') or refused ('block').
+     * @param {string} policy
+     */
+    function setFormatPolicy(policy) {
+      load();
+      state.formatPolicy = policy === 'block' ? 'block' : 'warn';
+      save();
+    }
+
+    /**
+     * Choose whether Gantt drags and drops that create a turnaround
+     * conflict are allowed ('allow') or refused ('refuse').
+     * @param {string} policy
+     */
+    function setConflictPolicy(policy) {
+      load();
+      state.conflictPolicy = policy === 'refuse' ? 'refuse' : 'allow';
+      save();
+    }
+
+    /**
+     * Find shows that start before the previous show in their auditorium
+     * is out and cleaned (its end plus turnaround). `changes` are checked
+     * as if made, without making them: {showId, start, audId} moves a
+     * show, {filmId, audId, start} adds one (reported with showId null).
+     * @param {{showId?: string, filmId?: string, audId?: number, start?: Date}[]} [changes]
+     * @returns {{showId: string|null, prevId: string, prevTitle: string, audId: number, overlapMin: number}[]}
+     *          one entry per conflicting show, in start order per auditorium
+     */
+    function turnaroundConflicts(changes) {
+      load();
+      const moves = new Map();
+      const added = [];
+      (changes || []).forEach(c => {
+        if (c.showId) moves.set(c.showId, c);
+        else added.push(c);
+      });
+      // A show's busy span in the auditorium it would be in
+      const span = (id, film, audId, start, end, title) => {
+        const aud = audById(parseInt(audId, 10));
+        return { id, audId: aud ? aud.id : audId, start, busyUntil: end.getTime() + turnaroundMinutes(film, aud) * 60000, title };
+      };
+      const spans = getAllShows().filter(s => s.start && s.end).map(s => {
+        const m = moves.get(s.id);
+        if (!m) return { id: s.id, audId: s.audId, start: s.start, busyUntil: s.end.getTime() + (s.clean || 0) * 60000, title: s.filmTitle };
+        const film = filmById(s.filmId);
+        const start = m.start || s.start;
+        return span(s.id, film, m.audId || s.audId, start, new Date(s.end.getTime() + (start - s.start)), s.filmTitle);
+      });
+      added.forEach(c => {
+        const film = filmById(c.filmId);
+        if (film && c.start) spans.push(span(null, film, c.audId, c.start, endOfMovie(c.start, film), film.title));
+      });
+      const conflicts = [];
+      const byAud = new Map();
+      spans.forEach(sp => {
+        if (!byAud.has(sp.audId)) byAud.set(sp.audId, []);
+        byAud.get(sp.audId).push(sp);
+      });
+      byAud.forEach(list => {
+        list.sort((a, b) => a.start - b.start);
+        // The earlier show that keeps the house busy longest, so a long
+        // show is not forgotten behind a short one that starts after it
+        let prev = null;
+        list.forEach(sp => {
+          if (prev && sp.start.getTime() < prev.busyUntil) {
+            conflicts.push({
+              showId: sp.id,
+              prevId: prev.id,
+              prevTitle: prev.title || '',
+              audId: sp.audId,
+              overlapMin: Math.ceil((prev.busyUntil - sp.start.getTime()) / 60000),
+            });
+          }
+          if (!prev || sp.busyUntil > prev.busyUntil) prev = sp;
+        });
+      });
+      return conflicts;
+    }
+
+    // The theatre's stagger rule with defaults filled in.
+    function staggerRule() {
+      load();
+      return staggerRuleOf(state.staggerRule);
+    }
+
+    /**
+     * Set the stagger rule: at most `maxStarts` show starts in any
+     * `windowMins` minutes. A maxStarts of 0 turns the check off.
+     * @param {number} maxStarts
+     * @param {number} windowMins
+     */
+    function setStaggerRule(maxStarts, windowMins) {
+      load();
+      state.staggerRule = staggerRuleOf({ maxStarts, windowMins });
+      save();
+    }
+
+    /**
+     * Check the current date's shows against the stagger rule.
+     * @returns {{rule: {maxStarts: number, windowMins: number}, windows: {from: Date, to: Date, showIds: string[]}[], showIds: string[]}}
+     *          the crowded windows and every show id starting in one
+     */
+    function staggerViolations() {
+      load();
+      const r = rollover();
+      const starts = getAllShows().map(s => ({ id: s.id, min: minutesAt(state.currentDate, s.start, r) }));
+      const windows = crowdedStarts(starts, state.staggerRule).map(w => ({
+        from: dateAt(state.currentDate, w.from, r),
+        to: dateAt(state.currentDate, w.to, r),
+        showIds: w.ids,
+      }));
+      const showIds = [];
+      windows.forEach(w => w.showIds.forEach(id => { if (!showIds.includes(id)) showIds.push(id); }));
+      return { rule: staggerRule(), windows, showIds };
+    }
+
+    /**
+     * Suggest start time moves that clear the stagger violations. One
+     * crowded window at a time, the move that clears the most starts while
+     * touching the fewest shows by the smallest amount wins: a show moves
+     * by a multiple of the granularity (up to an hour either way) and
+     * pushes the shows before or after it in its auditorium along just far
+     * enough to keep their turnaround. Nothing is changed; apply the moves
+     * with updateShowStart() inside batch().
+     * @returns {{showId: string, filmTitle: string, audName: string, fromHM: string, toHM: string, delta: number}[]}
+     */
+    function spreadStarts() {
+      load();
+      const rule = staggerRule();
+      if (!rule.maxStarts) return [];
+      const r = rollover();
+      const step = granularity();
+      const shows = getAllShows().map(s => {
+        const min = minutesAt(state.currentDate, s.start, r);
+        // Minutes the auditorium is busy: the show plus its turnaround
+        return { rec: s, from: min, min, busy: Math.round((s.end - s.start) / 60000) + (s.clean || 0) };
+      });
+      const windowsAt = pos => crowdedStarts(shows.map(o => ({ id: o.rec.id, min: pos.has(o) ? pos.get(o) : o.min })), rule);
+      const crowdedCount = pos => {
+        const ids = new Set();
+        windowsAt(pos).forEach(w => w.ids.forEach(id => ids.add(id)));
+        return ids.size;
+      };
+      // New starts for a show moved to t and for its neighbours in the
+      // same auditorium that have to give way, or null when that would
+      // leave the business day.
+      const shift = (show, t) => {
+        const pos = new Map([[show, t]]);
+        const same = shows.filter(o => o !== show && o.rec.audId === show.rec.audId).sort((a, b) => a.min - b.min);
+        if (t > show.min) {
+          let free = t + show.busy;
+          for (const o of same) {
+            if (o.min < show.min) continue;
+            if (o.min >= free) break;
+            pos.set(o, free);
+            free += o.busy;
+          }
+        } else {
+          let limit = t;
+          for (const o of same.reverse()) {
+            if (o.min > show.min) continue;
+            if (o.min + o.busy <= limit) break;
+            limit -= o.busy;
+            pos.set(o, limit);
+          }
+        }
+        for (const m of pos.values()) if (m < 0 || m >= 1440) return null;
+        // Events keep their fixed start
+        for (const o of pos.keys()) if (o.rec.source === 'Event') return null;
+        return pos;
+      };
+      let remaining = crowdedCount(new Map());
+      for (let round = 0; remaining > 0 && round < shows.length; round++) {
+        const crowded = windowsAt(new Map())[0];
+        let best = null;
+        crowded.ids.forEach(id => {
+          const show = shows.find(o => o.rec.id === id);
+          for (let d = step; d <= 60; d += step) {
+            [d, -d].forEach(delta => {
+              const pos = shift(show, show.min + delta);
+              if (!pos) return;
+              const count = crowdedCount(pos);
+              if (count >= remaining) return;
+              const better = !best || pos.size < best.pos.size ||
+                (pos.size === best.pos.size && (d < best.d || (d === best.d && count < best.count)));
+              if (better) best = { pos, d, count };
+            });
+          }
+        });
+        if (!best) break;
+        best.pos.forEach((m, o) => { o.min = m; });
+        remaining = best.count;
+      }
+      return shows.filter(o => o.min !== o.from).sort((a, b) => a.from - b.from).map(o => ({
+        showId: o.rec.id,
+        filmTitle: o.rec.filmTitle || '',
+        audName: o.rec.audName || '',
+        fromHM: hmFromMinutes(o.from, r),
+        toHM: hmFromMinutes(o.min, r),
+        delta: o.min - o.from,
+      }));
+    }
+
+    /**
+     * Seat capacity of the current date's schedule. Each show offers its
+     * auditorium's seats; shows starting in the prime window (6:00p to
+     * 8:30p) count as prime. Auditorium minutes are split into showing
+     * (runtime and trailers) and turnaround, against the time available
+     * from the first show window to the end of the last show.
+     * @returns {{films: {filmId: string, title: string, priority: number|null, shows: number, seats: number, primeShows: number, primeSeats: number}[],
+     *            ratings: {rating: string, seats: number}[],
+     *            auds: {audId: number, name: string, seats: number, shows: number, showingMins: number, cleanMins: number, availableMins: number}[],
+     *            totalSeats: number, primeSeats: number, availableMins: number}}
+     *          films in priority order (unranked last), auditoriums by id
+     */
+    function capacityStats() {
+      load();
+      const r = rollover();
+      const shows = getAllShows();
+      const primeFrom = minutesFromHM(PRIME_WINDOW.from, r);
+      const primeTo = minutesFromHM(PRIME_WINDOW.to, r);
+      const films = new Map();
+      const ratings = new Map();
+      const auds = new Map(state.auds.map(a => [a.id, {
+        audId: a.id, name: a.name, seats: parseInt(a.seats, 10) || 0, shows: 0, showingMins: 0, cleanMins: 0, availableMins: 0,
+      }]));
+      let totalSeats = 0;
+      let primeSeats = 0;
+      let lastEnd = minutesFromHM(state.lastShowHM, r);
+      shows.forEach(s => {
+        const aud = auds.get(s.audId);
+        const seats = aud ? aud.seats : 0;
+        const start = minutesAt(state.currentDate, s.start, r);
+        const showing = Math.max(0, Math.round((s.end - s.start) / 60000));
+        const prime = start >= primeFrom && start <= primeTo;
+        const film = filmById(s.filmId);
+        if (!films.has(s.filmId)) {
+          const p = film ? parseInt(film.priority, 10) : NaN;
+          films.set(s.filmId, {
+            filmId: s.filmId,
+            title: film ? film.title + (film.format ? ' ' + film.format : '') : (s.filmTitle || 'Unknown'),
+            priority: isNaN(p) ? null : p,
+            shows: 0, seats: 0, primeShows: 0, primeSeats: 0,
+          });
+        }
+        const f = films.get(s.filmId);
+        f.shows++;
+        f.seats += seats;
+        if (prime) {
+          f.primeShows++;
+          f.primeSeats += seats;
+          primeSeats += seats;
+        }
+        totalSeats += seats;
+        const rating = film && film.rating ? film.rating : 'Unrated';
+        ratings.set(rating, (ratings.get(rating) || 0) + seats);
+        if (aud) {
+          aud.shows++;
+          aud.showingMins += showing;
+          aud.cleanMins += s.clean || 0;
+        }
+        lastEnd = Math.max(lastEnd, start + showing + (s.clean || 0));
+      });
+      const availableMins = Math.max(0, lastEnd - minutesFromHM(state.firstShowHM, r));
+      auds.forEach(a => { a.availableMins = availableMins; });
+      const rank = f => (f.priority === null ? Infinity : f.priority);
+      return {
+        films: Array.from(films.values()).sort((a, b) => rank(a) - rank(b) || b.seats - a.seats),
+        ratings: Array.from(ratings, ([rating, seats]) => ({ rating, seats })).sort((a, b) => b.seats - a.seats),
+        auds: Array.from(auds.values()).sort((a, b) => a.audId - b.audId),
+        totalSeats,
+        primeSeats,
+        availableMins,
+      };
+    }
+
+    /**
+     * Check every saved date's shows against the distributor terms on the
+     * bookings (see BOOKING_TERMS). Terms apply to all shows of the
+     * booking's film on dates inside its engagement; dates without any
+     * shows are skipped.
+     * @param {string[]} [dates] dates to check, default every saved date
+     * @returns {{date: string, bookingId: string, filmId: string, title: string, term: string, message: string}[]}
+     *          in date then booking order
+     */
+    function termsViolations(dates) {
+      load();
+      const r = rollover();
+      const primeFrom = minutesFromHM(PRIME_WINDOW.from, r);
+      const primeTo = minutesFromHM(PRIME_WINDOW.to, r);
+      const largestSeats = Math.max(0, ...state.auds.map(a => parseInt(a.seats, 10) || 0));
+      const largestNames = state.auds.filter(a => (parseInt(a.seats, 10) || 0) === largestSeats).map(a => a.name).join(' or ');
+      const count = v => {
+        const n = parseInt(v, 10);
+        return isNaN(n) || n < 0 ? null : n;
+      };
+      const checkDates = Array.isArray(dates) ? dates : listDates();
+      const out = [];
+      checkDates.forEach(date => {
+        const shows = showsForDate(date);
+        if (!shows.length) return;
+        (state.bookings || []).forEach(b => {
+          const terms = b.terms || {};
+          const film = filmById(b.filmId);
+          if (!film || !playsOn(b, date)) return;
+          const title = film.title + (film.format ? ' ' + film.format : '');
+          const mine = shows.filter(s => s.filmId === film.id);
+          const report = (term, message) => out.push({ date, bookingId: b.id, filmId: film.id, title, term, message });
+          const times = list => list.map(s => `${to12(s.start)} ${s.audName || ''}`.trim()).join(', ');
+          if (terms.largestHouse) {
+            const elsewhere = mine.filter(s => {
+              const aud = audById(s.audId);
+              return !aud || (parseInt(aud.seats, 10) || 0) < largestSeats;
+            });
+            if (elsewhere.length) {
+              report('largestHouse', `${elsewhere.length} of ${mine.length} shows are outside the largest house (${largestNames}): ${times(elsewhere)}`);
+            }
+          }
+          const min = count(terms.minShows);
+          if (min !== null && mine.length < min) {
+            report('minShows', `${mine.length} shows, terms require at least ${min}`);
+          }
+          const maxOff = count(terms.maxOutsidePrime);
+          if (maxOff !== null) {
+            const off = mine.filter(s => {
+              const m = minutesAt(date, s.start, r);
+              return m < primeFrom || m > primeTo;
+            });
+            if (off.length > maxOff) {
+              report('maxOutsidePrime', `${off.length} shows outside prime (${fmtHM(PRIME_WINDOW.from)}–${fmtHM(PRIME_WINDOW.to)}), terms allow ${maxOff}: ${times(off)}`);
+            }
+          }
+          if (terms.exclusiveFormat) {
+            const format = filmFormat(film).toLowerCase();
+            if (format !== 'standard') {
+              const rivals = shows.filter(s => {
+                if (s.filmId === film.id) return false;
+                const other = filmById(s.filmId);
+                return other && filmFormat(other).toLowerCase() === format;
+              });
+              if (rivals.length) {
+                const names = Array.from(new Set(rivals.map(s => s.filmTitle)));
+                report('exclusiveFormat', `${filmFormat(film)} screens are exclusive, but ${names.join(', ')} also play ${filmFormat(film)}: ${times(rivals)}`);
+              }
+            }
+          }
+        });
+      });
+      return out;
+    }
+
+    /**
+     * Choices for the first/last show selectors in business‑day order:
+     * first shows every 30 minutes from the rollover hour to 7:00p, last
+     * shows from 8:00p until half an hour before the next rollover. The
+     * saved values are included even when they fall between steps.
+     * @returns {{first: string[], last: string[]}}
+     */
+    function showWindowOptions() {
+      load();
+      const r = rollover();
+      const steps = (from, to) => {
+        const out = [];
+        for (let m = from; m <= to; m += 30) out.push(hmFromMinutes(m, r));
+        return out;
+      };
+      const first = steps(0, minutesFromHM('19:00', r));
+      const last = steps(minutesFromHM('20:00', r), 1440 - 30);
+      const byMinutes = (a, b) => minutesFromHM(a, r) - minutesFromHM(b, r);
+      if (state.firstShowHM && !first.includes(state.firstShowHM)) first.push(state.firstShowHM);
+      if (state.lastShowHM && !last.includes(state.lastShowHM)) last.push(state.lastShowHM);
+      return { first: first.sort(byMinutes), last: last.sort(byMinutes) };
+    }
+
+    return {
+      get state() { return load(); },
+      load,
+      save,
+      importState,
+      getLoadError,
+      reload,
+      filmById,
+      audById,
+      buildRowShowtimes,
+      getAllShows,
+      optionsAround,
+      updateShowStart,
+      updateShowAud,
+      updateShowFilm,
+      addManualShow,
+      addExtraRow,
+      setRowField,
+      toggleEndTimes,
+      clearAllTimes,
+      clearSchedule,
+      clearAllSchedules,
+      clearBookingsAndTimes,
+      undo,
+      redo,
+      getHistory,
+      goToHistory,
+      batch,
+      initDateSupport,
+      saveCurrentSchedule,
+      loadSchedule,
+      setDate,
+      listDates,
+      getCurrentDate,
+      copySchedule,
+      buildWeek,
+      listTemplates,
+      saveTemplate,
+      renameTemplate,
+      deleteTemplate,
+      exportTemplates,
+      importTemplates,
+      applyTemplate,
+      listScenarios,
+      currentScenarioId,
+      forkScenario,
+      openScenario,
+      renameScenario,
+      deleteScenario,
+      promoteScenario,
+      compareScenarios,
+      storeWorkingCopy,
+      // Business‑day settings and the time helpers bound to the current
+      // schedule date and rollover hour
+      setRolloverHour,
+      rolloverConflicts,
+      showWindowOptions,
+      setGranularity,
+      setFormatPolicy,
+      setConflictPolicy,
+      turnaroundConflicts,
+      listBlackouts,
+      addBlackout,
+      removeBlackout,
+      listEvents,
+      addEvent,
+      updateEvent,
+      removeEvent,
+      primeTimeOptions,
+      staggerRule,
+      setStaggerRule,
+      staggerViolations,
+      spreadStarts,
+      capacityStats,
+      termsViolations,
+      showsForDate,
+      diffDates,
+      retention,
+      setRetention,
+      listArchive,
+      restoreArchived,
+      deleteArchived,
+      bookingsOn,
+      engagementCalendar,
+      buildSchedule,
+      formatMismatch,
+      // Cycle length rounded to the theatre's granularity
+      cycleMinutes: (film, aud) => cycleMinutes(film, aud, granularity()),
+      granularity,
+      dtFromHM: at,
+      normalizeDate,
+      minutesFromHM: hm => minutesFromHM(hm, rollover()),
+      hmFromMinutes: min => hmFromMinutes(min, rollover()),
+    };
+  }
+
+  return {
+    LOCAL_KEY,
+    SCHEMA_VERSION,
+    defaultState,
+    migrations,
+    migrateState,
+    createEngine,
+    memoryStorage,
+    webStorage,
+    pad,
+    ROLLOVER_HOUR,
+    dtFromHM,
+    minutesFromHM,
+    hmFromMinutes,
+    dateAt,
+    minutesAt,
+    hmFromDate,
+    addMins,
+    diffMins,
+    to12,
+    PRIME_WINDOW,
+    BOOKING_TERMS,
+    BLACKOUT_KINDS,
+    filmWeekOf,
+    weekYearNear,
+    engagementOf,
+    playsOn,
+    GRANULARITIES,
+    filmFormat,
+    audFormats,
+    canPlayFormat,
+    staggerRuleOf,
+    retentionOf,
+    crowdedStarts,
+    turnaroundMinutes,
+    cycleMinutes,
+    endOfMovie,
+    fmtDur,
+    fmtHM,
+    isoToMMDD,
+    mmddToIso,
+  };
+});
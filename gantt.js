@@ -5,33 +5,155 @@
 // and active show highlights to keep in sync with the schedule grid
 // and order panel. The timeline spans from the configured first show
 // time to the last show time and uses the same normalization rules
-// (times before 5:00a belong to the next day).
+// (times before the theatre's rollover hour belong to the next day).
+// It can be zoomed (buttons or Ctrl+wheel) and panned (scrollbar or by
+// dragging the time header); the zoom and gridline spacing persist in
+// state.ganttView. Several shows can be selected (Shift/Ctrl‑click or a
+// rubber band over empty timeline) and dragged or arrow‑key nudged as a
+// group, each move being one undo step. Shows that start before the
+// previous show in their auditorium is turned are drawn as conflicts.
+// Blackout blocks (rentals, events, maintenance) are drawn hatched and
+// managed from the Blackouts panel; fixed-time events and double
+// features are badged bars managed from the Events panel.
 
 (function(){
   const ShowtimeState = window.ShowtimeState;
   if (!ShowtimeState) return;
-  // Normalize a date such that times before 5:00a are treated as
-  // belonging to the next day. This matches the behaviour in the
-  // order panel and schedule grid for comparing show times across
-  // midnight. Returns a new Date instance.
+  // Normalize a date onto the current schedule date's business day, so
+  // times before the rollover hour are treated as belonging to the next
+  // calendar day. This matches the behaviour in the order panel and
+  // schedule grid for comparing show times across midnight. Returns a
+  // new Date instance.
   function normalizeDate(dt) {
-    const d = new Date(dt);
-    if (d.getHours() < 5) {
-      d.setDate(d.getDate() + 1);
-    }
-    return d;
+    return ShowtimeState.normalizeDate(dt);
+  }
+  // Minutes that drags and drops snap to: the theatre's start‑time
+  // granularity.
+  function snapStep() {
+    return ShowtimeState.granularity();
+  }
+  // True when the theatre blocks this film in this auditorium because the
+  // house cannot play its format. Checked before a drop or drag touches
+  // the state so a refused move leaves nothing half done; in warn mode
+  // the engine reports the mismatch itself when the change is made.
+  function formatBlocked(filmId, audId) {
+    const mismatch = ShowtimeState.formatMismatch(filmId, audId);
+    if (!mismatch || !mismatch.blocked) return false;
+    alert('Format not supported: ' + mismatch.message);
+    return true;
+  }
+  // Kind and note of a blackout block, e.g. "Private rental: Smith party".
+  function blackoutLabel(b) {
+    const kind = (ShowtimeState.BLACKOUT_KINDS || []).find(k => k.key === b.kind);
+    const label = kind ? kind.label : 'Blackout';
+    return b.note ? `${label}: ${b.note}` : label;
+  }
+  // Features of an event with their times, one per line, then its note.
+  function eventText(ev) {
+    const lines = (ev.features || []).map(f => `${f.title} ${ShowtimeState.to12(f.start)}–${ShowtimeState.to12(f.end)}`);
+    if (ev.note) lines.push(ev.note);
+    return lines.join('\n');
+  }
+  // Describe a turnaround conflict from ShowtimeState.turnaroundConflicts().
+  function conflictText(c) {
+    return `Starts ${c.overlapMin}m before ${c.prevTitle || 'the previous show'} is out and cleaned`;
+  }
+  // Conflicts that `changes` (see turnaroundConflicts) would add to the
+  // schedule; conflicts already there are not counted against them.
+  function newConflicts(changes) {
+    const key = c => `${c.showId}|${c.prevId}`;
+    const before = new Set(ShowtimeState.turnaroundConflicts().map(key));
+    return ShowtimeState.turnaroundConflicts(changes).filter(c => !before.has(key(c)));
+  }
+  // True when the theatre refuses drops that create turnaround conflicts
+  // (state.conflictPolicy) and `changes` would create one. Like
+  // formatBlocked(), it is checked before anything is changed.
+  function conflictRefused(changes) {
+    if (ShowtimeState.state.conflictPolicy !== 'refuse') return false;
+    const added = newConflicts(changes);
+    if (!added.length) return false;
+    alert(`Turnaround conflict: ${conflictText(added[0])}. The change was not made.`);
+    return true;
   }
   // State tracking for active show and dragging.  activeShowId
   // represents the show currently selected across components.  dragState
   // stores information about the show being dragged.
   let activeShowId = null;
   let dragState = null;
+  // Shows picked with Shift/Ctrl‑click or the rubber band. Dragging any
+  // of them or pressing an arrow key moves the whole group.
+  const selectedIds = new Set();
+  // Set when a bar drag actually moved, so the click that follows the
+  // drop does not collapse the selection.
+  let ignoreNextClick = false;
   // Mappings to quickly look up DOM elements and data by show id
   let showIdToBar = {};
   let showIdToRec = {};
   let rowEls = [];
   let rowIndexOfShow = {};
 
+  // Zoom factors offered by the zoom buttons and Ctrl+wheel; 1 fits the
+  // whole day to the page width.
+  const ZOOM_LEVELS = [1, 1.5, 2, 3, 4, 6, 8];
+  // Minutes between gridlines offered by the time‑scale selector.
+  const GRID_CHOICES = [5, 15, 30, 60];
+  // Width of the auditorium label column in pixels (5rem).
+  const LABEL_PX = 80;
+  // The tick header of the last render; the page drop handler measures
+  // rows below it.
+  let headerEl = null;
+
+  // The persisted Gantt view with unknown values replaced by defaults.
+  function ganttView() {
+    const v = ShowtimeState.state.ganttView || {};
+    const zoom = Number(v.zoom);
+    const gridMins = Number(v.gridMins);
+    return {
+      zoom: ZOOM_LEVELS.includes(zoom) ? zoom : 1,
+      gridMins: GRID_CHOICES.includes(gridMins) ? gridMins : 30,
+    };
+  }
+
+  // Persist a change to the view. Saving fires showtimeStateUpdated,
+  // whose listener below re-renders the timeline.
+  function setGanttView(patch) {
+    ShowtimeState.state.ganttView = { ...ganttView(), ...patch };
+    ShowtimeState.save();
+  }
+
+  // Zoom to `zoom`, keeping the time under clientX (default the middle of
+  // the visible timeline) at the same place on screen.
+  function zoomTo(zoom, clientX) {
+    const container = document.getElementById('ganttContainer');
+    if (!container || zoom === ganttView().zoom) return;
+    const rect = container.getBoundingClientRect();
+    const x = (typeof clientX === 'number' ? clientX : rect.left + (rect.width + LABEL_PX) / 2) - rect.left;
+    const oldSpan = Math.max(1, container.scrollWidth - LABEL_PX);
+    const frac = (container.scrollLeft + x - LABEL_PX) / oldSpan;
+    setGanttView({ zoom });
+    const newSpan = Math.max(1, container.scrollWidth - LABEL_PX);
+    container.scrollLeft = frac * newSpan + LABEL_PX - x;
+  }
+
+  // Step one zoom level in (dir 1) or out (dir -1).
+  function zoomStep(dir, clientX) {
+    const idx = ZOOM_LEVELS.indexOf(ganttView().zoom);
+    const next = ZOOM_LEVELS[Math.min(ZOOM_LEVELS.length - 1, Math.max(0, idx + dir))];
+    zoomTo(next, clientX);
+  }
+
+  // Reflect the view in the zoom/gridline toolbar.
+  function syncViewControls(view) {
+    const label = document.getElementById('ganttZoomLabel');
+    const zoomIn = document.getElementById('ganttZoomInBtn');
+    const zoomOut = document.getElementById('ganttZoomOutBtn');
+    const gridSel = document.getElementById('ganttGridSelect');
+    if (label) label.textContent = `${Math.round(view.zoom * 100)}%`;
+    if (zoomIn) zoomIn.disabled = view.zoom === ZOOM_LEVELS[ZOOM_LEVELS.length - 1];
+    if (zoomOut) zoomOut.disabled = view.zoom === ZOOM_LEVELS[0];
+    if (gridSel) gridSel.value = String(view.gridMins);
+  }
+
   // Current film being dragged from the tray. When a film chip is dragged, this
   // variable stores the filmId so that drop handlers can create a manual show.
   let currentDragFilmId = null;
@@ -208,6 +330,8 @@
     // markers during dragging or after release.
     lastFirstDate = timelineStart;
     lastTimelineMins = timelineMins;
+    const view = ganttView();
+    syncViewControls(view);
     // Clear previous mappings
     showIdToBar = {};
     showIdToRec = {};
@@ -224,6 +348,13 @@
       if (!showsByAud[aid]) showsByAud[aid] = [];
       showsByAud[aid].push(rec);
     });
+    // Shows that start in a window breaking the stagger rule get an
+    // orange outline
+    const crowded = new Set(ShowtimeState.staggerViolations().showIds);
+    // Shows starting before the previous show in their house is turned
+    const conflicts = {};
+    ShowtimeState.turnaroundConflicts().forEach(c => { conflicts[c.showId] = c; });
+    const blackouts = ShowtimeState.listBlackouts();
     // Sort shows within each auditorium by start time
     Object.values(showsByAud).forEach(list => {
       list.sort((a,b) => normalizeDate(a.start) - normalizeDate(b.start));
@@ -231,7 +362,18 @@
     // Build the DOM
     const container = document.getElementById('ganttContainer');
     if (!container) return;
+    // Emptying the container resets its scroll position; keep the pan.
+    const scrollLeft = container.scrollLeft;
     container.innerHTML = '';
+    // The track holds the header and rows at the zoomed width; the
+    // container scrolls it horizontally and the label column stays put.
+    const track = document.createElement('div');
+    track.style.width = `${view.zoom * 100}%`;
+    track.style.minWidth = '100%';
+    container.appendChild(track);
+    // Room for a tick label, in pixels of the zoomed timeline
+    const pxPerMin = Math.max(1, container.clientWidth * view.zoom - LABEL_PX) / timelineMins;
+    const gridMins = view.gridMins;
     // Header with 30‑minute and hour ticks.  We generate tick marks at
     // every half hour boundary aligned to the clock (e.g. 10:00, 10:30,
     // 11:00).  Hour ticks include labels; half‑hour ticks are drawn
@@ -268,17 +410,19 @@
     // percentages map to the same width as the show bars.
     const tickContainer = document.createElement('div');
     tickContainer.className = 'relative flex-1';
-    // Determine the first tick at or before the firstDate on a 30‑minute boundary
+    // Determine the first tick at or before the firstDate on a gridline
+    // boundary (state.ganttView.gridMins)
     const firstTick = new Date(timelineStart);
     firstTick.setSeconds(0); firstTick.setMilliseconds(0);
     const mins = firstTick.getMinutes();
-    // Round down to nearest 30‑minute boundary
-    firstTick.setMinutes(Math.floor(mins / 30) * 30);
-    // Generate ticks every 30 minutes until the end of the timeline.  Skip
-    // ticks that fall before the firstDate.  For each tick, draw a
-    // vertical line.  For hour ticks (minute === 0), also draw a
-    // label.
-    for (let t = new Date(firstTick); t <= lastDate; t = new Date(t.getTime() + 30 * 60000)) {
+    firstTick.setMinutes(Math.floor(mins / gridMins) * gridMins);
+    // Other ticks get a label too once zooming leaves room for one
+    const labelEvery = gridMins * pxPerMin >= 48;
+    // Generate ticks every gridMins minutes until the end of the
+    // timeline.  Skip ticks that fall before the firstDate.  For each
+    // tick, draw a vertical line.  For hour ticks (minute === 0), also
+    // draw a label.
+    for (let t = new Date(firstTick); t <= lastDate; t = new Date(t.getTime() + gridMins * 60000)) {
       if (t < firstDate) continue;
       const minutesFromFirst = (t.getTime() - timelineStart.getTime()) / 60000;
       const leftPercent = (minutesFromFirst / timelineMins) * 100;
@@ -292,7 +436,7 @@
       line.style.width = '0';
       tickContainer.appendChild(line);
       // Label for hour ticks
-      if (isHour) {
+      if (isHour || labelEvery) {
         const label = document.createElement('span');
         // Use white text for hour labels so they remain legible on the
         // gradient header background.  The grad-header class on the
@@ -307,7 +451,28 @@
       }
     }
     header.appendChild(tickContainer);
-    container.appendChild(header);
+    // Dragging the time header pans the timeline
+    tickContainer.style.cursor = 'grab';
+    tickContainer.addEventListener('pointerdown', (e) => {
+      if (!e.isPrimary) return;
+      e.preventDefault();
+      const startX = e.clientX;
+      const startScroll = container.scrollLeft;
+      tickContainer.setPointerCapture(e.pointerId);
+      tickContainer.style.cursor = 'grabbing';
+      const onMove = (ev) => { container.scrollLeft = startScroll - (ev.clientX - startX); };
+      const onUp = () => {
+        tickContainer.style.cursor = 'grab';
+        tickContainer.removeEventListener('pointermove', onMove);
+        tickContainer.removeEventListener('pointerup', onUp);
+        tickContainer.removeEventListener('pointercancel', onUp);
+      };
+      tickContainer.addEventListener('pointermove', onMove);
+      tickContainer.addEventListener('pointerup', onUp);
+      tickContainer.addEventListener('pointercancel', onUp);
+    });
+    track.appendChild(header);
+    headerEl = header;
     // Build each row for each auditorium
     auds.forEach((aud, rowIndex) => {
       // Row container
@@ -359,10 +524,11 @@
         if (px > rect.width) px = rect.width;
         const leftPct = px / rect.width;
         // Compute minutes relative to the rendered timeline. Use the same
-        // timeline duration captured during render().  Snap to 5 minutes.
-        const minutes = Math.round((leftPct * lastTimelineMins) / 5) * 5;
+        // timeline duration captured during render().  Snap to the
+        // start‑time granularity.
+        const minutes = Math.round((leftPct * lastTimelineMins) / snapStep()) * snapStep();
         const film = ShowtimeState.filmById(filmId);
-        const cycleMins = ShowtimeState.cycleMinutes(film || { runtime: 0, trailer: 0, clean: 0 }) || 0;
+        const cycleMins = ShowtimeState.cycleMinutes(film || { runtime: 0, trailer: 0, clean: 0 }, aud) || 0;
         // Pixel width for preview based on cycle duration
         const pxWidth = rect.width * (cycleMins / lastTimelineMins);
         showGhost(px, pxWidth);
@@ -384,8 +550,9 @@
         if (px < 0) px = 0;
         if (px > rect.width) px = rect.width;
         const leftPct = px / rect.width;
-        // Compute minutes from start of timeline. Snap to nearest 5 minutes.
-        const minutes = Math.round((leftPct * lastTimelineMins) / 5) * 5;
+        // Compute minutes from start of timeline. Snap to the nearest
+        // granularity step.
+        const minutes = Math.round((leftPct * lastTimelineMins) / snapStep()) * snapStep();
         // Determine absolute start time from timeline baseline
         const dropDate = new Date(lastFirstDate.getTime() + minutes * 60000);
         const hm = ShowtimeState.hmFromDate(dropDate);
@@ -409,13 +576,21 @@
         // both the auditorium and film.  The row IDs are strings so
         // convert the auditorium id back to a string when setting the
         // field to match other rows.
-        if (!row) {
-          row = ShowtimeState.addExtraRow();
-          ShowtimeState.setRowField(row.rowId, 'audId', audId);
-          ShowtimeState.setRowField(row.rowId, 'filmId', String(filmId));
+        if ((!row && formatBlocked(String(filmId), audId)) ||
+            conflictRefused([{ filmId: String(filmId), audId, start: dropDate }])) {
+          render();
+          return;
         }
-        // Add a manual show at the computed time.
-        ShowtimeState.addManualShow(row.rowId, hm);
+        // Creating the row and placing the show is one undo step.
+        ShowtimeState.batch(`Add show at ${ShowtimeState.fmtHM(hm)}`, () => {
+          if (!row) {
+            row = ShowtimeState.addExtraRow();
+            ShowtimeState.setRowField(row.rowId, 'audId', audId);
+            ShowtimeState.setRowField(row.rowId, 'filmId', String(filmId));
+          }
+          // Add a manual show at the computed time.
+          ShowtimeState.addManualShow(row.rowId, hm);
+        });
         // Re-render timeline to include the new show
         render();
       });
@@ -433,9 +608,9 @@
         if (px > rect.width) px = rect.width;
         // Use baseline timeline duration and start captured earlier
         const leftPct = px / rect.width;
-        const minutes = Math.round((leftPct * lastTimelineMins) / 5) * 5;
+        const minutes = Math.round((leftPct * lastTimelineMins) / snapStep()) * snapStep();
         const film = ShowtimeState.filmById(clickInsertFilmId);
-        const cycleMins = ShowtimeState.cycleMinutes(film || { runtime: 0, trailer: 0, clean: 0 }) || 0;
+        const cycleMins = ShowtimeState.cycleMinutes(film || { runtime: 0, trailer: 0, clean: 0 }, aud) || 0;
         const pxWidth = rect.width * (cycleMins / lastTimelineMins);
         showGhost(px, pxWidth);
       });
@@ -455,7 +630,7 @@
         if (px < 0) px = 0;
         if (px > rect.width) px = rect.width;
         const leftPct = px / rect.width;
-        const minutes = Math.round((leftPct * lastTimelineMins) / 5) * 5;
+        const minutes = Math.round((leftPct * lastTimelineMins) / snapStep()) * snapStep();
         const dropDate = new Date(lastFirstDate.getTime() + minutes * 60000);
         const hm = ShowtimeState.hmFromDate(dropDate);
         const audId = parseInt(timeline.dataset.audId, 10);
@@ -471,24 +646,34 @@
             break;
           }
         }
-        if (!rowMatch) {
-          rowMatch = ShowtimeState.addExtraRow();
-          ShowtimeState.setRowField(rowMatch.rowId, 'audId', audId);
-          ShowtimeState.setRowField(rowMatch.rowId, 'filmId', String(clickInsertFilmId));
+        if ((!rowMatch && formatBlocked(String(clickInsertFilmId), audId)) ||
+            conflictRefused([{ filmId: String(clickInsertFilmId), audId, start: dropDate }])) {
+          clickInsertFilmId = null;
+          clearGhost();
+          render();
+          return;
         }
-        ShowtimeState.addManualShow(rowMatch.rowId, hm);
+        // Creating the row and placing the show is one undo step.
+        ShowtimeState.batch(`Add show at ${ShowtimeState.fmtHM(hm)}`, () => {
+          if (!rowMatch) {
+            rowMatch = ShowtimeState.addExtraRow();
+            ShowtimeState.setRowField(rowMatch.rowId, 'audId', audId);
+            ShowtimeState.setRowField(rowMatch.rowId, 'filmId', String(clickInsertFilmId));
+          }
+          ShowtimeState.addManualShow(rowMatch.rowId, hm);
+        });
         // Exit insert mode and clear preview
         clickInsertFilmId = null;
         clearGhost();
         // Refresh the film tray highlight and timeline
         render();
       });
-      // Grid lines for this row: half‑hour and hour marks.  Use a
-      // lighter colour for half‑hours and darker for hours.  Lines
-      // before firstDate are skipped.
+      // Grid lines for this row at the header's spacing.  Use a lighter
+      // colour between hours and darker for hours.  Lines before
+      // firstDate are skipped.
       const rowFirstTick = new Date(firstTick);
       // Iterate ticks across the timeline
-      for (let tt = new Date(rowFirstTick); tt <= lastDate; tt = new Date(tt.getTime() + 30 * 60000)) {
+      for (let tt = new Date(rowFirstTick); tt <= lastDate; tt = new Date(tt.getTime() + gridMins * 60000)) {
         if (tt < firstDate) continue;
         const minutesFromFirst = (tt.getTime() - timelineStart.getTime()) / 60000;
         const leftPercent = (minutesFromFirst / timelineMins) * 100;
@@ -500,36 +685,31 @@
         line.style.width = '0';
         timeline.appendChild(line);
       }
+      // Blackout blocks of this auditorium, hatched and labelled. They are
+      // drawn before the bars so a show left inside one stays on top.
+      blackouts.filter(b => b.audId === aud.id).forEach(b => {
+        const fromMin = Math.max(0, (b.start - timelineStart) / 60000);
+        const toMin = Math.min(timelineMins, (b.end - timelineStart) / 60000);
+        if (toMin <= fromMin) return;
+        const block = document.createElement('div');
+        block.className = 'blackout-hatch absolute top-0 bottom-0 flex items-center px-1 text-[0.6rem] text-slate-700 whitespace-nowrap overflow-hidden border-x border-slate-400';
+        block.style.left = `${(fromMin / timelineMins) * 100}%`;
+        block.style.width = `${((toMin - fromMin) / timelineMins) * 100}%`;
+        block.textContent = blackoutLabel(b);
+        block.title = `${blackoutLabel(b)}, ${ShowtimeState.to12(b.start)}–${ShowtimeState.to12(b.end)}`;
+        timeline.appendChild(block);
+      });
       // Render each show in this auditorium
       (showsByAud[aud.id] || []).forEach(rec => {
         // Compute relative positions
-        // Rather than using normalizeDate() directly for both start and end,
-        // normalize the dates carefully to avoid adding an extra day to
-        // end times that already fall on the next day.  The previous
-        // implementation always added a day to times before 5:00 a.m.
-        // regardless of their existing date, which caused movies that
-        // ended after midnight to appear excessively long on the
-        // timeline.  Here, we only bump times before 5 a.m. when they
-        // occur on the same date as the start.  Otherwise, we preserve
-        // the provided date.
+        // Normalize the start onto the schedule's business day and keep
+        // the end at the same distance from it, so a show that ends after
+        // midnight is never moved a second day forward and drawn
+        // excessively long on the timeline.
         const rawStart = new Date(rec.start);
         const rawEnd = new Date(rec.end);
-        // Normalize the start: if the show starts before 5 a.m., treat it
-        // as belonging to the next day.  This matches the behavior in
-        // normalizeDate() for early‑morning starts.
-        let start = new Date(rawStart);
-        if (start.getHours() < 5) {
-          start.setDate(start.getDate() + 1);
-        }
-        // Normalize the end: only bump the date forward if it ends
-        // before 5 a.m. *and* still shares the same date as the start.
-        // Without this check, a show that already ends on the next
-        // calendar day (e.g. 1:30 a.m. next day) would incorrectly be
-        // moved two days forward.  See GH issue # and user report.
-        let end = new Date(rawEnd);
-        if (end.getHours() < 5 && end.getDate() === rawStart.getDate()) {
-          end.setDate(end.getDate() + 1);
-        }
+        const start = normalizeDate(rawStart);
+        const end = new Date(start.getTime() + (rawEnd - rawStart));
         // Compute minutes from the timeline start rather than raw first
         // date to ensure bar alignment with tick marks.  Avoid flooring
         // these values so fractional minutes are preserved, which
@@ -581,7 +761,23 @@
         const filmSpan = document.createElement('span');
         filmSpan.className = 'ml-1 truncate';
         filmSpan.textContent = rec.filmTitle || '';
-        bar.appendChild(startSpan);
+        // Fixed-time events carry a badge, and a double feature a divider
+        // where its second feature starts.
+        if (rec.source === 'Event') {
+          const badge = document.createElement('span');
+          badge.className = 'ml-1 px-1 rounded bg-amber-300 text-amber-900 text-[0.55rem] font-semibold';
+          badge.textContent = 'EVENT';
+          bar.appendChild(startSpan);
+          bar.appendChild(badge);
+          (rec.features || []).slice(1).forEach(f => {
+            const divider = document.createElement('div');
+            divider.className = 'absolute top-0 bottom-0 border-l-2 border-dashed border-amber-200 pointer-events-none';
+            divider.style.left = `${((f.start - rec.start) / (rec.end - rec.start)) * 100}%`;
+            bar.appendChild(divider);
+          });
+        } else {
+          bar.appendChild(startSpan);
+        }
         bar.appendChild(filmSpan);
         // Highlight active show: remove the gradient bar and apply a subtle purple
         // highlight so the selected show stands out.  The grad-bar class is
@@ -589,7 +785,22 @@
         if (rec.id === activeShowId) {
           bar.classList.remove('grad-bar');
           bar.classList.add('ring-2','ring-purple-400','bg-purple-50','text-black');
+        } else {
+          if (conflicts[rec.id]) {
+            bar.classList.remove('grad-bar');
+            bar.classList.add('bg-red-500');
+          }
+          if (selectedIds.has(rec.id)) {
+            bar.classList.add('ring-2','ring-sky-500','ring-offset-1');
+          } else if (crowded.has(rec.id)) {
+            bar.classList.add('ring-2','ring-orange-400');
+          }
         }
+        const notes = [];
+        if (rec.source === 'Event') notes.push(eventText(rec));
+        if (conflicts[rec.id]) notes.push(conflictText(conflicts[rec.id]));
+        if (crowded.has(rec.id)) notes.push('Too many shows start around this time');
+        if (notes.length) bar.title = notes.join('\n');
 
         // If a film is selected in the highlight dropdown, ensure the
         // corresponding bars remain highlighted even after selecting a show or
@@ -609,6 +820,21 @@
         // Event handlers
         bar.addEventListener('pointerdown', onPointerDown);
         bar.addEventListener('click', onBarClick);
+        // Turnaround block after the bar: the larger of the film's and this
+        // auditorium's clean time, so short turns are visible at a glance.
+        const cleanMins = rec.clean || 0;
+        if (cleanMins > 0 && clampedEnd < lastDate) {
+          const cleanEnd = Math.min((clampedEnd - timelineStart) / 60000 + cleanMins, (lastDate - timelineStart) / 60000);
+          const cleanBlock = document.createElement('div');
+          cleanBlock.className = 'absolute rounded-r-md bg-gray-300 opacity-60 pointer-events-none';
+          cleanBlock.style.left = `${(endMin / timelineMins) * 100}%`;
+          cleanBlock.style.width = `${((cleanEnd - endMin) / timelineMins) * 100}%`;
+          cleanBlock.style.top = '0.5rem';
+          cleanBlock.style.bottom = '0.5rem';
+          cleanBlock.dataset.cleanFor = rec.id;
+          cleanBlock.title = `Turnaround ${cleanMins}m`;
+          timeline.appendChild(cleanBlock);
+        }
         timeline.appendChild(bar);
         // Map show id to bar and rec for lookup
         showIdToBar[rec.id] = bar;
@@ -617,7 +843,55 @@
       });
       row.appendChild(timeline);
       rowEls[rowIndex] = row;
-      container.appendChild(row);
+      track.appendChild(row);
+    });
+    container.scrollLeft = scrollLeft;
+    // Forget selected shows that are no longer on the timeline
+    selectedIds.forEach(id => { if (!showIdToRec[id]) selectedIds.delete(id); });
+  }
+
+  // The shows an arrow key or Delete acts on: the selection, or the
+  // active show when nothing is selected.
+  function selectionIds() {
+    const ids = Array.from(selectedIds).filter(id => showIdToRec[id]);
+    if (!ids.length && activeShowId && showIdToRec[activeShowId]) ids.push(activeShowId);
+    return ids;
+  }
+
+  // Row shift for a group move, clamped so no show leaves the timeline.
+  function clampRowShift(ids, rowShift) {
+    const rows = ids.map(id => rowIndexOfShow[id]).filter(i => typeof i === 'number');
+    if (!rows.length) return 0;
+    const lastRow = rowEls.length - 1;
+    return Math.min(lastRow - Math.max(...rows), Math.max(-Math.min(...rows), rowShift));
+  }
+
+  // Move shows by deltaMin minutes and rowShift auditorium rows, keeping
+  // their spacing. All changes are one undo step. A move that would put
+  // any show in a house that cannot play its film, or create a turnaround
+  // conflict the theatre refuses, is refused as a whole.
+  function moveShows(ids, deltaMin, rowShift) {
+    const auds = (ShowtimeState.state.auds || []).slice().sort((a,b) => a.id - b.id);
+    const shift = clampRowShift(ids, rowShift);
+    const moves = ids.map(id => showIdToRec[id]).filter(Boolean).map(rec => {
+      const start = new Date(normalizeDate(rec.start).getTime() + deltaMin * 60000);
+      const aud = auds[rowIndexOfShow[rec.id] + shift];
+      return { rec, start, hm: ShowtimeState.hmFromDate(start), audId: aud ? aud.id : rec.audId };
+    });
+    if (!moves.length || (!deltaMin && !shift)) return;
+    if (moves.some(m => m.audId !== m.rec.audId && formatBlocked(m.rec.filmId, m.audId))) return;
+    if (conflictRefused(moves.map(m => ({ showId: m.rec.id, start: m.start, audId: m.audId })))) return;
+    const label = moves.length === 1
+      ? `Move show to ${ShowtimeState.fmtHM(moves[0].hm)}`
+      : deltaMin
+        ? `Move ${moves.length} shows ${Math.abs(deltaMin)}m ${deltaMin > 0 ? 'later' : 'earlier'}`
+        : `Move ${moves.length} shows`;
+    ShowtimeState.batch(label, () => {
+      moves.forEach(m => {
+        // Override the show's auditorium only, never the whole row
+        if (m.audId !== m.rec.audId) ShowtimeState.updateShowAud(m.rec.id, m.audId);
+        if (deltaMin) ShowtimeState.updateShowStart(m.rec.id, m.hm);
+      });
     });
   }
 
@@ -635,8 +909,24 @@
   function onBarClick(e) {
     // Prevent click during dragging: if dragState exists, ignore click
     if (dragState) return;
+    if (ignoreNextClick) {
+      ignoreNextClick = false;
+      return;
+    }
     const id = e.currentTarget.dataset.id;
     if (!id) return;
+    // Shift/Ctrl/⌘‑click adds the show to the selection or takes it out;
+    // the show picked before counts as already selected.
+    if (e.shiftKey || e.ctrlKey || e.metaKey) {
+      if (!selectedIds.size && activeShowId && activeShowId !== id && showIdToRec[activeShowId]) {
+        selectedIds.add(activeShowId);
+      }
+      if (selectedIds.has(id)) selectedIds.delete(id);
+      else selectedIds.add(id);
+      render();
+      return;
+    }
+    selectedIds.clear();
     activeShowId = id;
     // Dispatch global event so other components highlight this show
     try {
@@ -651,6 +941,10 @@
     if (!e.isPrimary) return;
     // Only respond to left mouse button or primary touch
     e.preventDefault();
+    // A drop that happened off the bar never got its click
+    ignoreNextClick = false;
+    // A modified click changes the selection (onBarClick) instead
+    if (e.shiftKey || e.ctrlKey || e.metaKey) return;
     const bar = e.currentTarget;
     const id = bar.dataset.id;
     const rec = showIdToRec[id];
@@ -668,8 +962,11 @@
     // Compute the original start offset relative to the baseline first date
     const originalStartMin = Math.floor((normalizeDate(rec.start) - firstDate) / 60000);
     const originalAudId = rec.audId;
+    // Grabbing a selected show drags the whole selection with it
+    const ids = selectedIds.has(id) ? Array.from(selectedIds).filter(sid => showIdToBar[sid]) : [id];
     dragState = {
       id,
+      ids,
       rec,
       rowIndex,
       startX,
@@ -702,95 +999,91 @@
     window.addEventListener('pointermove', onPointerMove);
     window.addEventListener('pointerup', onPointerUp);
   }
-  // Drag preview handler: update bar position and colour during drag
-  function onPointerMove(e) {
-    if (!dragState) return;
+  // Snapped minutes and clamped row shift of the drag so far.
+  function dragDelta(e) {
     const dx = e.clientX - dragState.startX;
     const dy = e.clientY - dragState.startY;
     // Convert horizontal movement into minutes
     const deltaMin = (dx / dragState.timelineWidth) * dragState.timelineMins;
-    let newStartMin = dragState.originalStartMin + deltaMin;
-    // Snap to nearest 5 minute increment
-    newStartMin = Math.round(newStartMin / 5) * 5;
+    // Snap the grabbed show to the start‑time granularity; the rest of
+    // the group keeps its spacing from it.
+    const newStartMin = Math.round((dragState.originalStartMin + deltaMin) / snapStep()) * snapStep();
     // Determine target row based on vertical movement
     const rowHeight = dragState.rowEls[0] ? dragState.rowEls[0].getBoundingClientRect().height : 32;
-    let rowShift = Math.round(dy / rowHeight);
-    let newRowIndex = dragState.rowIndex + rowShift;
-    if (newRowIndex < 0) newRowIndex = 0;
-    if (newRowIndex >= dragState.rowEls.length) newRowIndex = dragState.rowEls.length - 1;
-    // Compute new auditorium id
+    const rowShift = clampRowShift(dragState.ids, Math.round(dy / rowHeight));
+    return { deltaMin: newStartMin - dragState.originalStartMin, rowShift, rowHeight };
+  }
+  // Drag preview handler: update bar positions and colour during drag
+  function onPointerMove(e) {
+    if (!dragState) return;
+    const { deltaMin, rowShift, rowHeight } = dragDelta(e);
     const state = ShowtimeState.state;
     const auds = (state.auds || []).slice().sort((a,b) => a.id - b.id);
-    const newAudId = (auds[newRowIndex] && auds[newRowIndex].id) || dragState.originalAudId;
-    // Compute preview position
-    const leftPercent = (newStartMin / dragState.timelineMins) * 100;
-    dragState.bar.style.left = `${leftPercent}%`;
-    // Translate vertically to preview row change
-    const translateY = (newRowIndex - dragState.rowIndex) * (rowHeight);
-    dragState.bar.style.transform = `translate(0, ${translateY}px)`;
-    // Detect overlap in preview
-    const previewStartDate = new Date(dragState.firstDate.getTime() + newStartMin * 60000);
-    const filmDuration = Math.max(1, Math.floor((normalizeDate(dragState.rec.end) - normalizeDate(dragState.rec.start)) / 60000));
-    const previewEndDate = new Date(previewStartDate.getTime() + filmDuration * 60000);
-    let conflict = false;
-    // Check overlap with existing shows in target auditorium
-    const allShows = ShowtimeState.getAllShows();
-    allShows.forEach(other => {
-      if (other.id === dragState.id) return;
-      if (other.audId !== newAudId) return;
-      const oStart = normalizeDate(other.start);
-      const oEnd = normalizeDate(other.end);
-      if (previewStartDate < oEnd && previewEndDate > oStart) {
-        conflict = true;
+    // Where each dragged show would land
+    const changes = dragState.ids.filter(id => showIdToRec[id]).map(id => {
+      const rec = showIdToRec[id];
+      const aud = auds[rowIndexOfShow[id] + rowShift];
+      const start = new Date(normalizeDate(rec.start).getTime() + deltaMin * 60000);
+      return { showId: id, start, audId: aud ? aud.id : rec.audId };
+    });
+    // Overlap with the show before or after, turnarounds included: the
+    // most minutes of any conflict a dragged show is part of
+    const overlapOf = {};
+    ShowtimeState.turnaroundConflicts(changes).forEach(c => {
+      [c.showId, c.prevId].forEach(id => {
+        if (dragState.ids.includes(id)) overlapOf[id] = Math.max(overlapOf[id] || 0, c.overlapMin);
+      });
+    });
+    changes.forEach(({ showId: id, start, audId }) => {
+      const bar = showIdToBar[id];
+      const rec = showIdToRec[id];
+      if (!bar) return;
+      // Compute preview position
+      const startMin = (start - dragState.firstDate) / 60000;
+      bar.style.left = `${(startMin / dragState.timelineMins) * 100}%`;
+      // Translate vertically to preview row change
+      bar.style.transform = `translate(0, ${rowShift * rowHeight}px)`;
+      // Hide the bar's turnaround block while it is being moved; render()
+      // draws it again at the new position.
+      document.querySelectorAll('[data-clean-for]').forEach(el => {
+        if (el.dataset.cleanFor === String(id)) el.style.display = 'none';
+      });
+      // Overlap badge with the minutes, replaced on every move
+      let badge = bar.querySelector('[data-overlap]');
+      if (overlapOf[id]) {
+        if (!badge) {
+          badge = document.createElement('span');
+          badge.dataset.overlap = '';
+          badge.className = 'ml-1 px-1 rounded bg-white text-red-700 font-semibold';
+          bar.insertBefore(badge, bar.firstChild);
+        }
+        badge.textContent = `${overlapOf[id]}m overlap`;
+      } else if (badge) {
+        badge.remove();
+      }
+      // An overlap, or a house that cannot play the film, is a conflict
+      const conflict = !!overlapOf[id] || !ShowtimeState.canPlayFormat(ShowtimeState.filmById(rec.filmId), ShowtimeState.audById(audId));
+      // Set preview colour
+      if (conflict) {
+        bar.classList.add('bg-red-500');
+        bar.classList.remove('grad-bar','bg-purple-50','ring-2','ring-purple-400','text-black');
+      } else {
+        // Reset classes to default gradient when not conflicting; the
+        // highlight is applied again by the render after the drop
+        bar.classList.remove('bg-red-500');
+        bar.classList.add('grad-bar');
+        bar.classList.remove('bg-purple-50','ring-2','ring-purple-400','text-black');
       }
     });
-    // Set preview colour
-    if (conflict) {
-      dragState.bar.classList.add('bg-red-500');
-      dragState.bar.classList.remove('grad-bar','bg-purple-50','ring-2','ring-purple-400','text-black');
-    } else {
-      // Reset classes to default gradient when not active or conflicting
-      dragState.bar.classList.remove('bg-red-500');
-      // Only add gradient if this bar is not the active show; highlight will be applied in onPointerUp or on click
-      dragState.bar.classList.add('grad-bar');
-      dragState.bar.classList.remove('bg-purple-50','ring-2','ring-purple-400','text-black');
-    }
   }
   // Finalize drag: commit changes and clean up
   function onPointerUp(e) {
     if (!dragState) return;
-    const dx = e.clientX - dragState.startX;
-    const dy = e.clientY - dragState.startY;
-    const deltaMin = (dx / dragState.timelineWidth) * dragState.timelineMins;
-    let newStartMin = dragState.originalStartMin + deltaMin;
-    newStartMin = Math.round(newStartMin / 5) * 5;
-    const rowHeight = dragState.rowEls[0] ? dragState.rowEls[0].getBoundingClientRect().height : 32;
-    let rowShift = Math.round(dy / rowHeight);
-    let newRowIndex = dragState.rowIndex + rowShift;
-    if (newRowIndex < 0) newRowIndex = 0;
-    if (newRowIndex >= dragState.rowEls.length) newRowIndex = dragState.rowEls.length - 1;
-    const state = ShowtimeState.state;
-    const auds = (state.auds || []).slice().sort((a,b) => a.id - b.id);
-    const newAudId = (auds[newRowIndex] && auds[newRowIndex].id) || dragState.originalAudId;
-    // Compute final start HM
-    const finalStartDate = new Date(dragState.firstDate.getTime() + newStartMin * 60000);
-    const newHM = ShowtimeState.hmFromDate(finalStartDate);
-    // Commit auditorium change if changed
-    if (newAudId !== dragState.originalAudId) {
-      // Always override the show auditorium only. Do not alter the entire row.
-      // If moving back to the original auditorium, clear the override by
-      // passing null. Otherwise set the override to the new auditorium.
-      if (newAudId === dragState.originalAudId) {
-        ShowtimeState.updateShowAud(dragState.id, null);
-      } else {
-        ShowtimeState.updateShowAud(dragState.id, newAudId);
-      }
-    }
-    // Commit start time change if changed
-    const origHM = ShowtimeState.hmFromDate(new Date(dragState.firstDate.getTime() + dragState.originalStartMin * 60000));
-    if (newHM !== origHM) {
-      ShowtimeState.updateShowStart(dragState.id, newHM);
-    }
+    const { deltaMin, rowShift } = dragDelta(e);
+    ignoreNextClick = Math.abs(e.clientX - dragState.startX) > 3 || Math.abs(e.clientY - dragState.startY) > 3;
+    // A diagonal drag changes both auditorium and time, and a group drag
+    // moves every selected show; either way it is one undo step.
+    moveShows(dragState.ids, deltaMin, rowShift);
     // Set this show as active and notify other components
     activeShowId = dragState.id;
     try {
@@ -798,13 +1091,267 @@
       window.dispatchEvent(evt);
     } catch {}
     // Release pointer capture and remove listeners
-    dragState.bar.releasePointerCapture(e.pointerId);
+    try { dragState.bar.releasePointerCapture(e.pointerId); } catch (_) {}
     window.removeEventListener('pointermove', onPointerMove);
     window.removeEventListener('pointerup', onPointerUp);
     dragState = null;
     // Re-render to reset transforms and apply highlight
     render();
   }
+  // Form controls shared by the blackout and event panels: a select from
+  // [value, text] pairs, a text label, the auditoriums and the times of
+  // the business day in granularity steps.
+  function panelSelect(options, value) {
+    const sel = document.createElement('select');
+    sel.className = 'border border-gray-300 rounded px-1 py-0.5 text-sm';
+    options.forEach(([v, text]) => {
+      const opt = document.createElement('option');
+      opt.value = v;
+      opt.textContent = text;
+      sel.appendChild(opt);
+    });
+    if (value !== undefined && options.some(([v]) => v === value)) sel.value = value;
+    return sel;
+  }
+  function panelLabel(text) {
+    const span = document.createElement('span');
+    span.textContent = text;
+    return span;
+  }
+  function audOptions() {
+    return (ShowtimeState.state.auds || []).slice().sort((a, b) => a.id - b.id).map(a => [String(a.id), a.name]);
+  }
+  function dayTimes() {
+    const times = [];
+    for (let m = 0; m < 1440; m += snapStep()) {
+      const hm = ShowtimeState.hmFromMinutes(m);
+      times.push([hm, ShowtimeState.fmtHM(hm)]);
+    }
+    return times;
+  }
+  // Panel listing the current date's blackout blocks with a form to add
+  // one: an auditorium reserved from/to a time for a rental, event or
+  // maintenance. Clicking the button again closes it.
+  function openBlackoutPanel(btn) {
+    const existing = document.getElementById('blackoutPanel');
+    if (existing) {
+      existing.remove();
+      return;
+    }
+    const panel = document.createElement('div');
+    panel.id = 'blackoutPanel';
+    panel.className = 'absolute z-50 bg-white border border-gray-300 rounded-lg shadow p-3 text-sm text-gray-800';
+    const rect = btn.getBoundingClientRect();
+    panel.style.top = `${rect.bottom + window.scrollY + 4}px`;
+    panel.style.left = `${rect.left + window.scrollX}px`;
+    panel.style.width = '32rem';
+    const title = document.createElement('div');
+    title.className = 'font-semibold mb-2';
+    panel.appendChild(title);
+    const list = document.createElement('div');
+    list.className = 'mb-3 space-y-1';
+    panel.appendChild(list);
+    // The list follows undo, date changes and other tabs; the form keeps
+    // what is being typed.
+    panel.refresh = () => {
+      title.textContent = `Blackouts for ${ShowtimeState.isoToMMDD(ShowtimeState.getCurrentDate())}`;
+      list.innerHTML = '';
+      const blocks = ShowtimeState.listBlackouts();
+      if (!blocks.length) {
+        const none = document.createElement('div');
+        none.className = 'text-gray-500';
+        none.textContent = 'No auditorium is blacked out on this date.';
+        list.appendChild(none);
+      }
+      blocks.forEach(b => {
+        const row = document.createElement('div');
+        row.className = 'flex items-center gap-2';
+        const text = document.createElement('span');
+        text.className = 'flex-1';
+        text.textContent = `${b.audName} ${ShowtimeState.to12(b.start)}–${ShowtimeState.to12(b.end)} · ${blackoutLabel(b)}`;
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'px-2 py-0.5 rounded text-xs border border-gray-300 hover:bg-gray-100';
+        remove.textContent = 'Remove';
+        remove.onclick = () => ShowtimeState.removeBlackout(b.id);
+        row.appendChild(text);
+        row.appendChild(remove);
+        list.appendChild(row);
+      });
+    };
+    const form = document.createElement('div');
+    form.className = 'flex flex-wrap items-center gap-2 border-t pt-2';
+    const audSel = panelSelect(audOptions());
+    const times = dayTimes();
+    const fromSel = panelSelect(times, '10:00');
+    const toSel = panelSelect(times, '13:00');
+    const kindSel = panelSelect((ShowtimeState.BLACKOUT_KINDS || []).map(k => [k.key, k.label]));
+    const note = document.createElement('input');
+    note.type = 'text';
+    note.placeholder = 'Note (optional)';
+    note.className = 'border border-gray-300 rounded px-1 py-0.5 text-sm flex-1 min-w-[8rem]';
+    const add = document.createElement('button');
+    add.type = 'button';
+    add.className = 'px-3 py-1 bg-blue-700 text-white rounded-lg hover:bg-blue-800 text-sm';
+    add.textContent = 'Add';
+    add.onclick = () => {
+      const block = ShowtimeState.addBlackout(parseInt(audSel.value, 10), fromSel.value, toSel.value, kindSel.value, note.value);
+      if (!block) {
+        alert('Choose an auditorium and an end time after the start time.');
+        return;
+      }
+      note.value = '';
+    };
+    [audSel, panelLabel('from'), fromSel, panelLabel('to'), toSel, kindSel, note, add].forEach(el => form.appendChild(el));
+    panel.appendChild(form);
+    panel.refresh();
+    document.body.appendChild(panel);
+  }
+  // Panel listing the current date's fixed-time events with a form to add
+  // one: a film or custom title at an exact start with its own runtime,
+  // pre-show and clean minutes and an optional second feature. Blank
+  // minutes take the linked film's. Clicking the button again closes it.
+  function openEventPanel(btn) {
+    const existing = document.getElementById('eventPanel');
+    if (existing) {
+      existing.remove();
+      return;
+    }
+    const panel = document.createElement('div');
+    panel.id = 'eventPanel';
+    panel.className = 'absolute z-50 bg-white border border-gray-300 rounded-lg shadow p-3 text-sm text-gray-800';
+    const rect = btn.getBoundingClientRect();
+    panel.style.top = `${rect.bottom + window.scrollY + 4}px`;
+    panel.style.left = `${Math.max(8, rect.right + window.scrollX - 560)}px`;
+    panel.style.width = '35rem';
+    const title = document.createElement('div');
+    title.className = 'font-semibold mb-2';
+    panel.appendChild(title);
+    const list = document.createElement('div');
+    list.className = 'mb-3 space-y-1';
+    panel.appendChild(list);
+    panel.refresh = () => {
+      title.textContent = `Events for ${ShowtimeState.isoToMMDD(ShowtimeState.getCurrentDate())}`;
+      list.innerHTML = '';
+      const events = ShowtimeState.listEvents();
+      if (!events.length) {
+        const none = document.createElement('div');
+        none.className = 'text-gray-500';
+        none.textContent = 'No events on this date.';
+        list.appendChild(none);
+      }
+      events.forEach(ev => {
+        const row = document.createElement('div');
+        row.className = 'flex items-center gap-2';
+        const text = document.createElement('span');
+        text.className = 'flex-1';
+        const second = ev.features[1];
+        text.textContent = `${ev.audName} ${ShowtimeState.to12(ev.start)}–${ShowtimeState.to12(ev.end)} · ` +
+          ev.features.map(f => f.title).join(' + ') +
+          (second ? ` (second feature ${ShowtimeState.to12(second.start)})` : '');
+        text.title = eventText(ev);
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'px-2 py-0.5 rounded text-xs border border-gray-300 hover:bg-gray-100';
+        remove.textContent = 'Remove';
+        remove.onclick = () => ShowtimeState.removeEvent(ev.id);
+        row.appendChild(text);
+        row.appendChild(remove);
+        list.appendChild(row);
+      });
+    };
+    const films = (ShowtimeState.state.films || []).filter(f => f.title)
+      .map(f => [f.id, f.title + (f.format ? ' ' + f.format : '')])
+      .sort((a, b) => a[1].toLowerCase().localeCompare(b[1].toLowerCase()));
+    const textInput = (placeholder, cls) => {
+      const inp = document.createElement('input');
+      inp.type = 'text';
+      inp.placeholder = placeholder;
+      inp.className = `border border-gray-300 rounded px-1 py-0.5 text-sm ${cls || ''}`;
+      return inp;
+    };
+    const minutesInput = placeholder => {
+      const inp = document.createElement('input');
+      inp.type = 'number';
+      inp.min = '0';
+      inp.placeholder = placeholder;
+      inp.className = 'border border-gray-300 rounded px-1 py-0.5 text-sm w-16';
+      return inp;
+    };
+    const audSel = panelSelect(audOptions());
+    const startSel = panelSelect(dayTimes(), '19:00');
+    const filmSel = panelSelect([['', 'Custom title']].concat(films));
+    const titleInp = textInput('Title', 'flex-1 min-w-[8rem]');
+    const runtimeInp = minutesInput('min');
+    const preshowInp = minutesInput('min');
+    const cleanInp = minutesInput('min');
+    const secondSel = panelSelect([['', 'No second feature']].concat(films));
+    const secondTitleInp = textInput('or title', 'flex-1 min-w-[6rem]');
+    const secondRuntimeInp = minutesInput('min');
+    const note = textInput('Note (optional)', 'flex-1 min-w-[8rem]');
+    // Show what a blank field will take from the linked films
+    const syncPlaceholders = () => {
+      const film = ShowtimeState.filmById(filmSel.value);
+      const aud = ShowtimeState.audById(parseInt(audSel.value, 10));
+      titleInp.placeholder = film ? film.title : 'Title';
+      runtimeInp.placeholder = film ? String(film.runtime || 0) : 'min';
+      preshowInp.placeholder = film ? String(film.trailer || 0) : '0';
+      cleanInp.placeholder = String(ShowtimeState.turnaroundMinutes(film, aud));
+      const second = ShowtimeState.filmById(secondSel.value);
+      secondRuntimeInp.placeholder = second ? String(second.runtime || 0) : 'min';
+    };
+    [filmSel, audSel, secondSel].forEach(sel => sel.addEventListener('change', syncPlaceholders));
+    syncPlaceholders();
+    const add = document.createElement('button');
+    add.type = 'button';
+    add.className = 'px-3 py-1 bg-blue-700 text-white rounded-lg hover:bg-blue-800 text-sm';
+    add.textContent = 'Add';
+    add.onclick = () => {
+      const ev = ShowtimeState.addEvent({
+        audId: parseInt(audSel.value, 10),
+        startHM: startSel.value,
+        filmId: filmSel.value || null,
+        title: titleInp.value,
+        runtime: runtimeInp.value,
+        preshow: preshowInp.value,
+        clean: cleanInp.value,
+        second: { filmId: secondSel.value || null, title: secondTitleInp.value, runtime: secondRuntimeInp.value },
+        note: note.value,
+      });
+      // false: the theatre blocks the film's format there; the engine has
+      // already said so
+      if (ev === null) {
+        alert('Choose an auditorium and a start time, and give the event a film or a title with a runtime.');
+        return;
+      }
+      if (!ev) return;
+      [titleInp, runtimeInp, preshowInp, cleanInp, secondTitleInp, secondRuntimeInp, note].forEach(inp => { inp.value = ''; });
+    };
+    const line = els => {
+      const div = document.createElement('div');
+      div.className = 'flex flex-wrap items-center gap-2';
+      els.forEach(el => div.appendChild(el));
+      return div;
+    };
+    const form = document.createElement('div');
+    form.className = 'space-y-2 border-t pt-2';
+    form.appendChild(line([audSel, panelLabel('at'), startSel, filmSel, titleInp]));
+    form.appendChild(line([panelLabel('Runtime'), runtimeInp, panelLabel('Pre-show'), preshowInp, panelLabel('Clean'), cleanInp]));
+    form.appendChild(line([panelLabel('Then'), secondSel, secondTitleInp, panelLabel('Runtime'), secondRuntimeInp]));
+    form.appendChild(line([note, add]));
+    panel.appendChild(form);
+    panel.refresh();
+    document.body.appendChild(panel);
+  }
+  ['showtimeStateUpdated', 'showtimeDateChanged'].forEach(name => {
+    window.addEventListener(name, () => {
+      ['blackoutPanel', 'eventPanel'].forEach(id => {
+        const panel = document.getElementById(id);
+        if (panel && panel.refresh) panel.refresh();
+      });
+    });
+  });
+
   // When the global state changes (other pages editing show times), re-render
   window.addEventListener('showtimeStateUpdated', () => {
     render();
@@ -823,31 +1370,56 @@
   function isFormField(el) {
     return el && (/input|select|textarea/i.test(el.tagName) || el.isContentEditable);
   }
-  // Global key handler for deletion, undo and cancelling selection. When a bar is
-  // selected (activeShowId), pressing Delete or Backspace will remove
-  // it by setting its start time to blank. Escape clears the selection.
-  // Ctrl/Cmd+Z triggers the global undo.
+  // Global key handler for deletion, nudging, undo and cancelling selection.
+  // When bars are selected (or just the active show), pressing Delete or
+  // Backspace removes them by setting their start time to blank, and the
+  // arrow keys nudge them: Left/Right by the start‑time granularity (an
+  // hour with Shift), Up/Down to the neighbouring auditorium. Escape clears
+  // the selection. Ctrl/Cmd+Z triggers the global undo; Ctrl/Cmd+Shift+Z or
+  // Ctrl+Y redoes.
   document.addEventListener('keydown', (e) => {
     // Ignore if focus is inside a form field (e.g. search bar)
     if (isFormField(document.activeElement)) return;
-    // Delete/Backspace to remove a show
-    if ((e.key === 'Delete' || e.key === 'Backspace') && activeShowId) {
+    // Delete/Backspace to remove the selected shows
+    if ((e.key === 'Delete' || e.key === 'Backspace') && selectionIds().length) {
       e.preventDefault();
-      // Soft delete the show by clearing its start time
-      ShowtimeState.updateShowStart(activeShowId, '');
+      const ids = selectionIds();
+      // Soft delete the shows by clearing their start times, as one undo step
+      ShowtimeState.batch(ids.length === 1 ? 'Remove show' : `Remove ${ids.length} shows`, () => {
+        ids.forEach(id => ShowtimeState.updateShowStart(id, ''));
+      });
       activeShowId = null;
+      selectedIds.clear();
+      render();
+    }
+    // Arrow keys nudge the selected shows
+    const nudge = {
+      ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1],
+    }[e.key];
+    if (nudge && !e.ctrlKey && !e.metaKey && !e.altKey && selectionIds().length) {
+      e.preventDefault();
+      const step = e.shiftKey ? 60 : snapStep();
+      moveShows(selectionIds(), nudge[0] * step, nudge[1]);
+      render();
+    }
+    // Redo with Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y; checked first because the
+    // undo shortcut is the same key without Shift.
+    if ((e.ctrlKey || e.metaKey) && ((e.shiftKey && e.key.toLowerCase() === 'z') || e.key.toLowerCase() === 'y')) {
+      e.preventDefault();
+      ShowtimeState.redo();
       render();
     }
     // Undo with Ctrl/Cmd+Z
-    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+    else if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
       e.preventDefault();
       ShowtimeState.undo();
       render();
     }
     // Escape to clear selection
     if (e.key === 'Escape') {
-      if (activeShowId) {
+      if (activeShowId || selectedIds.size) {
         activeShowId = null;
+        selectedIds.clear();
         render();
       }
     }
@@ -909,10 +1481,10 @@
       return;
     }
     const contRect = container.getBoundingClientRect();
-    // Determine header height from the first child element (the tick header)
+    // Determine header height from the tick header of the last render
     let headerHeight = 0;
-    if (container.firstChild && container.firstChild.getBoundingClientRect) {
-      const headerRect = container.firstChild.getBoundingClientRect();
+    if (headerEl && headerEl.getBoundingClientRect) {
+      const headerRect = headerEl.getBoundingClientRect();
       headerHeight = headerRect.height;
     }
     // Y offset within the rows (excluding header). If the drop is above
@@ -948,8 +1520,8 @@
     if (px > rect.width) px = rect.width;
     const leftPct = rect.width > 0 ? (px / rect.width) : 0;
     // Calculate minutes relative to the timeline baseline and snap to
-    // 5-minute increments
-    const minutes = Math.round((leftPct * lastTimelineMins) / 5) * 5;
+    // the start‑time granularity
+    const minutes = Math.round((leftPct * lastTimelineMins) / snapStep()) * snapStep();
     const dropDate = new Date(lastFirstDate.getTime() + minutes * 60000);
     const hm = ShowtimeState.hmFromDate(dropDate);
     const audId = parseInt(timeline.dataset.audId, 10);
@@ -966,12 +1538,22 @@
         break;
       }
     }
-    if (!targetRow) {
-      targetRow = ShowtimeState.addExtraRow();
-      ShowtimeState.setRowField(targetRow.rowId, 'audId', audId);
-      ShowtimeState.setRowField(targetRow.rowId, 'filmId', String(filmId));
+    if ((!targetRow && formatBlocked(String(filmId), audId)) ||
+        conflictRefused([{ filmId: String(filmId), audId, start: dropDate }])) {
+      currentDragFilmId = null;
+      clickInsertFilmId = null;
+      render();
+      return;
     }
-    ShowtimeState.addManualShow(targetRow.rowId, hm);
+    // Creating the row and placing the show is one undo step.
+    ShowtimeState.batch(`Add show at ${ShowtimeState.fmtHM(hm)}`, () => {
+      if (!targetRow) {
+        targetRow = ShowtimeState.addExtraRow();
+        ShowtimeState.setRowField(targetRow.rowId, 'audId', audId);
+        ShowtimeState.setRowField(targetRow.rowId, 'filmId', String(filmId));
+      }
+      ShowtimeState.addManualShow(targetRow.rowId, hm);
+    });
     // Clear film selection and click insert modes
     currentDragFilmId = null;
     clickInsertFilmId = null;
@@ -993,18 +1575,13 @@
     const nextBtn = document.getElementById('nextDateGanttBtn');
 
     // Populate the time selectors with 30‑minute increments.  This mirrors
-    // the prime and schedule list/grid pages.  Last show options span
-    // 20:00 through 02:00 to accommodate late shows crossing midnight.
+    // the prime and schedule list/grid pages.  Last show options run
+    // from 20:00 up to the next rollover to accommodate late shows
+    // crossing midnight.
     function populateTimeSelectors() {
       if (!firstSel || !lastSel) return;
-      const times = [];
-      let t = ShowtimeState.dtFromHM('05:00');
-      const end = ShowtimeState.dtFromHM('19:00');
-      while (t <= end) {
-        times.push(ShowtimeState.hmFromDate(t));
-        t = new Date(t.getTime() + 30 * 60000);
-      }
-      const lastTimes = ['20:00','20:30','21:00','21:30','22:00','22:30','23:00','23:30','00:00','00:30','01:00','01:30','02:00'];
+      // Choices run from the theatre's rollover hour (see showWindowOptions)
+      const { first: times, last: lastTimes } = ShowtimeState.showWindowOptions();
       firstSel.innerHTML = '';
       lastSel.innerHTML = '';
       times.forEach(hm => {
@@ -1051,6 +1628,15 @@
     if (prevBtn) prevBtn.addEventListener('click', () => shiftDate(-1));
     if (nextBtn) nextBtn.addEventListener('click', () => shiftDate(1));
 
+    // Undo/redo buttons mirror the keyboard shortcuts; History opens the
+    // clickable list of commands for the current date.
+    const undoBtn = document.getElementById('undoGanttBtn');
+    const redoBtn = document.getElementById('redoGanttBtn');
+    const historyBtn = document.getElementById('historyGanttBtn');
+    if (undoBtn) undoBtn.addEventListener('click', () => { ShowtimeState.undo(); render(); });
+    if (redoBtn) redoBtn.addEventListener('click', () => { ShowtimeState.redo(); render(); });
+    if (historyBtn) historyBtn.addEventListener('click', () => window.openHistoryPanel(historyBtn, render));
+
     // Set up the date input if present.  Allow manual entry and
     // conversion between MM/DD/YYYY and ISO.  Re-render on changes.
     if (dateInput) {
@@ -1078,6 +1664,96 @@
       });
     }
 
+    // Zoom buttons, Ctrl+wheel zoom around the cursor and the gridline
+    // spacing selector. Plain wheel scrolling is left to the page.
+    const zoomInBtn = document.getElementById('ganttZoomInBtn');
+    const zoomOutBtn = document.getElementById('ganttZoomOutBtn');
+    const zoomFitBtn = document.getElementById('ganttZoomFitBtn');
+    const gridSel = document.getElementById('ganttGridSelect');
+    if (zoomInBtn) zoomInBtn.addEventListener('click', () => zoomStep(1));
+    if (zoomOutBtn) zoomOutBtn.addEventListener('click', () => zoomStep(-1));
+    if (zoomFitBtn) zoomFitBtn.addEventListener('click', () => zoomTo(1));
+    const blackoutsBtn = document.getElementById('ganttBlackoutsBtn');
+    if (blackoutsBtn) blackoutsBtn.addEventListener('click', () => openBlackoutPanel(blackoutsBtn));
+    const eventsBtn = document.getElementById('ganttEventsBtn');
+    if (eventsBtn) eventsBtn.addEventListener('click', () => openEventPanel(eventsBtn));
+    if (gridSel) {
+      GRID_CHOICES.forEach(m => {
+        const opt = document.createElement('option');
+        opt.value = String(m);
+        opt.textContent = m === 60 ? '1 hour' : `${m} min`;
+        gridSel.appendChild(opt);
+      });
+      gridSel.addEventListener('change', () => setGanttView({ gridMins: Number(gridSel.value) }));
+    }
+    const ganttContainer = document.getElementById('ganttContainer');
+    if (ganttContainer) {
+      // Trackpad pinches arrive as many small Ctrl+wheel deltas; add them
+      // up so one gesture does not jump through every level.
+      let wheelDelta = 0;
+      ganttContainer.addEventListener('wheel', (e) => {
+        if (!e.ctrlKey && !e.metaKey) return;
+        e.preventDefault();
+        wheelDelta += e.deltaY;
+        if (Math.abs(wheelDelta) < 40) return;
+        zoomStep(wheelDelta < 0 ? 1 : -1, e.clientX);
+        wheelDelta = 0;
+      }, { passive: false });
+
+      // Rubber‑band selection: dragging across empty timeline selects
+      // every show the band touches (added to the selection with
+      // Shift/Ctrl/⌘). A plain click on empty timeline clears it.
+      ganttContainer.addEventListener('pointerdown', (e) => {
+        if (!e.isPrimary || e.button !== 0 || clickInsertFilmId || dragState) return;
+        if (e.target.closest('[data-id]') || (headerEl && headerEl.contains(e.target))) return;
+        if (!e.target.closest('[data-aud-id]')) return;
+        e.preventDefault();
+        const additive = e.shiftKey || e.ctrlKey || e.metaKey;
+        const startX = e.clientX;
+        const startY = e.clientY;
+        let band = null;
+        ganttContainer.setPointerCapture(e.pointerId);
+        const bandRect = (ev) => ({
+          left: Math.min(startX, ev.clientX), right: Math.max(startX, ev.clientX),
+          top: Math.min(startY, ev.clientY), bottom: Math.max(startY, ev.clientY),
+        });
+        const onMove = (ev) => {
+          if (!band && Math.abs(ev.clientX - startX) < 4 && Math.abs(ev.clientY - startY) < 4) return;
+          if (!band || !ganttContainer.contains(band)) {
+            band = document.createElement('div');
+            band.className = 'absolute z-20 border border-sky-500 bg-sky-200/30 pointer-events-none';
+            ganttContainer.appendChild(band);
+          }
+          const r = bandRect(ev);
+          const cont = ganttContainer.getBoundingClientRect();
+          band.style.left = `${r.left - cont.left + ganttContainer.scrollLeft}px`;
+          band.style.top = `${r.top - cont.top + ganttContainer.scrollTop}px`;
+          band.style.width = `${r.right - r.left}px`;
+          band.style.height = `${r.bottom - r.top}px`;
+        };
+        const onUp = (ev) => {
+          ganttContainer.removeEventListener('pointermove', onMove);
+          ganttContainer.removeEventListener('pointerup', onUp);
+          ganttContainer.removeEventListener('pointercancel', onUp);
+          if (!additive) selectedIds.clear();
+          if (band) {
+            band.remove();
+            const r = bandRect(ev);
+            Object.keys(showIdToBar).forEach(id => {
+              const b = showIdToBar[id].getBoundingClientRect();
+              if (b.left < r.right && b.right > r.left && b.top < r.bottom && b.bottom > r.top) selectedIds.add(id);
+            });
+          }
+          render();
+        };
+        ganttContainer.addEventListener('pointermove', onMove);
+        ganttContainer.addEventListener('pointerup', onUp);
+        ganttContainer.addEventListener('pointercancel', onUp);
+      });
+    }
+    // A selection belongs to one date's schedule
+    window.addEventListener('showtimeDateChanged', () => { selectedIds.clear(); });
+
     // Populate selectors immediately on first load
     populateTimeSelectors();
     render();
@@ -21,16 +21,8 @@
     // Populate the First/Last show dropdowns with 30‑minute increments.
     function populateTimeSelectors() {
       if (!firstSel || !lastSel) return;
-      // Generate first show options: 05:00 through 19:00 (7:00pm) in 30‑minute steps
-      const times = [];
-      let t = ShowtimeState.dtFromHM('05:00');
-      const end = ShowtimeState.dtFromHM('19:00');
-      while (t <= end) {
-        times.push(ShowtimeState.hmFromDate(t));
-        t = new Date(t.getTime() + 30 * 60000);
-      }
-      // Generate last show options covering 20:00 through 02:00 (next day) in 30‑minute steps
-      const lastTimes = ['20:00','20:30','21:00','21:30','22:00','22:30','23:00','23:30','00:00','00:30','01:00','01:30','02:00'];
+      // Choices run from the theatre's rollover hour (see showWindowOptions)
+      const { first: times, last: lastTimes } = ShowtimeState.showWindowOptions();
       // Clear existing options
       firstSel.innerHTML = '';
       lastSel.innerHTML = '';
@@ -115,6 +115,35 @@
     header.appendChild(title);
     header.appendChild(headerButtons);
     panel.appendChild(header);
+    // Stagger notice: shown while too many shows start close together
+    // (see ShowtimeState.staggerRule), with a button that proposes moves
+    // to spread them out.
+    const staggerNote = document.createElement('div');
+    staggerNote.className = 'hidden flex items-center justify-between gap-2 bg-orange-50 border-b border-orange-200 px-3 py-1 text-xs text-orange-800';
+    const staggerText = document.createElement('span');
+    const spreadBtn = document.createElement('button');
+    spreadBtn.className = 'px-2 py-0.5 bg-orange-600 text-white rounded-lg hover:bg-orange-700 whitespace-nowrap';
+    spreadBtn.textContent = 'Spread starts';
+    spreadBtn.addEventListener('click', () => {
+      const moves = ShowtimeState.spreadStarts();
+      if (moves.length === 0) {
+        alert('No move of up to an hour clears the crowded starts without overlapping another show. Adjust them by hand.');
+        return;
+      }
+      const lines = moves.map(m => `${m.filmTitle} (${m.audName}): ${ShowtimeState.fmtHM(m.fromHM)} → ${ShowtimeState.fmtHM(m.toHM)}`);
+      if (!confirm('Move these shows to spread out the starts?\n\n' + lines.join('\n'))) return;
+      // All moves are one undo step
+      ShowtimeState.batch('Spread starts', () => {
+        moves.forEach(m => ShowtimeState.updateShowStart(m.showId, m.toHM));
+      });
+      try {
+        window.dispatchEvent(new Event('storage'));
+      } catch {}
+      render();
+    });
+    staggerNote.appendChild(staggerText);
+    staggerNote.appendChild(spreadBtn);
+    panel.appendChild(staggerNote);
     // Add table container
     const container = document.createElement('div');
     container.className = 'overflow-y-auto';
@@ -260,13 +289,9 @@
       }
     }
 
-    // Helper to normalize times: treat times before 5:00a as next day.
+    // Helper to normalize times onto the schedule date's business day.
     function normalizeDate(dt) {
-      const n = new Date(dt);
-      if (n.getHours() < 5) {
-        n.setDate(n.getDate() + 1);
-      }
-      return n;
+      return ShowtimeState.normalizeDate(dt);
     }
     // Compute time gap between current show and next show in same auditorium.
     function cleanGap(current, shows) {
@@ -296,7 +321,7 @@
       return `${mins}m`;
     }
     function nudgeShow(rec, dir) {
-      const newDate = new Date(rec.start.getTime() + dir * 5 * 60000);
+      const newDate = new Date(rec.start.getTime() + dir * ShowtimeState.granularity() * 60000);
       const hm = ShowtimeState.hmFromDate(newDate);
       ShowtimeState.updateShowStart(rec.id, hm);
       // Fire storage event manually to notify other components in same page
@@ -309,7 +334,7 @@
 
     // Attach click handlers to the header‑level nudge buttons once nudgeShow is defined.
     // These handlers adjust the start time of the currently active show (selected row)
-    // by ±5 minutes. They rely on the global activeShowId, normalizeDate helper and
+    // by one granularity step. They rely on the global activeShowId, normalizeDate helper and
     // ShowtimeState.getAllShows() to find the corresponding record. Use a
     // data‑bound attribute to avoid reattaching listeners on subsequent renders.
     if (headerNudgeUpBtn && !headerNudgeUpBtn.hasAttribute('data-bound')) {
@@ -327,7 +352,7 @@
         });
         const rec = shows.find(r => r.id === activeShowId);
         if (!rec) return;
-        // Nudge backwards by 5 minutes
+        // Nudge backwards by one step
         nudgeShow(rec, -1);
       });
     }
@@ -343,7 +368,7 @@
         });
         const rec = shows.find(r => r.id === activeShowId);
         if (!rec) return;
-        // Nudge forwards by 5 minutes
+        // Nudge forwards by one step
         nudgeShow(rec, 1);
       });
     }
@@ -371,6 +396,15 @@
         }
       })();
       const allShows = ShowtimeState.getAllShows();
+      // Shows starting in a window that breaks the stagger rule
+      const stagger = ShowtimeState.staggerViolations();
+      const crowded = new Set(stagger.showIds);
+      if (crowded.size) {
+        staggerText.textContent = `${crowded.size} shows start too close together (max ${stagger.rule.maxStarts} in ${stagger.rule.windowMins}m).`;
+        staggerNote.classList.remove('hidden');
+      } else {
+        staggerNote.classList.add('hidden');
+      }
       // Sort shows chronologically
       const shows = allShows.slice().sort((a, b) => {
         const an = normalizeDate(a.start);
@@ -418,16 +452,28 @@
         // Start
         const tdStart = document.createElement('td');
         tdStart.className = 'px-3 py-1 font-mono tabular-nums';
-        tdStart.textContent = ShowtimeState.to12(rec.start);
+        if (crowded.has(rec.id)) {
+          const span = document.createElement('span');
+          span.className = 'bg-orange-100 rounded px-1';
+          span.title = 'Too many shows start around this time';
+          span.textContent = ShowtimeState.to12(rec.start);
+          tdStart.appendChild(span);
+        } else {
+          tdStart.textContent = ShowtimeState.to12(rec.start);
+        }
         tr.appendChild(tdStart);
         // Clean gap
         const gap = cleanGap(rec, shows);
         const tdClean = document.createElement('td');
         tdClean.className = 'px-3 py-1 font-mono tabular-nums';
         const label = formatCleanLabel(gap);
-        if (label && gap < 15) {
+        // Flag gaps shorter than the show's turnaround (the larger of the
+        // film and auditorium clean times).
+        const needed = rec.clean || 15;
+        if (label && gap < needed) {
           const span = document.createElement('span');
           span.className = 'bg-yellow-100 rounded px-1';
+          span.title = `Needs ${needed}m to turn ${rec.audName || 'the auditorium'}`;
           span.textContent = label;
           tdClean.appendChild(span);
         } else {
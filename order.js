@@ -5,15 +5,10 @@ const ShowtimeState = window.ShowtimeState;
 document.addEventListener('DOMContentLoaded', () => {
   const tbody = document.getElementById('orderBody');
 
+  // Place a time on the schedule date's business day so that times after
+  // midnight order after the evening shows.
   function normalizeDate(dt) {
-    const n = new Date(dt);
-    // If time is between 00:00 and 04:59 on the same calendar date as first show,
-    // treat it as the next day to order after evening shows.
-    // For simplicity here, we roll any time before 5:00a to the next day.
-    if (n.getHours() < 5) {
-      n.setDate(n.getDate() + 1);
-    }
-    return n;
+    return ShowtimeState.normalizeDate(dt);
   }
 
   // Compute the time gap (in minutes) between this show and the next show in the same auditorium
@@ -49,8 +44,8 @@ document.addEventListener('DOMContentLoaded', () => {
 
   function nudgeShow(rec, dir) {
     // rec: show record; dir: -1 for up (earlier), 1 for down (later)
-    // Compute new start time by adding dir*5 minutes
-    const newDate = new Date(rec.start.getTime() + dir * 5 * 60000);
+    // Compute new start time by moving one granularity step in dir
+    const newDate = new Date(rec.start.getTime() + dir * ShowtimeState.granularity() * 60000);
     const newHm = ShowtimeState.hmFromDate(newDate);
     ShowtimeState.updateShowStart(rec.id, newHm);
     render();
@@ -121,12 +116,15 @@ document.addEventListener('DOMContentLoaded', () => {
       const tdClean = document.createElement('td');
       tdClean.className = 'px-2 py-1 font-mono tabular-nums';
       const label = formatCleanLabel(gap);
-      if (label && gap < 20) {
-        // Highlight short cleaning windows (<20m) with a yellow background to
-        // draw attention. Use a light yellow to avoid overpowering other
-        // colours.
+      const needed = rec.clean || 20;
+      if (label && gap < needed) {
+        // Highlight cleaning windows shorter than the show's turnaround (the
+        // larger of the film and auditorium clean times) with a yellow
+        // background to draw attention. Use a light yellow to avoid
+        // overpowering other colours.
         const span = document.createElement('span');
         span.className = 'bg-yellow-100 rounded px-1';
+        span.title = `Needs ${needed}m to turn ${rec.audName || 'the auditorium'}`;
         span.textContent = label;
         tdClean.appendChild(span);
       } else {
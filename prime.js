@@ -47,6 +47,28 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
+  // Build schedule: let the engine assign an auditorium and prime time to
+  // every booking. It replaces the current choices, so ask first; the
+  // build is a single undo step.
+  const buildBtn = document.getElementById('buildScheduleBtn');
+  if (buildBtn) {
+    buildBtn.addEventListener('click', () => {
+      const ok = confirm('Build schedule will choose a new auditorium and prime time for every booking on this date. Continue?');
+      if (!ok) return;
+      const result = ShowtimeState.buildSchedule();
+      render();
+      if (result.unassigned.length) {
+        alert('No free auditorium can play, or has a prime time clear of its blackouts and events, for: ' + result.unassigned.join(', ') + '. Assign these by hand.');
+      }
+    });
+  }
+
+  // Templates: apply a saved layout to this date or save this one
+  const templatesBtn = document.getElementById('templatesPrimeBtn');
+  if (templatesBtn) {
+    templatesBtn.addEventListener('click', () => window.openTemplatePanel(templatesBtn, render));
+  }
+
   // Sync the date picker with the current schedule date. When the
   // user selects a new date, save the current schedule, load the new
   // schedule and re-render the page. Additionally update the picker
@@ -110,16 +132,8 @@ document.addEventListener('DOMContentLoaded', () => {
   // Populate first/last show dropdowns with 30‑minute increments. Mirrors schedule-grid.
   function populateTimeSelectors() {
     if (!firstSel || !lastSel) return;
-    // Generate times from 05:00 to 19:00 in 30‑minute steps
-    const times = [];
-    let t = ShowtimeState.dtFromHM('05:00');
-    const end = ShowtimeState.dtFromHM('19:00');
-    while (t <= end) {
-      times.push(ShowtimeState.hmFromDate(t));
-      t = new Date(t.getTime() + 30 * 60000);
-    }
-    // Generate last show options manually covering 20:00 through 02:00 (next day) in 30‑minute steps
-    const lastTimes = ['20:00','20:30','21:00','21:30','22:00','22:30','23:00','23:30','00:00','00:30','01:00','01:30','02:00'];
+    // Choices run from the theatre's rollover hour (see showWindowOptions)
+    const { first: times, last: lastTimes } = ShowtimeState.showWindowOptions();
     // Clear existing
     firstSel.innerHTML = '';
     lastSel.innerHTML = '';
@@ -158,24 +172,11 @@ document.addEventListener('DOMContentLoaded', () => {
   // We no longer attach a second clear handler here. The handler above
   // covers the clearing logic.
 
-  // Generate prime time options: 5‑minute increments from 6:00p to 8:30p.
+  // Generate prime time options: increments of the theatre's start‑time
+  // granularity from 6:00p to 8:30p. The schedule builder picks from the
+  // same list.
   function generatePrimeOptions() {
-    const opts = [];
-    // Start at 18:00 (6:00 PM) on an arbitrary date
-    let t = ShowtimeState.dtFromHM('18:00');
-    let end = ShowtimeState.dtFromHM('20:30');
-    // If end is before start (e.g., crosses midnight), adjust by adding a day
-    if (end < t) {
-      end = new Date(end.getTime());
-      end.setDate(end.getDate() + 1);
-    }
-    while (true) {
-      opts.push(ShowtimeState.hmFromDate(t));
-      if (t.getTime() >= end.getTime()) break;
-      // Advance by 5 minutes
-      t = new Date(t.getTime() + 5 * 60000);
-    }
-    return opts;
+    return ShowtimeState.primeTimeOptions();
   }
 
   function render() {
@@ -213,9 +214,15 @@ document.addEventListener('DOMContentLoaded', () => {
       ShowtimeState.save();
     })();
     body.innerHTML = '';
+    // Only bookings whose engagement covers the current date are listed.
+    // Rows of the others keep their auditorium and prime time in case the
+    // run is extended.
+    const date = ShowtimeState.getCurrentDate();
+    const playing = new Set(ShowtimeState.bookingsOn(date).map(b => b.id));
+    const primeRows = state.primeRows.filter(r => playing.has(r.bookingId));
     // Map to count prime time usage for highlighting duplicate prime times
     const primeCounts = {};
-    state.primeRows.forEach(r => {
+    primeRows.forEach(r => {
       if (r.primeHM) {
         primeCounts[r.primeHM] = (primeCounts[r.primeHM] || 0) + 1;
       }
@@ -226,7 +233,7 @@ document.addEventListener('DOMContentLoaded', () => {
     // the dropdown menu except for the current row, similar to how duplicate
     // prime times are highlighted.
     const audCounts = {};
-    state.primeRows.concat(state.extraRows).forEach(r => {
+    primeRows.concat(state.extraRows).forEach(r => {
       if (r.audId) {
         audCounts[r.audId] = (audCounts[r.audId] || 0) + 1;
       }
@@ -236,7 +243,7 @@ document.addEventListener('DOMContentLoaded', () => {
     // ensures rows display in logical slot order even if previous edits
     // created gaps.  We parse as integers and fallback to lexical
     // comparison if parse fails.
-    const rows = state.primeRows.concat(state.extraRows).sort((a,b) => {
+    const rows = primeRows.concat(state.extraRows).sort((a,b) => {
       const sa = parseInt(a.slot, 10);
       const sb = parseInt(b.slot, 10);
       if (!isNaN(sa) && !isNaN(sb)) return sa - sb;
@@ -311,7 +318,8 @@ document.addEventListener('DOMContentLoaded', () => {
         return `${h}h${String(mm).padStart(2, '0')}`;
       };
       if (film) {
-        const cycleMins = ShowtimeState.cycleMinutes(film);
+        // Includes this row's auditorium turnaround when it is longer
+        const cycleMins = ShowtimeState.cycleMinutes(film, ShowtimeState.audById(row.audId));
         tdRt.textContent = toHMM(cycleMins);
       } else {
         tdRt.textContent = '0h00';
@@ -348,12 +356,12 @@ document.addEventListener('DOMContentLoaded', () => {
                 s.end = new Date(newStart.getTime() + totalMins * 60000);
                 s.runtime = film.runtime;
                 s.trailer = film.trailer;
-                s.clean = film.clean;
+                s.clean = ShowtimeState.turnaroundMinutes(film, ShowtimeState.audById(ov.audId || s.audId));
                 s.filmId = film.id;
                 // Always include the film format in the title for display on the
                 // prime schedule, matching how other pages concatenate format.
                 s.filmTitle = film.title + (film.format ? ' ' + film.format : '');
-                s.cycle = ShowtimeState.cycleMinutes(film);
+                s.cycle = ShowtimeState.cycleMinutes(film, ShowtimeState.audById(ov.audId || s.audId));
               }
             }
             // Override auditorium
@@ -370,8 +378,8 @@ document.addEventListener('DOMContentLoaded', () => {
                 s.filmTitle = film.title + (film.format ? ' ' + film.format : '');
                 s.runtime = film.runtime;
                 s.trailer = film.trailer;
-                s.clean = film.clean;
-                s.cycle = ShowtimeState.cycleMinutes(film);
+                s.clean = ShowtimeState.turnaroundMinutes(film, ShowtimeState.audById(ov.audId || s.audId));
+                s.cycle = ShowtimeState.cycleMinutes(film, ShowtimeState.audById(ov.audId || s.audId));
                 // adjust end if start override also exists
                 const start = s.start || rec.start;
                 const totalMins = (film.runtime || 0) + (film.trailer || 0) + (film.clean || 0);
@@ -392,13 +400,11 @@ document.addEventListener('DOMContentLoaded', () => {
       const preTimes = new Array(8).fill(null);
       if (row.filmId && row.audId && row.primeHM) {
         const film = ShowtimeState.filmById(row.filmId);
-        const cycle = ShowtimeState.cycleMinutes(film);
+        const cycle = ShowtimeState.cycleMinutes(film, ShowtimeState.audById(row.audId));
         if (cycle > 0) {
           const primeStart = ShowtimeState.dtFromHM(row.primeHM);
           const firstWindow = ShowtimeState.dtFromHM(ShowtimeState.state.firstShowHM);
           const lastWindow = ShowtimeState.dtFromHM(ShowtimeState.state.lastShowHM);
-          // extend lastWindow into next day for times after midnight
-          if (lastWindow.getHours() < 5) lastWindow.setDate(lastWindow.getDate() + 1);
           // Collect pre times by stepping backwards
           const times = [];
           let t = new Date(primeStart.getTime() - cycle * 60000);
@@ -436,6 +442,11 @@ document.addEventListener('DOMContentLoaded', () => {
       blankPrime.textContent = '';
       selPrime.appendChild(blankPrime);
       const primeOpts = generatePrimeOptions();
+      // Keep a saved prime time that is off the current step grid selectable
+      if (row.primeHM && !primeOpts.includes(row.primeHM)) {
+        primeOpts.push(row.primeHM);
+        primeOpts.sort((a, b) => ShowtimeState.minutesFromHM(a) - ShowtimeState.minutesFromHM(b));
+      }
       primeOpts.forEach(hm => {
         const opt = document.createElement('option');
         opt.value = hm;
@@ -458,12 +469,11 @@ document.addEventListener('DOMContentLoaded', () => {
       const postTimes = new Array(8).fill(null);
       if (row.filmId && row.audId && row.primeHM) {
         const film = ShowtimeState.filmById(row.filmId);
-        const cycle = ShowtimeState.cycleMinutes(film);
+        const cycle = ShowtimeState.cycleMinutes(film, ShowtimeState.audById(row.audId));
         if (cycle > 0) {
           const primeStart = ShowtimeState.dtFromHM(row.primeHM);
           const firstWindow = ShowtimeState.dtFromHM(ShowtimeState.state.firstShowHM);
           const lastWindow = ShowtimeState.dtFromHM(ShowtimeState.state.lastShowHM);
-          if (lastWindow.getHours() < 5) lastWindow.setDate(lastWindow.getDate() + 1);
           const times = [];
           let t = new Date(primeStart.getTime() + cycle * 60000);
           let steps = 0;
@@ -50,6 +50,8 @@ document.addEventListener('DOMContentLoaded', () => {
   const addRowBtn = document.getElementById('addRowBtn');
   const toggleEndBtn = document.getElementById('toggleEndBtn');
   const undoBtn = document.getElementById('undoBtn');
+  const redoBtn = document.getElementById('redoBtn');
+  const historyBtn = document.getElementById('historyBtn');
   // Sort rows button (may not exist on all pages)
   const sortRowsBtn = document.getElementById('sortRowsBtn');
   const clearBtn = document.getElementById('clearTimesGridBtn');
@@ -105,45 +107,15 @@ document.addEventListener('DOMContentLoaded', () => {
   // values. It ensures that state values appear in the dropdowns even
   // if they are not in the default increments.
   function populateTimeSelectors() {
-    // Generate first show options: 5:00a to 7:00p (19:00) in 30‑min increments
-    function genTimes(startHm, endHm) {
-      const times = [];
-      let t = ShowtimeState.dtFromHM(startHm);
-      const end = ShowtimeState.dtFromHM(endHm);
-      while (t <= end) {
-        times.push(ShowtimeState.hmFromDate(t));
-        t = new Date(t.getTime() + 30 * 60000);
-      }
-      return times;
-    }
-    const firstTimes = genTimes('05:00', '19:00');
-    const lastTimes = ['20:00','20:30','21:00','21:30','22:00','22:30','23:00','23:30','00:00','00:30','01:00','01:30','02:00'];
+    // Choices run from the theatre's rollover hour and already include
+    // the saved first/last values when they fall between the 30‑minute
+    // steps, so the selects always reflect the stored window.
+    const { first: firstTimes, last: lastTimes } = ShowtimeState.showWindowOptions();
+    const currentFirst = ShowtimeState.state.firstShowHM;
+    const currentLast = ShowtimeState.state.lastShowHM;
     // Clear existing
     firstSelect.innerHTML = '';
     lastSelect.innerHTML = '';
-    // Populate options and ensure the current state values appear in the list.
-    // If the stored first/last value isn't in the predefined list (e.g., user chose
-    // a time that falls between increments), add it to the list so the select
-    // correctly reflects the saved value.  Avoid duplicates.
-    const currentFirst = ShowtimeState.state.firstShowHM;
-    const currentLast = ShowtimeState.state.lastShowHM;
-    if (currentFirst && !firstTimes.includes(currentFirst)) {
-      firstTimes.push(currentFirst);
-      firstTimes.sort();
-    }
-    if (currentLast && !lastTimes.includes(currentLast)) {
-      lastTimes.push(currentLast);
-      // Sort last times chronologically across midnight. We map to minutes since 0:00.
-      lastTimes.sort((a, b) => {
-        const toMins = hm => {
-          const [hh, mm] = hm.split(':').map(x => parseInt(x, 10));
-          // treat times <5:00 as +24h to keep them at end of list
-          const minutes = hh * 60 + mm;
-          return minutes < 300 ? minutes + 24 * 60 : minutes;
-        };
-        return toMins(a) - toMins(b);
-      });
-    }
     firstTimes.forEach(hm => {
       const opt = document.createElement('option');
       opt.value = hm;
@@ -245,15 +217,18 @@ document.addEventListener('DOMContentLoaded', () => {
   // Minutes representing a typical film slot for late-first show detection.
   const FIT_SLOT_MIN = 105;
 
-  // Normalize a date so that times before 5AM are considered to belong
-  // to the next day. This mirrors logic used elsewhere in the app for
-  // schedule ordering.
+  // Normalize a date onto the current schedule date's business day
+  // (times before the rollover hour belong to the next calendar day).
+  // This mirrors logic used elsewhere in the app for schedule ordering.
   function normalizeDateForGap(dt) {
-    const n = new Date(dt);
-    if (n.getHours() < 5) {
-      n.setDate(n.getDate() + 1);
-    }
-    return n;
+    return ShowtimeState.normalizeDate(dt);
+  }
+
+  // Kind and note of a blackout block, e.g. "Maintenance: projector service".
+  function blackoutText(b) {
+    const kind = (ShowtimeState.BLACKOUT_KINDS || []).find(k => k.key === b.kind);
+    const label = kind ? kind.label : 'Blackout';
+    return b.note ? `${label}: ${b.note}` : label;
   }
 
   function highlightScheduleDowntime() {
@@ -277,9 +252,6 @@ document.addEventListener('DOMContentLoaded', () => {
     const intervalMinutes = 150;
     const first = ShowtimeState.dtFromHM(firstHM);
     const last = ShowtimeState.dtFromHM(lastHM);
-    if (last.getHours() < 5) {
-      last.setDate(last.getDate() + 1);
-    }
     const colBounds = [];
     for (let t = new Date(first); t <= last; ) {
       const startNorm = normalizeDateForGap(t);
@@ -475,23 +447,14 @@ document.addEventListener('DOMContentLoaded', () => {
     // Start with the stored first/last values.
     const storedFirst = ShowtimeState.dtFromHM(ShowtimeState.state.firstShowHM);
     const storedLast = ShowtimeState.dtFromHM(ShowtimeState.state.lastShowHM);
-    // Adjust last across midnight: treat times before 5:00a as belonging to the next day.
-    if (storedLast.getHours() < 5) {
-      storedLast.setDate(storedLast.getDate() + 1);
-    }
+    // dtFromHM already places a last show after midnight on the next day.
     let gridStart = new Date(storedFirst);
     let gridEnd = new Date(storedLast);
     try {
       const allShows = ShowtimeState.getAllShows();
       if (Array.isArray(allShows) && allShows.length > 0) {
-        // Normalise a date so that times before 5:00a roll into the next day.
-        const normalize = (dt) => {
-          const n = new Date(dt);
-          if (n.getHours() < 5) {
-            n.setDate(n.getDate() + 1);
-          }
-          return n;
-        };
+        // Normalise a date onto the schedule date's business day.
+        const normalize = (dt) => ShowtimeState.normalizeDate(dt);
         let normalizedStart = normalize(gridStart);
         let normalizedEnd = normalize(gridEnd);
         allShows.forEach(rec => {
@@ -537,6 +500,8 @@ document.addEventListener('DOMContentLoaded', () => {
   // shows are excluded. Result is sorted by start time.
   function getShowsForRow(row) {
     const state = ShowtimeState.state;
+    // An event row holds just its event
+    if (row && row.event) return [row.event];
     // If this is a dynamic row (created by an auditorium override) then
     // collect the corresponding show(s) directly from getAllShows. Dynamic
     // rows are identified by rowIds starting with "OV-". They are not
@@ -670,17 +635,22 @@ document.addEventListener('DOMContentLoaded', () => {
       }
       return aId - bId;
     });
-    // Combine base and dynamic rows. Sort entire list by auditorium id so that
+    // Fixed-time events get a row each with their one show; the row id is
+    // the event id.
+    const eventRows = ShowtimeState.getAllShows()
+      .filter(rec => rec.source === 'Event')
+      .map(rec => ({ rowId: rec.rowId, audId: rec.audId, filmId: rec.filmId, event: rec }));
+    // Combine base, dynamic and event rows. Sort entire list by auditorium id so that
     // dynamic rows and base rows intermingle by their destination auditorium.
-    let rows = baseRows.concat(dynamicRows);
+    let rows = baseRows.concat(dynamicRows, eventRows);
     rows.sort((a, b) => {
       const aId = a.audId || Number.MAX_SAFE_INTEGER;
       const bId = b.audId || Number.MAX_SAFE_INTEGER;
       if (aId === bId) {
-        // Within same auditorium, leave base rows before dynamic rows and
+        // Within same auditorium, leave base rows before dynamic and event rows and
         // maintain their original relative order by comparing rowId strings.
-        const aDyn = !!a.dynamic;
-        const bDyn = !!b.dynamic;
+        const aDyn = !!(a.dynamic || a.event);
+        const bDyn = !!(b.dynamic || b.event);
         if (aDyn !== bDyn) return aDyn ? 1 : -1;
         return String(a.rowId).localeCompare(String(b.rowId));
       }
@@ -689,6 +659,11 @@ document.addEventListener('DOMContentLoaded', () => {
     // Rebuild mapping and clear active cell reference before generating rows.
     showIdToCellDiv = {};
     activeCellDiv = null;
+    // Shows that start in a window breaking the stagger rule; their start
+    // inputs are shaded orange.
+    const crowded = new Set(ShowtimeState.staggerViolations().showIds);
+    // Auditorium blackout blocks (rentals, events, maintenance) of the date
+    const blackouts = ShowtimeState.listBlackouts();
     // Compute list of films currently used in bookings to populate film selectors.
     // We only include films that are referenced in bookings and have a title to avoid
     // showing old or blank film entries. Deduplicate by film id and sort by title.
@@ -750,7 +725,50 @@ document.addEventListener('DOMContentLoaded', () => {
       // regular rows to allow editing auditorium, film and adding manual
       // shows. We parse the underlying showId from the rowId (OV-<id>)
       // so we can call updateShowAud and updateShowFilm on that show.
-      if (row.dynamic) {
+      if (row.event) {
+        // Event row: the auditorium moves the event; its title and
+        // combined runtime are its own, so they are shown, not chosen.
+        const tdAud = document.createElement('td');
+        tdAud.style.width = '10ch';
+        tdAud.style.maxWidth = '10ch';
+        tdAud.dataset.row = rowIndex;
+        tdAud.dataset.col = 0;
+        tdAud.className = 'px-2 truncate navcell';
+        const selAud = document.createElement('select');
+        selAud.className = 'appearance-none text-xs w-full';
+        ShowtimeState.state.auds.forEach(a => {
+          const opt = document.createElement('option');
+          opt.value = a.id;
+          opt.textContent = a.name;
+          selAud.appendChild(opt);
+        });
+        selAud.value = row.audId || '';
+        selAud.addEventListener('change', () => {
+          ShowtimeState.updateShowAud(row.event.id, parseInt(selAud.value, 10));
+          renderAll();
+        });
+        tdAud.appendChild(selAud);
+        tr.appendChild(tdAud);
+        const tdFilm = document.createElement('td');
+        tdFilm.className = 'px-2 text-xs';
+        const tdTitle = document.createElement('div');
+        tdTitle.className = 'truncate';
+        tdTitle.style.width = '7rem';
+        const badge = document.createElement('span');
+        badge.className = 'mr-1 px-1 rounded bg-amber-300 text-amber-900 text-[0.55rem] font-semibold';
+        badge.textContent = 'EVENT';
+        tdTitle.appendChild(badge);
+        tdTitle.appendChild(document.createTextNode(row.event.filmTitle || ''));
+        tdTitle.title = row.event.features.map(f => `${f.title} ${ShowtimeState.to12(f.start)}–${ShowtimeState.to12(f.end)}`).join('\n');
+        tdFilm.appendChild(tdTitle);
+        tr.appendChild(tdFilm);
+        const tdRt = document.createElement('td');
+        tdRt.style.width = '10ch';
+        tdRt.style.maxWidth = '10ch';
+        tdRt.className = 'px-2 py-1 truncate';
+        tdRt.textContent = ShowtimeState.fmtDur(row.event.runtime || 0);
+        tr.appendChild(tdRt);
+      } else if (row.dynamic) {
         // Underlying show ids for this dynamic row group. A dynamic row may
         // represent multiple shows that share the same destination auditorium
         // and film. Use row.showIds provided by dynamicRowsMap to update
@@ -918,7 +936,7 @@ document.addEventListener('DOMContentLoaded', () => {
         let cycleMins = prev.cycle;
         if (cycleMins === undefined || cycleMins === null) {
           const f = ShowtimeState.filmById(prev.filmId);
-          cycleMins = f ? ShowtimeState.cycleMinutes(f) : 0;
+          cycleMins = f ? ShowtimeState.cycleMinutes(f, ShowtimeState.audById(prev.audId)) : 0;
         }
         if (cycleMins > 0) {
           const prevEndDate = new Date(prev.start.getTime() + cycleMins * 60000);
@@ -928,6 +946,8 @@ document.addEventListener('DOMContentLoaded', () => {
           }
         }
       }
+      // Blackout blocks of this row's auditorium
+      const rowBlackouts = blackouts.filter(b => row && row.audId && String(b.audId) === String(row.audId));
       // Build cells for each interval
       // Use the same interval length as renderHeader (2.5 hours = 150 minutes)
       const intervalMinutes = 150;
@@ -940,6 +960,26 @@ document.addEventListener('DOMContentLoaded', () => {
         td.dataset.row = rowIndex;
         td.dataset.col = String(2 + idx);
         td.className = 'navcell';
+        // Hatch the part of the interval the auditorium is blacked out.
+        // The overlay lets clicks through to the time input underneath.
+        rowBlackouts.forEach(b => {
+          const from = Math.max(b.start.getTime(), boundary.getTime());
+          const to = Math.min(b.end.getTime(), end.getTime());
+          if (to <= from) return;
+          const total = end.getTime() - boundary.getTime();
+          const overlay = document.createElement('div');
+          overlay.className = 'blackout-hatch';
+          overlay.style.position = 'absolute';
+          overlay.style.top = '0';
+          overlay.style.bottom = '0';
+          overlay.style.left = `${((from - boundary.getTime()) / total) * 100}%`;
+          overlay.style.width = `${((to - from) / total) * 100}%`;
+          overlay.style.opacity = '0.7';
+          overlay.style.pointerEvents = 'none';
+          td.style.position = 'relative';
+          td.title = `${blackoutText(b)}, ${ShowtimeState.to12(b.start)}–${ShowtimeState.to12(b.end)}`;
+          td.appendChild(overlay);
+        });
         // We'll style individual cells via the inner div rather than tailwind classes
         if (cellShow) {
         // Show cell: render an input for editing the show start time.
@@ -952,7 +992,7 @@ document.addEventListener('DOMContentLoaded', () => {
             cellClass = 'ring-2 ring-purple-400 border-2 border-purple-500 bg-purple-50';
             activeCellDiv = div;
           }
-          div.className = cellClass;
+          div.className = cellClass || (row.event ? 'bg-amber-50' : '');
           // Stack the start time and end time vertically.  Using a column
           // layout provides each element its own line, preventing the end
           // time from overlapping the start time.  The fixed width
@@ -988,6 +1028,10 @@ document.addEventListener('DOMContentLoaded', () => {
           // the appropriate values for compact rows.
           // Pre-fill with the current start time in 12-hour format
           inp.value = ShowtimeState.to12(cellShow.start);
+          if (crowded.has(cellShow.id)) {
+            inp.classList.add('bg-orange-100');
+            inp.title = 'Too many shows start around this time';
+          }
           // When focused, mark this show as active
           function activate() {
             if (!cellShow || !cellShow.id) return;
@@ -1070,8 +1114,9 @@ document.addEventListener('DOMContentLoaded', () => {
             div.appendChild(lab);
           }
           td.appendChild(div);
-        } else {
+        } else if (!row.event) {
           // Empty cell: render a text input for manual show creation
+          // (event rows hold only their event)
           const div = document.createElement('div');
           // Stack the start time input and placeholder vertically.  A column
           // layout reserves a separate line for the end-time placeholder,
@@ -1246,6 +1291,37 @@ document.addEventListener('DOMContentLoaded', () => {
     ShowtimeState.undo();
     renderAll();
   });
+  if (redoBtn) {
+    redoBtn.addEventListener('click', () => {
+      ShowtimeState.redo();
+      renderAll();
+    });
+  }
+  if (historyBtn) {
+    historyBtn.addEventListener('click', () => window.openHistoryPanel(historyBtn, renderAll));
+  }
+  const templatesBtn = document.getElementById('templatesBtn');
+  if (templatesBtn) {
+    templatesBtn.addEventListener('click', () => window.openTemplatePanel(templatesBtn, renderAll));
+  }
+  // Keyboard undo/redo, matching the Gantt: Ctrl/Cmd+Z undoes and
+  // Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y redoes. Skipped while a select or
+  // input has focus so native text editing shortcuts keep working.
+  document.addEventListener('keydown', (e) => {
+    const el = document.activeElement;
+    if (el && (/input|select|textarea/i.test(el.tagName) || el.isContentEditable)) return;
+    if (!(e.ctrlKey || e.metaKey)) return;
+    const key = e.key.toLowerCase();
+    if ((e.shiftKey && key === 'z') || key === 'y') {
+      e.preventDefault();
+      ShowtimeState.redo();
+      renderAll();
+    } else if (key === 'z') {
+      e.preventDefault();
+      ShowtimeState.undo();
+      renderAll();
+    }
+  });
 
   // Sort prime and extra rows by auditorium id. Rows without an auditorium
   // assignment (null or empty) are placed at the end. Persist the new
@@ -61,16 +61,8 @@ document.addEventListener('DOMContentLoaded', () => {
   // options and set the selected values based on state.
   function populateTimeSelectors() {
     if (!firstSel || !lastSel) return;
-    // Generate 30‑minute increments from 05:00 through 19:00
-    const times = [];
-    let t = ShowtimeState.dtFromHM('05:00');
-    const end = ShowtimeState.dtFromHM('19:00');
-    while (t <= end) {
-      times.push(ShowtimeState.hmFromDate(t));
-      t = new Date(t.getTime() + 30 * 60000);
-    }
-    // Generate last show times from 20:00 through 02:00 (next day)
-    const lastTimes = ['20:00','20:30','21:00','21:30','22:00','22:30','23:00','23:30','00:00','00:30','01:00','01:30','02:00'];
+    // Choices run from the theatre's rollover hour (see showWindowOptions)
+    const { first: times, last: lastTimes } = ShowtimeState.showWindowOptions();
     // Clear current options
     firstSel.innerHTML = '';
     lastSel.innerHTML = '';
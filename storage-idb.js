@@ -0,0 +1,342 @@
+// IndexedDB storage adapter for the showtime engine.
+// Saving the whole state into one localStorage string on every keystroke
+// runs into the ~5MB quota once a few weeks of schedules (and their undo
+// stacks) accumulate. This adapter splits the state into separate
+// IndexedDB records – one per film, auditorium, booking, per‑date
+// schedule, archived date, scenario and template, plus a small "root"
+// record for everything else – and on each
+// save only writes the records whose contents actually changed.
+//
+// The engine reads its storage synchronously, so the adapter keeps an
+// in‑memory copy of the assembled state. That copy is filled by open(),
+// which resolves once the database has been read; app.js reloads the
+// engine at that point and fires the usual refresh events so pages
+// re‑render with the stored data. Must be loaded after engine.js.
+
+(function(root) {
+  const Engine = root.ShowtimeEngine;
+  if (!Engine) return;
+
+  // Version 2 added the archive store, version 3 the scenario and
+  // template stores.
+  const DB_VERSION = 3;
+  // Object stores. Record collections are keyed by the record id; the
+  // `idx` field preserves the original array order.
+  const STORE_META = 'meta';
+  const STORE_FILMS = 'films';
+  const STORE_AUDS = 'auds';
+  const STORE_BOOKINGS = 'bookings';
+  const STORE_SCHEDULES = 'schedules';
+  // Dates pruned by the retention policy (state.scheduleArchive)
+  const STORE_ARCHIVE = 'archive';
+  // What‑if scenarios carry a whole schedule with its history each, and
+  // templates a schedule's rows; one record apiece keeps an edit inside a
+  // scenario from rewriting all of them.
+  const STORE_SCENARIOS = 'scenarios';
+  const STORE_TEMPLATES = 'templates';
+  const ALL_STORES = [STORE_META, STORE_FILMS, STORE_AUDS, STORE_BOOKINGS, STORE_SCHEDULES, STORE_ARCHIVE, STORE_SCENARIOS, STORE_TEMPLATES];
+  const COLLECTIONS = {
+    films: STORE_FILMS,
+    auds: STORE_AUDS,
+    bookings: STORE_BOOKINGS,
+    scenarios: STORE_SCENARIOS,
+    templates: STORE_TEMPLATES,
+  };
+  // Top‑level schedule fields are a working copy of
+  // scheduleByDate[currentDate], so they are not stored twice.
+  const SCHEDULE_FIELDS = ['primeRows', 'extraRows', 'manualShows', 'overrides', 'hiddenShows', 'blackouts', 'events', 'undoStack', 'redoStack'];
+
+  // Wrap an IDBRequest in a Promise.
+  function req(r) {
+    return new Promise((resolve, reject) => {
+      r.onsuccess = () => resolve(r.result);
+      r.onerror = () => reject(r.error);
+    });
+  }
+
+  // Is this error a storage quota failure? Browsers disagree on the exact
+  // name, so check the common variants.
+  function isQuotaError(err) {
+    if (!err) return false;
+    return err.name === 'QuotaExceededError' || err.name === 'NS_ERROR_DOM_QUOTA_REACHED' || err.code === 22;
+  }
+
+  /**
+   * Split a state object into per‑store maps of key -> JSON string. The
+   * JSON strings double as the change‑detection fingerprint.
+   * @param {object} st
+   * @returns {Object<string, Map<string, string>>}
+   */
+  function splitState(st) {
+    const out = {};
+    ALL_STORES.forEach(name => { out[name] = new Map(); });
+    const rootRec = {};
+    Object.keys(st).forEach(k => {
+      if (COLLECTIONS[k] || k === 'scheduleByDate' || k === 'scheduleArchive' || SCHEDULE_FIELDS.includes(k)) return;
+      rootRec[k] = st[k];
+    });
+    out[STORE_META].set('root', JSON.stringify(rootRec));
+    Object.keys(COLLECTIONS).forEach(k => {
+      const list = Array.isArray(st[k]) ? st[k] : [];
+      const seen = {};
+      list.forEach((item, idx) => {
+        // Ids should be unique, but placeholder rows occasionally share
+        // one; suffix repeats so no record silently replaces another.
+        let key = String(item && item.id !== undefined ? item.id : idx);
+        seen[key] = (seen[key] || 0) + 1;
+        if (seen[key] > 1) key = `${key}#${seen[key]}`;
+        out[COLLECTIONS[k]].set(key, JSON.stringify({ idx, value: item }));
+      });
+    });
+    const byDate = st.scheduleByDate && typeof st.scheduleByDate === 'object' ? st.scheduleByDate : {};
+    // Without a scheduleByDate entry for the current date the top‑level
+    // fields are the only copy of the schedule; store them under it.
+    const schedules = { ...byDate };
+    if (st.currentDate && !schedules[st.currentDate]) {
+      const sched = {};
+      SCHEDULE_FIELDS.forEach(f => { if (st[f] !== undefined) sched[f] = st[f]; });
+      schedules[st.currentDate] = sched;
+    }
+    Object.keys(schedules).forEach(date => {
+      out[STORE_SCHEDULES].set(date, JSON.stringify(schedules[date]));
+    });
+    const archive = st.scheduleArchive && typeof st.scheduleArchive === 'object' ? st.scheduleArchive : {};
+    Object.keys(archive).forEach(date => {
+      out[STORE_ARCHIVE].set(date, JSON.stringify(archive[date]));
+    });
+    return out;
+  }
+
+  /**
+   * Reassemble the state object from the stored records.
+   * @returns {object|null} null when the database is empty
+   */
+  function joinState(records) {
+    const rootJson = records[STORE_META].get('root');
+    if (!rootJson) return null;
+    const st = JSON.parse(rootJson);
+    Object.keys(COLLECTIONS).forEach(k => {
+      const rows = Array.from(records[COLLECTIONS[k]].values()).map(j => JSON.parse(j));
+      // A database from before version 3 still has its scenarios and
+      // templates in the root record; the next write moves them out.
+      if (!rows.length && Array.isArray(st[k])) return;
+      rows.sort((a, b) => a.idx - b.idx);
+      st[k] = rows.map(r => r.value);
+    });
+    st.scheduleByDate = {};
+    records[STORE_SCHEDULES].forEach((json, date) => {
+      st.scheduleByDate[date] = JSON.parse(json);
+    });
+    st.scheduleArchive = {};
+    records[STORE_ARCHIVE].forEach((json, date) => {
+      st.scheduleArchive[date] = JSON.parse(json);
+    });
+    const cur = st.currentDate && st.scheduleByDate[st.currentDate];
+    if (cur) {
+      SCHEDULE_FIELDS.forEach(f => { if (cur[f] !== undefined) st[f] = cur[f]; });
+    }
+    return st;
+  }
+
+  /**
+   * Create an IndexedDB‑backed storage adapter. Options:
+   *   dbName         – database name (default "showtime")
+   *   legacyStore    – Web Storage object to migrate from on first open
+   *                    (normally window.localStorage)
+   *   legacyKey      – key of the old single‑string state
+   *   onError(err)   – called when a write fails (quota, blocked, …)
+   * The adapter implements read()/write() for the engine plus:
+   *   open()  – Promise resolving once stored data is in memory
+   *   flush() – Promise resolving once queued writes have committed
+   *   forget() – make the next write rewrite every record
+   * Writes issued before open() resolves are held back and only the
+   * latest is kept. If the database turns out to be empty it is written
+   * and becomes what read() returns; otherwise it was made on the
+   * engine's defaults and is dropped so it can never overwrite stored
+   * data (app.js holds off user input until open() settles).
+   */
+  function indexedDbStorage(options) {
+    const opts = options || {};
+    const dbName = opts.dbName || 'showtime';
+    const onError = typeof opts.onError === 'function' ? opts.onError : () => {};
+    let db = null;
+    let ready = false;
+    let cache = null;
+    // Fingerprints of what is currently in the database, per store.
+    let written = null;
+    // Chain of in‑flight write transactions, used by flush().
+    let pending = Promise.resolve();
+    let opening = null;
+    // Latest state written before open() resolved (see write()).
+    let queued = null;
+
+    function openDb() {
+      return new Promise((resolve, reject) => {
+        const r = root.indexedDB.open(dbName, DB_VERSION);
+        r.onupgradeneeded = () => {
+          const d = r.result;
+          ALL_STORES.forEach(name => {
+            if (!d.objectStoreNames.contains(name)) d.createObjectStore(name);
+          });
+        };
+        r.onsuccess = () => {
+          const d = r.result;
+          // A newer version of the app opened the database in another
+          // tab; step aside so its upgrade is not blocked by this one.
+          d.onversionchange = () => {
+            d.close();
+            onError(new Error('Showtime Builder was updated in another tab. Reload this page to keep saving.'));
+          };
+          resolve(d);
+        };
+        r.onerror = () => reject(r.error);
+        r.onblocked = () => reject(new Error('The schedule database is open in an older tab. Close other Showtime Builder tabs and reload.'));
+      });
+    }
+
+    // Read every record of every store into fingerprint maps.
+    function readAll() {
+      const tx = db.transaction(ALL_STORES, 'readonly');
+      const out = {};
+      return Promise.all(ALL_STORES.map(name => {
+        const store = tx.objectStore(name);
+        return Promise.all([req(store.getAllKeys()), req(store.getAll())]).then(([keys, values]) => {
+          const m = new Map();
+          keys.forEach((k, i) => m.set(String(k), JSON.stringify(values[i])));
+          out[name] = m;
+        });
+      })).then(() => out);
+    }
+
+    // Write only the differences between `next` and what is stored.
+    function writeDiff(next) {
+      const prev = written || {};
+      const tx = db.transaction(ALL_STORES, 'readwrite');
+      let changes = 0;
+      ALL_STORES.forEach(name => {
+        const store = tx.objectStore(name);
+        // After a failed write we no longer know what is stored, so
+        // rewrite the store from scratch.
+        if (!written) {
+          store.clear();
+          changes++;
+        }
+        const before = prev[name] || new Map();
+        const after = next[name];
+        after.forEach((json, key) => {
+          if (before.get(key) !== json) {
+            store.put(JSON.parse(json), key);
+            changes++;
+          }
+        });
+        before.forEach((_, key) => {
+          if (!after.has(key)) {
+            store.delete(key);
+            changes++;
+          }
+        });
+      });
+      written = next;
+      return new Promise((resolve, reject) => {
+        if (changes === 0) {
+          // Nothing to write; let the empty transaction finish on its own.
+          resolve();
+          return;
+        }
+        tx.oncomplete = () => resolve();
+        tx.onabort = () => reject(tx.error);
+        tx.onerror = () => reject(tx.error);
+      });
+    }
+
+    // Make `plain` the cached state and queue writing what changed.
+    function store(plain) {
+      cache = plain;
+      const next = splitState(plain);
+      pending = pending
+        .then(() => writeDiff(next))
+        .catch(err => {
+          // Forget the fingerprints so the next save retries every
+          // record instead of assuming the failed ones were stored.
+          written = null;
+          if (isQuotaError(err)) {
+            const e = new Error('Storage is full: the latest changes could not be saved. Export your data from the Data page and clear old schedules to free space.');
+            e.code = 'QUOTA_EXCEEDED';
+            e.cause = err;
+            onError(e);
+          } else {
+            onError(err || new Error('Failed to save state'));
+          }
+        });
+    }
+
+    function open() {
+      if (opening) return opening;
+      opening = openDb()
+        .then(d => {
+          db = d;
+          return readAll();
+        })
+        .then(records => {
+          written = records;
+          cache = joinState(records);
+          if (!cache && opts.legacyStore) {
+            // First run with IndexedDB: move the old single‑key state over
+            // and free the localStorage quota once the copy has committed.
+            const key = opts.legacyKey || Engine.LOCAL_KEY;
+            let raw = null;
+            try { raw = opts.legacyStore.getItem(key); } catch (_) {}
+            if (raw) {
+              cache = JSON.parse(raw);
+              ready = true;
+              queued = null;
+              return writeDiff(splitState(cache)).then(() => {
+                try { opts.legacyStore.removeItem(key); } catch (_) {}
+              });
+            }
+          }
+          ready = true;
+          if (!cache && queued) {
+            // Nothing was stored, so the early edit is all there is: keep
+            // it and let reload() pick it up.
+            store(queued);
+            queued = null;
+            return;
+          }
+          // Otherwise the early write was based on the engine's defaults,
+          // not on the data just read, and would replace it.
+          queued = null;
+        })
+        .then(() => cache);
+      return opening;
+    }
+
+    return {
+      open,
+      read() {
+        return cache ? JSON.parse(JSON.stringify(cache)) : null;
+      },
+      write(st) {
+        // Serialise once so Dates become ISO strings exactly as they do
+        // with localStorage, then diff per record.
+        const plain = JSON.parse(JSON.stringify(st));
+        if (!ready || !db) {
+          queued = plain;
+          return;
+        }
+        store(plain);
+      },
+      flush() {
+        return pending;
+      },
+      // Forget what is stored so the next write rewrites every record.
+      // Needed when another tab wrote records this adapter still believes
+      // unchanged (see sync.js).
+      forget() {
+        pending = pending.then(() => { written = null; });
+      },
+    };
+  }
+
+  Engine.indexedDbStorage = indexedDbStorage;
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,339 @@
+// Live sync between open tabs of the showtime builder.
+// Every page holds its own in‑memory copy of the state, so with two tabs
+// open (e.g. Gantt and Bookings) the last save used to win and silently
+// drop the other tab's edits. This module broadcasts what each save
+// changed over a BroadcastChannel and merges incoming changes into the
+// local state instead.
+//
+// Changes are exchanged per item rather than per state: one item per
+// show override, hidden flag, manual show and row of each date, one per
+// film, auditorium and booking, and one per plain setting. Every change
+// carries the value it replaced and a timestamp. When a change arrives:
+//   - if it replaced the value this tab holds, it is simply applied;
+//   - otherwise both tabs edited the item at the same time. The newer
+//     edit wins, and the tab whose own edit lost asks the user which
+//     side to keep. Keeping its own re‑broadcasts it as the newest edit,
+//     so every tab converges on the choice.
+// Row order is merged quietly (newest order wins, rows missing from it
+// are appended) and the per‑date undo/redo history stays with the tab
+// that made the edits. Must be loaded after engine.js.
+
+(function(root) {
+  const Engine = root.ShowtimeEngine;
+  if (!Engine) return;
+
+  // Per‑date fields kept in scheduleByDate and mirrored at the top level.
+  const SCHEDULE_FIELDS = ['primeRows', 'extraRows', 'manualShows', 'overrides', 'hiddenShows', 'blackouts', 'events', 'undoStack', 'redoStack'];
+  // Command history belongs to the tab that made the edits.
+  const HISTORY_FIELDS = ['undoStack', 'redoStack'];
+  // Top‑level fields that describe this tab rather than the theatre.
+  const LOCAL_FIELDS = ['currentDate', 'scheduleByDate', 'schemaVersion', 'scenarioId'];
+
+  // Identify an array item (films, bookings and manual shows use id;
+  // prime/extra rows use rowId).
+  function itemKey(item) {
+    if (!item || typeof item !== 'object') return undefined;
+    if (item.id !== undefined && item.id !== null) return String(item.id);
+    if (item.rowId !== undefined && item.rowId !== null) return String(item.rowId);
+    return undefined;
+  }
+
+  function isKeyedArray(a) {
+    return Array.isArray(a) && a.every(item => itemKey(item) !== undefined);
+  }
+
+  function isRecord(o) {
+    return !!o && typeof o === 'object' && !Array.isArray(o);
+  }
+
+  // Item paths start with the field they belong to: ['date', iso, field]
+  // or ['field', name]. What follows is empty (the whole field), 'order',
+  // ['row', key] for keyed array items or ['key', key] for properties.
+  function fieldLength(path) {
+    return path[0] === 'date' ? 3 : 2;
+  }
+
+  function isOrderPath(path) {
+    return path[fieldLength(path)] === 'order';
+  }
+
+  // Flatten one field into items (see above).
+  function flattenField(prefix, value, out) {
+    if (isKeyedArray(value)) {
+      value.forEach(item => out.set(JSON.stringify(prefix.concat('row', itemKey(item))), JSON.stringify(item)));
+      out.set(JSON.stringify(prefix.concat('order')), JSON.stringify(value.map(itemKey)));
+    } else if (isRecord(value)) {
+      Object.keys(value).forEach(k => out.set(JSON.stringify(prefix.concat('key', k)), JSON.stringify(value[k])));
+    } else if (value !== undefined) {
+      out.set(JSON.stringify(prefix), JSON.stringify(value));
+    }
+  }
+
+  /**
+   * Flatten the shared part of a state object into a Map of
+   * JSON path -> JSON value.
+   * @param {object} st
+   * @returns {Map<string, string>}
+   */
+  function flattenState(st) {
+    const out = new Map();
+    const byDate = isRecord(st.scheduleByDate) ? st.scheduleByDate : {};
+    Object.keys(byDate).forEach(date => {
+      const sched = byDate[date] || {};
+      Object.keys(sched).forEach(f => {
+        if (HISTORY_FIELDS.includes(f)) return;
+        flattenField(['date', date, f], sched[f], out);
+      });
+    });
+    Object.keys(st).forEach(k => {
+      if (LOCAL_FIELDS.includes(k) || SCHEDULE_FIELDS.includes(k)) return;
+      flattenField(['field', k], st[k], out);
+    });
+    return out;
+  }
+
+  /**
+   * Write one item (value null = removed) into a state object, creating
+   * the date entry or container when needed.
+   * @param {object} st
+   * @param {Array} path
+   * @param {*} value
+   */
+  function applyItem(st, path, value) {
+    let holder = st;
+    if (path[0] === 'date') {
+      if (!isRecord(st.scheduleByDate)) st.scheduleByDate = {};
+      if (!st.scheduleByDate[path[1]]) {
+        st.scheduleByDate[path[1]] = { primeRows: [], extraRows: [], manualShows: [], overrides: {}, hiddenShows: {}, blackouts: [], events: [], undoStack: [], redoStack: [] };
+      }
+      holder = st.scheduleByDate[path[1]];
+    }
+    const field = path[fieldLength(path) - 1];
+    const [mode, key] = path.slice(fieldLength(path));
+    if (!mode) {
+      if (value === null) delete holder[field];
+      else holder[field] = value;
+      return;
+    }
+    if (mode === 'key') {
+      if (!isRecord(holder[field])) holder[field] = {};
+      if (value === null) delete holder[field][key];
+      else holder[field][key] = value;
+      return;
+    }
+    if (!Array.isArray(holder[field])) holder[field] = [];
+    const list = holder[field];
+    if (mode === 'row') {
+      const idx = list.findIndex(item => itemKey(item) === key);
+      if (value === null) {
+        if (idx !== -1) list.splice(idx, 1);
+      } else if (idx !== -1) {
+        list[idx] = value;
+      } else {
+        list.push(value);
+      }
+    } else if (mode === 'order' && Array.isArray(value)) {
+      // Items the order does not mention (e.g. just added in this tab)
+      // keep their place at the end.
+      const byKey = new Map(list.map(item => [itemKey(item), item]));
+      const next = [];
+      value.forEach(k => {
+        if (byKey.has(k)) {
+          next.push(byKey.get(k));
+          byKey.delete(k);
+        }
+      });
+      byKey.forEach(item => next.push(item));
+      list.splice(0, list.length, ...next);
+    }
+  }
+
+  // Describe an item for the conflict prompt, e.g. "Dune show on 10/18/2026".
+  function describeItem(st, path, mine, theirs) {
+    const films = Array.isArray(st.films) ? st.films : [];
+    const filmTitle = id => ((films.find(f => f.id === id) || {}).title) || '';
+    const side = (isRecord(mine) && mine) || (isRecord(theirs) && theirs) || {};
+    if (path[0] === 'date') {
+      const [, date, field, , key] = path;
+      const when = Engine.isoToMMDD(date) || date;
+      const sched = (st.scheduleByDate && st.scheduleByDate[date]) || {};
+      if (field === 'primeRows' || field === 'extraRows') {
+        return `${filmTitle(side.filmId) || 'Slot ' + (side.slot || '?')} row on ${when}`;
+      }
+      if (field === 'overrides' || field === 'hiddenShows' || field === 'manualShows') {
+        const rows = [].concat(sched.primeRows || [], sched.extraRows || []);
+        const manual = (sched.manualShows || []).find(ms => String(ms.id) === key);
+        const row = rows.find(r => key && key.split(':')[0] === r.rowId);
+        const title = (manual && manual.filmTitle) || side.filmTitle || (row && filmTitle(row.filmId));
+        return title ? `${title} show on ${when}` : `Show on ${when}`;
+      }
+      if (field === 'blackouts') {
+        const aud = (Array.isArray(st.auds) ? st.auds : []).find(a => a.id === side.audId);
+        return `${aud ? aud.name : 'Auditorium'} blackout on ${when}`;
+      }
+      if (field === 'events') {
+        return side.title ? `Event "${side.title}" on ${when}` : `Event on ${when}`;
+      }
+      return `${field} on ${when}`;
+    }
+    const [, name, mode, key] = path;
+    if (!mode) return `Setting "${name}"`;
+    const label = side.title || side.name || key;
+    if (name === 'films') return `Film "${label}"`;
+    if (name === 'auds') return `Auditorium ${label}`;
+    if (name === 'bookings') return `Booking "${label}"`;
+    if (name === 'templates') return `Template "${label}"`;
+    if (name === 'scenarios') return `Scenario "${label}"`;
+    if (name === 'scheduleArchive') return `Archived schedule for ${Engine.isoToMMDD(key) || key}`;
+    return `${name} ${label}`;
+  }
+
+  // Timestamps are [time, tabId]; the later time wins and the tab id
+  // breaks ties so every tab picks the same winner.
+  function newer(a, b) {
+    if (a[0] !== b[0]) return a[0] > b[0];
+    return a[1] > b[1];
+  }
+
+  /**
+   * Keep one engine in step with other tabs. Options:
+   *   engine              – engine instance from createEngine()
+   *   channel             – BroadcastChannel (or anything with
+   *                         postMessage and onmessage)
+   *   resolve(conflicts)  – called with [{ label, path, mine, theirs }]
+   *                         when another tab's edit replaces one made here
+   *                         at the same time; return 'theirs' or 'mine'
+   *   onApplied()         – called after incoming changes were merged so
+   *                         pages can re‑render
+   *   onDiverged()        – called when this tab keeps values over ones
+   *                         another tab already stored (storage adapters
+   *                         that diff writes must then rewrite everything)
+   * Returns { start, notifySaved, receive, stop }. Call start() once the
+   * engine holds the stored data and notifySaved() after every save.
+   */
+  function createTabSync(options) {
+    const opts = options || {};
+    const engine = opts.engine;
+    const channel = opts.channel;
+    const resolve = typeof opts.resolve === 'function' ? opts.resolve : () => 'theirs';
+    const onApplied = typeof opts.onApplied === 'function' ? opts.onApplied : () => {};
+    const onDiverged = typeof opts.onDiverged === 'function' ? opts.onDiverged : () => {};
+    const tabId = `${Date.now()}-${Math.floor(Math.random() * 1e9)}`;
+    // Last value shared with the other tabs per item path, with the
+    // timestamp of the edit that produced it. null until start().
+    let items = null;
+    let clock = 0;
+
+    function tick() {
+      clock = Math.max(clock + 1, Date.now());
+      return [clock, tabId];
+    }
+
+    function start() {
+      items = new Map();
+      flattenState(engine.state).forEach((json, path) => items.set(path, { json, stamp: [0, ''] }));
+      if (channel) channel.onmessage = e => receive(e && e.data);
+    }
+
+    // Broadcast every item whose value differs from what was last shared.
+    function notifySaved() {
+      if (!items) return;
+      const now = flattenState(engine.state);
+      const stamp = tick();
+      const changes = [];
+      const record = (path, json) => {
+        const prev = items.get(path);
+        changes.push({ path: JSON.parse(path), value: json === null ? null : JSON.parse(json), prev: prev ? prev.json : null, stamp });
+        items.set(path, { json, stamp });
+      };
+      now.forEach((json, path) => {
+        const prev = items.get(path);
+        if (!prev || prev.json !== json) record(path, json);
+      });
+      items.forEach((entry, path) => {
+        if (entry.json !== null && !now.has(path)) record(path, null);
+      });
+      if (!changes.length || !channel) return;
+      try {
+        channel.postMessage({ type: 'changes', from: tabId, changes });
+      } catch (err) {
+        console.error('Failed to broadcast changes', err);
+      }
+    }
+
+    // Merge one incoming message into the local state.
+    function receive(msg) {
+      if (!items || !msg || msg.type !== 'changes' || msg.from === tabId) return;
+      const st = engine.state;
+      const apply = [];
+      const conflicts = [];
+      (msg.changes || []).forEach(ch => {
+        clock = Math.max(clock, ch.stamp[0]);
+        const path = JSON.stringify(ch.path);
+        const json = ch.value === null ? null : JSON.stringify(ch.value);
+        const known = items.get(path) || { json: null, stamp: [0, ''] };
+        if (known.json === json) {
+          if (newer(ch.stamp, known.stamp)) items.set(path, { json, stamp: ch.stamp });
+          return;
+        }
+        // The other tab edited the value we hold: a plain update.
+        if (ch.prev === known.json) {
+          items.set(path, { json, stamp: ch.stamp });
+          apply.push([ch.path, ch.value]);
+          return;
+        }
+        // Both tabs edited the item. The newer edit wins everywhere; when
+        // the losing edit was made in this tab, ask before dropping it.
+        if (!newer(ch.stamp, known.stamp)) return;
+        items.set(path, { json, stamp: ch.stamp });
+        if (known.stamp[1] === tabId && !isOrderPath(ch.path)) {
+          conflicts.push({ path: ch.path, mine: known.json === null ? null : JSON.parse(known.json), theirs: ch.value });
+        } else {
+          apply.push([ch.path, ch.value]);
+        }
+      });
+      if (!apply.length && !conflicts.length) return;
+      if (conflicts.length) {
+        conflicts.forEach(c => { c.label = describeItem(st, c.path, c.mine, c.theirs); });
+        let choice = 'theirs';
+        try { choice = resolve(conflicts); } catch (_) {}
+        if (choice === 'mine') {
+          // The local values stay; the save below broadcasts them as the
+          // newest edits because they now differ from the shared ones.
+          onDiverged();
+        } else {
+          conflicts.forEach(c => apply.push([c.path, c.theirs]));
+        }
+      }
+      // The current date is edited through top‑level working copies;
+      // make sure its scheduleByDate entry (or the open scenario) holds
+      // them before applying and reload them afterwards.
+      const cur = st.currentDate;
+      if (cur && engine.storeWorkingCopy) {
+        engine.storeWorkingCopy();
+      } else if (cur && isRecord(st.scheduleByDate) && st.scheduleByDate[cur]) {
+        const sched = st.scheduleByDate[cur];
+        SCHEDULE_FIELDS.forEach(f => { if (st[f] !== undefined) sched[f] = st[f]; });
+      }
+      apply.forEach(([path, value]) => applyItem(st, path, value));
+      if (cur && engine.loadSchedule) engine.loadSchedule(cur);
+      // Values taken from the other tab are already stored, but saving
+      // them keeps this tab's storage adapter in step with the database.
+      engine.save();
+      onApplied();
+    }
+
+    function stop() {
+      if (channel) {
+        channel.onmessage = null;
+        try { if (typeof channel.close === 'function') channel.close(); } catch (_) {}
+      }
+      items = null;
+    }
+
+    return { start, notifySaved, receive, stop };
+  }
+
+  Engine.flattenState = flattenState;
+  Engine.createTabSync = createTabSync;
+})(typeof self !== 'undefined' ? self : this);
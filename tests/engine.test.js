@@ -0,0 +1,571 @@
+// Engine tests. They run the headless engine (engine.js) on an in-memory
+// store, no browser needed:
+//
+//   node --test tests/
+//
+// Requires Node 18 or newer for the built-in node:test runner.
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Engine = require('../engine.js');
+
+// A fresh engine on its own memory store, switched to `date` with the
+// default prime schedule built.
+function engineOn(date, initial) {
+  const storage = Engine.memoryStorage(initial);
+  const engine = Engine.createEngine({ storage });
+  engine.initDateSupport();
+  engine.setDate(date);
+  return { engine, storage };
+}
+
+// Times of the date's manual shows as HH:MM.
+function manualTimes(engine) {
+  return engine.getAllShows()
+    .filter(show => show.source === 'Manual')
+    .map(show => Engine.hmFromDate(show.start));
+}
+
+// Add an extra row playing `filmId` in `audId` with prime time `primeHM`.
+function placeRow(engine, filmId, audId, primeHM) {
+  const row = engine.addExtraRow();
+  engine.setRowField(row.rowId, 'filmId', filmId);
+  engine.setRowField(row.rowId, 'audId', audId);
+  engine.setRowField(row.rowId, 'primeHM', primeHM);
+  return row;
+}
+
+// Start times of a row's shows as HH:MM.
+function rowTimes(engine, row) {
+  return engine.getAllShows()
+    .filter(show => show.rowId === row.rowId)
+    .map(show => Engine.hmFromDate(show.start));
+}
+
+// Add a manual show at `hm` to the first placed prime row.
+function addLateShow(engine, hm) {
+  engine.buildSchedule();
+  const row = engine.state.primeRows.find(r => r.audId);
+  engine.addManualShow(row.rowId, hm);
+}
+
+test('migrateState moves a single-date export under its date', () => {
+  const raw = {
+    currentDate: '2024-03-01',
+    films: [{ id: 'F1', title: 'Old', runtime: '100' }],
+    auds: [{ id: 1, name: 'A1' }],
+    bookings: [{ id: 'B1', filmId: 'F1', week: '12' }],
+    primeRows: [{ rowId: 'R1', filmId: 'F1', audId: 1, primeHM: '19:00' }],
+    undoStack: [],
+  };
+  const st = Engine.migrateState(raw);
+  assert.equal(st.schemaVersion, Engine.SCHEMA_VERSION);
+  assert.equal(st.films[0].runtime, 100);
+  assert.equal(st.films[0].trailer, 0);
+  assert.equal(st.auds[0].format, 'Standard');
+  assert.equal(st.bookings[0].week, '');
+  const sched = st.scheduleByDate['2024-03-01'];
+  assert.equal(sched.primeRows[0].rowId, 'R1');
+  assert.deepEqual(sched.redoStack, []);
+  assert.deepEqual(sched.blackouts, []);
+});
+
+test('migrateState turns saved start Dates into minutes from the rollover', () => {
+  const start = new Date(2024, 2, 1, 23, 30).toISOString();
+  const raw = {
+    schemaVersion: 2,
+    scheduleByDate: {
+      '2024-03-01': {
+        primeRows: [],
+        extraRows: [],
+        manualShows: [{ id: 'M1', rowId: 'R1', start, end: start }],
+        overrides: {},
+        hiddenShows: {},
+        undoStack: [],
+        redoStack: [],
+      },
+    },
+  };
+  const show = Engine.migrateState(raw).scheduleByDate['2024-03-01'].manualShows[0];
+  assert.equal(show.startMin, Engine.minutesFromHM('23:30'));
+  assert.equal(show.start, undefined);
+  assert.equal(show.end, undefined);
+});
+
+test('migrateState leaves current data as it is', () => {
+  const { storage } = engineOn('2024-03-01');
+  const saved = storage.written();
+  assert.deepEqual(Engine.migrateState(JSON.parse(JSON.stringify(saved))), saved);
+});
+
+test('data from a newer schema is refused and never overwritten', () => {
+  const raw = { schemaVersion: Engine.SCHEMA_VERSION + 1, films: [] };
+  assert.throws(() => Engine.migrateState({ ...raw }), err => err.code === 'SCHEMA_TOO_NEW');
+  const errors = [];
+  const storage = Engine.memoryStorage(raw);
+  const engine = Engine.createEngine({ storage, onError: err => errors.push(err) });
+  engine.load();
+  engine.save();
+  assert.equal(errors[0].code, 'SCHEMA_TOO_NEW');
+  assert.ok(engine.getLoadError());
+  assert.deepEqual(storage.written(), raw);
+});
+
+test('setRolloverHour keeps manual shows at their time of day', () => {
+  const { engine } = engineOn('2025-08-23');
+  addLateShow(engine, '23:30');
+  engine.setDate('2025-08-24');
+  addLateShow(engine, '22:15');
+  engine.setRolloverHour(8);
+  assert.equal(engine.state.rolloverHour, 8);
+  assert.deepEqual(manualTimes(engine), ['22:15']);
+  engine.setDate('2025-08-23');
+  assert.deepEqual(manualTimes(engine), ['23:30']);
+});
+
+test('setRolloverHour re-bases the undo history', () => {
+  const { engine } = engineOn('2025-08-23');
+  addLateShow(engine, '23:30');
+  engine.setRolloverHour(8);
+  engine.undo();
+  assert.deepEqual(manualTimes(engine), []);
+  engine.redo();
+  assert.deepEqual(manualTimes(engine), ['23:30']);
+});
+
+test('setRolloverHour re-bases scenarios', () => {
+  const { engine } = engineOn('2025-08-23');
+  engine.buildSchedule();
+  const scenario = engine.forkScenario('what if');
+  addLateShow(engine, '23:30');
+  engine.openScenario(null);
+  engine.setRolloverHour(8);
+  engine.openScenario(scenario.id);
+  assert.deepEqual(manualTimes(engine), ['23:30']);
+});
+
+test('setRolloverHour re-bases templates', () => {
+  const { engine } = engineOn('2025-08-23');
+  addLateShow(engine, '23:30');
+  const template = engine.saveTemplate('late');
+  engine.setRolloverHour(8);
+  engine.setDate('2025-08-25');
+  engine.applyTemplate(template.id);
+  assert.deepEqual(manualTimes(engine), ['23:30']);
+});
+
+test('setRolloverHour re-bases archived dates', () => {
+  const { engine } = engineOn('2020-01-03');
+  addLateShow(engine, '23:30');
+  engine.setDate('2020-01-05');
+  engine.setRetention({ pastDates: 0, archive: true });
+  assert.ok(engine.listArchive().some(entry => entry.date === '2020-01-03'));
+  engine.setRolloverHour(8);
+  engine.restoreArchived('2020-01-03');
+  engine.setDate('2020-01-03');
+  assert.deepEqual(manualTimes(engine), ['23:30']);
+});
+
+test('setRolloverHour is refused while a blackout block would cross it', () => {
+  const { engine } = engineOn('2025-08-23');
+  const aud = engine.state.auds[0];
+  assert.ok(engine.addBlackout(aud.id, '23:00', '02:00'));
+  engine.setDate('2025-08-24');
+  const conflicts = engine.rolloverConflicts(1);
+  assert.equal(conflicts.length, 1);
+  assert.equal(conflicts[0].date, '2025-08-23');
+  const before = engine.state.rolloverHour;
+  assert.equal(engine.setRolloverHour(1), false);
+  assert.equal(engine.state.rolloverHour, before);
+  engine.setDate('2025-08-23');
+  assert.equal(engine.listBlackouts().length, 1);
+  // An hour the block does not cross is fine
+  assert.equal(engine.setRolloverHour(3), true);
+  assert.equal(engine.listBlackouts().length, 1);
+});
+
+test('deleteScenario removes the open scenario when closing it prunes a date', () => {
+  const { engine } = engineOn('2020-01-05');
+  engine.buildSchedule();
+  engine.setRetention({ pastDates: 0 });
+  const scenario = engine.forkScenario('what if');
+  // A past date that arrived without a save, e.g. from another tab
+  engine.state.scheduleByDate['2020-01-01'] = { primeRows: [], extraRows: [], manualShows: [] };
+  assert.equal(engine.deleteScenario(scenario.id), true);
+  assert.deepEqual(engine.listScenarios(), []);
+  assert.equal(engine.state.scheduleByDate['2020-01-01'], undefined);
+});
+
+test('buildSchedule picks prime times the stagger rule does not flag', () => {
+  const { engine } = engineOn('2025-08-23');
+  engine.setStaggerRule(2, 30);
+  const result = engine.buildSchedule();
+  assert.equal(result.assigned, 3);
+  assert.deepEqual(engine.staggerViolations().showIds, []);
+});
+
+test('buildSchedule passes over houses whose prime times are blacked out or taken by an event', () => {
+  const { engine } = engineOn('2025-08-23');
+  engine.addBlackout(4, '17:00', '23:00');
+  engine.addEvent({ audId: 1, startHM: '18:00', title: 'Rental', runtime: 180 });
+  const result = engine.buildSchedule();
+  assert.equal(result.assigned, 3);
+  const auds = engine.state.primeRows.map(row => row.audId);
+  assert.ok(!auds.includes(4));
+  assert.ok(!auds.includes(1));
+  // The largest house left goes to the first film
+  assert.equal(engine.state.primeRows.find(row => row.filmId === 'F1').audId, 2);
+});
+
+test('the business day still running before the rollover hour is today', t => {
+  // 1:00a local on Aug 24 is still the Aug 23 business day
+  t.mock.timers.enable({ apis: ['Date'], now: new Date(2025, 7, 24, 1, 0) });
+  const storage = Engine.memoryStorage();
+  const engine = Engine.createEngine({ storage });
+  engine.initDateSupport();
+  assert.equal(engine.getCurrentDate(), '2025-08-23');
+  engine.buildSchedule();
+  engine.setDate('2025-08-22');
+  engine.buildSchedule();
+  engine.setDate('2025-08-30');
+  engine.setRetention({ pastDates: 0, archive: false });
+  assert.deepEqual(engine.listDates().sort(), ['2025-08-23', '2025-08-30']);
+});
+
+test('migrateState files a dateless single-date export under the business date', t => {
+  t.mock.timers.enable({ apis: ['Date'], now: new Date(2025, 7, 24, 1, 0) });
+  const st = Engine.migrateState({ primeRows: [{ rowId: 'R1', filmId: 'F1', audId: 1, primeHM: '19:00' }] });
+  assert.equal(st.currentDate, '2025-08-23');
+});
+
+test('filmWeekOf numbers Friday-to-Thursday weeks across the new year', () => {
+  assert.deepEqual(Engine.filmWeekOf('2026-01-01'), { year: 2025, week: 52, from: '2025-12-26', to: '2026-01-01' });
+  assert.deepEqual(Engine.filmWeekOf('2026-01-02'), { year: 2026, week: 1, from: '2026-01-02', to: '2026-01-08' });
+  assert.deepEqual(Engine.filmWeekOf('2021-01-01'), { year: 2020, week: 53, from: '2021-01-01', to: '2021-01-07' });
+});
+
+test('engagementOf runs across the new year and does not come round again', () => {
+  const booking = { week: 52, weekYear: 2025, weeksOut: 2 };
+  assert.equal(Engine.engagementOf(booking, '2025-12-26').weekOfRun, 1);
+  assert.equal(Engine.engagementOf(booking, '2026-01-08').weekOfRun, 2);
+  assert.equal(Engine.playsOn(booking, '2026-01-09'), false);
+  // The same week a year later is outside the run
+  assert.equal(Engine.playsOn(booking, '2026-12-25'), false);
+  assert.equal(Engine.playsOn({ week: '', weeksOut: '' }, '2026-12-25'), true);
+});
+
+test('weekYearNear picks the run that covers or next opens after a date', () => {
+  assert.equal(Engine.weekYearNear(1, 1, '2025-12-20'), 2026);
+  assert.equal(Engine.weekYearNear(52, 2, '2026-01-05'), 2025);
+  assert.equal(Engine.weekYearNear('', 1, '2026-01-05'), null);
+});
+
+test('migrateState pins booking weeks to the run nearest the file date', () => {
+  const st = Engine.migrateState({
+    schemaVersion: 4,
+    currentDate: '2025-12-20',
+    bookings: [
+      { id: 'B1', week: 1, weeksOut: 1 },
+      { id: 'B2', week: 50, weeksOut: 2 },
+      { id: 'B3', week: '', weeksOut: '' },
+    ],
+  });
+  assert.deepEqual(st.bookings.map(b => b.weekYear), [2026, 2025, '']);
+});
+
+test('a row fans out show cycles around its prime time within the show window', () => {
+  const { engine } = engineOn('2025-08-23');
+  // Thunder Road: 124 + 18 trailer + 20 clean = 162, a 165 minute cycle
+  const row = placeRow(engine, 'F1', 1, '19:00');
+  assert.deepEqual(rowTimes(engine, row), ['08:00', '10:45', '13:30', '16:15', '19:00', '21:45']);
+  const shows = engine.getAllShows().filter(show => show.rowId === row.rowId);
+  assert.deepEqual(shows.map(show => show.offset), [-4, -3, -2, -1, 0, 1]);
+  assert.equal(shows[0].cycle, 165);
+  // The prime show stays even outside the first/last show window
+  engine.state.lastShowHM = '18:00';
+  engine.save();
+  assert.deepEqual(rowTimes(engine, row), ['08:00', '10:45', '13:30', '16:15', '19:00']);
+});
+
+test('hidden, moved and manual shows are applied to the generated ones', () => {
+  const { engine } = engineOn('2025-08-23');
+  const row = placeRow(engine, 'F1', 1, '19:00');
+  engine.updateShowStart(`${row.rowId}:-4`, '');
+  engine.updateShowStart(`${row.rowId}:1`, '22:00');
+  engine.addManualShow(row.rowId, '23:30');
+  assert.deepEqual(rowTimes(engine, row), ['10:45', '13:30', '16:15', '19:00', '22:00', '23:30']);
+});
+
+test('an auditorium clean time longer than the film one sets the turnaround', () => {
+  const { engine } = engineOn('2025-08-23');
+  const row = placeRow(engine, 'F1', 1, '19:00');
+  engine.state.auds[0].clean = 40;
+  engine.save();
+  assert.equal(Engine.turnaroundMinutes(engine.state.films[0], engine.state.auds[0]), 40);
+  // 124 + 18 + 40 = 182, a 185 minute cycle
+  assert.deepEqual(rowTimes(engine, row), ['09:45', '12:50', '15:55', '19:00', '22:05']);
+  // A shorter auditorium clean time leaves the film's 20 minutes
+  engine.state.auds[0].clean = 10;
+  engine.save();
+  assert.deepEqual(rowTimes(engine, row), ['08:00', '10:45', '13:30', '16:15', '19:00', '21:45']);
+});
+
+test('cycles round up to the start-time granularity', () => {
+  const { engine } = engineOn('2025-08-23');
+  // Moon Harbor: 108 + 16 + 20 = 144 minutes
+  const row = placeRow(engine, 'F2', 1, '19:00');
+  assert.deepEqual(rowTimes(engine, row), ['09:20', '11:45', '14:10', '16:35', '19:00', '21:25']);
+  engine.setGranularity(15);
+  assert.equal(Engine.cycleMinutes(engine.state.films[1], engine.state.auds[0], 15), 150);
+  assert.deepEqual(rowTimes(engine, row), ['09:00', '11:30', '14:00', '16:30', '19:00', '21:30']);
+  assert.deepEqual(engine.primeTimeOptions(), ['18:00', '18:15', '18:30', '18:45', '19:00', '19:15', '19:30', '19:45', '20:00', '20:15', '20:30']);
+  // Unsupported steps fall back to five minutes
+  engine.setGranularity(7);
+  assert.equal(engine.granularity(), 5);
+});
+
+test('buildSchedule gives the largest houses to the highest priority films', () => {
+  const { engine } = engineOn('2025-08-23');
+  const result = engine.buildSchedule();
+  assert.deepEqual(result, { assigned: 3, unassigned: [] });
+  const audOf = filmId => engine.state.primeRows.find(row => row.filmId === filmId).audId;
+  assert.deepEqual(['F1', 'F2', 'F3'].map(audOf), [4, 1, 2]);
+  engine.state.primeRows.forEach(row => assert.ok(engine.primeTimeOptions().includes(row.primeHM)));
+  // One undo step takes the whole build back
+  engine.undo();
+  assert.ok(engine.state.primeRows.every(row => !row.audId));
+});
+
+test('buildSchedule matches formats, leaves extra rows alone and skips bookings not playing', () => {
+  const { engine } = engineOn('2025-08-23');
+  engine.state.films[0].format = '3D';
+  engine.state.films[2].format = '3D';
+  engine.state.bookings[1].week = 10;
+  engine.state.bookings[1].weekYear = 2025;
+  engine.save();
+  placeRow(engine, 'F2', 4, '12:00');
+  const result = engine.buildSchedule();
+  // Aud 3 is the only 3D house: the first 3D film gets it, the other none
+  assert.deepEqual(result, { assigned: 1, unassigned: ['Galaxy Kids 3D 3D'] });
+  const rowOf = filmId => engine.state.primeRows.find(row => row.filmId === filmId);
+  assert.equal(rowOf('F1').audId, 3);
+  assert.equal(rowOf('F2').audId, null);
+  assert.equal(engine.state.extraRows[0].audId, 4);
+});
+
+test('crowdedStarts reports each crowded stretch once', () => {
+  const starts = [{ id: 'a', min: 0 }, { id: 'b', min: 5 }, { id: 'c', min: 9 }, { id: 'd', min: 12 }, { id: 'e', min: 40 }];
+  assert.deepEqual(Engine.crowdedStarts(starts, { maxStarts: 2, windowMins: 10 }), [
+    { from: 0, to: 15, ids: ['a', 'b', 'c', 'd'] },
+  ]);
+  assert.deepEqual(Engine.crowdedStarts(starts, { maxStarts: 4, windowMins: 15 }), []);
+  // A maxStarts of 0 turns the rule off
+  assert.deepEqual(Engine.crowdedStarts(starts, { maxStarts: 0, windowMins: 10 }), []);
+});
+
+test('spreadStarts suggests moves that clear the stagger violations', () => {
+  const { engine } = engineOn('2025-08-23');
+  placeRow(engine, 'F1', 1, '19:00');
+  placeRow(engine, 'F2', 2, '19:00');
+  placeRow(engine, 'F3', 3, '19:05');
+  placeRow(engine, 'F1', 5, '19:05');
+  assert.equal(engine.staggerViolations().showIds.length, 4);
+  const moves = engine.spreadStarts();
+  assert.ok(moves.length > 0);
+  // Suggestions only; nothing moves until they are applied
+  assert.equal(engine.staggerViolations().showIds.length, 4);
+  engine.batch('Spread starts', () => moves.forEach(m => engine.updateShowStart(m.showId, m.toHM)));
+  assert.deepEqual(engine.staggerViolations().showIds, []);
+  assert.deepEqual(engine.turnaroundConflicts(), []);
+});
+
+test('termsViolations checks each booking term on the dates it plays', () => {
+  const { engine } = engineOn('2025-08-23');
+  placeRow(engine, 'F1', 1, '19:00');
+  placeRow(engine, 'F3', 3, '19:30');
+  engine.state.films[0].format = '3D';
+  engine.state.films[2].format = '3D';
+  engine.state.bookings[0].terms = { largestHouse: true, minShows: 9, maxOutsidePrime: 1, exclusiveFormat: true };
+  engine.save();
+  const terms = engine.termsViolations(['2025-08-23']).map(v => v.term);
+  assert.deepEqual(terms, ['largestHouse', 'minShows', 'maxOutsidePrime', 'exclusiveFormat']);
+  // Terms that are met report nothing
+  engine.state.bookings[0].terms = { minShows: 6, maxOutsidePrime: 5 };
+  engine.save();
+  assert.deepEqual(engine.termsViolations(['2025-08-23']), []);
+  // Outside its engagement a booking's terms do not apply
+  engine.state.bookings[0].terms = { minShows: 9 };
+  engine.state.bookings[0].week = 10;
+  engine.state.bookings[0].weekYear = 2025;
+  engine.save();
+  assert.deepEqual(engine.termsViolations(['2025-08-23']), []);
+});
+
+test('buildWeek fills a film week from weekend and weekday templates', () => {
+  const { engine } = engineOn('2025-08-23');
+  // Saturday template with a matinee, Tuesday template with evenings only
+  placeRow(engine, 'F1', 1, '19:00');
+  engine.setDate('2025-08-26');
+  placeRow(engine, 'F2', 2, '19:00');
+  // Wednesday already has its own work
+  engine.setDate('2025-08-27');
+  placeRow(engine, 'F3', 3, '19:00');
+  const result = engine.buildWeek({
+    week: '2025-08-23',
+    weekendFrom: '2025-08-23',
+    weekdayFrom: '2025-08-26',
+    weekdayNotBefore: '17:00',
+    skipEdited: true,
+  });
+  assert.deepEqual(result.built, ['2025-08-22', '2025-08-24', '2025-08-25', '2025-08-28']);
+  assert.deepEqual(result.skipped, ['2025-08-23', '2025-08-26', '2025-08-27']);
+  const films = date => {
+    engine.setDate(date);
+    return Array.from(new Set(engine.getAllShows().map(show => show.filmId)));
+  };
+  assert.deepEqual(films('2025-08-24'), ['F1']);
+  assert.deepEqual(films('2025-08-25'), ['F2']);
+  assert.deepEqual(films('2025-08-27'), ['F3']);
+  // Weekday shows before 5:00p are hidden
+  engine.setDate('2025-08-28');
+  assert.deepEqual(engine.getAllShows().map(show => Engine.hmFromDate(show.start)), ['19:00', '21:25']);
+  // Friday is a weekday by default
+  assert.deepEqual(films('2025-08-22'), ['F2']);
+});
+
+test('buildWeek leaves an undo step on each rebuilt date', () => {
+  const { engine } = engineOn('2025-08-23');
+  placeRow(engine, 'F1', 1, '19:00');
+  engine.setDate('2025-08-26');
+  placeRow(engine, 'F3', 3, '12:00');
+  engine.buildWeek({ week: '2025-08-23', weekendFrom: '2025-08-23', weekdayFrom: '2025-08-23' });
+  assert.equal(engine.state.undoStack[engine.state.undoStack.length - 1].label, 'Build week');
+  engine.undo();
+  assert.deepEqual(Array.from(new Set(engine.getAllShows().map(show => show.filmId))), ['F3']);
+});
+
+test('diffDates lists added, removed, retimed and rehoused shows', () => {
+  const { engine } = engineOn('2025-08-22');
+  const row = placeRow(engine, 'F1', 1, '19:00');
+  engine.copySchedule('2025-08-22', ['2025-08-23']);
+  engine.setDate('2025-08-23');
+  assert.deepEqual(engine.diffDates('2025-08-22', '2025-08-23'), []);
+  engine.updateShowStart(`${row.rowId}:0`, '19:30');
+  engine.updateShowAud(`${row.rowId}:1`, 2);
+  engine.updateShowStart(`${row.rowId}:-4`, '');
+  engine.addManualShow(row.rowId, '23:30');
+  const diff = engine.diffDates('2025-08-22', '2025-08-23')
+    .map(d => [d.change, d.fromHM, d.toHM, d.fromAud, d.toAud].join(' '));
+  assert.deepEqual(diff, [
+    'removed 08:00  Aud 1 ',
+    'retimed 19:00 19:30 Aud 1 Aud 1',
+    'added  23:30  Aud 1',
+    'rehoused 21:45 21:45 Aud 1 Aud 2',
+  ]);
+  // A show both rehoused and retimed counts as rehoused
+  engine.updateShowAud(`${row.rowId}:-1`, 2);
+  engine.updateShowStart(`${row.rowId}:-1`, '16:00');
+  const both = engine.diffDates('2025-08-22', '2025-08-23').find(d => d.fromHM === '16:15');
+  assert.equal(both.change, 'rehoused');
+  assert.equal(both.retimed, true);
+});
+
+test('pruneOldSchedules keeps future dates, kept dates and the latest past ones', t => {
+  t.mock.timers.enable({ apis: ['Date'], now: new Date(2025, 7, 20, 12, 0) });
+  const { engine } = engineOn('2025-08-10');
+  engine.buildSchedule();
+  ['2025-08-11', '2025-08-12', '2025-08-13', '2025-09-30'].forEach(date => {
+    engine.setDate(date);
+    engine.buildSchedule();
+  });
+  engine.setDate('2025-08-21');
+  engine.setRetention({ pastDates: 1, archive: true, keep: ['2025-08-10'] });
+  assert.deepEqual(engine.listDates(), ['2025-08-10', '2025-08-13', '2025-08-20', '2025-08-21', '2025-09-30']);
+  assert.deepEqual(engine.listArchive().map(entry => entry.date).sort(), ['2025-08-11', '2025-08-12']);
+  // Without archiving, pruned dates are gone
+  engine.setRetention({ pastDates: 0, archive: false, keep: [] });
+  assert.deepEqual(engine.listDates(), ['2025-08-20', '2025-08-21', '2025-09-30']);
+  assert.deepEqual(engine.listArchive().map(entry => entry.date).sort(), ['2025-08-11', '2025-08-12']);
+});
+
+test('turnaroundConflicts finds shows starting before the house is turned', () => {
+  const { engine } = engineOn('2025-08-23');
+  const row = placeRow(engine, 'F1', 1, '19:00');
+  assert.deepEqual(engine.turnaroundConflicts(), []);
+  // 16:15 + 124 + 18 + 20 turns the house at 18:57
+  const moved = engine.turnaroundConflicts([{ showId: `${row.rowId}:0`, start: new Date(2025, 7, 23, 18, 30) }]);
+  assert.deepEqual(moved.map(c => [c.showId, c.prevId, c.overlapMin]), [[`${row.rowId}:0`, `${row.rowId}:-1`, 27]]);
+  // Checked as if made: nothing moved
+  assert.deepEqual(rowTimes(engine, row).slice(-2), ['19:00', '21:45']);
+  // An added show can both run late and hold up the next one
+  const added = engine.turnaroundConflicts([{ filmId: 'F2', audId: 1, start: new Date(2025, 7, 23, 20, 0) }]);
+  assert.deepEqual(added.map(c => [c.showId, c.prevId, c.overlapMin]), [
+    [null, `${row.rowId}:0`, 102],
+    [`${row.rowId}:1`, null, 39],
+  ]);
+  // Once made, the move is reported without being passed in
+  engine.updateShowStart(`${row.rowId}:0`, '18:30');
+  assert.equal(engine.turnaroundConflicts().length, 1);
+});
+
+test('show cycles that run into a blackout block are dropped', () => {
+  const { engine } = engineOn('2025-08-23');
+  const row = placeRow(engine, 'F1', 1, '19:00');
+  const other = placeRow(engine, 'F1', 2, '19:00');
+  const block = engine.addBlackout(1, '13:00', '15:00', 'maintenance');
+  // 10:45 would still be cleaning at 13:00, 13:30 starts inside it
+  assert.deepEqual(rowTimes(engine, row), ['08:00', '16:15', '19:00', '21:45']);
+  // The shows left keep their ids
+  assert.deepEqual(engine.getAllShows().filter(s => s.rowId === row.rowId).map(s => s.offset), [-4, -1, 0, 1]);
+  // Other auditoriums are not affected
+  assert.equal(rowTimes(engine, other).length, 6);
+  assert.equal(engine.addBlackout(1, '15:00', '13:00'), null);
+  engine.removeBlackout(block.id);
+  assert.equal(rowTimes(engine, row).length, 6);
+  engine.undo();
+  assert.equal(rowTimes(engine, row).length, 4);
+});
+
+test('blackout blocks stay with their date when another schedule is copied over it', () => {
+  const { engine } = engineOn('2025-08-22');
+  placeRow(engine, 'F1', 1, '19:00');
+  engine.addBlackout(2, '10:00', '12:00');
+  engine.setDate('2025-08-23');
+  engine.addBlackout(1, '13:00', '15:00');
+  engine.setDate('2025-08-22');
+  engine.copySchedule('2025-08-22', ['2025-08-23']);
+  engine.setDate('2025-08-23');
+  assert.deepEqual(engine.listBlackouts().map(b => [b.audId, b.fromHM, b.toHM]), [[1, '13:00', '15:00']]);
+  assert.equal(engine.getAllShows().length, 4);
+});
+
+test('show cycles are routed around a fixed-time event', () => {
+  const { engine } = engineOn('2025-08-23');
+  const row = placeRow(engine, 'F1', 1, '19:00');
+  // 14:00 to 15:30, cleaned by 15:45
+  const ev = engine.addEvent({ audId: 1, startHM: '14:00', title: 'Fan screening', runtime: 90, preshow: 0, clean: 15 });
+  // Before the prime time the cycle that would run into the event ends
+  // by its start instead, and the earlier ones follow from there
+  assert.deepEqual(rowTimes(engine, row), ['08:30', '11:15', '16:15', '19:00', '21:45']);
+  const event = engine.getAllShows().find(show => show.source === 'Event');
+  assert.equal(event.id, ev.id);
+  assert.equal(Engine.hmFromDate(event.start), '14:00');
+  assert.deepEqual(engine.turnaroundConflicts(), []);
+});
+
+test('a show running into an event from the prime time on waits for it to be cleaned', () => {
+  const { engine } = engineOn('2025-08-23');
+  const row = placeRow(engine, 'F1', 1, '19:00');
+  // The 19:00 cycle runs to 21:45, into an event cleaned by 22:10
+  engine.addEvent({ audId: 1, startHM: '21:00', title: 'Late show', runtime: 60, preshow: 0, clean: 10 });
+  assert.deepEqual(rowTimes(engine, row), ['08:00', '10:45', '13:30', '16:15', '22:10']);
+  // A double feature runs its second part straight after the first:
+  // 18:30 to 21:40, cleaned by 21:50. The show before it ends by 18:30
+  engine.undo();
+  engine.addEvent({ audId: 1, startHM: '18:30', title: 'Double feature', runtime: 100, preshow: 0, clean: 10, second: { title: 'Part two', runtime: 90 } });
+  const event = engine.listEvents()[0];
+  assert.equal(Engine.hmFromDate(event.busyUntil), '21:50');
+  assert.deepEqual(rowTimes(engine, row).slice(-2), ['15:45', '21:50']);
+  assert.deepEqual(engine.turnaroundConflicts(), []);
+});